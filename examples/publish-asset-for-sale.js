@@ -92,98 +92,64 @@ assetRegistration.run = function() {
     function(newCfg, callback) {
       cfg = newCfg;
       // Step #1: Create the asset and digitally sign it
-      console.log("Generating asset...");
-      var assetUrl = listingService + 'payswarm.js/' + assetId;
-      var asset = {
-        '@context': payswarm.CONTEXT_URL,
-        id: assetUrl + '#asset',
-        type: ['Asset', 'pto:WebPage'],
+      console.log("Generating and signing asset...");
+      payswarm.createAsset({
+        url: listingService + 'payswarm.js/' + assetId,
+        types: ['pto:WebPage'],
         creator: {
           fullName: 'publish-asset-for-sale.js Example'
         },
         title: assetName,
-        assetContent: assetUrl,
         assetProvider: cfg.owner,
-        listingRestrictions: {
-          validFrom: payswarm.w3cDate(validFrom),
-          validUntil: payswarm.w3cDate(validUntil),
-          payee: [{
-            id: assetUrl + '#asset-payee-1',
-            type: 'Payee',
-            destination: cfg.source,
-            currency: 'USD',
-            payeeGroup: ['assetProvider'],
-            payeeRate: '80',
-            payeeRateType: 'Percentage',
-            payeeApplyType: 'ApplyInclusively',
-            payeeApplyGroup: ['vendor'],
-            minimumAmount: '0.01',
-            comment: 'Asset Provider Royalty'
-          }],
-          payeeRule: [{
-            type: 'PayeeRule',
-            payeeGroupPrefix: ['authority']
-          }, {
-            type: 'PayeeRule',
-            payeeGroup: ['vendor'],
-            payeeRateType: 'FlatAmount',
-            payeeApplyType: 'ApplyExclusively'
-          }]
-        }
-      };
-
-      // sign the asset
-      payswarm.sign(asset, {
+        validFrom: validFrom,
+        validUntil: validUntil,
+        payees: [{
+          destination: cfg.source,
+          currency: 'USD',
+          payeeGroup: ['assetProvider'],
+          payeeRate: '80',
+          payeeRateType: 'Percentage',
+          payeeApplyType: 'ApplyInclusively',
+          payeeApplyGroup: ['vendor'],
+          minimumAmount: '0.01',
+          comment: 'Asset Provider Royalty'
+        }],
+        payeeRules: [{
+          payeeGroupPrefix: ['authority']
+        }, {
+          payeeGroup: ['vendor'],
+          payeeRateType: 'FlatAmount',
+          payeeApplyType: 'ApplyExclusively'
+        }],
         publicKeyId: cfg.publicKey.id,
         privateKeyPem: cfg.publicKey.privateKeyPem
       }, callback);
     },
     function(signedAsset, callback) {
-      // generate a hash for the signed asset
-      console.log("Signing asset...");
-      payswarm.hash(signedAsset, function(err, assetHash) {
-        callback(err, signedAsset, assetHash);
-      });
-    },
-    function(signedAsset, assetHash, callback) {
-      // Step #2: Create and digitally sign the listing
+      // Step #2: Create and digitally sign the listing (this also hashes
+      // the asset and ensures the listing follows the asset's listing
+      // restrictions)
       console.log('Generating and signing listing...');
-      var listingUrl = listingService + 'payswarm.js/' + assetId;
-
-      var listing = {
-        '@context': payswarm.CONTEXT_URL,
-        id: listingUrl + '#listing',
-        type: ['Listing', 'gr:Offering'],
+      payswarm.createListing({
+        url: listingService + 'payswarm.js/' + assetId,
+        types: ['gr:Offering'],
         vendor: cfg.owner,
-        payee: [{
-          id: listingUrl + '#listing-payee-1',
-          type: 'Payee',
-          destination: cfg.source,
-          currency: 'USD',
-          payeeGroup: ['vendor'],
-          payeeRate: price,
-          payeeRateType: 'FlatAmount',
-          payeeApplyType: 'ApplyExclusively',
-          comment: 'Payment for selling Test Asset ' + assetId + '.'
-        }],
-        payeeRule : [{
-          type: 'PayeeRule',
+        asset: signedAsset,
+        license: 'https://w3id.org/payswarm/licenses/blogging',
+        licenseHash: 'urn:sha256:' +
+          'd9dcfb7b3ba057df52b99f777747e8fe0fc598a3bb364e3d3eb529f90d58e1b9',
+        price: price,
+        currency: 'USD',
+        destination: cfg.source,
+        comment: 'Payment for selling Test Asset ' + assetId + '.',
+        payeeRules: [{
           payeeGroupPrefix: ['authority'],
           maximumPayeeRate: '10',
           payeeRateType: 'Percentage',
           payeeApplyType: 'ApplyInclusively'
         }],
-        asset: listingUrl + '#asset',
-        assetHash: assetHash,
-        license: 'https://w3id.org/payswarm/licenses/blogging',
-        licenseHash: 'urn:sha256:' +
-          'd9dcfb7b3ba057df52b99f777747e8fe0fc598a3bb364e3d3eb529f90d58e1b9',
-        validFrom: payswarm.w3cDate(validFrom),
-        validUntil: payswarm.w3cDate(validUntil)
-      };
-
-      // sign the listing
-      payswarm.sign(listing, {
+        validFrom: validFrom,
+        validUntil: validUntil,
         publicKeyId: cfg.publicKey.id,
         privateKeyPem: cfg.publicKey.privateKeyPem
       }, function(err, signedListing) {
@@ -191,15 +157,15 @@ assetRegistration.run = function() {
       });
     },
     function(signedAsset, signedListing, callback) {
-      // Step #3: Register the signed asset and listing
+      // Step #3: Register the signed asset and listing (this also checks
+      // that the published listing has the same hashes)
       console.log("Register signed asset and listing...");
       var assetAndListing = {
         '@context': payswarm.CONTEXT_URL,
         '@graph': [signedAsset, signedListing]
       };
 
-      var url = signedListing.id.split('#')[0];
-      payswarm.postJsonLd(url, assetAndListing, function(err, result) {
+      payswarm.publishListing(signedAsset, signedListing, function(err) {
         callback(err, assetAndListing);
       });
     },
@@ -139,9 +139,8 @@ assetRegistration.run = function() {
     function(listing, callback) {
       // Step #2: Send a purchase request for the listing
       payswarm.purchase(listing, {
-        // FIXME: URL should be retrieved via a .well-known/payswarm method
-        transactionService: authority + 'transactions',
-        customer: cfg.owner,
+        authority: authority,
+        identity: cfg.owner,
         source: cfg.source,
         publicKey: cfg.publicKey.id,
         privateKeyPem: cfg.publicKey.privateKeyPem,
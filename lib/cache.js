@@ -0,0 +1,200 @@
+/**
+ * PaySwarm JSON-LD caches.
+ *
+ * Copyright (c) 2011-2013, Digital Bazaar, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * * Redistributions of source code must retain the above copyright notice,
+ *   this list of conditions and the following disclaimer.
+ *
+ * * Redistributions in binary form must reproduce the above copyright notice,
+ *   this list of conditions and the following disclaimer in the documentation
+ *   and/or other materials provided with the distribution.
+ *
+ * * Neither the name of Digital Bazaar, Inc. nor the names of its contributors
+ *   may be used to endorse or promote products derived from this software
+ *   without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+'use strict';
+
+var async = require('async');
+var crypto = require('crypto');
+var fs = require('fs');
+var mkdirp = require('mkdirp');
+var path = require('path');
+
+var api = {};
+module.exports = api;
+
+/*
+
+A cache stores JSON-LD documents retrieved from the Web, such as PaySwarm
+Authority configurations and public keys, so that they do not have to be
+fetched again for every API call. The client decides how long each document
+stays fresh based on the HTTP response headers; the cache only needs to keep
+what it is given for the number of seconds it is told to.
+
+A cache is given as the 'cache' option to payswarm.createClient, which uses
+it for the 'getCachedJsonLd' and 'cacheJsonLd' hooks. Every cache has the
+following methods:
+
+get(id, callback(err, result)): gets a cached value by its ID (IRI). Passes
+  the value or null to the callback.
+
+set(id, obj, secs, callback(err)): caches a value for the given number of
+  seconds.
+
+*/
+
+/**
+ * Creates a cache that keeps values in memory.
+ *
+ * @param options the options to use: (optional)
+ *          maxEntries: the maximum number of values to keep; the values
+ *            that expire the soonest are removed first. [1000]
+ *
+ * @return the cache.
+ */
+api.createMemoryCache = function(options) {
+  options = options || {};
+  var maxEntries = options.maxEntries || 1000;
+
+  // id => {expires: time, value: obj}
+  var entries = {};
+
+  return {
+    get: function(id, callback) {
+      _removeExpired(entries);
+      var entry = entries.hasOwnProperty(id) ? entries[id] : null;
+      callback(null, entry ? _clone(entry.value) : null);
+    },
+    set: function(id, obj, secs, callback) {
+      _removeExpired(entries);
+      entries[id] = {expires: Date.now() + secs * 1000, value: _clone(obj)};
+      var ids = Object.keys(entries);
+      if(ids.length > maxEntries) {
+        ids.sort(function(a, b) {
+          return entries[a].expires - entries[b].expires;
+        });
+        ids.slice(0, ids.length - maxEntries).forEach(function(id) {
+          delete entries[id];
+        });
+      }
+      callback();
+    }
+  };
+};
+
+/**
+ * Creates a cache that keeps values on disk, one file per value, so that
+ * they survive restarts and can be shared by several processes.
+ *
+ * @param options the options to use:
+ *          directory: the directory to store cached values in.
+ *
+ * @return the cache.
+ */
+api.createFileCache = function(options) {
+  var directory = path.resolve(options.directory);
+
+  // gets the name of the file for an ID
+  var getFilename = function(id) {
+    var md = crypto.createHash('sha256');
+    md.update(id, 'utf8');
+    return path.join(directory, md.digest('hex') + '.json');
+  };
+
+  return {
+    get: function(id, callback) {
+      var filename = getFilename(id);
+      fs.readFile(filename, 'utf8', function(err, data) {
+        if(err) {
+          if(err.code === 'ENOENT') {
+            return callback(null, null);
+          }
+          return callback(err);
+        }
+        var entry;
+        try {
+          entry = JSON.parse(data);
+        }
+        catch(ex) {
+          // treat a corrupt file as a cache miss
+          entry = null;
+        }
+        if(!entry || entry.id !== id || entry.expires <= Date.now()) {
+          return fs.unlink(filename, function() {
+            callback(null, null);
+          });
+        }
+        callback(null, entry.value);
+      });
+    },
+    set: function(id, obj, secs, callback) {
+      var filename = getFilename(id);
+      // use a unique temporary file so concurrent writers do not collide
+      var tmp = filename + '.' + crypto.randomBytes(8).toString('hex');
+      var data = JSON.stringify({
+        id: id,
+        expires: Date.now() + secs * 1000,
+        value: obj
+      });
+      async.waterfall([
+        function(callback) {
+          mkdirp(directory, parseInt(700, 8), function(err) {
+            callback(err);
+          });
+        },
+        function(callback) {
+          fs.writeFile(
+            tmp, data, {encoding: 'utf8', mode: parseInt(600, 8)}, callback);
+        },
+        function(callback) {
+          fs.rename(tmp, filename, callback);
+        }
+      ], callback);
+    }
+  };
+};
+
+/**
+ * Removes expired cache entries.
+ *
+ * @param entries the map of IDs to cache entries.
+ */
+function _removeExpired(entries) {
+  var now = Date.now();
+  Object.keys(entries).forEach(function(id) {
+    if(entries[id].expires <= now) {
+      delete entries[id];
+    }
+  });
+}
+
+/**
+ * Clones a JSON value so that cached values cannot be modified through the
+ * objects given to or returned from the cache.
+ *
+ * @param value the value to clone.
+ *
+ * @return the clone.
+ */
+function _clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
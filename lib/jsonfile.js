@@ -0,0 +1,141 @@
+/**
+ * PaySwarm JSON files for file-backed stores.
+ *
+ * Copyright (c) 2011-2013, Digital Bazaar, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * * Redistributions of source code must retain the above copyright notice,
+ *   this list of conditions and the following disclaimer.
+ *
+ * * Redistributions in binary form must reproduce the above copyright notice,
+ *   this list of conditions and the following disclaimer in the documentation
+ *   and/or other materials provided with the distribution.
+ *
+ * * Neither the name of Digital Bazaar, Inc. nor the names of its contributors
+ *   may be used to endorse or promote products derived from this software
+ *   without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+'use strict';
+
+var async = require('async');
+var fs = require('fs');
+var mkdirp = require('mkdirp');
+var path = require('path');
+
+var api = {};
+module.exports = api;
+
+/**
+ * Creates a JSON file that holds the data of a file-backed store, such as a
+ * nonce or purchase store. Updates to the same file are serialized; the file
+ * should not be shared by concurrently running processes.
+ *
+ * @param options the options to use:
+ *          filename: the name of the file.
+ *          name: what the file holds, for errors, eg: 'nonce'.
+ *
+ * @return the file, with an update(fn, callback(err, result)) method that
+ *           runs fn(data, callback(err, result, modified)) on the data in
+ *           the file, which is an empty object if the file does not exist,
+ *           and writes the data back if it was modified.
+ */
+api.createJsonFile = function(options) {
+  var filename = path.resolve(options.filename);
+  var name = options.name;
+
+  // serialize reading and writing the file
+  var queue = async.queue(function(task, callback) {
+    task(callback);
+  }, 1);
+
+  return {
+    update: function(fn, callback) {
+      queue.push(function(callback) {
+        async.waterfall([
+          function(callback) {
+            _readFile(filename, name, callback);
+          },
+          function(data, callback) {
+            fn(data, function(err, result, modified) {
+              if(err || !modified) {
+                return callback(err, result);
+              }
+              _writeFile(filename, data, function(err) {
+                callback(err, result);
+              });
+            });
+          }
+        ], callback);
+      }, callback);
+    }
+  };
+};
+
+/**
+ * Reads a JSON file. A file that does not exist holds an empty object.
+ *
+ * @param filename the name of the file.
+ * @param name what the file holds, for errors.
+ * @param callback(err, data) called once the operation completes.
+ */
+function _readFile(filename, name, callback) {
+  fs.readFile(filename, 'utf8', function(err, data) {
+    if(err) {
+      if(err.code === 'ENOENT') {
+        return callback(null, {});
+      }
+      return callback(err);
+    }
+    try {
+      data = JSON.parse(data);
+    }
+    catch(ex) {
+      return callback(new Error('[payswarm.jsonfile] ' +
+        'The ' + name + ' file contains malformed JSON: ' + filename));
+    }
+    callback(null, data);
+  });
+}
+
+/**
+ * Writes a JSON file. The file is written to a temporary file first and then
+ * renamed so that it is never left partially written.
+ *
+ * @param filename the name of the file.
+ * @param data the data to write.
+ * @param callback(err) called once the operation completes.
+ */
+function _writeFile(filename, data, callback) {
+  var tmp = filename + '.tmp';
+  async.waterfall([
+    function(callback) {
+      mkdirp(path.dirname(filename), parseInt(700, 8), function(err) {
+        callback(err);
+      });
+    },
+    function(callback) {
+      fs.writeFile(
+        tmp, JSON.stringify(data, null, 2),
+        {encoding: 'utf8', mode: parseInt(600, 8)}, callback);
+    },
+    function(callback) {
+      fs.rename(tmp, filename, callback);
+    }
+  ], callback);
+}
@@ -0,0 +1,188 @@
+/**
+ * PaySwarm nonce stores.
+ *
+ * Copyright (c) 2011-2013, Digital Bazaar, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * * Redistributions of source code must retain the above copyright notice,
+ *   this list of conditions and the following disclaimer.
+ *
+ * * Redistributions in binary form must reproduce the above copyright notice,
+ *   this list of conditions and the following disclaimer in the documentation
+ *   and/or other materials provided with the distribution.
+ *
+ * * Neither the name of Digital Bazaar, Inc. nor the names of its contributors
+ *   may be used to endorse or promote products derived from this software
+ *   without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+'use strict';
+
+var crypto = require('crypto');
+var jsonfile = require('./jsonfile');
+
+var api = {};
+module.exports = api;
+
+/*
+
+A nonce store creates cryptographically random nonces that can be given to
+a PaySwarm Authority so that they are returned in signed messages, and it
+checks those nonces when the messages are received. A nonce can only be
+checked once and it expires if it is not checked within its time-to-live.
+
+A nonce store is given as the 'nonces' option to payswarm.createClient,
+which uses it for the 'createNonce' and 'checkNonce' hooks. Every nonce store
+has the following methods:
+
+create(callback(err, nonce)): creates and stores a new nonce.
+
+check(nonce, callback(err, valid)): checks and consumes a nonce. Passes true
+  to the callback if the nonce was created by the store and has not expired
+  or been checked before, false if not.
+
+*/
+
+/** The default nonce time-to-live in seconds. */
+api.DEFAULT_TTL = 15 * 60;
+
+/**
+ * Creates a nonce store that keeps nonces in memory.
+ *
+ * @param options the options to use: (optional)
+ *          ttl: the number of seconds before a nonce expires
+ *            [15 minutes].
+ *
+ * @return the nonce store.
+ */
+api.createMemoryNonceStore = function(options) {
+  options = options || {};
+  var ttl = ('ttl' in options) ? options.ttl : api.DEFAULT_TTL;
+
+  // nonce => expiration time
+  var nonces = {};
+
+  return {
+    create: function(callback) {
+      _generateNonce(function(err, nonce) {
+        if(err) {
+          return callback(err);
+        }
+        _removeExpired(nonces);
+        nonces[nonce] = Date.now() + ttl * 1000;
+        callback(null, nonce);
+      });
+    },
+    check: function(nonce, callback) {
+      _removeExpired(nonces);
+      var valid = (typeof nonce === 'string' && nonces.hasOwnProperty(nonce));
+      if(valid) {
+        delete nonces[nonce];
+      }
+      callback(null, valid);
+    }
+  };
+};
+
+/**
+ * Creates a nonce store that keeps nonces in a JSON file so that they
+ * survive restarts and can be shared by processes that do not run at the
+ * same time (eg: separate runs of a command line tool). Operations on the
+ * same store are serialized; the file should not be shared by concurrently
+ * running processes.
+ *
+ * @param options the options to use:
+ *          filename: the name of the file to store nonces in.
+ *          ttl: the number of seconds before a nonce expires
+ *            [15 minutes]. (optional)
+ *
+ * @return the nonce store.
+ */
+api.createFileNonceStore = function(options) {
+  var file = jsonfile.createJsonFile({
+    filename: options.filename,
+    name: 'nonce'
+  });
+  var ttl = ('ttl' in options) ? options.ttl : api.DEFAULT_TTL;
+
+  // runs fn(nonces, callback(err, result, modified)) on the stored nonces
+  var update = function(fn, callback) {
+    file.update(function(nonces, callback) {
+      var expired = _removeExpired(nonces);
+      fn(nonces, function(err, result, modified) {
+        callback(err, result, modified || expired);
+      });
+    }, callback);
+  };
+
+  return {
+    create: function(callback) {
+      _generateNonce(function(err, nonce) {
+        if(err) {
+          return callback(err);
+        }
+        update(function(nonces, callback) {
+          nonces[nonce] = Date.now() + ttl * 1000;
+          callback(null, nonce, true);
+        }, callback);
+      });
+    },
+    check: function(nonce, callback) {
+      update(function(nonces, callback) {
+        var valid = (typeof nonce === 'string' && nonces.hasOwnProperty(nonce));
+        if(valid) {
+          delete nonces[nonce];
+        }
+        callback(null, valid, valid);
+      }, callback);
+    }
+  };
+};
+
+/**
+ * Generates a cryptographically random nonce.
+ *
+ * @param callback(err, nonce) called once the operation completes.
+ */
+function _generateNonce(callback) {
+  crypto.randomBytes(16, function(err, bytes) {
+    if(err) {
+      return callback(err);
+    }
+    callback(null, bytes.toString('hex'));
+  });
+}
+
+/**
+ * Removes expired nonces.
+ *
+ * @param nonces the map of nonces to expiration times.
+ *
+ * @return true if any nonces were removed, false if not.
+ */
+function _removeExpired(nonces) {
+  var now = Date.now();
+  var removed = false;
+  Object.keys(nonces).forEach(function(nonce) {
+    if(nonces[nonce] <= now) {
+      delete nonces[nonce];
+      removed = true;
+    }
+  });
+  return removed;
+}
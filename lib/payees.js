@@ -0,0 +1,630 @@
+/**
+ * PaySwarm payee computation and listing restriction checks.
+ *
+ * Copyright (c) 2011-2013, Digital Bazaar, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * * Redistributions of source code must retain the above copyright notice,
+ *   this list of conditions and the following disclaimer.
+ *
+ * * Redistributions in binary form must reproduce the above copyright notice,
+ *   this list of conditions and the following disclaimer in the documentation
+ *   and/or other materials provided with the distribution.
+ *
+ * * Neither the name of Digital Bazaar, Inc. nor the names of its contributors
+ *   may be used to endorse or promote products derived from this software
+ *   without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+'use strict';
+
+var api = {};
+module.exports = api;
+
+/*
+
+Payees describe who is paid how much when an Asset in a Listing is
+purchased. The amounts are computed using exact decimal arithmetic; every
+amount is rounded (half up) to a fixed number of decimal places.
+
+A payee has the following properties:
+
+destination: the ID (IRI) of the financial account to pay.
+
+currency: the currency of the payment; all payees must use the same one.
+
+payeeGroup: the groups the payee belongs to, eg: 'vendor'.
+
+payeeRate: the amount to pay, as a decimal string; a flat amount or a
+  percentage depending on payeeRateType.
+
+payeeRateType: 'FlatAmount' or 'Percentage'.
+
+payeeApplyType: 'ApplyExclusively' if the amount is paid in addition to the
+  amounts of the other payees, or 'ApplyInclusively' if it is deducted from
+  the amounts of the payees it applies to.
+
+payeeApplyGroup: the groups of the payees a percentage or inclusive amount
+  applies to (optional, defaults to all payees applied before it).
+
+payeeExemptGroup: the groups of the payees a percentage or inclusive amount
+  never applies to (optional).
+
+payeeApplyAfter: the groups of the payees that must be applied before this
+  one (optional).
+
+minimumAmount, maximumAmount: the bounds for a computed amount (optional).
+
+Flat amounts are applied before percentages and otherwise payees are applied
+in the order given, subject to payeeApplyAfter.
+
+An Asset's listingRestrictions restrict the Listings for it. They may have:
+
+payee: the payees paid for every purchase of the Asset, whether or not a
+  Listing includes them; a Listing that includes them must not change them.
+
+payeeRule: the rules other payees in a Listing must follow; each payee must
+  match at least one rule. A rule matches a payee if the payee has one of
+  the rule's payeeGroups, has a group that starts with one of its
+  payeeGroupPrefixes, has its payeeRateType and payeeApplyType, and has a
+  payeeRate within its minimumPayeeRate and maximumPayeeRate; properties
+  missing from a rule always match.
+
+payeeLimitation: 'NoAdditionalPayeesLimitation' if a Listing must not
+  include any payees other than the required ones.
+
+vendor: the only vendor that may list the Asset.
+
+validFrom, validUntil: the period that a Listing's validity period must
+  fall within.
+
+*/
+
+/** The default number of decimal places in computed amounts. */
+api.DEFAULT_PRECISION = 7;
+
+/**
+ * Computes the transfers for a set of payees.
+ *
+ * @param payees the payees.
+ * @param options the options to use: (optional)
+ *          precision: the number of decimal places in computed amounts
+ *            [DEFAULT_PRECISION].
+ *
+ * @return {currency, amount, transfer} where transfer has a Transfer, with
+ *           a destination, amount, currency, and the payee, comment, and
+ *           payeeGroup of its payee, for each payee.
+ */
+api.applyPayees = function(payees, options) {
+  options = options || {};
+  var precision = ('precision' in options) ?
+    options.precision : api.DEFAULT_PRECISION;
+  if(payees.length === 0) {
+    throw new Error('[payswarm.payees] No payees given.');
+  }
+
+  var currency = payees[0].currency;
+  payees.forEach(function(payee) {
+    if(typeof payee.destination !== 'string') {
+      throw _payeeError(payee, 'must have a destination.');
+    }
+    if(payee.currency !== currency) {
+      throw _payeeError(payee, 'must use the same currency as the others.');
+    }
+  });
+
+  var transfers = [];
+  _sortPayees(payees).forEach(function(payee) {
+    var transfer = {
+      type: 'Transfer',
+      destination: payee.destination,
+      amount: null,
+      currency: currency
+    };
+    if(payee.id) {
+      transfer.payee = payee.id;
+    }
+    if(payee.comment) {
+      transfer.comment = payee.comment;
+    }
+    transfer.payeeGroup = _getGroups(payee, 'payeeGroup');
+
+    // get the transfers the payee applies to
+    var applyGroups = _getGroups(payee, 'payeeApplyGroup');
+    var exemptGroups = _getGroups(payee, 'payeeExemptGroup');
+    var applied = transfers.filter(function(t) {
+      return (applyGroups.length === 0 ||
+        _intersects(t.payeeGroup, applyGroups)) &&
+        !_intersects(t.payeeGroup, exemptGroups);
+    });
+    var base = applied.reduce(function(sum, t) {
+      return sum + t.amount;
+    }, _toScaled('0', precision));
+
+    // compute amount
+    var rate = _parseDecimal(payee.payeeRate, payee, 'payeeRate');
+    var amount;
+    if(payee.payeeRateType === 'FlatAmount') {
+      amount = _toScaled(payee.payeeRate, precision, payee, 'payeeRate');
+    }
+    else if(payee.payeeRateType === 'Percentage') {
+      amount = _divideRounded(
+        base * rate.digits, _pow10(rate.scale) * BigInt(100));
+    }
+    else {
+      throw _payeeError(payee, 'has an unknown payeeRateType.');
+    }
+    if('minimumAmount' in payee) {
+      var min = _toScaled(
+        payee.minimumAmount, precision, payee, 'minimumAmount');
+      amount = (amount < min) ? min : amount;
+    }
+    if('maximumAmount' in payee) {
+      var max = _toScaled(
+        payee.maximumAmount, precision, payee, 'maximumAmount');
+      amount = (amount > max) ? max : amount;
+    }
+
+    if(payee.payeeApplyType === 'ApplyInclusively') {
+      _deduct(applied, base, amount, payee);
+    }
+    else if(payee.payeeApplyType !== 'ApplyExclusively') {
+      throw _payeeError(payee, 'has an unknown payeeApplyType.');
+    }
+    transfer.amount = amount;
+    transfers.push(transfer);
+  });
+
+  var total = transfers.reduce(function(sum, t) {
+    return sum + t.amount;
+  }, _toScaled('0', precision));
+  transfers.forEach(function(t) {
+    t.amount = _format(t.amount, precision);
+  });
+  return {
+    currency: currency,
+    amount: _format(total, precision),
+    transfer: transfers
+  };
+};
+
+/**
+ * Checks a Listing against the listing restrictions of its Asset.
+ *
+ * @param listing the framed Listing.
+ * @param asset the framed Asset.
+ *
+ * @return {valid, violations} where violations has a {restriction, message}
+ *           for each violated restriction and the ID of the payee if the
+ *           violation is about one.
+ */
+api.checkListingRestrictions = function(listing, asset) {
+  var violations = [];
+  var violation = function(restriction, message, payee) {
+    var v = {restriction: restriction, message: message};
+    if(payee) {
+      v.payee = payee.id || null;
+    }
+    violations.push(v);
+  };
+
+  if(listing.asset !== asset.id) {
+    violation('asset', 'The Listing is not for the Asset.');
+  }
+
+  var restrictions = asset.listingRestrictions || {};
+  var listingPayees = _getValues(listing.payee);
+
+  // required payees that are included must be unchanged
+  var required = _getValues(restrictions.payee);
+  required.forEach(function(payee) {
+    listingPayees.forEach(function(p) {
+      if(payee.id && p.id === payee.id && !_samePayee(p, payee)) {
+        violation('payee',
+          'The Listing changes a payee required by the Asset.', payee);
+      }
+    });
+  });
+
+  // other payees must follow the payee rules
+  var additional = listingPayees.filter(function(p) {
+    return !required.some(function(payee) {
+      return payee.id ? p.id === payee.id : _samePayee(p, payee);
+    });
+  });
+  var limitations = _getValues(restrictions.payeeLimitation);
+  if(limitations.indexOf('NoAdditionalPayeesLimitation') !== -1) {
+    additional.forEach(function(payee) {
+      violation('payeeLimitation',
+        'The Asset does not permit payees other than the ones it requires.',
+        payee);
+    });
+  }
+  else if('payeeRule' in restrictions) {
+    var rules = _getValues(restrictions.payeeRule);
+    additional.forEach(function(payee) {
+      if(!rules.some(function(rule) {
+        return _matchesRule(payee, rule);
+      })) {
+        violation('payeeRule',
+          'The payee does not follow any of the Asset\'s payee rules.',
+          payee);
+      }
+    });
+  }
+
+  if(restrictions.vendor && listing.vendor !== restrictions.vendor) {
+    violation('vendor', 'The Asset may not be listed by the vendor.');
+  }
+
+  // the listing must be valid only while the restrictions allow
+  var validFrom = restrictions.validFrom || asset.validFrom;
+  var validUntil = restrictions.validUntil || asset.validUntil;
+  if(validFrom && _isBefore(listing.validFrom, validFrom)) {
+    violation('validFrom',
+      'The Listing is valid before the Asset may be listed.');
+  }
+  if(validUntil && _isBefore(validUntil, listing.validUntil)) {
+    violation('validUntil',
+      'The Listing is valid after the Asset may be listed.');
+  }
+
+  return {valid: violations.length === 0, violations: violations};
+};
+
+/**
+ * Compares two non-negative decimal strings, such as amounts. An error is
+ * thrown if either value is not a non-negative decimal string.
+ *
+ * @param a the first decimal string.
+ * @param b the second decimal string.
+ *
+ * @return -1 if a < b, 0 if a == b, 1 if a > b.
+ */
+api.compareDecimals = function(a, b) {
+  [a, b].forEach(function(value) {
+    if(!_isDecimal(value)) {
+      throw new Error('[payswarm.payees] ' +
+        'Invalid decimal ' + JSON.stringify(value) + '; a non-negative ' +
+        'decimal string, eg: "10.50", is required.');
+    }
+  });
+  return _compareDecimals(a, b);
+};
+
+/**
+ * Checks if a payee matches a payee rule.
+ *
+ * @param payee the payee.
+ * @param rule the payee rule.
+ *
+ * @return true if the payee matches, false if not.
+ */
+function _matchesRule(payee, rule) {
+  var groups = _getGroups(payee, 'payeeGroup');
+  if('payeeGroup' in rule &&
+    !_intersects(groups, _getGroups(rule, 'payeeGroup'))) {
+    return false;
+  }
+  var prefixed = _getGroups(rule, 'payeeGroupPrefix').some(function(prefix) {
+    return groups.some(function(group) {
+      return group.indexOf(prefix) === 0;
+    });
+  });
+  if('payeeGroupPrefix' in rule && !prefixed) {
+    return false;
+  }
+  if('payeeRateType' in rule && payee.payeeRateType !== rule.payeeRateType) {
+    return false;
+  }
+  if('payeeApplyType' in rule &&
+    payee.payeeApplyType !== rule.payeeApplyType) {
+    return false;
+  }
+  try {
+    if('minimumPayeeRate' in rule &&
+      _compareDecimals(payee.payeeRate, rule.minimumPayeeRate) < 0) {
+      return false;
+    }
+    if('maximumPayeeRate' in rule &&
+      _compareDecimals(payee.payeeRate, rule.maximumPayeeRate) > 0) {
+      return false;
+    }
+  }
+  catch(ex) {
+    // an invalid rate matches no rule
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Checks if a date is before another date. Missing or invalid dates are
+ * treated as out of order.
+ *
+ * @param a the first date.
+ * @param b the second date.
+ *
+ * @return true if a is before b or either date is invalid, false if not.
+ */
+function _isBefore(a, b) {
+  a = Date.parse(a);
+  b = Date.parse(b);
+  return isNaN(a) || isNaN(b) || a < b;
+}
+
+/**
+ * Checks if two payees are the same.
+ *
+ * @param a the first payee.
+ * @param b the second payee.
+ *
+ * @return true if they are, false if not.
+ */
+function _samePayee(a, b) {
+  var properties = [
+    'destination', 'currency', 'payeeGroup', 'payeeRate', 'payeeRateType',
+    'payeeApplyType', 'payeeApplyGroup', 'payeeExemptGroup',
+    'payeeApplyAfter', 'minimumAmount', 'maximumAmount'];
+  return properties.every(function(property) {
+    return JSON.stringify(_getValues(a[property]).sort()) ===
+      JSON.stringify(_getValues(b[property]).sort());
+  });
+}
+
+/**
+ * Compares two non-negative decimal strings.
+ *
+ * @param a the first decimal string.
+ * @param b the second decimal string.
+ *
+ * @return -1 if a < b, 0 if a == b, 1 if a > b.
+ */
+function _compareDecimals(a, b) {
+  var x = _parseDecimal(a);
+  var y = _parseDecimal(b);
+  var scale = Math.max(x.scale, y.scale);
+  x = x.digits * _pow10(scale - x.scale);
+  y = y.digits * _pow10(scale - y.scale);
+  return (x < y) ? -1 : (x > y) ? 1 : 0;
+}
+
+/**
+ * Gets the values of a property as an array.
+ *
+ * @param value the property value.
+ *
+ * @return the values.
+ */
+function _getValues(value) {
+  if(value === undefined || value === null) {
+    return [];
+  }
+  return [].concat(value);
+}
+
+/**
+ * Sorts payees into the order they are applied in; flat amounts first,
+ * then percentages, each in the given order unless a payee must be applied
+ * after the payees in its payeeApplyAfter groups.
+ *
+ * @param payees the payees.
+ *
+ * @return the sorted payees.
+ */
+function _sortPayees(payees) {
+  var pending = payees.filter(function(payee) {
+    return payee.payeeRateType === 'FlatAmount';
+  }).concat(payees.filter(function(payee) {
+    return payee.payeeRateType !== 'FlatAmount';
+  }));
+  // checks if a payee must wait for another pending payee
+  var isWaiting = function(payee) {
+    var after = _getGroups(payee, 'payeeApplyAfter');
+    return pending.some(function(other) {
+      return other !== payee &&
+        _intersects(_getGroups(other, 'payeeGroup'), after);
+    });
+  };
+  var sorted = [];
+  while(pending.length > 0) {
+    // apply the first payee that does not wait on another pending payee
+    var next = -1;
+    for(var i = 0; next === -1 && i < pending.length; ++i) {
+      if(!isWaiting(pending[i])) {
+        next = i;
+      }
+    }
+    if(next === -1) {
+      throw new Error('[payswarm.payees] ' +
+        'The payeeApplyAfter groups of the payees form a cycle.');
+    }
+    sorted.push(pending.splice(next, 1)[0]);
+  }
+  return sorted;
+}
+
+/**
+ * Deducts an inclusive amount from the transfers it applies to, in
+ * proportion to their amounts. Any remainder left by rounding is deducted
+ * from the transfer with the largest amount.
+ *
+ * @param transfers the transfers to deduct from.
+ * @param base the sum of the amounts of the transfers.
+ * @param amount the amount to deduct.
+ * @param payee the payee the amount is for.
+ */
+function _deduct(transfers, base, amount, payee) {
+  if(amount > base) {
+    throw _payeeError(payee,
+      'is more than the amounts of the payees it applies to.');
+  }
+  if(amount === base) {
+    transfers.forEach(function(t) {
+      t.amount = BigInt(0);
+    });
+    return;
+  }
+  var remainder = amount;
+  var largest = null;
+  transfers.forEach(function(t) {
+    var deduction = (amount * t.amount) / base;
+    t.amount -= deduction;
+    remainder -= deduction;
+    if(largest === null || t.amount > largest.amount) {
+      largest = t;
+    }
+  });
+  if(remainder > 0) {
+    largest.amount -= remainder;
+  }
+}
+
+/**
+ * Gets the groups in a payee property.
+ *
+ * @param payee the payee.
+ * @param property the property.
+ *
+ * @return the groups.
+ */
+function _getGroups(payee, property) {
+  return _getValues(payee[property]);
+}
+
+/**
+ * Checks if two lists of groups have a group in common.
+ *
+ * @param a the first list.
+ * @param b the second list.
+ *
+ * @return true if they do, false if not.
+ */
+function _intersects(a, b) {
+  return a.some(function(group) {
+    return b.indexOf(group) !== -1;
+  });
+}
+
+/**
+ * Checks if a value is a non-negative decimal string.
+ *
+ * @param value the value to check.
+ *
+ * @return true if the value is a non-negative decimal string, false if not.
+ */
+function _isDecimal(value) {
+  return (typeof value === 'string' && /^\d+(\.\d+)?$/.test(value));
+}
+
+/**
+ * Parses a non-negative decimal string.
+ *
+ * @param value the decimal string.
+ * @param payee the payee the value belongs to.
+ * @param property the property the value is in.
+ *
+ * @return {digits, scale} where the value is digits * 10^-scale.
+ */
+function _parseDecimal(value, payee, property) {
+  if(!_isDecimal(value)) {
+    throw _payeeError(payee,
+      'must have a non-negative decimal string ' + property + '.');
+  }
+  var parts = value.split('.');
+  var fraction = parts[1] || '';
+  return {
+    digits: BigInt(parts[0] + fraction),
+    scale: fraction.length
+  };
+}
+
+/**
+ * Converts a decimal string to an integer number of the smallest units at
+ * the given precision.
+ *
+ * @param value the decimal string.
+ * @param precision the number of decimal places.
+ * @param payee the payee the value belongs to. (optional)
+ * @param property the property the value is in. (optional)
+ *
+ * @return the integer number of units.
+ */
+function _toScaled(value, precision, payee, property) {
+  var decimal = _parseDecimal(value, payee, property);
+  if(decimal.scale <= precision) {
+    return decimal.digits * _pow10(precision - decimal.scale);
+  }
+  return _divideRounded(decimal.digits, _pow10(decimal.scale - precision));
+}
+
+/**
+ * Divides two non-negative integers, rounding half up.
+ *
+ * @param dividend the dividend.
+ * @param divisor the divisor.
+ *
+ * @return the rounded quotient.
+ */
+function _divideRounded(dividend, divisor) {
+  var two = BigInt(2);
+  return (dividend * two + divisor) / (divisor * two);
+}
+
+/**
+ * Gets a power of ten.
+ *
+ * @param exponent the exponent.
+ *
+ * @return 10^exponent.
+ */
+function _pow10(exponent) {
+  return BigInt('1' + new Array(exponent + 1).join('0'));
+}
+
+/**
+ * Formats an integer number of the smallest units as a decimal string.
+ *
+ * @param value the integer number of units.
+ * @param precision the number of decimal places.
+ *
+ * @return the decimal string.
+ */
+function _format(value, precision) {
+  var str = value.toString();
+  if(precision === 0) {
+    return str;
+  }
+  while(str.length <= precision) {
+    str = '0' + str;
+  }
+  return str.slice(0, -precision) + '.' + str.slice(-precision);
+}
+
+/**
+ * Creates an error about a payee.
+ *
+ * @param payee the payee. (optional)
+ * @param msg the error message, following the payee's ID.
+ *
+ * @return the error.
+ */
+function _payeeError(payee, msg) {
+  var id = (payee && payee.id) ? '"' + payee.id + '"' : '[no id]';
+  return new Error('[payswarm.payees] The payee ' + id + ' ' + msg);
+}
@@ -38,17 +38,20 @@
 var async = require('async');
 var crypto = require('crypto');
 var fs = require('fs');
-var jsonld = require('jsonld')(); // get localized jsonld API
+var jsonldFactory = require('jsonld');
 var mkdirp = require('mkdirp');
+var cache = require('./cache');
+var nonces = require('./nonces');
+var payees = require('./payees');
+var purchases = require('./purchases');
+var trust = require('./trust');
 var path = require('path');
 var URL = require('url');
-var ursa = require('ursa');
 var util = require('util');
+var validate = require('./validate');
 
-jsonld.use('request');
-
-var api = {};
-module.exports = api;
+// DER encoding of the OID of the P-256 curve (1.2.840.10045.3.1.7)
+var P256_OID = Buffer.from('06082a8648ce3d030107', 'hex');
 
 /*
 
@@ -80,6 +83,21 @@ First, require this module:
 
 var payswarm = require('payswarm');
 
+The module itself is a default client. If more than one vendor or buyer will
+use the API in the same process, create a separate client for each of them
+instead of adding hooks to the module:
+
+var client = payswarm.createClient({
+  store: myStore,
+  cache: myCache,
+  nonces: myNonces
+});
+
+Every asynchronous API call returns a Promise if it is called without a
+callback, for example:
+
+payswarm.hash(listing).then(function(hash) {...});
+
 Then:
 
 1. Add the PaySwarm Authorities that should be trusted by calling:
@@ -183,1473 +201,4565 @@ Then:
 
 */
 
-// FIXME: ported from PHP, use more nodejs-like idioms, pass 'cache' or
-// 'store' objects that have interfaces to be implemented, etc.
-
-// hook API
-var hooks = {};
-
 /**
- * Adds a hook. To add a hook, pass the name of the hook (eg: createNonce) and
- * the user-defined function name to be called. Hooks are permitted to throw
- * exceptions as are any PaySwarm client API calls. API calls should be
- * wrapped in try/catch blocks as appropriate.
- *
- * Required protocol hooks:
- *
- * createNonce(): Creates and stores a nonce that is to be given to a
- *   PaySwarm Authority so it can be returned in a signed and encrypted
- *   message.
- *
- * checkNonce(nonce, callback(err, valid)): Checks a nonce previously created
- *   by createNonce and removes it from storage. Passes true in the callback
- *   if the nonce is valid, false if not.
- *
- * Required storage hooks:
- *
- * getPublicKey(callback(err, key)): Passes the vendor's public key in PEM
- * format to the callback.
- *
- * getPublicKeyId(callback(err, id)): Passes the ID (IRI) for the vendor's
- * public key to the callback.
- *
- * getPrivateKey(callback(err, key)): Passes the vendor's private key in
- * PEM format to the callback.
- *
- * isTrustedAuthority(id, callback(err, trusted)): Passes true to the
- *   callback if the given identity (IRI) is a trusted PaySwarm Authority,
- *   false if not.
- *
- * storeKeyPair(publicPem, privatePem, callback(err)): Stores the vendor's
- * key pair.
+ * Wraps the PaySwarm client API around the given object. Every wrapped
+ * object has its own hooks and its own localized jsonld API.
  *
- * storePublicKeyId(id, callback(err)): Stores the vendor's public key ID
- * (IRI).
+ * @param api the object to add the PaySwarm client API to.
  *
- * storeTrustedAuthority(id, callback(err)): Stores the ID (IRI) of a trusted
- *   PaySwarm Authority.
- *
- * Optional retrieval hooks:
- *
- * getJsonLd(url, [options,] callback(err, result)): Performs a HTTP GET and
- *   calls a callback with the parsed JSON-LD result object using the
- *   jsonld.request function and options.
- *
- * postJsonLd(url, data, [options,] callback(err, result)): Performs a HTTP
- *   POST of the given JSON-LD data and calls a callback with the parsed
- *   JSON-LD result object (if any) using the jsonld.request function and
- *   options.
- *
- * Optional cache hooks:
- *
- * cacheJsonLd(id, obj, secs, callback(err)): Caches a JSON-LD object. The
- *   ID (IRI) for the object is given and the maxmimum number of seconds to
- *   cache.
- *
- * getCachedJsonLd(id, callback(err, result)): Gets a JSON-LD object from
- *   cache. Passes the object or null to the callback.
- *
- * @param hook the name of the hook.
- * @param func the name of the function to call.
- */
-api.addHook = function(hook, func) {
-  hooks[hook] = func;
-};
-
-/**
- * Versioned PaySwarm JSON-LD context URLs.
- */
-api.CONTEXT_V1_URL = "https://w3id.org/payswarm/v1";
-
-/**
- * Default PaySwarm JSON-LD context URL.
- */
-api.CONTEXT_URL = api.CONTEXT_V1_URL;
-
-/**
- * Supported PaySwarm JSON-LD contexts.
- */
-api.CONTEXTS = {};
-
-/**
- * V1 PaySwarm JSON-LD context.
- */
-api.CONTEXTS[api.CONTEXT_V1_URL] = {
-  // aliases
-  'id': '@id',
-  'type': '@type',
-
-  // prefixes
-  'ccard': 'https://w3id.org/commerce/creditcard#',
-  'com': 'https://w3id.org/commerce#',
-  'dc': 'http://purl.org/dc/terms/',
-  'foaf': 'http://xmlns.com/foaf/0.1/',
-  'gr': 'http://purl.org/goodrelations/v1#',
-  'pto': 'http://www.productontology.org/id/',
-  'ps': 'https://w3id.org/payswarm#',
-  'rdf': 'http://www.w3.org/1999/02/22-rdf-syntax-ns#',
-  'rdfs': 'http://www.w3.org/2000/01/rdf-schema#',
-  'sec': 'https://w3id.org/security#',
-  'vcard': 'http://www.w3.org/2006/vcard/ns#',
-  'xsd': 'http://www.w3.org/2001/XMLSchema#',
-
-  // general
-  'address': {'@id': 'vcard:adr', '@type': '@id'},
-  'comment': 'rdfs:comment',
-  'countryName': 'vcard:country-name',
-  'created': {'@id': 'dc:created', '@type': 'xsd:dateTime'},
-  'creator': {'@id': 'dc:creator', '@type': '@id'},
-  'depiction': {'@id': 'foaf:depiction', '@type': '@id'},
-  'description': 'dc:description',
-  'email': 'foaf:mbox',
-  'fullName': 'vcard:fn',
-  'label': 'rdfs:label',
-  'locality': 'vcard:locality',
-  'postalCode': 'vcard:postal-code',
-  'region': 'vcard:region',
-  'streetAddress': 'vcard:street-address',
-  'title': 'dc:title',
-  'website': {'@id': 'foaf:homepage', '@type': '@id'},
-  'Address': 'vcard:Address',
-
-  // bank
-  'bankAccount': 'bank:account',
-  'bankAccountType': {'@id': 'bank:accountType', '@type': '@vocab'},
-  'bankRoutingNumber': 'bank:routing',
-  'BankAccount': 'bank:BankAccount',
-  'Checking': 'bank:Checking',
-  'Savings': 'bank:Savings',
-
-  // credit card
-  'cardBrand': {'@id': 'ccard:brand', '@type': '@vocab'},
-  'cardCvm': 'ccard:cvm',
-  'cardExpMonth': {'@id': 'ccard:expMonth', '@type': 'xsd:integer'},
-  'cardExpYear': {'@id': 'ccard:expYear', '@type': 'xsd:integer'},
-  'cardNumber': 'ccard:number',
-  'AmericanExpress': 'ccard:AmericanExpress',
-  'ChinaUnionPay': 'ccard:ChinaUnionPay',
-  'CreditCard': 'ccard:CreditCard',
-  'Discover': 'ccard:Discover',
-  'Visa': 'ccard:Visa',
-  'MasterCard': 'ccard:MasterCard',
-
-  // commerce
-  'account': {'@id': 'com:account', '@type': '@id'},
-  'amount': 'com:amount',
-  'authorized': {'@id': 'com:authorized', '@type': 'xsd:dateTime'},
-  'balance': 'com:balance',
-  'currency': {'@id': 'com:currency', '@type': '@vocab'},
-  'destination': {'@id': 'com:destination', '@type': '@id'},
-  'maximumAmount': 'com:maximumAmount',
-  'maximumPayeeRate': 'com:maximumPayeeRate',
-  'minimumPayeeRate': 'com:minimumPayeeRate',
-  'minimumAmount': 'com:minimumAmount',
-  'payee': {'@id': 'com:payee', '@type': '@id', '@container': '@set'},
-  'payeeApplyAfter': {'@id': 'com:payeeApplyAfter', '@container': '@set'},
-  'payeeApplyGroup': {'@id': 'com:payeeApplyGroup', '@container': '@set'},
-  'payeeApplyType': {'@id': 'com:payeeApplyType', '@type': '@vocab'},
-  'payeeGroup': {'@id': 'com:payeeGroup', '@container': '@set'},
-  'payeeGroupPrefix': {'@id': 'com:payeeGroupPrefix', '@container': '@set'},
-  'payeeExemptGroup': {'@id': 'com:payeeExemptGroup', '@container': '@set'},
-  'payeeLimitation': {'@id': 'com:payeeLimitation', '@type': '@vocab'},
-  'payeeRate': 'com:payeeRate',
-  'payeeRateType': {'@id': 'com:payeeRateType', '@type': '@vocab'},
-  'payeeRule': {'@id': 'com:payeeRule', '@type': '@id', '@container': '@set'},
-  'paymentGateway': 'com:paymentGateway',
-  'paymentMethod': {'@id': 'com:paymentMethod', '@type': '@vocab'},
-  'paymentToken': 'com:paymentToken',
-  'referenceId': 'com:referenceId',
-  'settled': {'@id': 'com:settled', '@type': 'xsd:dateTime'},
-  'source': {'@id': 'com:source', '@type': '@id'},
-  'transfer': {'@id': 'com:transfer', '@type': '@id', '@container': '@set'},
-  'vendor': {'@id': 'com:vendor', '@type': '@id'},
-  'voided': {'@id': 'com:voided', '@type': 'xsd:dateTime'},
-  'ApplyExclusively': 'com:ApplyExclusively',
-  'ApplyInclusively': 'com:ApplyInclusively',
-  'FinancialAccount': 'com:Account',
-  'FlatAmount': 'com:FlatAmount',
-  'Deposit': 'com:Deposit',
-  'NoAdditionalPayeesLimitation': 'com:NoAdditionalPayeesLimitation',
-  'Payee': 'com:Payee',
-  'PayeeRule': 'com:PayeeRule',
-  'PayeeScheme': 'com:PayeeScheme',
-  'PaymentToken': 'com:PaymentToken',
-  'Percentage': 'com:Percentage',
-  'Transaction': 'com:Transaction',
-  'Transfer': 'com:Transfer',
-  'Withdrawal': 'com:Withdrawal',
-
-  // currencies
-  'USD': 'https://w3id.org/currencies/USD',
-
-  // error
-  // FIXME: add error terms
-  // 'errorMessage': 'err:message'
-
-  // payswarm
-  'asset': {'@id': 'ps:asset', '@type': '@id'},
-  'assetAcquirer': {'@id': 'ps:assetAcquirer', '@type': '@id'},
-  // FIXME: support inline content
-  'assetContent': {'@id': 'ps:assetContent', '@type': '@id'},
-  'assetHash': 'ps:assetHash',
-  'assetProvider': {'@id': 'ps:assetProvider', '@type': '@id'},
-  'authority': {'@id': 'ps:authority', '@type': '@id'},
-  'contract': {'@id': 'ps:contract', '@type': '@id'},
-  'identityHash': 'ps:identityHash',
-  // FIXME: move?
-  'ipv4Address': 'ps:ipv4Address',
-  'license': {'@id': 'ps:license', '@type': '@id'},
-  'licenseHash': 'ps:licenseHash',
-  'licenseTemplate': 'ps:licenseTemplate',
-  'licenseTerms': {'@id': 'ps:licenseTerms', '@type': '@id'},
-  'listing': {'@id': 'ps:listing', '@type': '@id'},
-  'listingHash': 'ps:listingHash',
-  'listingRestrictions': {'@id': 'ps:listingRestrictions', '@type': '@id'},
-  'preferences': {'@id': 'ps:preferences', '@type': '@vocab'},
-  'validFrom': {'@id': 'ps:validFrom', '@type': 'xsd:dateTime'},
-  'validUntil': {'@id': 'ps:validUntil', '@type': 'xsd:dateTime'},
-  'Asset': 'ps:Asset',
-  'Budget': 'ps:Budget',
-  'Contract': 'ps:Contract',
-  'License': 'ps:License',
-  'Listing': 'ps:Listing',
-  'PersonalIdentity': 'ps:PersonalIdentity',
-  'IdentityPreferences': 'ps:IdentityPreferences',
-  'Profile': 'ps:Profile',
-  'PurchaseRequest': 'ps:PurchaseRequest',
-  'PreAuthorization': 'ps:PreAuthorization',
-  'Receipt': 'ps:Receipt',
-  'VendorIdentity': 'ps:VendorIdentity',
-
-  // security
-  'cipherAlgorithm': 'sec:cipherAlgorithm',
-  'cipherData': 'sec:cipherData',
-  'cipherKey': 'sec:cipherKey',
-  'digestAlgorithm': 'sec:digestAlgorithm',
-  'digestValue': 'sec:digestValue',
-  'expiration': {'@id': 'sec:expiration', '@type': 'xsd:dateTime'},
-  'initializationVector': 'sec:initializationVector',
-  'nonce': 'sec:nonce',
-  'normalizationAlgorithm': 'sec:normalizationAlgorithm',
-  'owner': {'@id': 'sec:owner', '@type': '@id'},
-  'password': 'sec:password',
-  'privateKey': {'@id': 'sec:privateKey', '@type': '@id'},
-  'privateKeyPem': 'sec:privateKeyPem',
-  'publicKey': {'@id': 'sec:publicKey', '@type': '@id'},
-  'publicKeyPem': 'sec:publicKeyPem',
-  'publicKeyService': {'@id': 'sec:publicKeyService', '@type': '@id'},
-  'revoked': {'@id': 'sec:revoked', '@type': 'xsd:dateTime'},
-  'signature': 'sec:signature',
-  'signatureAlgorithm': 'sec:signatureAlgorithm',
-  'signatureValue': 'sec:signatureValue',
-  'EncryptedMessage': 'sec:EncryptedMessage',
-  'CryptographicKey': 'sec:Key',
-  'GraphSignature2012': 'sec:GraphSignature2012'
-};
-
-/**
- * Default PaySwarm JSON-LD context.
+ * @return the PaySwarm client API.
  */
-api.CONTEXT = api.CONTEXTS[api.CONTEXT_URL];
-
-/**
- * PaySwarm JSON-LD frames.
- */
-api.FRAMES = {};
-
-/** PaySwarm JSON-LD frame for an Asset. */
-api.FRAMES.Asset = {
-  '@context': api.CONTEXT_URL,
-  type: 'Asset',
-  creator: {},
-  signature: {'@embed': true},
-  assetProvider: {'@embed': false}
-};
-
-/** PaySwarm JSON-LD frame for a License. */
-api.FRAMES.License = {
-  '@context': api.CONTEXT_URL,
-  type: 'License'
-};
+var wrapper = function(api) {
+
+  // localized jsonld API
+  var jsonld = jsonldFactory();
+  jsonld.use('request');
+
+  // hook API
+  var hooks = {};
+
+  /**
+   * Adds a hook. To add a hook, pass the name of the hook (eg: createNonce) and
+   * the user-defined function name to be called. Hooks are permitted to throw
+   * exceptions as are any PaySwarm client API calls. API calls should be
+   * wrapped in try/catch blocks as appropriate.
+   *
+   * Required protocol hooks:
+   *
+   * createNonce(): Creates and stores a nonce that is to be given to a
+   *   PaySwarm Authority so it can be returned in a signed and encrypted
+   *   message.
+   *
+   * checkNonce(nonce, callback(err, valid)): Checks a nonce previously created
+   *   by createNonce and removes it from storage. Passes true in the callback
+   *   if the nonce is valid, false if not.
+   *
+   * Ready-made nonce stores whose methods can be used as these hooks are
+   * available via createMemoryNonceStore and createFileNonceStore.
+   *
+   * Required storage hooks:
+   *
+   * getPublicKey(callback(err, key)): Passes the vendor's public key in PEM
+   * format to the callback.
+   *
+   * getPublicKeyId(callback(err, id)): Passes the ID (IRI) for the vendor's
+   * public key to the callback.
+   *
+   * getPrivateKey(callback(err, key)): Passes the vendor's private key in
+   * PEM format to the callback.
+   *
+   * isTrustedAuthority(id, callback(err, trusted)): Passes true to the
+   *   callback if the given identity (IRI) is a trusted PaySwarm Authority,
+   *   false if not.
+   *
+   * storeKeyPair(publicPem, privatePem, callback(err)): Stores the vendor's
+   * key pair.
+   *
+   * storePublicKeyId(id, callback(err)): Stores the vendor's public key ID
+   * (IRI).
+   *
+   * storeTrustedAuthority(id, callback(err)): Stores the ID (IRI) of a trusted
+   *   PaySwarm Authority.
+   *
+   * Optional trust hooks:
+   *
+   * isTrusted(query, callback(err, trusted)): Passes true to the callback if
+   *   a signature made with a public key is trusted, false if not. The query
+   *   has the ID (IRI) of the key owner, the ID of the public key, and the
+   *   types of the signed document ({owner, publicKey, documentTypes}). If
+   *   this hook is given, it is used instead of isTrustedAuthority when
+   *   verifying signatures. A trust policy created via createTrustPolicy
+   *   implements this hook as well as isTrustedAuthority and
+   *   storeTrustedAuthority.
+   *
+   * Optional retrieval hooks:
+   *
+   * getJsonLd(url, [options,] callback(err, result, [res])): Performs a HTTP
+   *   GET and calls a callback with the parsed JSON-LD result object using the
+   *   jsonld.request function and options. If the HTTP response is also passed,
+   *   its statusCode and headers are used to decide how long the result may
+   *   be cached. A 304 (Not Modified) response must be passed with a null
+   *   result and no error.
+   *
+   * postJsonLd(url, data, [options,] callback(err, result)): Performs a HTTP
+   *   POST of the given JSON-LD data and calls a callback with the parsed
+   *   JSON-LD result object (if any) using the jsonld.request function and
+   *   options.
+   *
+   * deleteJsonLd(url, [options,] callback(err, result)): Performs a HTTP
+   *   DELETE and calls a callback with the parsed JSON-LD result object (if
+   *   any) using the jsonld.request function and options.
+   *
+   * Optional cache hooks:
+   *
+   * cacheJsonLd(id, obj, secs, callback(err)): Caches a JSON-LD object. The
+   *   ID (IRI) for the object is given and the maxmimum number of seconds to
+   *   cache. The cached object may include HTTP cache information and must be
+   *   passed back as is by getCachedJsonLd.
+   *
+   * getCachedJsonLd(id, callback(err, result)): Gets a JSON-LD object from
+   *   cache. Passes the object or null to the callback.
+   *
+   * Ready-made caches whose methods can be used as these hooks are available
+   * via createMemoryCache and createFileCache.
+   *
+   * Purchase hooks (the default hooks keep purchases in memory):
+   *
+   * storePurchase(record, callback(err)): Stores the record of an automated
+   *   purchase by its referenceId, replacing any previous record with the
+   *   same referenceId. A purchase is stored before its purchase request is
+   *   sent and again once its outcome is known.
+   *
+   * getStoredPurchase(referenceId, callback(err, record)): Passes the stored
+   *   record of a purchase, or null if there is none, to the callback.
+   *
+   * getStoredPurchases(callback(err, records)): Passes all of the stored
+   *   purchase records to the callback.
+   *
+   * Ready-made purchase stores whose methods can be used as these hooks are
+   * available via createMemoryPurchaseStore and createFilePurchaseStore.
+   *
+   * @param hook the name of the hook.
+   * @param func the name of the function to call.
+   */
+  api.addHook = function(hook, func) {
+    hooks[hook] = func;
+  };
+
+  /**
+   * Creates a new, isolated PaySwarm client. A client has the same API as
+   * this module but its own set of hooks, so several vendors and buyers can
+   * operate in the same process without clobbering each other's keys, nonces,
+   * or trusted PaySwarm Authorities. Any hook that is not provided via the
+   * given interfaces may still be added with 'client.addHook'. Interface
+   * methods are bound to their objects when they are added as hooks.
+   *
+   * @param options the options to use: (optional)
+   *          store: an object implementing any of the storage hooks
+   *            (getPublicKey, getPublicKeyId, getPrivateKey,
+   *            isTrustedAuthority, storeKeyPair, storePublicKeyId,
+   *            storeTrustedAuthority) as methods of the same name.
+   *          cache: an object with get(id, callback(err, result)) and
+   *            set(id, obj, secs, callback(err)) methods used for the cache
+   *            hooks.
+   *          trust: an object implementing any of the isTrusted,
+   *            isTrustedAuthority, and storeTrustedAuthority hooks as methods
+   *            of the same name, such as a trust policy created via
+   *            createTrustPolicy; used instead of the same hooks in store.
+   *          nonces: an object with create(callback(err, nonce)) and
+   *            check(nonce, callback(err, valid)) methods used for the
+   *            protocol hooks.
+   *          purchases: an object with save(record, callback(err)),
+   *            get(referenceId, callback(err, record)), and
+   *            list(callback(err, records)) methods used for the purchase
+   *            hooks.
+   *          http: an object with get(url, options,
+   *            callback(err, result, [res])), post(url, obj, options,
+   *            callback(err, result)), and delete(url, options,
+   *            callback(err, result)) methods used for the retrieval hooks;
+   *            the defaults are used for any that are missing.
+   *
+   * @return the new PaySwarm client.
+   */
+  api.createClient = function(options) {
+    options = options || {};
+    var client = wrapper({});
+
+    // maps interface methods to client hooks
+    var addHooks = function(obj, map) {
+      if(!obj) {
+        return;
+      }
+      Object.keys(map).forEach(function(method) {
+        if(typeof obj[method] === 'function') {
+          client.addHook(map[method], obj[method].bind(obj));
+        }
+      });
+    };
 
-/** PaySwarm JSON-LD frame for a Listing. */
-api.FRAMES.Listing = {
-  '@context': api.CONTEXT_URL,
-  type: 'Listing',
-  asset: {'@embed': false},
-  license: {'@embed': false},
-  vendor: {'@embed': false},
-  signature: {'@embed': true}
-};
+    addHooks(options.store, {
+      getPublicKey: 'getPublicKey',
+      getPublicKeyId: 'getPublicKeyId',
+      getPrivateKey: 'getPrivateKey',
+      isTrustedAuthority: 'isTrustedAuthority',
+      storeKeyPair: 'storeKeyPair',
+      storePublicKeyId: 'storePublicKeyId',
+      storeTrustedAuthority: 'storeTrustedAuthority'
+    });
+    addHooks(options.trust, {
+      isTrusted: 'isTrusted',
+      isTrustedAuthority: 'isTrustedAuthority',
+      storeTrustedAuthority: 'storeTrustedAuthority'
+    });
+    addHooks(options.cache, {
+      get: 'getCachedJsonLd',
+      set: 'cacheJsonLd'
+    });
+    addHooks(options.nonces, {
+      create: 'createNonce',
+      check: 'checkNonce'
+    });
+    addHooks(options.purchases, {
+      save: 'storePurchase',
+      get: 'getStoredPurchase',
+      list: 'getStoredPurchases'
+    });
+    addHooks(options.http, {
+      get: 'getJsonLd',
+      post: 'postJsonLd',
+      delete: 'deleteJsonLd'
+    });
 
-/**
- * Determines the configuration filename based on the given name and
- * PaySwarm-specific defaults. This method will always return a filename.
- *
- * @param configName the name of the config file, which can be null
- *          (the default config), a pathname, or a nickname for a
- *          previously saved configuration file.
- * @param callback(err, filename) called when the config has been read.
- */
-api.getConfigFilename = function(configName, callback) {
-  if(configName) {
-    // TODO: check if it's a dir (not a file) and error out early?
-    // if configName is an absolute path use it
-    var normalized = path.normalize(configName);
-    if(path.resolve(normalized) === normalized) {
-      return callback(null, configName);
+    return client;
+  };
+
+  /**
+   * Creates a cache that keeps JSON-LD documents in memory. The cache's get
+   * and set methods may be used as the 'getCachedJsonLd' and 'cacheJsonLd'
+   * hooks, or the cache may be given as the 'cache' option to createClient.
+   *
+   * @param options the options to use: (optional)
+   *          maxEntries: the maximum number of documents to keep. [1000]
+   *
+   * @return the cache.
+   */
+  api.createMemoryCache = cache.createMemoryCache;
+
+  /**
+   * Creates a cache that keeps JSON-LD documents on disk. The cache's get and
+   * set methods may be used as the 'getCachedJsonLd' and 'cacheJsonLd' hooks,
+   * or the cache may be given as the 'cache' option to createClient.
+   *
+   * @param options the options to use:
+   *          directory: the directory to store cached documents in.
+   *
+   * @return the cache.
+   */
+  api.createFileCache = cache.createFileCache;
+
+  /**
+   * Creates a trust policy that decides which PaySwarm Authorities, and which
+   * of their public keys, are trusted to sign which types of documents. The
+   * policy may be given as the 'trust' option to createClient.
+   *
+   * @param entries the initial entries, each with: (optional)
+   *          authority: the ID (IRI) of the PaySwarm Authority.
+   *          publicKeys: the IDs of the only trusted public keys. (optional)
+   *          documentTypes: the only types of documents, eg: 'Receipt', the
+   *            authority is trusted to sign. (optional)
+   *          expires: the date the entry expires. (optional)
+   *
+   * @return the trust policy.
+   */
+  api.createTrustPolicy = trust.createTrustPolicy;
+
+  /**
+   * Creates a nonce store that keeps nonces in memory. The store's create and
+   * check methods may be used as the 'createNonce' and 'checkNonce' hooks, or
+   * the store may be given as the 'nonces' option to createClient.
+   *
+   * @param options the options to use: (optional)
+   *          ttl: the number of seconds before a nonce expires [15 minutes].
+   *
+   * @return the nonce store.
+   */
+  api.createMemoryNonceStore = nonces.createMemoryNonceStore;
+
+  /**
+   * Creates a nonce store that keeps nonces in a JSON file. The store's create
+   * and check methods may be used as the 'createNonce' and 'checkNonce' hooks,
+   * or the store may be given as the 'nonces' option to createClient.
+   *
+   * @param options the options to use:
+   *          filename: the name of the file to store nonces in.
+   *          ttl: the number of seconds before a nonce expires [15 minutes].
+   *            (optional)
+   *
+   * @return the nonce store.
+   */
+  api.createFileNonceStore = nonces.createFileNonceStore;
+
+  /**
+   * Creates a purchase store that keeps the records of automated purchases in
+   * memory. The store's save, get, and list methods may be used as the
+   * 'storePurchase', 'getStoredPurchase', and 'getStoredPurchases' hooks, or
+   * the store may be given as the 'purchases' option to createClient.
+   *
+   * @return the purchase store.
+   */
+  api.createMemoryPurchaseStore = purchases.createMemoryPurchaseStore;
+
+  /**
+   * Creates a purchase store that keeps the records of automated purchases in
+   * a JSON file, so that interrupted purchases can be resumed after a restart.
+   * The store's save, get, and list methods may be used as the
+   * 'storePurchase', 'getStoredPurchase', and 'getStoredPurchases' hooks, or
+   * the store may be given as the 'purchases' option to createClient.
+   *
+   * @param options the options to use:
+   *          filename: the name of the file to store purchase records in.
+   *
+   * @return the purchase store.
+   */
+  api.createFilePurchaseStore = purchases.createFilePurchaseStore;
+
+  /**
+   * Versioned PaySwarm JSON-LD context URLs.
+   */
+  api.CONTEXT_V1_URL = "https://w3id.org/payswarm/v1";
+
+  /**
+   * Default PaySwarm JSON-LD context URL.
+   */
+  api.CONTEXT_URL = api.CONTEXT_V1_URL;
+
+  /**
+   * Supported PaySwarm JSON-LD contexts.
+   */
+  api.CONTEXTS = {};
+
+  /**
+   * V1 PaySwarm JSON-LD context.
+   */
+  api.CONTEXTS[api.CONTEXT_V1_URL] = {
+    // aliases
+    'id': '@id',
+    'type': '@type',
+
+    // prefixes
+    'ccard': 'https://w3id.org/commerce/creditcard#',
+    'com': 'https://w3id.org/commerce#',
+    'dc': 'http://purl.org/dc/terms/',
+    'foaf': 'http://xmlns.com/foaf/0.1/',
+    'gr': 'http://purl.org/goodrelations/v1#',
+    'pto': 'http://www.productontology.org/id/',
+    'ps': 'https://w3id.org/payswarm#',
+    'rdf': 'http://www.w3.org/1999/02/22-rdf-syntax-ns#',
+    'rdfs': 'http://www.w3.org/2000/01/rdf-schema#',
+    'sec': 'https://w3id.org/security#',
+    'vcard': 'http://www.w3.org/2006/vcard/ns#',
+    'xsd': 'http://www.w3.org/2001/XMLSchema#',
+
+    // general
+    'address': {'@id': 'vcard:adr', '@type': '@id'},
+    'comment': 'rdfs:comment',
+    'countryName': 'vcard:country-name',
+    'created': {'@id': 'dc:created', '@type': 'xsd:dateTime'},
+    'creator': {'@id': 'dc:creator', '@type': '@id'},
+    'depiction': {'@id': 'foaf:depiction', '@type': '@id'},
+    'description': 'dc:description',
+    'email': 'foaf:mbox',
+    'fullName': 'vcard:fn',
+    'label': 'rdfs:label',
+    'locality': 'vcard:locality',
+    'postalCode': 'vcard:postal-code',
+    'region': 'vcard:region',
+    'streetAddress': 'vcard:street-address',
+    'title': 'dc:title',
+    'website': {'@id': 'foaf:homepage', '@type': '@id'},
+    'Address': 'vcard:Address',
+
+    // bank
+    'bankAccount': 'bank:account',
+    'bankAccountType': {'@id': 'bank:accountType', '@type': '@vocab'},
+    'bankRoutingNumber': 'bank:routing',
+    'BankAccount': 'bank:BankAccount',
+    'Checking': 'bank:Checking',
+    'Savings': 'bank:Savings',
+
+    // credit card
+    'cardBrand': {'@id': 'ccard:brand', '@type': '@vocab'},
+    'cardCvm': 'ccard:cvm',
+    'cardExpMonth': {'@id': 'ccard:expMonth', '@type': 'xsd:integer'},
+    'cardExpYear': {'@id': 'ccard:expYear', '@type': 'xsd:integer'},
+    'cardNumber': 'ccard:number',
+    'AmericanExpress': 'ccard:AmericanExpress',
+    'ChinaUnionPay': 'ccard:ChinaUnionPay',
+    'CreditCard': 'ccard:CreditCard',
+    'Discover': 'ccard:Discover',
+    'Visa': 'ccard:Visa',
+    'MasterCard': 'ccard:MasterCard',
+
+    // commerce
+    'account': {'@id': 'com:account', '@type': '@id'},
+    'amount': 'com:amount',
+    'authorized': {'@id': 'com:authorized', '@type': 'xsd:dateTime'},
+    'balance': 'com:balance',
+    'currency': {'@id': 'com:currency', '@type': '@vocab'},
+    'destination': {'@id': 'com:destination', '@type': '@id'},
+    'maximumAmount': 'com:maximumAmount',
+    'maximumPayeeRate': 'com:maximumPayeeRate',
+    'minimumPayeeRate': 'com:minimumPayeeRate',
+    'minimumAmount': 'com:minimumAmount',
+    'payee': {'@id': 'com:payee', '@type': '@id', '@container': '@set'},
+    'payeeApplyAfter': {'@id': 'com:payeeApplyAfter', '@container': '@set'},
+    'payeeApplyGroup': {'@id': 'com:payeeApplyGroup', '@container': '@set'},
+    'payeeApplyType': {'@id': 'com:payeeApplyType', '@type': '@vocab'},
+    'payeeGroup': {'@id': 'com:payeeGroup', '@container': '@set'},
+    'payeeGroupPrefix': {'@id': 'com:payeeGroupPrefix', '@container': '@set'},
+    'payeeExemptGroup': {'@id': 'com:payeeExemptGroup', '@container': '@set'},
+    'payeeLimitation': {'@id': 'com:payeeLimitation', '@type': '@vocab'},
+    'payeeRate': 'com:payeeRate',
+    'payeeRateType': {'@id': 'com:payeeRateType', '@type': '@vocab'},
+    'payeeRule': {'@id': 'com:payeeRule', '@type': '@id', '@container': '@set'},
+    'paymentGateway': 'com:paymentGateway',
+    'paymentMethod': {'@id': 'com:paymentMethod', '@type': '@vocab'},
+    'paymentToken': 'com:paymentToken',
+    'referenceId': 'com:referenceId',
+    'settled': {'@id': 'com:settled', '@type': 'xsd:dateTime'},
+    'source': {'@id': 'com:source', '@type': '@id'},
+    'transfer': {'@id': 'com:transfer', '@type': '@id', '@container': '@set'},
+    'vendor': {'@id': 'com:vendor', '@type': '@id'},
+    'voided': {'@id': 'com:voided', '@type': 'xsd:dateTime'},
+    'ApplyExclusively': 'com:ApplyExclusively',
+    'ApplyInclusively': 'com:ApplyInclusively',
+    'FinancialAccount': 'com:Account',
+    'FlatAmount': 'com:FlatAmount',
+    'Deposit': 'com:Deposit',
+    'NoAdditionalPayeesLimitation': 'com:NoAdditionalPayeesLimitation',
+    'Payee': 'com:Payee',
+    'PayeeRule': 'com:PayeeRule',
+    'PayeeScheme': 'com:PayeeScheme',
+    'PaymentToken': 'com:PaymentToken',
+    'Percentage': 'com:Percentage',
+    'Transaction': 'com:Transaction',
+    'Transfer': 'com:Transfer',
+    'Withdrawal': 'com:Withdrawal',
+
+    // currencies
+    'USD': 'https://w3id.org/currencies/USD',
+
+    // error
+    // FIXME: add error terms
+    // 'errorMessage': 'err:message'
+
+    // payswarm
+    'asset': {'@id': 'ps:asset', '@type': '@id'},
+    'assetAcquirer': {'@id': 'ps:assetAcquirer', '@type': '@id'},
+    // FIXME: support inline content
+    'assetContent': {'@id': 'ps:assetContent', '@type': '@id'},
+    'assetHash': 'ps:assetHash',
+    'assetProvider': {'@id': 'ps:assetProvider', '@type': '@id'},
+    'authority': {'@id': 'ps:authority', '@type': '@id'},
+    'contract': {'@id': 'ps:contract', '@type': '@id'},
+    'identityHash': 'ps:identityHash',
+    // FIXME: move?
+    'ipv4Address': 'ps:ipv4Address',
+    'license': {'@id': 'ps:license', '@type': '@id'},
+    'licenseHash': 'ps:licenseHash',
+    'licenseTemplate': 'ps:licenseTemplate',
+    'licenseTerms': {'@id': 'ps:licenseTerms', '@type': '@id'},
+    'listing': {'@id': 'ps:listing', '@type': '@id'},
+    'listingHash': 'ps:listingHash',
+    'listingRestrictions': {'@id': 'ps:listingRestrictions', '@type': '@id'},
+    'preferences': {'@id': 'ps:preferences', '@type': '@vocab'},
+    'validFrom': {'@id': 'ps:validFrom', '@type': 'xsd:dateTime'},
+    'validUntil': {'@id': 'ps:validUntil', '@type': 'xsd:dateTime'},
+    'Asset': 'ps:Asset',
+    'Budget': 'ps:Budget',
+    'Contract': 'ps:Contract',
+    'License': 'ps:License',
+    'Listing': 'ps:Listing',
+    'PersonalIdentity': 'ps:PersonalIdentity',
+    'IdentityPreferences': 'ps:IdentityPreferences',
+    'Profile': 'ps:Profile',
+    'PurchaseRequest': 'ps:PurchaseRequest',
+    'PreAuthorization': 'ps:PreAuthorization',
+    'Receipt': 'ps:Receipt',
+    'VendorIdentity': 'ps:VendorIdentity',
+
+    // security
+    'cipherAlgorithm': 'sec:cipherAlgorithm',
+    'cipherData': 'sec:cipherData',
+    'cipherKey': 'sec:cipherKey',
+    'digestAlgorithm': 'sec:digestAlgorithm',
+    'digestValue': 'sec:digestValue',
+    'expiration': {'@id': 'sec:expiration', '@type': 'xsd:dateTime'},
+    'initializationVector': 'sec:initializationVector',
+    'nonce': 'sec:nonce',
+    'normalizationAlgorithm': 'sec:normalizationAlgorithm',
+    'owner': {'@id': 'sec:owner', '@type': '@id'},
+    'password': 'sec:password',
+    'privateKey': {'@id': 'sec:privateKey', '@type': '@id'},
+    'privateKeyPem': 'sec:privateKeyPem',
+    'publicKey': {'@id': 'sec:publicKey', '@type': '@id'},
+    'publicKeyPem': 'sec:publicKeyPem',
+    'publicKeyService': {'@id': 'sec:publicKeyService', '@type': '@id'},
+    'revoked': {'@id': 'sec:revoked', '@type': 'xsd:dateTime'},
+    'signature': 'sec:signature',
+    'signatureAlgorithm': 'sec:signatureAlgorithm',
+    'signatureValue': 'sec:signatureValue',
+    'EncryptedMessage': 'sec:EncryptedMessage',
+    'CryptographicKey': 'sec:Key',
+    'GraphSignature2012': 'sec:GraphSignature2012'
+  };
+
+  /**
+   * Default PaySwarm JSON-LD context.
+   */
+  api.CONTEXT = api.CONTEXTS[api.CONTEXT_URL];
+
+  /**
+   * JSON-LD context for trust lists, used in addition to the PaySwarm context.
+   */
+  api.TRUST_LIST_CONTEXT = {
+    'documentType': {
+      '@id': 'ps:documentType', '@type': '@vocab', '@container': '@set'
+    },
+    'trustedAuthority': {'@id': 'ps:trustedAuthority', '@container': '@set'},
+    'TrustList': 'ps:TrustList'
+  };
+
+  /**
+   * JSON-LD context for PaySwarm Authority configs, used in addition to the
+   * PaySwarm context. A signed config that has no @context of its own is
+   * verified using both.
+   */
+  api.AUTHORITY_CONFIG_CONTEXT = {
+    'authorityIdentity': {'@id': 'ps:authorityIdentity', '@type': '@id'},
+    'licensesService': {'@id': 'ps:licensesService', '@type': '@id'},
+    'paymentService': {'@id': 'ps:paymentService', '@type': '@id'},
+    'purchaseLookupService': {
+      '@id': 'ps:purchaseLookupService', '@type': '@id'
+    },
+    'quoteService': {'@id': 'ps:quoteService', '@type': '@id'},
+    'transactionService': {'@id': 'ps:transactionService', '@type': '@id'},
+    'vendorRegistrationService': {
+      '@id': 'ps:vendorRegistrationService', '@type': '@id'
+    }
+  };
+
+  /**
+   * PaySwarm JSON-LD frames.
+   */
+  api.FRAMES = {};
+
+  /** PaySwarm JSON-LD frame for an Asset. */
+  api.FRAMES.Asset = {
+    '@context': api.CONTEXT_URL,
+    type: 'Asset',
+    creator: {},
+    signature: {'@embed': true},
+    assetProvider: {'@embed': false}
+  };
+
+  /** PaySwarm JSON-LD frame for a License. */
+  api.FRAMES.License = {
+    '@context': api.CONTEXT_URL,
+    type: 'License'
+  };
+
+  /** PaySwarm JSON-LD frame for the public keys in a key bundle. */
+  api.FRAMES.KeyBundle = {
+    '@context': api.CONTEXT_URL,
+    type: 'CryptographicKey',
+    owner: {'@embed': false}
+  };
+
+  /** PaySwarm JSON-LD frame for a trust list. */
+  api.FRAMES.TrustList = {
+    '@context': [api.CONTEXT_URL, api.TRUST_LIST_CONTEXT],
+    type: 'TrustList',
+    trustedAuthority: {'@embed': true},
+    signature: {'@embed': true}
+  };
+
+  /** PaySwarm JSON-LD frame for a Listing. */
+  api.FRAMES.Listing = {
+    '@context': api.CONTEXT_URL,
+    type: 'Listing',
+    asset: {'@embed': false},
+    license: {'@embed': false},
+    vendor: {'@embed': false},
+    signature: {'@embed': true}
+  };
+
+  /**
+   * Determines the configuration filename based on the given name and
+   * PaySwarm-specific defaults. This method will always return a filename.
+   *
+   * @param configName the name of the config file, which can be null
+   *          (the default config), a pathname, or a nickname for a
+   *          previously saved configuration file.
+   * @param callback(err, filename) called when the config has been read.
+   */
+  api.getConfigFilename = function(configName, callback) {
+    if(configName) {
+      // TODO: check if it's a dir (not a file) and error out early?
+      // if configName is an absolute path use it
+      var normalized = path.normalize(configName);
+      if(path.resolve(normalized) === normalized) {
+        return callback(null, configName);
+      }
     }
-  }
 
-  // establish base config directory
-  var baseConfigDir = path.resolve(process.env.HOME);
-  if(process.env.XDG_CONFIG_HOME) {
-    baseConfigDir = path.resolve(process.env.XDG_CONFIG_HOME);
-  }
+    // establish base config directory
+    var baseConfigDir = path.resolve(process.env.HOME);
+    if(process.env.XDG_CONFIG_HOME) {
+      baseConfigDir = path.resolve(process.env.XDG_CONFIG_HOME);
+    }
 
-  // if a config name was not given, use the default
-  if(!configName) {
-    var configFilename = path.join(
-      baseConfigDir, '.config', 'payswarm1', 'default');
-    return callback(null, configFilename);
-  }
+    // if a config name was not given, use the default
+    if(!configName) {
+      var configFilename = path.join(
+        baseConfigDir, '.config', 'payswarm1', 'default');
+      return callback(null, configFilename);
+    }
 
-  // if a valid relative file name was given, use that
-  var relativeFile = path.resolve(configName);
-  fs.exists(relativeFile, function(exists) {
-    if(exists) {
-      return callback(null, relativeFile);
+    // if a valid relative file name was given, use that
+    var relativeFile = path.resolve(configName);
+    fs.exists(relativeFile, function(exists) {
+      if(exists) {
+        return callback(null, relativeFile);
+      }
+      // if a config name was given, use that
+      var configFilename = path.join(
+        baseConfigDir, '.config', 'payswarm1', configName);
+      callback(null, configFilename);
+    });
+  };
+
+  /**
+   * Reads configuration information from a file if the file exists, or just
+   * returns an empty configuration object if it doesn't.
+   *
+   * @param configName the name of the config file, which can be a pathname
+   *          or a nickname for a saved configuration file.
+   * @param callback(err, config) called when the config has been read.
+   */
+  api.readConfig = function(configName, callback) {
+    var cfg = {};
+
+    async.waterfall([
+      function(callback) {
+        api.getConfigFilename(configName, callback);
+      },
+      function(configFilename, callback) {
+        // attempt to read data from the config file
+        fs.exists(configFilename, function(exists) {
+          if(exists) {
+            return fs.readFile(configFilename, 'utf8', callback);
+          }
+          callback(new Error('Config file does not exist: '+ configFilename));
+        });
+      },
+      function(data, callback) {
+        try {
+          cfg = JSON.parse(data);
+        }
+        catch(ex) {
+          return callback(new Error('[payswarm.readConfig] ' +
+            'The config file contains malformed JSON.'));
+        }
+        // add the default context to the object
+        callback(null, cfg);
+      }], function(err) {
+        cfg['@context'] = 'https://w3id.org/payswarm/v1';
+        callback(err, cfg);
+    });
+  };
+
+  /**
+   * Writes a configuration out to disk.
+   *
+   * @param configName the name of the config file.
+   * @param cfg the configuration object to write.
+   * @param callback(err, configFilename) the callback called when the file is
+   *          written to disk.
+   */
+  api.writeConfig = function(configName, cfg, callback) {
+    async.waterfall([
+      function(callback) {
+        api.getConfigFilename(configName, callback);
+      },
+      function(configFilename, callback) {
+        var configDir = path.dirname(configFilename);
+        // if the directory for the config file doesn't exist, create it
+        fs.exists(configDir, function(exists) {
+          if(exists) {
+            callback(null, configFilename);
+          } else {
+            mkdirp(configDir, parseInt(700, 8), function(err) {
+              if(err) {
+                return callback(err);
+              }
+              callback(null, configFilename);
+            });
+          }
+        });
+      },
+      function(configFilename, callback) {
+        // write the data to disk
+        var data = JSON.stringify(cfg, null, 2);
+        fs.writeFile(
+          configFilename, data, {encoding: 'utf8', mode: parseInt(600, 8)},
+          function(err) {
+          if(err) {
+            return callback(err);
+          }
+          callback(null, configFilename);
+        });
+    }], callback);
+  };
+
+  /** The default number of seconds a retrieved JSON-LD object is fresh. */
+  api.DEFAULT_CACHE_MAX_AGE = 60*5;
+
+  /**
+   * The number of seconds a JSON-LD object that has an ETag or Last-Modified
+   * date is kept in cache after it becomes stale so that it can be
+   * revalidated instead of retrieved again.
+   */
+  api.CACHE_REVALIDATION_PERIOD = 60*60*24;
+
+  /**
+   * Retrieves a JSON-LD object over HTTP. A cached copy is used while it is
+   * fresh according to the Cache-Control and Expires headers it was retrieved
+   * with. A stale copy is revalidated using its ETag or Last-Modified date.
+   *
+   * @param url the URL to HTTP GET.
+   * @param options: (optional)
+   *          cache: true to cache the response. [false] (optional)
+   *          request: options for the request. (optional)
+   * @param callback(err, result) called once the operation completes.
+   */
+  api.getJsonLd = function(url, options, callback) {
+    if(typeof options === 'function') {
+      callback = options;
+      options = {};
     }
-    // if a config name was given, use that
-    var configFilename = path.join(
-      baseConfigDir, '.config', 'payswarm1', configName);
-    callback(null, configFilename);
-  });
-};
+    options.request = options.request || {};
+
+    var entry = null;
+    async.waterfall([
+      function(callback) {
+        // use cache if available
+        _getCacheEntry(url, callback);
+      },
+      function(result, callback) {
+        entry = result;
+        if(entry && entry.expires > Date.now()) {
+          return callback(null, {document: entry.document, cached: true});
+        }
 
-/**
- * Reads configuration information from a file if the file exists, or just
- * returns an empty configuration object if it doesn't.
- *
- * @param configName the name of the config file, which can be a pathname
- *          or a nickname for a saved configuration file.
- * @param callback(err, config) called when the config has been read.
- */
-api.readConfig = function(configName, callback) {
-  var cfg = {};
+        // retrieve JSON-LD, revalidating any stale cached copy
+        var request = options.request;
+        if(entry && (entry.etag || entry.lastModified)) {
+          request = _extend({}, request);
+          request.headers = _extend({}, request.headers);
+          if(entry.etag) {
+            request.headers['If-None-Match'] = entry.etag;
+          }
+          if(entry.lastModified) {
+            request.headers['If-Modified-Since'] = entry.lastModified;
+          }
+        }
+        hooks.getJsonLd(url, request, function(err, result, res) {
+          callback(err, {document: result, response: res || null});
+        });
+      },
+      function(result, callback) {
+        if(result.cached) {
+          return callback(null, result.document);
+        }
 
-  async.waterfall([
-    function(callback) {
-      api.getConfigFilename(configName, callback);
-    },
-    function(configFilename, callback) {
-      // attempt to read data from the config file
-      fs.exists(configFilename, function(exists) {
-        if(exists) {
-          return fs.readFile(configFilename, 'utf8', callback);
+        var res = result.response;
+        var notModified = !!(entry && res && res.statusCode === 304);
+        var document = notModified ? entry.document : result.document;
+        if(!document) {
+          return callback(new Error('[payswarm.getJsonLd] ' +
+            'No JSON-LD found at "' + url + '".'));
         }
-        callback(new Error('Config file does not exist: '+ configFilename));
-      });
-    },
-    function(data, callback) {
-      cfg = JSON.parse(data);
-      // add the default context to the object
-      callback(null, cfg);
-    }], function(err) {
-      cfg['@context'] = 'https://w3id.org/payswarm/v1';
-      callback(err, cfg);
-  });
-};
 
-/**
- * Writes a configuration out to disk.
- *
- * @param configName the name of the config file.
- * @param cfg the configuration object to write.
- * @param callback(err, configFilename) the callback called when the file is
- *          written to disk.
- */
-api.writeConfig = function(configName, cfg, callback) {
-  async.waterfall([
-    function(callback) {
-      api.getConfigFilename(configName, callback);
-    },
-    function(configFilename, callback) {
-      var configDir = path.dirname(configFilename);
-      // if the directory for the config file doesn't exist, create it
-      fs.exists(configDir, function(exists) {
-        if(exists) {
-          callback(null, configFilename);
-        } else {
-          mkdirp(configDir, parseInt(700, 8), function(err) {
-            if(err) {
-              return callback(err);
-            }
-            callback(null, configFilename);
+        // cache JSON-LD, keeping any cached copy up-to-date
+        var policy = _getCachePolicy(res, notModified ? entry : null);
+        if((options.cache || entry) && policy.store) {
+          return api.cacheJsonLd(url, document, policy, function(err) {
+            callback(err, document);
           });
         }
-      });
-    },
-    function(configFilename, callback) {
-      // write the data to disk
-      var data = JSON.stringify(cfg, null, 2);
-      fs.writeFile(
-        configFilename, data, {encoding: 'utf8', mode: parseInt(600, 8)},
-        function(err) {
-        if(err) {
-          return callback(err);
+        callback(null, document);
+      }
+    ], callback);
+  };
+
+  /**
+   * HTTP DELETEs a JSON-LD object.
+   *
+   * @param url the URL to HTTP DELETE.
+   * @param options: (optional)
+   *          request: options for the request. (optional)
+   * @param callback(err, result) called once the operation completes.
+   */
+  api.deleteJsonLd = function(url, options, callback) {
+    if(typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+    if(!('deleteJsonLd' in hooks)) {
+      return callback(new Error('[payswarm.deleteJsonLd] ' +
+        'No deleteJsonLd hook has been added.'));
+    }
+    hooks.deleteJsonLd(url, options.request || {}, callback);
+  };
+
+  /**
+   * HTTP POSTs a JSON-LD object.
+   *
+   * @param url the URL to HTTP POST to.
+   * @param obj the JSON-LD object.
+   * @param options: (optional)
+   *          request: options for the request. (optional)
+   * @param callback(err, result) called once the operation completes.
+   */
+  api.postJsonLd = function(url, obj, options, callback) {
+    if(typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+    options.request = options.request || {};
+
+    async.waterfall([
+      function(callback) {
+        hooks.postJsonLd(url, obj, options.request, callback);
+      },
+      function(result, callback) {
+        try {
+          // parse response
+          // FIXME move callback outside of try/catch
+          callback(null, result);
+        }
+        catch(ex) {
+          callback(new Error('[payswarm.postJsonLd] ' +
+            'Invalid response from "' + url +
+            '"; malformed JSON - ' + ex.toString() + ': ' +
+            JSON.stringify(result, null, 2)));
         }
-        callback(null, configFilename);
-      });
-  }], callback);
-};
-
-/**
- * Retrieves a JSON-LD object over HTTP.
- *
- * @param url the URL to HTTP GET.
- * @param options: (optional)
- *          cache: true to cache the response. [false] (optional)
- *          request: options for the request. (optional)
- * @param callback(err, result) called once the operation completes.
- */
-api.getJsonLd = function(url, options, callback) {
-  if(typeof options === 'function') {
-    callback = options;
-    options = {};
-  }
-  options.request = options.request || {};
-
-  async.waterfall([
-    function(callback) {
-      // use cache if available
-      api.getCachedJsonLd(url, callback);
-    },
-    function(result, callback) {
-      if(result) {
-        return callback(null, result);
       }
+    ], callback);
+  };
+
+  /**
+   * Caches a JSON-LD object if a cache is available.
+   *
+   * @param id the ID of the JSON-LD object.
+   * @param obj the JSON-LD object to cache.
+   * @param options the options to use: (optional)
+   *          maxAge: the number of seconds the object is fresh.
+   *            [DEFAULT_CACHE_MAX_AGE]
+   *          etag: the ETag to revalidate the object with. (optional)
+   *          lastModified: the Last-Modified date to revalidate the object
+   *            with. (optional)
+   * @param callback(err) called once the operation completes.
+   */
+  api.cacheJsonLd = function(id, obj, options, callback) {
+    if(typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+    if(!('cacheJsonLd' in hooks)) {
+      // no cache
+      return callback();
+    }
 
-      // retrieve JSON-LD
-      hooks.getJsonLd(url, options.request, callback);
-    },
-    function(result, callback) {
-      if(!result) {
-        return callback(new Error('[payswarm.getJsonLd] ' +
-          'No JSON-LD found at "' + url + '".'));
+    var maxAge = ('maxAge' in options) ?
+      options.maxAge : api.DEFAULT_CACHE_MAX_AGE;
+    var entry = {
+      document: obj,
+      expires: Date.now() + maxAge * 1000,
+      maxAge: maxAge
+    };
+    // keep a stale object around for revalidation if possible
+    var secs = maxAge;
+    if(options.etag) {
+      entry.etag = options.etag;
+      secs = maxAge + api.CACHE_REVALIDATION_PERIOD;
+    }
+    if(options.lastModified) {
+      entry.lastModified = options.lastModified;
+      secs = maxAge + api.CACHE_REVALIDATION_PERIOD;
+    }
+    if(secs <= 0) {
+      return callback();
+    }
+    hooks.cacheJsonLd(id, entry, secs, callback);
+  };
+
+  /**
+   * Gets a cached JSON-LD object if available and fresh.
+   *
+   * @param id the ID of the JSON-LD object.
+   * @param callback(err, result) called once the operation completes.
+   */
+  api.getCachedJsonLd = function(id, callback) {
+    _getCacheEntry(id, function(err, entry) {
+      if(err) {
+        return callback(err);
       }
-
-      // FIXME: take into consideration response cache info
-      // cache JSON-LD
-      if(options.cache) {
-        return api.cacheJsonLd(url, result, function(err) {
-          callback(err, result);
-        });
+      if(entry && entry.expires > Date.now()) {
+        return callback(null, entry.document);
       }
-      callback(null, result);
+      callback(null, null);
+    });
+  };
+
+  /**
+   * Gets a cache entry for a JSON-LD object if available. Objects cached
+   * without HTTP cache information (eg: by an older version of this API) are
+   * considered fresh for as long as the cache keeps them.
+   *
+   * @param id the ID of the JSON-LD object.
+   * @param callback(err, entry) called once the operation completes.
+   */
+  function _getCacheEntry(id, callback) {
+    if(!('getCachedJsonLd' in hooks)) {
+      return callback(null, null);
     }
-  ], callback);
-};
-
-/**
- * HTTP POSTs a JSON-LD object.
- *
- * @param url the URL to HTTP POST to.
- * @param obj the JSON-LD object.
- * @param options: (optional)
- *          request: options for the request. (optional)
- * @param callback(err, result) called once the operation completes.
- */
-api.postJsonLd = function(url, obj, options, callback) {
-  if(typeof options === 'function') {
-    callback = options;
-    options = {};
-  }
-  options.request = options.request || {};
-
-  async.waterfall([
-    function(callback) {
-      hooks.postJsonLd(url, obj, options.request, callback);
-    },
-    function(result, callback) {
-      try {
-        // parse response
-        // FIXME move callback outside of try/catch
-        callback(null, result);
+    hooks.getCachedJsonLd(id, function(err, result) {
+      if(err || !result) {
+        return callback(err || null, null);
       }
-      catch(ex) {
-        callback(new Error('[payswarm.postJsonLd] ' +
-          'Invalid response from "' + url +
-          '"; malformed JSON - ' + ex.toString() + ': ' +
-          JSON.stringify(result, null, 2)));
+      if(typeof result === 'object' && 'document' in result &&
+        typeof result.expires === 'number') {
+        return callback(null, result);
       }
-    }
-  ], callback);
-};
-
-/**
- * Caches a JSON-LD object if a cache is available.
- *
- * @param id the ID of the JSON-LD object.
- * @param obj the JSON-LD object to cache.
- * @param callback(err) called once the operation completes.
- */
-api.cacheJsonLd = function(id, obj, callback) {
-  if('cacheJsonLd' in hooks) {
-    return hooks.cacheJsonLd(id, obj, 60*5, callback);
+      callback(null, {document: result, expires: Infinity});
+    });
   }
-  // no cache
-  callback();
-};
 
-/**
- * Gets a cached JSON-LD object if available.
- *
- * @param id the ID of the JSON-LD object.
- * @param callback(err, result) called once the operation completes.
- */
-api.getCachedJsonLd = function(id, callback) {
-  if('getCachedJsonLd' in hooks) {
-    return hooks.getCachedJsonLd(id, callback);
-  }
-  callback(null, null);
-};
+  /**
+   * Gets the cache policy for a retrieved JSON-LD object from the
+   * Cache-Control, Expires, ETag, and Last-Modified headers of the HTTP
+   * response it was retrieved with.
+   *
+   * @param res the HTTP response, if available.
+   * @param entry the cache entry the response revalidated, if any.
+   *
+   * @return the cache policy {store, maxAge, etag, lastModified}.
+   */
+  function _getCachePolicy(res, entry) {
+    var headers = (res && res.headers) || {};
+    var policy = {
+      store: true,
+      maxAge: api.DEFAULT_CACHE_MAX_AGE,
+      etag: headers.etag || (entry && entry.etag) || null,
+      lastModified: headers['last-modified'] || (entry && entry.lastModified) ||
+        null
+    };
 
-/**
- * Gets a remote public key.
- *
- * @param id the ID for the public key.
- * @param options: (optional)
- *          cache: true to cache the response. [false] (optional)
- *          request: options for the request. (optional)
- * @param callback(err, key) called once the operation completes.
- */
-api.getPublicKey = function(id, options, callback) {
-  if(typeof options === 'function') {
-    callback = options;
-    options = {};
-  }
+    // parse Cache-Control directives
+    var directives = {};
+    (headers['cache-control'] || '').split(',').forEach(function(directive) {
+      var parts = directive.split('=');
+      var name = parts[0].trim().toLowerCase();
+      if(name) {
+        directives[name] = (parts[1] || '').trim().replace(/^"|"$/g, '');
+      }
+    });
 
-  // retrieve public key
-  api.getJsonLd(id, options, function(err, key) {
-    if(err) {
-      return callback(err);
+    if('no-store' in directives) {
+      policy.store = false;
     }
-
-    // FIXME: improve validation
-    if(!('publicKeyPem' in key)) {
-      return callback(new Error('[payswarm.getPublicKey] ' +
-        'Could not get public key. Unknown format.'));
+    else if('no-cache' in directives) {
+      policy.maxAge = 0;
+    }
+    else if('max-age' in directives) {
+      policy.maxAge = parseInt(directives['max-age'], 10) || 0;
     }
+    else if('expires' in headers) {
+      // an invalid Expires date means already expired
+      var expires = Date.parse(headers.expires);
+      var date = Date.parse(headers.date) || Date.now();
+      policy.maxAge = isNaN(expires) ?
+        0 : Math.max(0, Math.floor((expires - date) / 1000));
+    }
+    else if(entry && 'maxAge' in entry) {
+      policy.maxAge = entry.maxAge;
+    }
+    policy.maxAge = Math.max(0, policy.maxAge);
+    return policy;
+  }
 
-    callback(null, key);
-  });
-};
+  /**
+   * Gets a remote public key.
+   *
+   * @param id the ID for the public key.
+   * @param options: (optional)
+   *          cache: true to cache the response. [false] (optional)
+   *          request: options for the request. (optional)
+   * @param callback(err, key) called once the operation completes.
+   */
+  api.getPublicKey = function(id, options, callback) {
+    if(typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
 
-/**
- * Creates a nonce for a secure message.
- *
- * @param callback(err, nonce) called once the operation completes.
- */
-api.createNonce = function(callback) {
-  hooks.createNonce(callback);
-};
+    // retrieve public key
+    api.getJsonLd(id, options, function(err, key) {
+      if(err) {
+        return callback(err);
+      }
 
-/**
- * Checks the nonce from a secure message.
- *
- * @param nonce the nonce.
- * @param callback(err, valid) called once the operation completes.
- */
-api.checkNonce = function(nonce, callback) {
-  hooks.checkNonce(nonce, callback);
-};
+      // FIXME: improve validation
+      if(!('publicKeyPem' in key)) {
+        return callback(new Error('[payswarm.getPublicKey] ' +
+          'Could not get public key. Unknown format.'));
+      }
+      if(api.getKeyType(key.publicKeyPem) === null) {
+        return callback(new Error('[payswarm.getPublicKey] ' +
+          'Could not get public key. Unsupported key type.'));
+      }
 
-/**
- * Generates a hash of the JSON-LD encoded data.
- *
- * @param obj the JSON-LD object to hash.
- * @param callback(err, hash) called once the operation completes.
- */
-api.hash = function(obj, callback) {
-  // SHA-1 hash JSON
-  jsonld.normalize(
-    obj, {
-    format: 'application/nquads'
-  }, function(err, result) {
-    if(err) {
-      return callback(err);
+      callback(null, key);
+    });
+  };
+
+  /**
+   * Loads a key bundle so that signatures can be verified without retrieving
+   * public keys over the network. A key bundle is a JSON-LD document that
+   * contains CryptographicKey objects, each with an id, owner, publicKeyPem,
+   * and, if applicable, the dates the key expires and was revoked:
+   *
+   * {
+   *   "@context": "https://w3id.org/payswarm/v1",
+   *   "@graph": [{
+   *     "id": "https://example.com/i/authority/keys/1",
+   *     "type": "CryptographicKey",
+   *     "owner": "https://example.com/i/authority",
+   *     "publicKeyPem": "-----BEGIN PUBLIC KEY-----...",
+   *     "expiration": "2014-01-01T00:00:00Z",
+   *     "revoked": "2013-08-01T00:00:00Z"
+   *   }]
+   * }
+   *
+   * @param bundle the key bundle.
+   * @param callback(err, keys) called once the operation completes with a map
+   *          of public key IDs to public keys that can be given as the 'keys'
+   *          option to verify.
+   */
+  api.loadKeyBundle = function(bundle, callback) {
+    jsonld.frame(bundle, api.FRAMES.KeyBundle, function(err, framed) {
+      if(err) {
+        return callback(err);
+      }
+      var keys = {};
+      var graph = framed['@graph'];
+      for(var i = 0; i < graph.length; ++i) {
+        var key = graph[i];
+        if(typeof key.id !== 'string' || key.id.indexOf('_:') === 0) {
+          return callback(new Error('[payswarm.loadKeyBundle] ' +
+            'Every public key in the key bundle must have an ID.'));
+        }
+        if(typeof key.owner !== 'string' ||
+          typeof key.publicKeyPem !== 'string') {
+          return callback(new Error('[payswarm.loadKeyBundle] ' +
+            'The public key "' + key.id + '" must have an owner and a ' +
+            'publicKeyPem.'));
+        }
+        if(api.getKeyType(key.publicKeyPem) === null) {
+          return callback(new Error('[payswarm.loadKeyBundle] ' +
+            'The public key "' + key.id + '" has an unsupported key type.'));
+        }
+        key['@context'] = api.CONTEXT_URL;
+        keys[key.id] = key;
+      }
+      if(Object.keys(keys).length === 0) {
+        return callback(new Error('[payswarm.loadKeyBundle] ' +
+          'No public keys found in the key bundle.'));
+      }
+      callback(null, keys);
+    });
+  };
+
+  /**
+   * Gets the type of a PEM-encoded public or private key.
+   *
+   * @param pem the PEM-encoded key.
+   *
+   * @return the key type ('rsa', 'ecdsa-p256', or 'ed25519') or null if the
+   *           key is malformed or its type is not supported.
+   */
+  api.getKeyType = function(pem) {
+    var key;
+    try {
+      if(pem.indexOf('PRIVATE KEY') !== -1) {
+        key = crypto.createPrivateKey(pem);
+      }
+      else {
+        key = crypto.createPublicKey(pem);
+      }
     }
-    if(result.length === 0) {
-      return callback(new Error('[payswarm.hash] ' +
-        'The data to hash is empty. This error may be caused because ' +
-        'a "@context" was not supplied in the input which would cause ' +
-        'any terms or prefixes to be undefined. ' +
-        'Input:\n' + JSON.stringify(obj, null, 2)));
+    catch(ex) {
+      return null;
     }
-
-    var md = crypto.createHash('sha256');
-    md.update(result, 'utf8');
-    callback(null, 'urn:sha256:' + md.digest('hex'));
-  });
-};
-
-/**
- * Signs a JSON-LD object, adding a signature field to it. If a signature
- * date is not provided then the current date will be used.
- *
- * @param obj the JSON-LD object to sign.
- * @param options the signature options.
- *          [nonce] the nonce to use.
- *          [dateTime] the signature creation dateTime as either a W3C formatted
- *            dateTime or a pure JavaScript date object.
- *          publicKeyId URL to the public key that is associated with the
- *            given private key.
- *          privateKey the private key to use in PEM-encoded format.
- * @param callback(err, signed) called once the operation completes.
- */
-api.sign = function(obj, options, callback) {
-  var nonce = options.nonce || null;
-  var dateTime = options.dateTime || new Date();
-  var publicKeyId = options.publicKeyId || null;
-  var privateKeyPem = options.privateKeyPem || null;
-
-  // get W3C-formatted date
-  if(typeof dateTime !== 'string') {
-    dateTime = api.w3cDate(dateTime);
+    if(key.asymmetricKeyType === 'rsa' || key.asymmetricKeyType === 'ed25519') {
+      return key.asymmetricKeyType;
+    }
+    if(key.asymmetricKeyType === 'ec' && _isP256Key(key)) {
+      return 'ecdsa-p256';
+    }
+    return null;
+  };
+
+  /**
+   * Checks if an EC key uses the P-256 curve. The curve is read from the
+   * key's details where supported (Node 15.7+), otherwise from the curve
+   * OID in its DER-encoded public key.
+   *
+   * @param key the EC KeyObject.
+   *
+   * @return true if the key is a P-256 key, false if not.
+   */
+  function _isP256Key(key) {
+    if(key.asymmetricKeyDetails) {
+      return key.asymmetricKeyDetails.namedCurve === 'prime256v1';
+    }
+    if(key.type === 'private') {
+      key = crypto.createPublicKey(key);
+    }
+    var der = key.export({type: 'spki', format: 'der'});
+    return der.indexOf(P256_OID) !== -1;
   }
 
-  async.auto({
-    normalize: function(callback) {
-      jsonld.normalize(
-        obj, {
-          format: 'application/nquads'
-        }, callback);
-    },
-    sign: ['normalize', function(callback, results) {
-      var normalized = results.normalize;
-      if(normalized.length === 0) {
-        return callback(new Error('[payswarm.sign] ' +
-          'The data to sign is empty. This error may be caused because ' +
+  /**
+   * Creates a nonce for a secure message.
+   *
+   * @param callback(err, nonce) called once the operation completes.
+   */
+  api.createNonce = function(callback) {
+    if(!('createNonce' in hooks)) {
+      return callback(new Error('[payswarm.createNonce] ' +
+        'No createNonce hook has been added.'));
+    }
+    hooks.createNonce(callback);
+  };
+
+  /**
+   * Checks the nonce from a secure message.
+   *
+   * @param nonce the nonce.
+   * @param callback(err, valid) called once the operation completes.
+   */
+  api.checkNonce = function(nonce, callback) {
+    if(!('checkNonce' in hooks)) {
+      return callback(new Error('[payswarm.checkNonce] ' +
+        'No checkNonce hook has been added.'));
+    }
+    hooks.checkNonce(nonce, callback);
+  };
+
+  /**
+   * Generates a hash of the JSON-LD encoded data.
+   *
+   * @param obj the JSON-LD object to hash.
+   * @param callback(err, hash) called once the operation completes.
+   */
+  api.hash = function(obj, callback) {
+    // SHA-1 hash JSON
+    jsonld.normalize(
+      obj, {
+      format: 'application/nquads'
+    }, function(err, result) {
+      if(err) {
+        return callback(err);
+      }
+      if(result.length === 0) {
+        return callback(new Error('[payswarm.hash] ' +
+          'The data to hash is empty. This error may be caused because ' +
           'a "@context" was not supplied in the input which would cause ' +
           'any terms or prefixes to be undefined. ' +
           'Input:\n' + JSON.stringify(obj, null, 2)));
       }
-      // generate base64-encoded signature
-      var signer = crypto.createSign('RSA-SHA256');
-      if(nonce !== null) {
-        signer.update(nonce);
-      }
-      signer.update(dateTime);
-      signer.update(normalized);
-      var signature = signer.sign(privateKeyPem, 'base64');
-      callback(null, signature);
-    }]
-  }, function(err, results) {
-    if(err) {
-      return callback(err);
+
+      var md = crypto.createHash('sha256');
+      md.update(result, 'utf8');
+      callback(null, 'urn:sha256:' + md.digest('hex'));
+    });
+  };
+
+  /**
+   * Signature suites, keyed by signature type. A signature suite defines how a
+   * JSON-LD object is canonicalized and how the canonicalized data is digested,
+   * signed, and verified:
+   *
+   * normalizationAlgorithm: the JSON-LD normalization algorithm to use.
+   *
+   * createVerifyData(normalized, signature): returns the data to sign or
+   *   verify given the normalized object and the signature options (nonce,
+   *   created, etc.).
+   *
+   * sign(data, privateKeyPem, callback(err, signatureValue)): signs the data
+   *   and passes the base64-encoded signature value to the callback.
+   *
+   * verify(data, publicKeyPem, signatureValue, callback(err, verified)):
+   *   verifies a base64-encoded signature value on the data.
+   */
+  api.SIGNATURE_SUITES = {};
+
+  /**
+   * Adds a signature suite that can be used to sign and verify JSON-LD
+   * objects.
+   *
+   * @param type the signature type, as it appears in a signature when compacted
+   *          with the PaySwarm context (eg: 'GraphSignature2012').
+   * @param suite the signature suite.
+   */
+  api.addSignatureSuite = function(type, suite) {
+    api.SIGNATURE_SUITES[type] = suite;
+  };
+
+  /**
+   * Creates sign and verify functions for signature suites that digest data
+   * with the given algorithm. The signature algorithm is chosen based on the
+   * type of the key; Ed25519 keys sign the data directly.
+   *
+   * @param digestAlgorithm the digest algorithm (eg: 'sha256').
+   *
+   * @return an object with sign and verify functions.
+   */
+  function _createSigner(digestAlgorithm) {
+    var getDigestAlgorithm = function(pem) {
+      var type = api.getKeyType(pem);
+      if(type === null) {
+        throw new Error('Unsupported key type.');
+      }
+      return (type === 'ed25519') ? null : digestAlgorithm;
+    };
+    return {
+      sign: function(data, privateKeyPem, callback) {
+        try {
+          var signature = crypto.sign(
+            getDigestAlgorithm(privateKeyPem), Buffer.from(data, 'utf8'),
+            privateKeyPem);
+          callback(null, signature.toString('base64'));
+        }
+        catch(ex) {
+          callback(ex);
+        }
+      },
+      verify: function(data, publicKeyPem, signatureValue, callback) {
+        try {
+          var verified = crypto.verify(
+            getDigestAlgorithm(publicKeyPem), Buffer.from(data, 'utf8'),
+            publicKeyPem, Buffer.from(signatureValue, 'base64'));
+          callback(null, verified);
+        }
+        catch(ex) {
+          callback(ex);
+        }
+      }
+    };
+  }
+
+  /** The legacy PaySwarm graph signature suite. */
+  api.addSignatureSuite('GraphSignature2012', {
+    normalizationAlgorithm: 'URGNA2012',
+    createVerifyData: function(normalized, signature) {
+      var data = '';
+      if('nonce' in signature) {
+        data += signature.nonce;
+      }
+      return data + signature.created + normalized;
+    },
+    sign: _createSigner('sha256').sign,
+    verify: _createSigner('sha256').verify
+  });
+
+  /**
+   * The Linked Data signature suite from the security vocabulary. The PaySwarm
+   * context has no terms for its type or its domain option, so compact IRIs
+   * are used for them.
+   */
+  api.addSignatureSuite('sec:LinkedDataSignature2015', {
+    normalizationAlgorithm: 'URDNA2015',
+    createVerifyData: function(normalized, signature) {
+      // signature options are added as headers in lexicographical order
+      var headers = {
+        'http://purl.org/dc/elements/1.1/created': signature.created,
+        'https://w3id.org/security#domain': signature['sec:domain'],
+        'https://w3id.org/security#nonce': signature.nonce
+      };
+      var data = '';
+      Object.keys(headers).sort().forEach(function(key) {
+        var value = headers[key];
+        if(value !== null && value !== undefined) {
+          data += key + ': ' + value + '\n';
+        }
+      });
+      return data + normalized;
+    },
+    sign: _createSigner('sha256').sign,
+    verify: _createSigner('sha256').verify
+  });
+
+  /**
+   * Signs a JSON-LD object, adding a signature field to it. If a signature
+   * date is not provided then the current date will be used.
+   *
+   * If the object is already signed, the new signature is added to its set of
+   * signatures (replacing any previous signature by the same public key). Every
+   * signature in the set is made over the object without its signatures, so
+   * signers may co-sign an object in any order.
+   *
+   * @param obj the JSON-LD object to sign.
+   * @param options the signature options.
+   *          [type] the type of signature to create, which must have a
+   *            registered signature suite (default: 'GraphSignature2012').
+   *          [nonce] the nonce to use.
+   *          [domain] the domain to use, if supported by the signature type.
+   *          [dateTime] the signature creation dateTime as either a W3C
+   *            formatted dateTime or a pure JavaScript date object.
+   *          publicKeyId URL to the public key that is associated with the
+   *            given private key.
+   *          privateKey the private key to use in PEM-encoded format.
+   * @param callback(err, signed) called once the operation completes.
+   */
+  api.sign = function(obj, options, callback) {
+    var type = options.type || 'GraphSignature2012';
+    var nonce = options.nonce || null;
+    var domain = options.domain || null;
+    var dateTime = options.dateTime || new Date();
+    var publicKeyId = options.publicKeyId || null;
+    var privateKeyPem = options.privateKeyPem || null;
+
+    var suite = api.SIGNATURE_SUITES[type];
+    if(!suite) {
+      return callback(new Error('[payswarm.sign] ' +
+        'Unknown signature type "' + type + '".'));
+    }
+
+    // get W3C-formatted date
+    if(typeof dateTime !== 'string') {
+      dateTime = api.w3cDate(dateTime);
     }
 
     // create signature info
     var signature = {
-      type: 'GraphSignature2012',
+      type: type,
       creator: publicKeyId,
-      created: dateTime,
-      signatureValue: results.sign
+      created: dateTime
     };
     if(nonce !== null) {
       signature.nonce = nonce;
     }
-    // FIXME: support multiple signatures
-    obj.signature = signature;
-    jsonld.addValue(obj, '@context', api.CONTEXT_URL, {allowDuplicate: false});
-    callback(null, obj);
-  });
-};
+    if(domain !== null) {
+      signature['sec:domain'] = domain;
+    }
 
-/**
- * Verifies a JSON-LD digitally-signed object.
- *
- * @param obj the JSON-LD object to verify.
- * @param options: (optional)
- *          request: options for the key request. (optional)
- *          checkTimestamp: check signature timestamp [true] (optional)
- *          maxTimestampDelta: signature must be created within a window of this
- *            many seconds [15 minutes] (optional)
- * @param callback(err) called once the operation completes.
- */
-api.verify = function(obj, options, callback) {
-  if(typeof options === 'function') {
-    callback = options;
-    options = {};
-  }
+    async.auto({
+      normalize: function(callback) {
+        // existing signatures are not signed
+        var unsigned = {};
+        for(var key in obj) {
+          if(key !== 'signature') {
+            unsigned[key] = obj[key];
+          }
+        }
+        jsonld.normalize(
+          unsigned, {
+            algorithm: suite.normalizationAlgorithm,
+            format: 'application/nquads'
+          }, callback);
+      },
+      sign: ['normalize', function(callback, results) {
+        var normalized = results.normalize;
+        if(normalized.length === 0) {
+          return callback(new Error('[payswarm.sign] ' +
+            'The data to sign is empty. This error may be caused because ' +
+            'a "@context" was not supplied in the input which would cause ' +
+            'any terms or prefixes to be undefined. ' +
+            'Input:\n' + JSON.stringify(obj, null, 2)));
+        }
+        // generate base64-encoded signature
+        var data = suite.createVerifyData(normalized, signature);
+        suite.sign(data, privateKeyPem, callback);
+      }]
+    }, function(err, results) {
+      if(err) {
+        return callback(err);
+      }
+      signature.signatureValue = results.sign;
 
-  if(!('checkTimestamp' in options)) {
-    options.checkTimestamp = true;
-  }
+      // add signature to the set, replacing any previous one by the same key
+      var signatures = jsonld.getValues(obj, 'signature').filter(function(s) {
+        return !(s && s.creator === publicKeyId);
+      });
+      signatures.push(signature);
+      obj.signature = (signatures.length === 1) ? signature : signatures;
+      jsonld.addValue(
+        obj, '@context', api.CONTEXT_URL, {allowDuplicate: false});
+      callback(null, obj);
+    });
+  };
+
+  /**
+   * Verifies a JSON-LD digitally-signed object. Each signature in the object's
+   * set of signatures is verified separately, using the signature suite for
+   * its type, and the given signature policy determines whether or not the
+   * object as a whole is verified.
+   *
+   * @param obj the JSON-LD object to verify.
+   * @param options: (optional)
+   *          request: options for the key request. (optional)
+   *          checkTimestamp: check signature timestamp [true] (optional)
+   *          maxTimestampDelta: signature must be created within a window of
+   *            this many seconds [15 minutes] (optional)
+   *          policy: the signature policy, 'all' if every signature must be
+   *            valid, 'any' if at least one signature must be valid, or an
+   *            array of the IDs of the public keys or key owners that must all
+   *            have made a valid signature ['all'] (optional)
+   *          checkTrust: check that the signer is trusted via the isTrusted
+   *            or isTrustedAuthority hook [true] (optional)
+   *          documentTypes: the document types to check trust for [the types
+   *            of the signed object] (optional)
+   *          keys: the public keys to verify with, as loaded from a key bundle
+   *            via loadKeyBundle; if given, public keys are never retrieved
+   *            over the network (optional)
+   *          strictRevocation: true to reject signatures made with any key
+   *            that has been revoked or has expired, false to accept those
+   *            created before the key was revoked or expired [false]; as the
+   *            creation date is chosen by the signer, whoever holds a revoked
+   *            key can backdate new signatures to before its revocation, which
+   *            is only bounded by maxTimestampDelta when checkTimestamp is
+   *            true, so pass true where that is not acceptable (optional)
+   *          collectAll: true to perform every check on every signature and
+   *            report all failures, false to stop checking a signature at its
+   *            first failure [false] (optional)
+   * @param callback(err, result) called once the operation completes, where
+   *          result is {verified: true|false, signatures: [{creator, owner,
+   *          type, created, verified, error, checks}]}, one entry per
+   *          signature. The checks of a signature are, in the order of
+   *          SIGNATURE_CHECKS, [{check, performed, verified, error}]. If the
+   *          signature policy is not satisfied, err is the first signature
+   *          error and the result is also given.
+   */
+  api.verify = function(obj, options, callback) {
+    if(typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
 
-  if(!('maxTimestampDelta' in options)) {
-    options.maxTimestampDelta = 15 * 60;
+    if(!('checkTimestamp' in options)) {
+      options.checkTimestamp = true;
+    }
+
+    if(!('maxTimestampDelta' in options)) {
+      options.maxTimestampDelta = 15 * 60;
+    }
+
+    if(!('policy' in options)) {
+      options.policy = 'all';
+    }
+
+    if(!('checkTrust' in options)) {
+      options.checkTrust = true;
+    }
+
+    if(!('strictRevocation' in options)) {
+      options.strictRevocation = false;
+    }
+
+    if(!('collectAll' in options)) {
+      options.collectAll = false;
+    }
+
+    async.auto({
+      frame: function(callback) {
+        // frame message to retrieve signatures of any type
+        var frame = {
+          '@context': api.CONTEXT_URL,
+          signature: {
+            type: {},
+            created: {},
+            creator: {},
+            signatureValue: {},
+            // FIXME: improve handling signatures w/o nonces
+            //nonce: {'@omitDefault': true}
+          }
+        };
+
+        jsonld.frame(obj, frame, function(err, framed) {
+          if(err) {
+            return callback(err);
+          }
+          var graphs = framed['@graph'];
+          if(graphs.length === 0) {
+            return callback(new Error('[payswarm.verify] ' +
+              'No signed data found.'));
+          }
+          if(graphs.length > 1) {
+            return callback(new Error('[payswarm.verify] ' +
+              'More than one signed graph found.'));
+          }
+          var graph = graphs[0];
+          // copy the top level framed data context
+          graph['@context'] = framed['@context'];
+          var signatures = jsonld.getValues(graph, 'signature');
+          if(signatures.length === 0) {
+            return callback(new Error('[payswarm.verify] ' +
+              'Valid signature not found.'));
+          }
+          for(var i = 0; i < signatures.length; ++i) {
+            if(!(signatures[i].type in api.SIGNATURE_SUITES)) {
+              return callback(new Error('[payswarm.verify] ' +
+                'Unknown signature type found.'));
+            }
+          }
+          callback(null, graph);
+        });
+      },
+      normalize: ['frame', function(callback, results) {
+        // remove signature property from object
+        var result = results.frame;
+        var signatures = jsonld.getValues(result, 'signature');
+        delete result.signature;
+
+        // normalize once for each algorithm used by the signature suites
+        var normalized = {};
+        async.eachSeries(signatures, function(signature, callback) {
+          var algorithm =
+            api.SIGNATURE_SUITES[signature.type].normalizationAlgorithm;
+          if(algorithm in normalized) {
+            return callback();
+          }
+          jsonld.normalize(
+            result, {
+              algorithm: algorithm,
+              format: 'application/nquads'
+            }, function(err, data) {
+              normalized[algorithm] = data;
+              callback(err);
+            });
+        }, function(err) {
+          callback(err, {data: normalized, signatures: signatures});
+        });
+      }],
+      verifySignatures: ['normalize', function(callback, results) {
+        // check trust for the types of the signed object by default
+        var sigOptions = _extend({
+          documentTypes: jsonld.getValues(results.frame, 'type')
+        }, options);
+        async.mapSeries(results.normalize.signatures,
+          function(signature, callback) {
+          var suite = api.SIGNATURE_SUITES[signature.type];
+          var data = suite.createVerifyData(
+            results.normalize.data[suite.normalizationAlgorithm], signature);
+          _verifySignature(data, signature, sigOptions, callback);
+        }, callback);
+      }]
+    }, function(err, results) {
+      if(err) {
+        return callback(err);
+      }
+      var signatures = results.verifySignatures;
+      var result = {
+        verified: _checkSignaturePolicy(signatures, options.policy),
+        signatures: signatures
+      };
+      if(!result.verified) {
+        // report the first signature error, if any
+        for(var i = 0; i < signatures.length; ++i) {
+          if(signatures[i].error) {
+            return callback(signatures[i].error, result);
+          }
+        }
+        return callback(new Error('[payswarm.verify] ' +
+          'The signatures on the message do not satisfy the signature ' +
+          'policy.'), result);
+      }
+      callback(null, result);
+    });
+  };
+
+  /**
+   * The checks performed when verifying a signature, in the order they are
+   * performed.
+   */
+  api.SIGNATURE_CHECKS = [
+    'nonce', 'timestamp', 'publicKey', 'trust', 'revocation', 'expiration',
+    'signature'];
+
+  /**
+   * Verifies a single signature. Each check is recorded in the report for the
+   * signature; checks that could not be performed, such as checks that need
+   * the public key when it could not be retrieved, are recorded as not
+   * performed. Unless the collectAll option is set, the first failed check
+   * ends verification.
+   *
+   * @param data the data that was signed, as created by the signature suite.
+   * @param signature the signature to verify.
+   * @param options the options passed to verify.
+   * @param callback(err, report) called once the operation completes with the
+   *          verification report for the signature.
+   */
+  function _verifySignature(data, signature, options, callback) {
+    var key = null;
+    var created = _parseDate(signature.created);
+    var report = {
+      creator: signature.creator,
+      owner: null,
+      type: signature.type,
+      created: signature.created,
+      verified: false,
+      error: null,
+      checks: []
+    };
+
+    // each check calls back with whether or not it was performed
+    var checks = {
+      nonce: function(callback) {
+        if(!('nonce' in signature)) {
+          return callback(null, false);
+        }
+        api.checkNonce(signature.nonce, function(err, valid) {
+          if(!err && !valid) {
+            err = new Error('[payswarm.verify] ' +
+              'The message nonce is invalid.');
+          }
+          callback(err, true);
+        });
+      },
+      timestamp: function(callback) {
+        if(!options.checkTimestamp) {
+          return callback(null, false);
+        }
+        // ensure signature timestamp within a valid range
+        var now = +new Date();
+        var delta = options.maxTimestampDelta * 1000;
+        if(isNaN(created) || created < (now - delta) ||
+          created > (now + delta)) {
+          return callback(new Error('[payswarm.verify] ' +
+            'The message digital signature timestamp is out of range.'), true);
+        }
+        callback(null, true);
+      },
+      publicKey: function(callback) {
+        var done = function(err, result) {
+          if(!err) {
+            key = result;
+            report.owner = key.owner || null;
+          }
+          callback(err, true);
+        };
+        if(options.keys) {
+          // use a key bundle instead of the network
+          if(!options.keys.hasOwnProperty(signature.creator)) {
+            return done(new Error('[payswarm.verify] ' +
+              'The public key "' + signature.creator + '" is not in the key ' +
+              'bundle.'));
+          }
+          return done(null, options.keys[signature.creator]);
+        }
+        api.getPublicKey(signature.creator, options, done);
+      },
+      trust: function(callback) {
+        if(!key || !options.checkTrust) {
+          return callback(null, false);
+        }
+        var checkTrusted = function(err, trusted) {
+          if(!err && !trusted) {
+            err = new Error('[payswarm.verify] ' +
+              'The message is not signed by a trusted public key.');
+          }
+          callback(err, true);
+        };
+        if('isTrusted' in hooks) {
+          return hooks.isTrusted({
+            owner: key.owner,
+            publicKey: key.id,
+            documentTypes: [].concat(options.documentTypes || [])
+          }, checkTrusted);
+        }
+        if('isTrustedAuthority' in hooks) {
+          return hooks.isTrustedAuthority(key.owner, checkTrusted);
+        }
+        callback(null, false);
+      },
+      revocation: function(callback) {
+        if(!key) {
+          return callback(null, false);
+        }
+        if(!('revoked' in key)) {
+          return callback(null, true);
+        }
+        // a key revoked after the signature was created is still valid for
+        // that signature unless revocation is strict
+        var revoked = _parseDate(key.revoked);
+        if(options.strictRevocation) {
+          return callback(new Error('[payswarm.verify] ' +
+            'The public key has been revoked.'), true);
+        }
+        if(isNaN(revoked) || isNaN(created) || created >= revoked) {
+          return callback(new Error('[payswarm.verify] ' +
+            'The public key was revoked before the signature was created.'),
+            true);
+        }
+        callback(null, true);
+      },
+      expiration: function(callback) {
+        if(!key || !('expiration' in key)) {
+          return callback(null, false);
+        }
+        // the key must not have expired when the signature was created or,
+        // if revocation is strict, now
+        var expiration = _parseDate(key.expiration);
+        if(options.strictRevocation) {
+          if(isNaN(expiration) || Date.now() > expiration) {
+            return callback(new Error('[payswarm.verify] ' +
+              'The public key has expired.'), true);
+          }
+          return callback(null, true);
+        }
+        if(isNaN(expiration) || isNaN(created) || created > expiration) {
+          return callback(new Error('[payswarm.verify] ' +
+            'The public key expired before the signature was created.'), true);
+        }
+        callback(null, true);
+      },
+      signature: function(callback) {
+        if(!key) {
+          return callback(null, false);
+        }
+        var suite = api.SIGNATURE_SUITES[signature.type];
+        suite.verify(data, key.publicKeyPem, signature.signatureValue,
+          function(err, verified) {
+          if(!err && !verified) {
+            err = new Error('[payswarm.verify] ' +
+              'The digital signature on the message is invalid.');
+          }
+          callback(err, true);
+        });
+      }
+    };
+
+    async.eachSeries(api.SIGNATURE_CHECKS, function(name, callback) {
+      var check = {check: name, performed: false, verified: null, error: null};
+      report.checks.push(check);
+      if(report.error && !options.collectAll) {
+        return callback();
+      }
+      checks[name](function(err, performed) {
+        check.performed = performed;
+        if(performed) {
+          check.verified = !err;
+          check.error = err || null;
+        }
+        if(err && !report.error) {
+          report.error = err;
+        }
+        callback();
+      });
+    }, function() {
+      report.verified = !report.error;
+      callback(null, report);
+    });
+  }
+
+  /**
+   * Parses a date given as a string or as a JSON-LD value object.
+   *
+   * @param value the date value.
+   *
+   * @return the date in milliseconds since the epoch, NaN if it is invalid.
+   */
+  function _parseDate(value) {
+    if(value && typeof value === 'object' && '@value' in value) {
+      value = value['@value'];
+    }
+    return (typeof value === 'string') ? Date.parse(value) : NaN;
+  }
+
+  /**
+   * Checks per-signature verification results against a signature policy.
+   *
+   * @param signatures the per-signature verification results.
+   * @param policy 'all', 'any', or an array of public key or owner IDs.
+   *
+   * @return true if the policy is satisfied, false if not.
+   */
+  function _checkSignaturePolicy(signatures, policy) {
+    var verified = signatures.filter(function(s) {
+      return s.verified;
+    });
+    if(policy === 'any') {
+      return verified.length > 0;
+    }
+    if(Array.isArray(policy)) {
+      return policy.every(function(id) {
+        return verified.some(function(s) {
+          return s.creator === id || s.owner === id;
+        });
+      });
+    }
+    return verified.length === signatures.length;
+  }
+
+  /**
+   * Cipher algorithms for EncryptedMessages, keyed by algorithm identifier.
+   * Each algorithm has the following synchronous functions, which throw on
+   * failure:
+   *
+   * encrypt(data, publicKeyPem): encrypts a string and returns an object with
+   *   the base64-encoded cipherKey, initializationVector, and cipherData.
+   *
+   * decrypt(encrypted, privateKeyPem): decrypts an EncryptedMessage and
+   *   returns the decrypted string.
+   */
+  api.CIPHER_ALGORITHMS = {};
+
+  /**
+   * The identifiers of the supported cipher algorithms in order of preference.
+   * Algorithms that provide authenticated encryption are preferred.
+   */
+  api.CIPHER_ALGORITHM_PREFERENCES = [
+    'rsa-sha256-aes-256-gcm',
+    'rsa-sha256-aes-128-cbc'
+  ];
+
+  /**
+   * The legacy cipher algorithm. The AES-128 key and IV are encrypted using
+   * RSA-OAEP and the data is encrypted using AES-128-CBC, which provides no
+   * integrity protection.
+   */
+  api.CIPHER_ALGORITHMS['rsa-sha256-aes-128-cbc'] = {
+    encrypt: function(data, publicKeyPem) {
+      // generate symmetric key and IV
+      var key = crypto.randomBytes(16);
+      var iv = crypto.randomBytes(16);
+
+      // symmetric encrypt data
+      var cipher = crypto.createCipheriv('aes-128-cbc', key, iv);
+      var encrypted = cipher.update(data, 'utf8', 'base64');
+      encrypted += cipher.final('base64');
+
+      // public key encrypt key and IV
+      var pk = {
+        key: publicKeyPem,
+        padding: crypto.constants.RSA_PKCS1_OAEP_PADDING
+      };
+      return {
+        cipherKey: crypto.publicEncrypt(pk, key).toString('base64'),
+        initializationVector: crypto.publicEncrypt(pk, iv).toString('base64'),
+        cipherData: encrypted
+      };
+    },
+    decrypt: function(encrypted, privateKeyPem) {
+      // private key decrypt key and IV
+      var pk = {
+        key: privateKeyPem,
+        padding: crypto.constants.RSA_PKCS1_OAEP_PADDING
+      };
+      var key = crypto.privateDecrypt(
+        pk, Buffer.from(encrypted.cipherKey, 'base64'));
+      var iv = crypto.privateDecrypt(
+        pk, Buffer.from(encrypted.initializationVector, 'base64'));
+
+      // symmetric decrypt data
+      var decipher = crypto.createDecipheriv('aes-128-cbc', key, iv);
+      var decrypted = decipher.update(encrypted.cipherData, 'base64', 'utf8');
+      return decrypted + decipher.final('utf8');
+    }
+  };
+
+  /**
+   * The authenticated cipher algorithm. The AES-256 key is encrypted using
+   * RSA-OAEP with SHA-256 and the data is encrypted using AES-256-GCM. The
+   * 16-byte authentication tag is appended to the cipher data and the
+   * algorithm identifier is authenticated as additional data.
+   */
+  api.CIPHER_ALGORITHMS['rsa-sha256-aes-256-gcm'] = {
+    encrypt: function(data, publicKeyPem) {
+      // generate symmetric key and IV
+      var key = crypto.randomBytes(32);
+      var iv = crypto.randomBytes(12);
+
+      // symmetric encrypt data
+      var cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+      cipher.setAAD(Buffer.from('rsa-sha256-aes-256-gcm', 'utf8'));
+      var encrypted = Buffer.concat([
+        cipher.update(data, 'utf8'), cipher.final(), cipher.getAuthTag()]);
+
+      // public key encrypt key
+      var pk = {
+        key: publicKeyPem,
+        padding: crypto.constants.RSA_PKCS1_OAEP_PADDING,
+        oaepHash: 'sha256'
+      };
+      return {
+        cipherKey: crypto.publicEncrypt(pk, key).toString('base64'),
+        initializationVector: iv.toString('base64'),
+        cipherData: encrypted.toString('base64')
+      };
+    },
+    decrypt: function(encrypted, privateKeyPem) {
+      // private key decrypt key
+      var pk = {
+        key: privateKeyPem,
+        padding: crypto.constants.RSA_PKCS1_OAEP_PADDING,
+        oaepHash: 'sha256'
+      };
+      var key = crypto.privateDecrypt(
+        pk, Buffer.from(encrypted.cipherKey, 'base64'));
+      var iv = Buffer.from(encrypted.initializationVector, 'base64');
+
+      // split authentication tag from data
+      var data = Buffer.from(encrypted.cipherData, 'base64');
+      if(data.length < 16) {
+        throw new Error('Cipher data is too short.');
+      }
+      var tag = data.slice(data.length - 16);
+      data = data.slice(0, data.length - 16);
+
+      // symmetric decrypt and authenticate data
+      var decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+      decipher.setAAD(Buffer.from('rsa-sha256-aes-256-gcm', 'utf8'));
+      decipher.setAuthTag(tag);
+      var decrypted = decipher.update(data, null, 'utf8');
+      return decrypted + decipher.final('utf8');
+    }
+  };
+
+  /**
+   * Selects the cipher algorithm to use to encrypt a message for a recipient.
+   * The first algorithm offered by the recipient that is supported is
+   * selected. A recipient that does not offer any algorithms is assumed to
+   * only support the legacy 'rsa-sha256-aes-128-cbc' algorithm.
+   *
+   * @param offered the algorithms offered by the recipient in order of
+   *          preference, either as an array or a comma-separated string.
+   *          (optional)
+   *
+   * @return the selected algorithm or null if none of the offered algorithms
+   *           are supported.
+   */
+  api.selectCipherAlgorithm = function(offered) {
+    if(typeof offered === 'string') {
+      offered = offered.split(',');
+    }
+    if(!offered || offered.length === 0) {
+      return 'rsa-sha256-aes-128-cbc';
+    }
+    for(var i = 0; i < offered.length; ++i) {
+      var algorithm = offered[i].trim();
+      if(algorithm in api.CIPHER_ALGORITHMS) {
+        return algorithm;
+      }
+    }
+    return null;
+  };
+
+  /**
+   * Encrypts a JSON-LD object, producing an EncryptedMessage that can be
+   * decrypted with payswarm.decrypt.
+   *
+   * @param obj the JSON-LD object to encrypt.
+   * @param options the options to use.
+   *          publicKeyPem the public key to encrypt with, in PEM-encoded
+   *            format.
+   *          [algorithm] the encryption algorithm to use, see
+   *            payswarm.selectCipherAlgorithm (default:
+   *            'rsa-sha256-aes-128-cbc').
+   * @param callback(err, encrypted) called once the operation completes.
+   */
+  api.encrypt = function(obj, options, callback) {
+    var algorithm = options.algorithm || 'rsa-sha256-aes-128-cbc';
+    if(!(algorithm in api.CIPHER_ALGORITHMS)) {
+      return callback(new Error('[payswarm.encrypt] ' +
+        'Unknown encryption algorithm "' + algorithm + '"'));
+    }
+
+    try {
+      var encrypted = api.CIPHER_ALGORITHMS[algorithm].encrypt(
+        JSON.stringify(obj), options.publicKeyPem);
+      callback(null, {
+        '@context': api.CONTEXT_URL,
+        type: 'EncryptedMessage',
+        cipherData: encrypted.cipherData,
+        cipherAlgorithm: algorithm,
+        cipherKey: encrypted.cipherKey,
+        initializationVector: encrypted.initializationVector
+      });
+    }
+    catch(ex) {
+      callback(new Error('[payswarm.encrypt] ' +
+        'Failed to encrypt the message: ' + ex.toString()));
+    }
+  };
+
+  /**
+   * Decrypts an encrypted JSON-LD object.
+   *
+   * @param encrypted the message to decrypt.
+   * @param options the options to use.
+   *          privateKey the private key to decrypt with, in PEM-encoded format.
+   *          [cipherAlgorithms] the encryption algorithms to accept (default:
+   *            all supported algorithms).
+   * @param callback(err, result) called once the operation completes.
+   */
+  api.decrypt = function(encrypted, options, callback) {
+    var algorithm = encrypted.cipherAlgorithm;
+    var accepted = options.cipherAlgorithms || api.CIPHER_ALGORITHM_PREFERENCES;
+    if(!(algorithm in api.CIPHER_ALGORITHMS)) {
+      return callback(new Error('[payswarm.decrypt] ' +
+        'Unknown encryption algorithm "' + algorithm + '"'));
+    }
+    if(accepted.indexOf(algorithm) === -1) {
+      return callback(new Error('[payswarm.decrypt] ' +
+        'Encryption algorithm "' + algorithm + '" is not accepted.'));
+    }
+
+    try {
+      var decrypted = api.CIPHER_ALGORITHMS[algorithm].decrypt(
+        encrypted, options.privateKey);
+
+      // return parsed result
+      var result = JSON.parse(decrypted);
+      callback(null, result);
+    }
+    catch(ex) {
+      callback(new Error('[payswarm.decrypt] ' +
+        'Failed to decrypt the encrypted message: ' + ex.toString()));
+    }
+  };
+
+  /**
+   * Decodes a JSON-encoded, encrypted, digitally-signed message from a
+   * PaySwarm Authority.
+   *
+   * @param msg the json-encoded message to verify.
+   * @param options the options to use.
+   *          privateKey the private key to decrypt with, in PEM-encoded format.
+   *          [cipherAlgorithms] the encryption algorithms to accept (default:
+   *            all supported algorithms).
+   * @param callback(err, result) called once the operation completes.
+   */
+  api.decodeAuthorityMessage = function(msg, options, callback) {
+    try {
+      // convert message from json
+      msg = JSON.parse(msg);
+    }
+    catch(ex) {
+      return callback(new Error('[payswarm.decodeAuthorityMessage] ' +
+        'The message contains malformed JSON.'));
+    }
+
+    // decrypt and verify message
+    async.waterfall([
+      function(callback) {
+        api.decrypt(msg, options, callback);
+      },
+      function(result, callback) {
+        api.verify(result, function(err) {
+          if(err) {
+            return callback(err);
+          }
+          callback(null, result);
+        });
+      }
+    ], callback);
+  };
+
+  /**
+   * Encodes a message in the same way that a PaySwarm Authority does; the
+   * message is digitally-signed, encrypted, and then JSON-encoded. This is the
+   * inverse of payswarm.decodeAuthorityMessage.
+   *
+   * @param obj the JSON-LD object to encode.
+   * @param options the options to use.
+   *          publicKeyId URL to the public key that is associated with the
+   *            private key to sign with.
+   *          privateKeyPem the private key to sign with, in PEM-encoded format.
+   *          publicKeyPem the public key of the recipient to encrypt with, in
+   *            PEM-encoded format.
+   *          [nonce] the nonce to use in the signature.
+   *          [algorithm] the encryption algorithm to use.
+   * @param callback(err, msg) called once the operation completes.
+   */
+  api.encodeAuthorityMessage = function(obj, options, callback) {
+    async.waterfall([
+      function(callback) {
+        api.sign(obj, {
+          publicKeyId: options.publicKeyId,
+          privateKeyPem: options.privateKeyPem,
+          nonce: options.nonce
+        }, callback);
+      },
+      function(signed, callback) {
+        api.encrypt(signed, {
+          publicKeyPem: options.publicKeyPem,
+          algorithm: options.algorithm
+        }, callback);
+      },
+      function(encrypted, callback) {
+        callback(null, JSON.stringify(encrypted));
+      }
+    ], callback);
+  };
+
+  /**
+   * Gets a service config for a PaySwarm Authority.
+   *
+   * @param host the PaySwarm Authority host and port.
+   * @param path path to the config.
+   * @param options: (optional)
+   *          cache: true to cache the response. [true] (optional)
+   *          request: options for the request. (optional)
+   * @param callback(err, config) called once the operation completes.
+   */
+  var _getServiceConfig = function(host, path, options, callback) {
+    if(typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+    if(!('cache' in options)) {
+      options.cache = true;
+    }
+
+    // get config
+    var url = 'https://' + host + path;
+    api.getJsonLd(url, options, callback);
+  };
+
+  /**
+   * Gets the service config for a PaySwarm Authority. The config is validated
+   * against SCHEMAS.AuthorityConfig and its authorityIdentity must be on the
+   * authority's host. If the config is signed, it must be signed by its
+   * authorityIdentity; see AUTHORITY_CONFIG_CONTEXT. An unsigned config is
+   * accepted unless requireSignature is true.
+   *
+   * @param host the PaySwarm Authority host and port.
+   * @param options: (optional)
+   *          cache: true to cache the response. [true] (optional)
+   *          services: the names of the services the config must have, eg:
+   *            ['paymentService']. (optional)
+   *          requireSignature: true to reject an unsigned config; a config
+   *            that is signed is always checked. [false] (optional)
+   *          request: options for the request. (optional)
+   * @param callback(err, config) called once the operation completes.
+   */
+  api.getAuthorityConfig = function(host, options, callback) {
+    if(typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+    _getValidServiceConfig(
+      'getAuthorityConfig', 'AuthorityConfig', host, '/.well-known/payswarm',
+      options, function(err, config, url) {
+      if(err) {
+        return callback(err);
+      }
+      // the identity's port may differ, eg: if the default port is given
+      if(URL.parse(config.authorityIdentity).hostname !==
+        URL.parse('https://' + host).hostname) {
+        return callback(new Error('[payswarm.getAuthorityConfig] ' +
+          'The PaySwarm Authority at "' + host + '" gives the identity "' +
+          config.authorityIdentity + '" from another host in "' + url +
+          '".'));
+      }
+      if(!('signature' in config)) {
+        if(options.requireSignature) {
+          return callback(new Error('[payswarm.getAuthorityConfig] ' +
+            'The configuration of the PaySwarm Authority at "' + host +
+            '" is not signed.'));
+        }
+        return callback(null, config);
+      }
+      var signed = config;
+      if(!('@context' in config)) {
+        signed = _extend({
+          '@context': [api.CONTEXT_URL, api.AUTHORITY_CONFIG_CONTEXT]
+        }, config);
+      }
+      api.verify(signed, {
+        checkTimestamp: false,
+        checkTrust: false,
+        policy: [config.authorityIdentity],
+        request: options.request
+      }, function(err) {
+        if(err) {
+          return callback(new Error('[payswarm.getAuthorityConfig] ' +
+            'The configuration of the PaySwarm Authority at "' + host +
+            '" is not signed by its authorityIdentity "' +
+            config.authorityIdentity + '": ' + err.message));
+        }
+        callback(null, config);
+      });
+    });
+  };
+
+  /**
+   * Gets the service config for a Web Keys endpoint. The config is validated
+   * against SCHEMAS.WebKeysConfig.
+   *
+   * @param host the Web Keys host and port.
+   * @param options: (optional)
+   *          cache: true to cache the response. [true] (optional)
+   *          request: options for the request. (optional)
+   * @param callback(err, config) called once the operation completes.
+   */
+  api.getWebKeysConfig = function(host, options, callback) {
+    if(typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+    _getValidServiceConfig(
+      'getWebKeysConfig', 'WebKeysConfig', host, '/.well-known/web-keys',
+      options, function(err, config) {
+      callback(err, config);
+    });
+  };
+
+  /**
+   * Gets a service config and validates it against the schema for its type.
+   *
+   * @param fn the name of the API function, eg: 'getAuthorityConfig'.
+   * @param type the type of config, eg: 'AuthorityConfig'.
+   * @param host the host and port.
+   * @param path path to the config.
+   * @param options the options to use:
+   *          services: the names of the services the config must have.
+   *            (optional)
+   *          and the options for _getServiceConfig.
+   * @param callback(err, config, url) called once the operation completes.
+   */
+  function _getValidServiceConfig(fn, type, host, path, options, callback) {
+    var url = 'https://' + host + path;
+    _getServiceConfig(host, path, options, function(err, config) {
+      if(err) {
+        return callback(err);
+      }
+      var result = api.validate(config, type);
+      if(!result.valid) {
+        return callback(_validationError(fn, type, result, url));
+      }
+      var services = options.services || [];
+      for(var i = 0; i < services.length; ++i) {
+        if(!(services[i] in config)) {
+          return callback(new Error('[payswarm.' + fn + '] ' +
+            'The configuration for "' + host + '" has no "' + services[i] +
+            '"; it is required to use this service. See "' + url + '".'));
+        }
+      }
+      callback(null, config, url);
+    });
+  }
+
+  /**
+   * Caches a license at the PaySwarm Authority and returns the result.
+   *
+   * @param host the PaySwarm Authority host and port.
+   * @param id the ID of the license to cache.
+   * @param options the options to sign the request with:
+   *          publicKeyId the ID of the public key to sign with.
+   *          privateKeyPem the private key to sign with, in PEM format.
+   * @param callback(err, result) called once the operation completes.
+   */
+  api.cacheLicenseAtAuthority = function(host, id, options, callback) {
+    async.auto({
+      getConfig: function(callback) {
+        api.getAuthorityConfig(host, {services: ['licensesService']}, callback);
+      },
+      sign: function(callback) {
+        var msg = {
+          '@context': api.CONTEXT_URL,
+          license: id
+        };
+        api.sign(msg, {
+          publicKeyId: options.publicKeyId,
+          privateKeyPem: options.privateKeyPem
+        }, callback);
+      },
+      post: ['getConfig', 'sign', function(callback, results) {
+        var url = results.getConfig.licensesService;
+        var msg = results.sign;
+        api.postJsonLd(url, msg, callback);
+      }],
+      checkLicense: ['post', function(callback, results) {
+        var license = results.post;
+        if(license === null || typeof license !== 'object') {
+          return callback(new Error('[payswarm.cacheLicenseAtAuthority] ' +
+            'Invalid response when caching license.'));
+        }
+        // FIXME: use JSON-LD exceptions
+        if('message' in license) {
+          return callback(new Error('[payswarm.cacheLicenseAtAuthority] ' +
+            'Error while caching license: ' + license.message));
+        }
+        callback(null, license);
+      }]
+    }, function(err, results) {
+      callback(err, results.checkLicense);
+    });
+  };
+
+  /**
+   * Generates a PEM-encoded key pair and stores it by calling the
+   * 'storeKeyPair' hook.
+   *
+   * @param options the options to use. (optional)
+   *          [type] the type of key pair, 'rsa', 'ecdsa-p256', or 'ed25519'
+   *            (default: 'rsa').
+   *          [keySize] the size of an RSA key in bits (default: 2048).
+   * @param callback(err, pair) called once the operation completes.
+   */
+  api.createKeyPair = function(options, callback) {
+    if(typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+    var type = options.type || 'rsa';
+
+    // keys are generated in PEM-format
+    var keyType;
+    var keyOptions = {
+      publicKeyEncoding: {type: 'spki', format: 'pem'},
+      privateKeyEncoding: {type: 'pkcs8', format: 'pem'}
+    };
+    if(type === 'rsa') {
+      keyType = 'rsa';
+      keyOptions.modulusLength = options.keySize || 2048;
+      keyOptions.publicExponent = 65537;
+      keyOptions.privateKeyEncoding.type = 'pkcs1';
+    }
+    else if(type === 'ecdsa-p256') {
+      keyType = 'ec';
+      keyOptions.namedCurve = 'prime256v1';
+    }
+    else if(type === 'ed25519') {
+      keyType = 'ed25519';
+    }
+    else {
+      return callback(new Error('[payswarm.createKeyPair] ' +
+        'Unknown key type "' + type + '".'));
+    }
+
+    async.waterfall([
+      function(callback) {
+        crypto.generateKeyPair(keyType, keyOptions, callback);
+      },
+      function(publicKey, privateKey, callback) {
+        var pair = {privateKey: privateKey, publicKey: publicKey};
+        if(!('storeKeyPair' in hooks)) {
+          return callback(null, pair);
+        }
+
+        // store key pair
+        hooks.storeKeyPair(publicKey, privateKey, function(err) {
+          callback(err, pair);
+        });
+      }
+    ], callback);
+  };
+
+  /**
+   * Discovers the PaySwarm Authority that hosts an identity, using the
+   * authority's configuration (/.well-known/payswarm), and checks that it is
+   * trusted.
+   *
+   * @param identity the ID (IRI) of the identity, eg:
+   *          'https://example.com/i/jane', or a handle, eg:
+   *          'jane@example.com'; the host and port of the authority may also
+   *          be given.
+   * @param options the options to use: (optional)
+   *          checkTrust: check that the authority is trusted via the
+   *            isTrusted or isTrustedAuthority hook, as verify does [true]
+   *            (optional)
+   *          documentTypes: the types of documents, eg: 'Receipt', that the
+   *            authority must be trusted to sign. (optional)
+   *          services: the names of the services the authority's
+   *            configuration must have, eg: ['paymentService']. (optional)
+   *          requireSignature: true to reject an unsigned configuration.
+   *            [false] (optional)
+   *          request: options for network requests. (optional)
+   * @param callback(err, result) called once the operation completes, where
+   *          result is {host, authority, identity, config}: the host and
+   *          port of the authority, the ID of the authority, the ID of the
+   *          identity if one was given, and the authority's configuration.
+   */
+  api.discoverAuthority = function(identity, options, callback) {
+    if(typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+    var host = _getHost(identity);
+    if(!host) {
+      return callback(new Error('[payswarm.discoverAuthority] ' +
+        'The PaySwarm Authority of "' + identity + '" cannot be determined; ' +
+        'give an identity such as "https://example.com/i/jane" or a handle ' +
+        'such as "jane@example.com".'));
+    }
+
+    async.auto({
+      config: function(callback) {
+        api.getAuthorityConfig(host, {
+          services: options.services,
+          requireSignature: options.requireSignature,
+          request: _extend({}, options.request)
+        }, callback);
+      },
+      trusted: ['config', function(callback, results) {
+        if(options.checkTrust === false) {
+          return callback(null, true);
+        }
+        // use the same query as verify; the public key is the one that
+        // signed the configuration, if it is signed
+        var config = results.config;
+        var id = config.authorityIdentity;
+        if('isTrusted' in hooks) {
+          var query = {
+            owner: id,
+            documentTypes: [].concat(options.documentTypes || [])
+          };
+          if('signature' in config) {
+            query.publicKey = config.signature.creator;
+          }
+          return hooks.isTrusted(query, callback);
+        }
+        if('isTrustedAuthority' in hooks) {
+          return hooks.isTrustedAuthority(id, callback);
+        }
+        callback(new Error('[payswarm.discoverAuthority] ' +
+          'No isTrusted or isTrustedAuthority hook has been added.'));
+      }]
+    }, function(err, results) {
+      if(err) {
+        return callback(err);
+      }
+      var authority = results.config.authorityIdentity;
+      if(!results.trusted) {
+        return callback(new Error('[payswarm.discoverAuthority] ' +
+          'The PaySwarm Authority "' + authority + '" at "' + host +
+          '" is not trusted.'));
+      }
+      callback(null, {
+        host: host,
+        authority: authority,
+        identity: (identity.indexOf('://') !== -1) ? identity : null,
+        config: results.config
+      });
+    });
+  };
+
+  /**
+   * Adds a trusted PaySwarm Authority. Only trusted PaySwarm Authorities can
+   * be used in financial transactions.
+   *
+   * @param host the PaySwarm Authority host and port.
+   * @param callback(err) called once the operation completes.
+   */
+  api.addTrustedAuthority = function(host, callback) {
+    // get authority config
+    api.getAuthorityConfig(host, function(err, config) {
+      if(err) {
+        return callback(err);
+      }
+
+      // store authority identity
+      var id = config.authorityIdentity;
+      hooks.storeTrustedAuthority(id, callback);
+    });
+  };
+
+  /**
+   * Loads a signed trust list into a trust policy. A trust list is a JSON-LD
+   * document of type 'TrustList' that uses the PaySwarm context together with
+   * TRUST_LIST_CONTEXT; each of its 'trustedAuthority' entries has an
+   * 'authority' and may restrict the trust with 'publicKey', 'documentType',
+   * and 'expiration' values:
+   *
+   * {
+   *   "@context": ["https://w3id.org/payswarm/v1", {...TRUST_LIST_CONTEXT}],
+   *   "id": "https://example.com/trust-list",
+   *   "type": "TrustList",
+   *   "expiration": "2030-06-01T00:00:00Z",
+   *   "trustedAuthority": [{
+   *     "authority": "https://example.com/i/authority",
+   *     "publicKey": "https://example.com/i/authority/keys/1",
+   *     "documentType": ["Receipt", "IdentityPreferences"],
+   *     "expiration": "2030-01-01T00:00:00Z"
+   *   }],
+   *   "signature": {...}
+   * }
+   *
+   * The entries are only loaded if the list is signed by the given signers
+   * and has not expired. The list must have an ID and an expiration date; no
+   * entry from the list is trusted after the list expires. Loading a list
+   * again replaces the entries that were previously loaded from it, so
+   * entries that were dropped from the list are no longer trusted.
+   *
+   * @param list the trust list or the URL to retrieve it from.
+   * @param policy the trust policy to load the entries into.
+   * @param options the options to use:
+   *          signers: the IDs of the public keys or key owners that must
+   *            have signed the trust list.
+   *          request: options for network requests. (optional)
+   * @param callback(err, entries) called once the operation completes with
+   *          the entries that were loaded.
+   */
+  api.loadTrustList = function(list, policy, options, callback) {
+    if(!options.signers || [].concat(options.signers).length === 0) {
+      return callback(new Error('[payswarm.loadTrustList] ' +
+        'The signers of the trust list must be given.'));
+    }
+
+    async.auto({
+      getList: function(callback) {
+        if(typeof list !== 'string') {
+          return callback(null, list);
+        }
+        api.getJsonLd(list, {request: options.request}, callback);
+      },
+      verify: ['getList', function(callback, results) {
+        // the trust list is trusted because of its signers, not a trust policy
+        api.verify(results.getList, {
+          request: options.request,
+          checkTimestamp: false,
+          checkTrust: false,
+          policy: [].concat(options.signers)
+        }, function(err) {
+          callback(err);
+        });
+      }],
+      frame: ['verify', function(callback, results) {
+        jsonld.frame(results.getList, api.FRAMES.TrustList,
+          function(err, framed) {
+          if(err) {
+            return callback(err);
+          }
+          if(framed['@graph'].length !== 1) {
+            return callback(new Error('[payswarm.loadTrustList] ' +
+              'The document must contain exactly one trust list.'));
+          }
+          var trustList = framed['@graph'][0];
+          if(typeof trustList.id !== 'string') {
+            return callback(new Error('[payswarm.loadTrustList] ' +
+              'The trust list must have an ID.'));
+          }
+          if(!('expiration' in trustList)) {
+            return callback(new Error('[payswarm.loadTrustList] ' +
+              'The trust list must have an expiration date.'));
+          }
+          var expires = +new Date(trustList.expiration);
+          if(isNaN(expires)) {
+            return callback(new Error('[payswarm.loadTrustList] ' +
+              'The trust list has an invalid expiration date.'));
+          }
+          if(expires <= Date.now()) {
+            return callback(new Error('[payswarm.loadTrustList] ' +
+              'The trust list expired on ' + trustList.expiration + '.'));
+          }
+          callback(null, trustList);
+        });
+      }],
+      load: ['frame', function(callback, results) {
+        var listExpires = results.frame.expiration;
+        var entries;
+        try {
+          entries = jsonld.getValues(results.frame, 'trustedAuthority').map(
+            function(value) {
+            var entry = {authority: value.authority};
+            if('publicKey' in value) {
+              entry.publicKeys = jsonld.getValues(value, 'publicKey');
+            }
+            if('documentType' in value) {
+              entry.documentTypes = jsonld.getValues(value, 'documentType');
+            }
+            // an entry is trusted no longer than the list it came from
+            entry.expires = listExpires;
+            if('expiration' in value) {
+              var expires = +new Date(value.expiration);
+              if(isNaN(expires) || expires < +new Date(listExpires)) {
+                // invalid dates are rejected when the entries are replaced
+                entry.expires = value.expiration;
+              }
+            }
+            return entry;
+          });
+          // replaces entries only once all of them are valid
+          policy.replace(results.frame.id, entries);
+        }
+        catch(ex) {
+          return callback(ex);
+        }
+        callback(null, entries);
+      }]
+    }, function(err, results) {
+      callback(err, results.load);
+    });
+  };
+
+  /**
+   * Get the PaySwarm Authority's vendor registration URL, including the
+   * parameters required to register the vendor. If a key pair does not exist
+   * it will be generated, otherwise the existing key pair will be used unless
+   * overwriteKeyPair is set to true.
+   *
+   * @param host the PaySwarm Authority host and port.
+   * @param registrationCallback the registrationCallback to use.
+   * @param options the options to use: (optional)
+   *          overwriteKeyPair true to generate a new key-pair even if
+   *            there is an existing one.
+   *          cipherAlgorithms the encryption algorithms to offer for the
+   *            response, in order of preference (default:
+   *            payswarm.CIPHER_ALGORITHM_PREFERENCES).
+   * @param callback(err, url) called once the operation completes.
+   */
+  api.getRegisterVendorUrl = function(
+    host, registrationCallback, options, callback) {
+    if(typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+    var cipherAlgorithms =
+      options.cipherAlgorithms || api.CIPHER_ALGORITHM_PREFERENCES;
+
+    async.auto({
+      trustedAuthority: function(callback) {
+        // automatically trust given payswarm authority
+        api.addTrustedAuthority(host, callback);
+      },
+      getRegisterUrl: function(callback) {
+        // get register URL from authority config
+        api.getAuthorityConfig(host, {services: ['vendorRegistrationService']},
+          function(err, config) {
+          if(err) {
+            return callback(err);
+          }
+          callback(null, config.vendorRegistrationService);
+        });
+      },
+      getPublicKey: function(callback) {
+        // use existing public key if overwrite is not specified
+        if(!options.overwriteKeyPair) {
+          return hooks.getPublicKey(callback);
+        }
+        // no public key available (or overwriting), generate new key pair
+        api.createKeyPair(function(err, pair) {
+          if(err) {
+            return callback(err);
+          }
+          callback(null, pair.publicKey);
+        });
+      },
+      createNonce: function(callback) {
+        api.createNonce(callback);
+      }
+    }, function(err, results) {
+      if(err) {
+        return callback(err);
+      }
+
+      // add query parameters to the register URL
+      var url = api.addQueryVars(results.getRegisterUrl, {
+        'public-key': results.getPublicKey,
+        'registration-callback': registrationCallback,
+        'response-nonce': results.createNonce,
+        'response-cipher-algorithms': cipherAlgorithms.join(',')
+      });
+      callback(null, url);
+    });
+  };
+
+  /**
+   * Completes the vendor registration process by verifying the response
+   * from the PaySwarm Authority.
+   *
+   * @param msg the JSON-encoded encrypted registration response message.
+   * @param options the options to use.
+   *          privateKey the private key to decrypt with, in PEM-encoded format.
+   *          [cipherAlgorithms] the encryption algorithms to accept (default:
+   *            all supported algorithms).
+   * @param callback(err, prefs) called once the operation completes.
+   */
+  api.registerVendor = function(msg, options, callback) {
+    async.auto({
+      decode: function(callback) {
+        api.decodeAuthorityMessage(msg, options, callback);
+      },
+      checkMessage: ['decode', function(callback, results) {
+        var prefs = results.decode;
+        if(jsonld.hasValue(prefs, 'type', 'Error')) {
+          return callback(new Error('[payswarm.registerVendor] ' +
+            prefs.errorMessage));
+        }
+        if(!jsonld.hasValue(prefs, 'type', 'IdentityPreferences')) {
+          return callback(new Error('[payswarm.registerVendor] ' +
+            'Invalid registration response from PaySwarm Authority.'));
+        }
+        var result = api.validate(prefs, 'IdentityPreferences');
+        if(!result.valid) {
+          return callback(_validationError(
+            'registerVendor', 'IdentityPreferences', result));
+        }
+        callback();
+      }],
+      storePublicKeyId: ['checkMessage', function(callback, results) {
+        var prefs = results.decode;
+        hooks.storePublicKeyId(prefs.publicKey, callback);
+      }]
+    }, function(err, results) {
+      if(err) {
+        return callback(err);
+      }
+      callback(null, results.decode);
+    });
+  };
+
+  /**
+   * Get the PaySwarm Authority's purchase URL, including the parameters
+   * identifying the Listing with the Asset to be purchased.
+   *
+   * @param host the PaySwarm Authority host and port, or the customer's
+   *          identity (IRI) or handle, eg: 'jane@example.com', to discover
+   *          the authority from using discoverAuthority.
+   * @param listingId the ID (IRI) for the Listing.
+   * @param listingHash the hash for the Listing.
+   * @param purchaseCallback the callback URL for the purchase result.
+   * @param options the options to use: (optional)
+   *          cipherAlgorithms the encryption algorithms to offer for the
+   *            purchase result, in order of preference (default:
+   *            payswarm.CIPHER_ALGORITHM_PREFERENCES).
+   *          checkTrust check that a discovered authority is trusted [true].
+   * @param callback(err, url) called once the operation completes.
+   */
+  api.getPurchaseUrl = function(
+    host, listingId, listingHash, purchaseCallback, options, callback) {
+    if(typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+    var cipherAlgorithms =
+      options.cipherAlgorithms || api.CIPHER_ALGORITHM_PREFERENCES;
+
+    async.auto({
+      getPurchaseUrl: function(callback) {
+        // get purchase URL from authority config
+        var configOptions = {services: ['paymentService']};
+        if(host.indexOf('://') !== -1 || host.indexOf('@') !== -1) {
+          configOptions.checkTrust = options.checkTrust;
+          configOptions.documentTypes = ['Receipt'];
+          return api.discoverAuthority(host, configOptions,
+            function(err, result) {
+            callback(err, err ? null : result.config.paymentService);
+          });
+        }
+        api.getAuthorityConfig(host, configOptions, function(err, config) {
+          callback(err, err ? null : config.paymentService);
+        });
+      },
+      createNonce: function(callback) {
+        api.createNonce(callback);
+      }
+    }, function(err, results) {
+      if(err) {
+        return callback(err);
+      }
+
+      // add query parameters to the register URL
+      var url = api.addQueryVars(results.getPurchaseUrl, {
+        listing: listingId,
+        'listing-hash': listingHash,
+        callback: purchaseCallback,
+        'response-nonce': results.createNonce,
+        'response-cipher-algorithms': cipherAlgorithms.join(',')
+      });
+      callback(null, url);
+    });
+  };
+
+  /**
+   * Performs an automated purchase on behalf of a customer who has previously
+   * authorized it.
+   *
+   * The purchase request is sent to the transaction service given in the
+   * configuration of the customer's PaySwarm Authority. It carries a
+   * client-generated referenceId and it is recorded via the storePurchase
+   * hook, in memory unless a purchase store is given, before it is sent. If
+   * the outcome of a purchase is not known, eg: because the request timed
+   * out, calling purchase again with the same referenceId is safe: the
+   * PaySwarm Authority is asked, via getPurchaseByReference, whether it made
+   * the purchase before the purchase request is sent again. The authority is
+   * also asked whenever a referenceId is given that has no stored record, eg:
+   * because the record was kept in memory by a process that has since
+   * exited, so a PaySwarm Authority with a purchase lookup service is then
+   * required.
+   *
+   * @param listing the listing object containing the asset to purchase.
+   * @param options the options to use.
+   *          identity the URL for the identity that is purchasing the asset.
+   *          publicKey the URL for the public key associated with the private
+   *            key to use to sign the purchase request.
+   *          privateKeyPem the private key, in PEM-format, to use to sign
+   *            the purchase request.
+   *          [authority] the customer's PaySwarm Authority, as a host and
+   *            port, a URL, or a handle (default: discovered from the
+   *            identity using discoverAuthority).
+   *          [checkTrust] true to check that the customer's PaySwarm
+   *            Authority is trusted [false].
+   *          [transactionService] the URL to send the purchase request to,
+   *            instead of the one in the PaySwarm Authority's configuration.
+   *          [source] the URL for the customer's financial account to use to
+   *            pay for the asset (this may be omitted if a customer has
+   *            previously associated a budget with the vendor that signed
+   *            the listing).
+   *          [quote] a quote for the listing obtained using getQuote; the
+   *            purchase fails if the quote has expired, and the customer
+   *            will not be charged more than the quoted amount.
+   *          [referenceId] the reference ID of the purchase (default: a new
+   *            one from createReferenceId); give the same one to retry a
+   *            purchase.
+   *          [purchaseLookupService] the URL to look up a purchase with the
+   *            given referenceId at, as for getPurchaseByReference.
+   *          [verbose] true if debugging information should be printed to the
+   *            console.
+   *          [request] options for network requests.
+   * @param callback(err, receipt) called once the operation completes.
+   */
+  api.purchase = function(listing, options, callback) {
+    var quote = options.quote || null;
+    async.auto({
+      purchaseRequest: function(callback) {
+        _createPurchaseRequest('purchase', listing, options, callback);
+      },
+      referenceId: function(callback) {
+        if(options.referenceId) {
+          return callback(null, options.referenceId);
+        }
+        api.createReferenceId(callback);
+      },
+      stored: ['purchaseRequest', 'referenceId', function(callback, results) {
+        hooks.getStoredPurchase(results.referenceId, function(err, record) {
+          if(err) {
+            return callback(err);
+          }
+          var purchaseRequest = results.purchaseRequest;
+          if(record && (record.listing !== purchaseRequest.listing ||
+            record.listingHash !== purchaseRequest.listingHash)) {
+            return callback(new Error('[payswarm.purchase] ' +
+              'The referenceId "' + results.referenceId + '" has already ' +
+              'been used to purchase a different Listing.'));
+          }
+          callback(null, record);
+        });
+      }],
+      made: ['stored', function(callback, results) {
+        // a given referenceId may have been used by a purchase whose record
+        // is not available, so ask the authority before sending it
+        if(results.stored || !options.referenceId) {
+          return callback(null, null);
+        }
+        api.getPurchaseByReference(results.referenceId, {
+          identity: options.identity,
+          authority: options.authority,
+          checkTrust: options.checkTrust,
+          purchaseLookupService: options.purchaseLookupService,
+          request: options.request
+        }, callback);
+      }],
+      transactionService: ['made', function(callback, results) {
+        if(results.stored) {
+          return callback(null, results.stored.transactionService);
+        }
+        _getAuthorityService(
+          'purchase', 'transactionService', options, function(err, url) {
+          callback(err, url);
+        });
+      }],
+      record: ['transactionService', function(callback, results) {
+        if(results.stored) {
+          return callback(null, results.stored);
+        }
+        var purchaseRequest = results.purchaseRequest;
+        purchaseRequest.referenceId = results.referenceId;
+        if(quote && !results.made) {
+          var err = _checkQuote(quote, purchaseRequest);
+          if(err) {
+            return callback(err);
+          }
+          // do not pay more than the quoted amount
+          purchaseRequest.maximumAmount = quote.amount;
+        }
+
+        // record the purchase before it is sent
+        var now = api.w3cDate(new Date());
+        var record = {
+          referenceId: results.referenceId,
+          listing: purchaseRequest.listing,
+          listingHash: purchaseRequest.listingHash,
+          identity: purchaseRequest.identity || null,
+          authority: options.authority || null,
+          transactionService: results.transactionService,
+          purchaseRequest: purchaseRequest,
+          status: 'pending',
+          created: now,
+          updated: now
+        };
+        hooks.storePurchase(record, function(err) {
+          callback(err, record);
+        });
+      }],
+      receipt: ['record', function(callback, results) {
+        if(results.stored) {
+          return _resumePurchase(results.record, options, callback);
+        }
+        if(results.made) {
+          return _updatePurchase(results.record, null, results.made, callback);
+        }
+        _sendPurchase(results.record, options, callback);
+      }],
+      checkAmount: ['receipt', function(callback, results) {
+        // check the amount paid against the quote
+        var receipt = results.receipt;
+        if(!quote || !receipt ||
+          !jsonld.hasValue(receipt, 'type', 'Receipt')) {
+          return callback();
+        }
+        if(!receipt.contract || typeof receipt.contract !== 'object' ||
+          !('amount' in receipt.contract)) {
+          return callback(new Error('[payswarm.purchase] ' +
+            'The receipt does not give the amount paid, so it cannot be ' +
+            'checked against the quoted amount, ' + quote.amount + '.'));
+        }
+        var amount = receipt.contract.amount;
+        var paid;
+        try {
+          paid = payees.compareDecimals(amount, quote.amount);
+        }
+        catch(ex) {
+          return callback(new Error('[payswarm.purchase] ' +
+            'The amount paid cannot be checked against the quoted amount: ' +
+            ex.message));
+        }
+        if(paid !== 0) {
+          return callback(new Error('[payswarm.purchase] ' +
+            'The amount paid, ' + amount + ', is not the quoted amount, ' +
+            quote.amount + '.'));
+        }
+        callback();
+      }]
+    }, function(err, results) {
+      callback(err, results.receipt);
+    });
+  };
+
+  /**
+   * Creates a new reference ID for a purchase.
+   *
+   * @param callback(err, referenceId) called once the operation completes.
+   */
+  api.createReferenceId = function(callback) {
+    crypto.randomBytes(16, function(err, bytes) {
+      if(err) {
+        return callback(err);
+      }
+      var hex = bytes.toString('hex');
+      callback(null, 'urn:uuid:' + [
+        hex.substr(0, 8), hex.substr(8, 4), '4' + hex.substr(13, 3),
+        ((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16) + hex.substr(17, 3),
+        hex.substr(20, 12)].join('-'));
+    });
+  };
+
+  /**
+   * Resumes an interrupted automated purchase using its stored record. If the
+   * outcome of the purchase is not known, the PaySwarm Authority is asked
+   * whether it made the purchase and, if it did not, the purchase request is
+   * sent again with the same referenceId.
+   *
+   * @param referenceId the reference ID of the purchase.
+   * @param options the options to use.
+   *          publicKey the URL for the public key associated with the private
+   *            key to use to sign the purchase request.
+   *          privateKeyPem the private key, in PEM-format, to use to sign
+   *            the purchase request.
+   *          [checkTrust] true to check that the customer's PaySwarm
+   *            Authority is trusted [false].
+   *          [purchaseLookupService] the URL to look up the purchase at, as
+   *            for getPurchaseByReference.
+   *          [verbose] true if debugging information should be printed to the
+   *            console.
+   *          [request] options for network requests.
+   * @param callback(err, receipt) called once the operation completes.
+   */
+  api.resumePurchase = function(referenceId, options, callback) {
+    hooks.getStoredPurchase(referenceId, function(err, record) {
+      if(err) {
+        return callback(err);
+      }
+      if(!record) {
+        return callback(new Error('[payswarm.resumePurchase] ' +
+          'No purchase with the referenceId "' + referenceId + '" has been ' +
+          'stored.'));
+      }
+      _resumePurchase(record, options, callback);
+    });
+  };
+
+  /**
+   * Asks the customer's PaySwarm Authority for the outcome of a purchase with
+   * the given reference ID. The purchase is looked up at the purchase lookup
+   * service given in the configuration of the authority, with the reference
+   * ID as the 'referenceId' query parameter.
+   *
+   * @param referenceId the reference ID of the purchase.
+   * @param options the options to use.
+   *          [identity] the URL for the identity that made the purchase.
+   *          [authority] the customer's PaySwarm Authority, as for purchase.
+   *          [checkTrust] true to check that the customer's PaySwarm
+   *            Authority is trusted [false].
+   *          [purchaseLookupService] the URL to look up the purchase at,
+   *            instead of the one in the PaySwarm Authority's configuration.
+   *          [request] options for network requests.
+   * @param callback(err, receipt) called once the operation completes, where
+   *          receipt is null if the PaySwarm Authority has not made a
+   *          purchase with the reference ID.
+   */
+  api.getPurchaseByReference = function(referenceId, options, callback) {
+    if(typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+    var fn = 'getPurchaseByReference';
+    _getAuthorityService(fn, 'purchaseLookupService', options,
+      function(err, purchaseLookupService) {
+      if(err) {
+        return callback(err);
+      }
+      var url = api.addQueryVars(
+        purchaseLookupService, {referenceId: referenceId});
+      api.getJsonLd(url, {request: _extend({}, options.request)},
+        function(err, receipt) {
+        if(err) {
+          if(err.statusCode === 404) {
+            return callback(null, null);
+          }
+          return callback(_httpError(fn, 'look up the purchase at', url, err));
+        }
+        if(jsonld.hasValue(receipt, 'type', 'Error')) {
+          return callback(new Error('[payswarm.' + fn + '] ' +
+            receipt.errorMessage));
+        }
+        callback(null, receipt);
+      });
+    });
+  };
+
+  /**
+   * Gets a quote for purchasing a Listing from the customer's PaySwarm
+   * Authority. The quote is a Contract, signed by the authority, that gives
+   * the total amount and currency to be paid, the transfers that make it up,
+   * and when the quote expires. It may be given to purchase so that the
+   * customer pays no more than the quoted amount.
+   *
+   * The signed PurchaseRequest is posted to the quote service given in the
+   * configuration of the customer's PaySwarm Authority.
+   *
+   * @param listing the listing object containing the asset to purchase.
+   * @param options the options to use, as for purchase, and:
+   *          [quoteService] the URL to send the request for a quote to,
+   *            instead of the one in the PaySwarm Authority's configuration.
+   * @param callback(err, quote) called once the operation completes.
+   */
+  api.getQuote = function(listing, options, callback) {
+    async.auto({
+      purchaseRequest: function(callback) {
+        _createPurchaseRequest('getQuote', listing, options, callback);
+      },
+      sign: ['purchaseRequest', function(callback, results) {
+        api.sign(results.purchaseRequest, {
+          publicKeyId: options.publicKey,
+          privateKeyPem: options.privateKeyPem
+        }, callback);
+      }],
+      quoteService: function(callback) {
+        _getAuthorityService('getQuote', 'quoteService', options,
+          function(err, url, id) {
+          callback(err, {url: url, authority: id});
+        });
+      },
+      quote: ['sign', 'quoteService', function(callback, results) {
+        var url = results.quoteService.url;
+        if(options.verbose) {
+          console.log('payswarm.getQuote - POSTing quote request to:',
+            JSON.stringify(url, null, 2));
+          console.log('payswarm.getQuote - Purchase Request:',
+            JSON.stringify(results.sign, null, 2));
+        }
+        api.postJsonLd(url, results.sign,
+          {request: _extend({}, options.request)}, callback);
+      }],
+      check: ['quote', function(callback, results) {
+        var quote = results.quote;
+        if(quote && jsonld.hasValue(quote, 'type', 'Error')) {
+          return callback(new Error('[payswarm.getQuote] ' +
+            quote.errorMessage));
+        }
+        if(!quote || !jsonld.hasValue(quote, 'type', 'Contract')) {
+          return callback(new Error('[payswarm.getQuote] ' +
+            'Invalid quote response from PaySwarm Authority.'));
+        }
+        var result = api.validate(quote, 'Quote');
+        if(!result.valid) {
+          return callback(_validationError('getQuote', 'Quote', result));
+        }
+        if(_getId(quote.listing) !== results.purchaseRequest.listing ||
+          quote.listingHash !== results.purchaseRequest.listingHash) {
+          return callback(new Error('[payswarm.getQuote] ' +
+            'The quote is for a different Listing.'));
+        }
+        callback();
+      }],
+      verify: ['check', function(callback, results) {
+        var verifyOptions = {
+          checkTrust: !!options.checkTrust,
+          request: _extend({}, options.request)
+        };
+        if(results.quoteService.authority) {
+          verifyOptions.policy = [results.quoteService.authority];
+        }
+        api.verify(results.quote, verifyOptions, function(err) {
+          callback(err);
+        });
+      }]
+    }, function(err, results) {
+      if(err) {
+        return callback(err);
+      }
+      callback(null, results.quote);
+    });
+  };
+
+  /**
+   * Creates an unsigned PurchaseRequest for a Listing.
+   *
+   * @param fn the name of the API function, for errors.
+   * @param listing the listing object containing the asset to purchase.
+   * @param options the purchase options.
+   * @param callback(err, purchaseRequest) called once the operation completes.
+   */
+  function _createPurchaseRequest(fn, listing, options, callback) {
+    async.waterfall([
+      function(callback) {
+        // frame the listing
+        jsonld.frame(listing, api.FRAMES.Listing, callback);
+      },
+      function(framedListing, callback) {
+        if(framedListing['@graph'].length === 0) {
+          return callback(new Error('[payswarm.' + fn + '] ' +
+            'No Listings found.'));
+        }
+        if(framedListing['@graph'].length > 1) {
+          return callback(new Error('[payswarm.' + fn + '] ' +
+            'More than one Listing found.'));
+        }
+        // extract listing from JSON-LD graph and set @context
+        listing = framedListing['@graph'][0];
+        var result = api.validate(listing, 'Listing');
+        if(!result.valid) {
+          return callback(_validationError(fn, 'Listing', result));
+        }
+        listing['@context'] = api.CONTEXT_URL;
+        api.hash(listing, function(err, hash) {
+          callback(err, hash);
+        });
+      },
+      function(hash, callback) {
+        // generate the purchase request
+        var purchaseRequest = {
+          '@context': api.CONTEXT_URL,
+          type: 'PurchaseRequest',
+          identity: options.identity,
+          listing: listing.id,
+          listingHash: hash
+        };
+        if(options.source) {
+          purchaseRequest.source = options.source;
+        }
+        callback(null, purchaseRequest);
+      }
+    ], callback);
+  }
+
+  /**
+   * Checks that a quote can be used for a purchase request.
+   *
+   * @param quote the quote, as given by getQuote.
+   * @param purchaseRequest the unsigned PurchaseRequest.
+   *
+   * @return an Error if the quote cannot be used, null if it can.
+   */
+  function _checkQuote(quote, purchaseRequest) {
+    var result = api.validate(quote, 'Quote');
+    if(!result.valid) {
+      return _validationError('purchase', 'Quote', result);
+    }
+    if(_getId(quote.listing) !== purchaseRequest.listing ||
+      quote.listingHash !== purchaseRequest.listingHash) {
+      return new Error('[payswarm.purchase] ' +
+        'The quote is for a different Listing.');
+    }
+    if(quote.assetAcquirer && purchaseRequest.identity &&
+      quote.assetAcquirer !== purchaseRequest.identity) {
+      return new Error('[payswarm.purchase] ' +
+        'The quote is for a different identity.');
+    }
+    if(_parseDate(quote.expiration) <= Date.now()) {
+      return new Error('[payswarm.purchase] ' +
+        'The quote expired at ' + quote.expiration + '.');
+    }
+    return null;
   }
 
-  async.auto({
-    // FIXME: add support for multiple signatures
-    //      : for many signers of an object, can just check all sigs
-    //      : for signed sigs, need to recurse?
-    // FIXME: add support for different signature types
-    //      : frame with signatures to get types, then reframe to get
-    //      : correct structure for each type.
-    frame: function(callback) {
-      // frame message to retrieve signature
-      var frame = {
+  /**
+   * Signs and sends the purchase request of a stored purchase and records the
+   * outcome.
+   *
+   * @param record the purchase record.
+   * @param options the purchase options.
+   * @param callback(err, receipt) called once the operation completes.
+   */
+  function _sendPurchase(record, options, callback) {
+    async.waterfall([
+      function(callback) {
+        // sign a copy so the stored purchase request can be signed again
+        api.sign(JSON.parse(JSON.stringify(record.purchaseRequest)), {
+          publicKeyId: options.publicKey,
+          privateKeyPem: options.privateKeyPem
+        }, callback);
+      },
+      function(signedPurchaseRequest, callback) {
+        var url = record.transactionService;
+        if(options.verbose) {
+          console.log('payswarm.purchase - POSTing purchase request to:',
+            JSON.stringify(url, null, 2));
+          console.log('payswarm.purchase - Purchase Request:',
+            JSON.stringify(signedPurchaseRequest, null, 2));
+        }
+        // post the purchase request to the transaction service
+        api.postJsonLd(url, signedPurchaseRequest,
+          {request: _extend({}, options.request)}, function(err, receipt) {
+          if(err) {
+            var error = _httpError(
+              'purchase', 'send the purchase request to', url, err);
+            if(err.statusCode >= 400 && err.statusCode < 500) {
+              // the PaySwarm Authority refused the purchase
+              return _updatePurchase(record, error, null, callback);
+            }
+            // the purchase may have been made
+            error.message += '; the outcome of the purchase is not known, ' +
+              'retry it with the referenceId "' + record.referenceId + '".';
+            error.referenceId = record.referenceId;
+            return callback(error);
+          }
+          if(receipt && jsonld.hasValue(receipt, 'type', 'Error')) {
+            return _updatePurchase(record, new Error('[payswarm.purchase] ' +
+              receipt.errorMessage), null, callback);
+          }
+          _updatePurchase(record, null, receipt, callback);
+        });
+      }
+    ], callback);
+  }
+
+  /**
+   * Finds out the outcome of a stored purchase, sending its purchase request
+   * again if the PaySwarm Authority has not made the purchase.
+   *
+   * @param record the purchase record.
+   * @param options the purchase options.
+   * @param callback(err, receipt) called once the operation completes.
+   */
+  function _resumePurchase(record, options, callback) {
+    if(record.status === 'completed') {
+      return callback(null, record.receipt);
+    }
+    api.getPurchaseByReference(record.referenceId, {
+      identity: record.identity,
+      authority: record.authority,
+      checkTrust: options.checkTrust,
+      purchaseLookupService: options.purchaseLookupService,
+      request: options.request
+    }, function(err, receipt) {
+      if(err) {
+        return callback(err);
+      }
+      if(receipt) {
+        return _updatePurchase(record, null, receipt, callback);
+      }
+      if(options.verbose) {
+        console.log('payswarm.purchase - Purchase not found, resending:',
+          record.referenceId);
+      }
+      _sendPurchase(record, options, callback);
+    });
+  }
+
+  /**
+   * Records the outcome of a purchase.
+   *
+   * @param record the purchase record.
+   * @param err the reason the purchase failed, null if it was completed.
+   * @param receipt the response to the purchase request, if completed.
+   * @param callback(err, receipt) called once the operation completes, with
+   *          the given error or receipt.
+   */
+  function _updatePurchase(record, err, receipt, callback) {
+    record.updated = api.w3cDate(new Date());
+    if(err) {
+      record.status = 'failed';
+      record.error = err.message;
+    }
+    else {
+      record.status = 'completed';
+      record.receipt = receipt;
+      delete record.error;
+    }
+    hooks.storePurchase(record, function(storeErr) {
+      if(err || storeErr) {
+        return callback(err || storeErr);
+      }
+      callback(null, receipt);
+    });
+  }
+
+  /**
+   * Gets the URL of a service of the customer's PaySwarm Authority, such as
+   * the transaction service to send a purchase request to, from the
+   * authority's configuration unless it is given as an option of the same
+   * name.
+   *
+   * @param fn the name of the API function, for errors.
+   * @param service the name of the service, eg: 'transactionService'.
+   * @param options the purchase options.
+   * @param callback(err, url, authority) called once the operation completes,
+   *          where authority is the ID of the PaySwarm Authority, or null if
+   *          the service was given.
+   */
+  function _getAuthorityService(fn, service, options, callback) {
+    if(options[service]) {
+      return callback(null, options[service], null);
+    }
+    if(!options.authority && !options.identity) {
+      return callback(new Error('[payswarm.' + fn + '] ' +
+        'The customer\'s PaySwarm Authority is not known; give the ' +
+        'authority or identity option.'));
+    }
+    api.discoverAuthority(options.authority || options.identity, {
+      checkTrust: !!options.checkTrust,
+      documentTypes: ['Receipt'],
+      services: [service],
+      request: _extend({}, options.request)
+    }, function(err, result) {
+      if(err) {
+        return callback(err);
+      }
+      callback(null, result.config[service], result.authority);
+    });
+  }
+
+  /**
+   * Gets the host and port from a URL or a handle, eg: 'jane@example.com';
+   * any other value is taken to be a host and port already.
+   *
+   * @param value the URL, handle, or host and port.
+   *
+   * @return the host and port, or null if there is none.
+   */
+  function _getHost(value) {
+    if(typeof value !== 'string' || value.length === 0) {
+      return null;
+    }
+    if(value.indexOf('://') !== -1) {
+      return URL.parse(value).host || null;
+    }
+    if(value.indexOf('@') !== -1) {
+      return value.substr(value.lastIndexOf('@') + 1) || null;
+    }
+    return value;
+  }
+
+  /**
+   * Completes the purchase process by verifying the response from the PaySwarm
+   * Authority and returning the receipt.
+   *
+   * @param msg the JSON-encoded encrypted purchase response message.
+   * @param options the options to use.
+   *          privateKey the private key to decrypt with, in PEM-encoded format.
+   *          [cipherAlgorithms] the encryption algorithms to accept (default:
+   *            all supported algorithms).
+   *          [listing] the Listing that was offered; if given, the receipt
+   *            is checked against it using verifyReceipt.
+   *          [asset] the Asset in the Listing, for verifyReceipt.
+   *          [license] the License in the Listing, for verifyReceipt.
+   * @param callback(err, receipt) called once the operation completes.
+   */
+  api.getReceipt = function(msg, options, callback) {
+    async.auto({
+      decode: function(callback) {
+        api.decodeAuthorityMessage(msg, options, callback);
+      },
+      checkMessage: ['decode', function(callback, results) {
+        var receipt = results.decode;
+        if(jsonld.hasValue(receipt, 'type', 'Error')) {
+          return callback(new Error('[payswarm.getReceipt] ' +
+            receipt.errorMessage));
+        }
+        if(!jsonld.hasValue(receipt, 'type', 'Receipt')) {
+          return callback(new Error('[payswarm.getReceipt] ' +
+            'Invalid purchase response from PaySwarm Authority.'));
+        }
+        callback();
+      }],
+      validate: ['checkMessage', function(callback, results) {
+        var result = api.validate(results.decode, 'Receipt');
+        if(!result.valid) {
+          return callback(_validationError('getReceipt', 'Receipt', result));
+        }
+        callback();
+      }],
+      verify: ['validate', function(callback, results) {
+        if(!options.listing) {
+          return callback();
+        }
+        api.verifyReceipt(results.decode, options.listing, {
+          asset: options.asset,
+          license: options.license
+        }, function(err, result) {
+          if(err) {
+            return callback(err);
+          }
+          if(!result.valid) {
+            return callback(new Error('[payswarm.getReceipt] ' +
+              'The Receipt does not match the Listing: ' +
+              result.mismatches.map(function(mismatch) {
+                return mismatch.message;
+              }).join(' ')));
+          }
+          callback();
+        });
+      }]
+    }, function(err, results) {
+      if(err) {
+        return callback(err);
+      }
+      callback(null, results.decode);
+    });
+  };
+
+  /**
+   * Checks that a Receipt is for the Listing that was offered. The Contract in
+   * the Receipt must refer to the Listing, its hash, and its Asset and
+   * License. The hashes of the Asset and License are recomputed and compared
+   * to those in the Listing, so that content is not delivered for a different
+   * or altered Listing.
+   *
+   * @param receipt the Receipt.
+   * @param listing the Listing that was offered.
+   * @param options the options to use: (optional)
+   *          asset: the Asset in the Listing; its hash is recomputed if it is
+   *            not embedded in the Contract, or as well as that one if it is.
+   *          license: the License in the Listing, as for asset.
+   * @param callback(err, result) called once the operation completes, where
+   *          result is {valid, mismatches} and mismatches has a
+   *          {property, expected, actual, message} for every property of the
+   *          Contract that does not match the Listing.
+   */
+  api.verifyReceipt = function(receipt, listing, options, callback) {
+    if(typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+
+    var result = api.validate(receipt, 'Receipt');
+    if(!result.valid) {
+      return callback(_validationError('verifyReceipt', 'Receipt', result));
+    }
+    var contract = receipt.contract;
+    var ctx = receipt['@context'] || api.CONTEXT_URL;
+
+    async.auto({
+      listing: function(callback) {
+        _frameOne(listing, 'Listing', callback);
+      },
+      listingHash: ['listing', function(callback, results) {
+        api.hash(results.listing, callback);
+      }],
+      assetHashes: function(callback) {
+        _hashDocuments(ctx, contract.asset, options.asset, callback);
+      },
+      licenseHashes: function(callback) {
+        _hashDocuments(ctx, contract.license, options.license, callback);
+      }
+    }, function(err, results) {
+      if(err) {
+        return callback(err);
+      }
+      var listing = results.listing;
+      var mismatches = [];
+      var compare = function(property, expected, actual, message) {
+        if(actual !== expected) {
+          mismatches.push({
+            property: property,
+            expected: expected,
+            actual: actual,
+            message: message
+          });
+        }
+      };
+
+      compare('contract.listing', listing.id, _getId(contract.listing),
+        'The Contract is for a different Listing.');
+      compare('contract.listingHash', results.listingHash,
+        contract.listingHash, 'The Contract\'s listingHash does not match ' +
+        'the hash of the Listing.');
+      if(contract.listing && typeof contract.listing === 'object') {
+        compare('contract.listing.assetHash', listing.assetHash,
+          contract.listing.assetHash, 'The Contract\'s Listing has a ' +
+          'different assetHash.');
+        compare('contract.listing.licenseHash', listing.licenseHash,
+          contract.listing.licenseHash, 'The Contract\'s Listing has a ' +
+          'different licenseHash.');
+      }
+
+      compare('contract.asset', listing.asset, _getId(contract.asset),
+        'The Contract is for a different Asset.');
+      if(results.assetHashes.length === 0) {
+        compare('contract.asset', listing.assetHash, undefined,
+          'The Asset is not embedded in the Contract, so its hash cannot be ' +
+          'recomputed; give it as the asset option.');
+      }
+      results.assetHashes.forEach(function(hash) {
+        compare('contract.asset', listing.assetHash, hash,
+          'The hash of the Asset does not match the Listing\'s assetHash.');
+      });
+
+      compare('contract.license', listing.license, _getId(contract.license),
+        'The Contract is for a different License.');
+      if(results.licenseHashes.length === 0) {
+        compare('contract.license', listing.licenseHash, undefined,
+          'The License is not embedded in the Contract, so its hash cannot ' +
+          'be recomputed; give it as the license option.');
+      }
+      results.licenseHashes.forEach(function(hash) {
+        compare('contract.license', listing.licenseHash, hash,
+          'The hash of the License does not match the Listing\'s ' +
+          'licenseHash.');
+      });
+
+      callback(null, {valid: mismatches.length === 0, mismatches: mismatches});
+    });
+  };
+
+  /**
+   * Gets the ID of a value that is either an IRI or an object with an ID.
+   *
+   * @param value the value.
+   *
+   * @return the ID, or undefined if there is none.
+   */
+  function _getId(value) {
+    if(value && typeof value === 'object') {
+      return value.id;
+    }
+    return value;
+  }
+
+  /**
+   * Hashes the copies of a document that are available to check against a
+   * Listing: the one embedded in a Contract, if any, and the one given, if
+   * any.
+   *
+   * @param ctx the @context for the embedded document.
+   * @param embedded the document or IRI in the Contract.
+   * @param given the document given by the caller, or undefined.
+   * @param callback(err, hashes) called once the operation completes.
+   */
+  function _hashDocuments(ctx, embedded, given, callback) {
+    var docs = [];
+    if(embedded && typeof embedded === 'object') {
+      docs.push(_extend({'@context': ctx}, embedded));
+    }
+    if(given) {
+      docs.push(given);
+    }
+    async.mapSeries(docs, api.hash, callback);
+  }
+
+  /**
+   * Add query variables to an existing url.
+   *
+   * @param url the url to add the query vars to.
+   * @param qvars the query variables to add, eg: {foo: 'bar'}.
+   *
+   * @return string the updated url.
+   */
+  api.addQueryVars = function(url, qvars) {
+    var parsed = URL.parse(url, true);
+    for(var key in qvars) {
+      parsed.query[key] = qvars[key];
+    }
+    return URL.format(parsed);
+  };
+
+  /**
+   * Computes the transfers for a purchase of the Asset in a Listing and the
+   * total amount of the purchase. The payees applied are those in the Listing
+   * and those the Asset requires in its listing restrictions. Payees that a
+   * PaySwarm Authority adds to the purchase, such as its fees, are not known
+   * in advance and are only applied if given.
+   *
+   * @param listing the Listing.
+   * @param asset the Asset in the Listing, or null to only apply the payees
+   *          in the Listing.
+   * @param options the options to use: (optional)
+   *          payees: additional payees to apply. (optional)
+   *          precision: the number of decimal places in amounts [7].
+   * @param callback(err, result) called once the operation completes, where
+   *          result is {currency, amount, transfer} and has a Transfer for
+   *          each payee.
+   */
+  api.applyPayees = function(listing, asset, options, callback) {
+    if(typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+
+    async.auto({
+      listing: function(callback) {
+        _frameOne(listing, 'Listing', callback);
+      },
+      asset: function(callback) {
+        if(!asset) {
+          return callback(null, null);
+        }
+        _frameOne(asset, 'Asset', callback);
+      },
+      apply: ['listing', 'asset', function(callback, results) {
+        var listing = results.listing;
+        var asset = results.asset;
+        if(asset && asset.id !== listing.asset) {
+          return callback(new Error('[payswarm.applyPayees] ' +
+            'The Asset is not the one in the Listing.'));
+        }
+
+        // asset payees that are also in the listing are applied once
+        var all = jsonld.getValues(listing, 'payee');
+        var ids = all.map(function(payee) {
+          return payee.id;
+        });
+        if(asset && asset.listingRestrictions) {
+          jsonld.getValues(asset.listingRestrictions, 'payee').forEach(
+            function(payee) {
+            if(!payee.id || ids.indexOf(payee.id) === -1) {
+              all.push(payee);
+            }
+          });
+        }
+        all = all.concat(options.payees || []);
+
+        try {
+          callback(null, payees.applyPayees(all, options));
+        }
+        catch(ex) {
+          callback(ex);
+        }
+      }]
+    }, function(err, results) {
+      callback(err, results.apply);
+    });
+  };
+
+  /**
+   * Checks a Listing against the listing restrictions of its Asset, such as
+   * the payees the Asset requires, the rules any other payees must follow,
+   * and the period the Listing may be valid in. This should be done before
+   * the Listing is signed.
+   *
+   * @param listing the Listing.
+   * @param asset the Asset in the Listing.
+   * @param callback(err, result) called once the operation completes, where
+   *          result is {valid, violations} and violations has a
+   *          {restriction, message, [payee]} for every violated restriction.
+   */
+  api.checkListingRestrictions = function(listing, asset, callback) {
+    async.auto({
+      listing: function(callback) {
+        _frameOne(listing, 'Listing', callback);
+      },
+      asset: function(callback) {
+        _frameOne(asset, 'Asset', callback);
+      }
+    }, function(err, results) {
+      if(err) {
+        return callback(err);
+      }
+      callback(null, payees.checkListingRestrictions(
+        results.listing, results.asset));
+    });
+  };
+
+  /**
+   * Creates and signs an Asset. The Asset's ID is its URL with the fragment
+   * '#asset' and its payees are given IDs in the same document. Dates may be
+   * given as Dates, which are converted to W3C dates. Amounts and rates must
+   * be given as decimal strings, eg: '0.05'; numbers are rejected as most
+   * decimal amounts cannot be represented by them exactly. The Asset is
+   * validated before it is signed.
+   *
+   * @param options the options to use:
+   *          url: the URL the Asset will be published at.
+   *          assetProvider: the ID (IRI) of the identity providing the Asset.
+   *          [title] the title of the Asset.
+   *          [assetContent] the URL for the content of the Asset (default:
+   *            url).
+   *          [types] other types for the Asset, eg: 'pto:WebPage'.
+   *          [creator] the creator of the Asset, eg: {fullName: 'Jane Doe'}.
+   *          [validFrom] the date Listings for the Asset may be valid from.
+   *          [validUntil] the date Listings for the Asset may be valid until.
+   *          [payees] the payees that Listings for the Asset must include,
+   *            each with the properties of a Payee, eg: destination, currency,
+   *            payeeGroup, payeeRate, payeeRateType and payeeApplyType.
+   *          [payeeRules] the rules other payees in Listings must follow, each
+   *            with the properties of a PayeeRule.
+   *          [payeeLimitation] eg: 'NoAdditionalPayeesLimitation'.
+   *          [vendor] the ID of the only vendor that may list the Asset.
+   *          publicKeyId the ID of the public key to sign with.
+   *          privateKeyPem the private key to sign with, in PEM format.
+   * @param callback(err, asset) called once the operation completes.
+   */
+  api.createAsset = function(options, callback) {
+    if(typeof options.url !== 'string') {
+      return callback(new Error('[payswarm.createAsset] ' +
+        'The url option must be the URL the Asset will be published at.'));
+    }
+    var asset;
+    var restrictions;
+    try {
+      asset = _compact('createAsset', {
         '@context': api.CONTEXT_URL,
-        signature: {
-          type: {},
-          created: {},
-          creator: {},
-          signatureValue: {},
-          // FIXME: improve handling signatures w/o nonces
-          //nonce: {'@omitDefault': true}
-        }
-      };
+        id: options.url + '#asset',
+        type: ['Asset'].concat(options.types || []),
+        creator: options.creator,
+        title: options.title,
+        assetContent: options.assetContent || options.url,
+        assetProvider: options.assetProvider
+      });
+      restrictions = _compact('createAsset', {
+        validFrom: _toW3cDate(options.validFrom),
+        validUntil: _toW3cDate(options.validUntil),
+        payee: options.payees ? _createPayees(
+          'createAsset', options.url + '#asset-payee-', options.payees) :
+          undefined,
+        payeeRule: options.payeeRules ?
+          _createPayeeRules('createAsset', options.payeeRules) : undefined,
+        payeeLimitation: options.payeeLimitation,
+        vendor: options.vendor
+      });
+    }
+    catch(ex) {
+      return callback(ex);
+    }
+    if(Object.keys(restrictions).length > 0) {
+      asset.listingRestrictions = restrictions;
+    }
 
-      jsonld.frame(obj, frame, function(err, framed) {
-        if(err) {
-          return callback(err);
+    var result = api.validate(asset, 'Asset');
+    if(!result.valid) {
+      return callback(_validationError('createAsset', 'Asset', result));
+    }
+    api.sign(asset, {
+      publicKeyId: options.publicKeyId,
+      privateKeyPem: options.privateKeyPem
+    }, callback);
+  };
+
+  /**
+   * Creates and signs a Listing for an Asset. The Listing's ID is its URL
+   * with the fragment '#listing'. The vendor is paid the price of the Asset
+   * and any other payees are applied as given. The hashes of the Asset and
+   * License are computed and the Listing is validated and checked against the
+   * Asset's listing restrictions before it is signed.
+   *
+   * @param options the options to use:
+   *          url: the URL the Listing will be published at.
+   *          vendor: the ID (IRI) of the vendor.
+   *          asset: the signed Asset, as returned by createAsset.
+   *          license: the ID (IRI) of the License, or the License itself.
+   *          [licenseHash] the hash of the License; if the License is given
+   *            by ID and its hash is not, it is retrieved to compute the hash.
+   *          price: the price the vendor is paid, eg: '0.05'.
+   *          destination: the ID of the vendor's financial account to pay.
+   *          [currency] the currency of the price (default: 'USD').
+   *          [comment] a comment for the vendor's payee.
+   *          [payees] other payees, as for createAsset.
+   *          [payeeRules] the rules payees added by PaySwarm Authorities must
+   *            follow, as for createAsset.
+   *          [types] other types for the Listing, eg: 'gr:Offering'.
+   *          [validFrom] the date the Listing is valid from (default: now).
+   *          [validUntil] the date the Listing is valid until (default: the
+   *            date in the Asset's listing restrictions).
+   *          publicKeyId the ID of the public key to sign with.
+   *          privateKeyPem the private key to sign with, in PEM format.
+   *          [request] options for network requests.
+   * @param callback(err, listing) called once the operation completes.
+   */
+  api.createListing = function(options, callback) {
+    if(typeof options.url !== 'string') {
+      return callback(new Error('[payswarm.createListing] ' +
+        'The url option must be the URL the Listing will be published at.'));
+    }
+    if(!options.asset || typeof options.asset !== 'object') {
+      return callback(new Error('[payswarm.createListing] ' +
+        'The asset option must be the Asset.'));
+    }
+    if(!options.license) {
+      return callback(new Error('[payswarm.createListing] ' +
+        'The license option must be the License or its ID.'));
+    }
+    var asset = options.asset;
+    var license = options.license;
+
+    async.auto({
+      assetHash: function(callback) {
+        api.hash(asset, callback);
+      },
+      licenseHash: function(callback) {
+        if(typeof license === 'object') {
+          return api.hash(license, callback);
         }
-        var graphs = framed['@graph'];
-        if(graphs.length === 0) {
-          return callback(new Error('[payswarm.verify] ' +
-            'No signed data found.'));
+        if(options.licenseHash) {
+          return callback(null, options.licenseHash);
         }
-        if(graphs.length > 1) {
-          return callback(new Error('[payswarm.verify] ' +
-            'More than one signed graph found.'));
+        api.getJsonLd(license, {request: options.request},
+          function(err, doc) {
+          if(err) {
+            return callback(err);
+          }
+          api.hash(doc, callback);
+        });
+      },
+      listing: ['assetHash', 'licenseHash', function(callback, results) {
+        var restrictions = asset.listingRestrictions || {};
+        var listing;
+        try {
+          listing = _compact('createListing', {
+            '@context': api.CONTEXT_URL,
+            id: options.url + '#listing',
+            type: ['Listing'].concat(options.types || []),
+            vendor: options.vendor,
+            payee: _createPayees(
+              'createListing', options.url + '#listing-payee-', [{
+              destination: options.destination,
+              currency: options.currency || 'USD',
+              payeeGroup: ['vendor'],
+              payeeRate: options.price,
+              payeeRateType: 'FlatAmount',
+              payeeApplyType: 'ApplyExclusively',
+              comment: options.comment
+            }].concat(options.payees || [])),
+            payeeRule: options.payeeRules ?
+              _createPayeeRules('createListing', options.payeeRules) :
+              undefined,
+            asset: asset.id,
+            assetHash: results.assetHash,
+            license: (typeof license === 'object') ? license.id : license,
+            licenseHash: results.licenseHash,
+            validFrom: _toW3cDate(options.validFrom || new Date()),
+            validUntil: _toW3cDate(
+              options.validUntil || restrictions.validUntil)
+          });
         }
-        var graph = graphs[0];
-        // copy the top level framed data context
-        graph['@context'] = framed['@context'];
-        var signature = graph.signature;
-        if(!signature) {
-          return callback(new Error('[payswarm.verify] ' +
-            'Valid signature not found.'));
+        catch(ex) {
+          return callback(ex);
         }
-        if(signature.type !== 'GraphSignature2012') {
-          return callback(new Error('[payswarm.verify] ' +
-            'Unknown signature type found.'));
+        var result = api.validate(listing, 'Listing');
+        if(!result.valid) {
+          return callback(_validationError('createListing', 'Listing', result));
         }
-        callback(null, graph);
-      });
-    },
-    checkNonce: ['frame', function(callback, results) {
-      var signature = results.frame.signature;
-      if('nonce' in signature) {
-        return api.checkNonce(signature.nonce, function(err, valid) {
+        callback(null, listing);
+      }],
+      checkRestrictions: ['listing', function(callback, results) {
+        api.checkListingRestrictions(results.listing, asset,
+          function(err, result) {
           if(err) {
             return callback(err);
           }
-          if(!valid) {
-            return callback(new Error('[payswarm.verify] ' +
-            'The message nonce is invalid.'));
+          if(!result.valid) {
+            return callback(new Error('[payswarm.createListing] ' +
+              'The Listing violates the Asset\'s listing restrictions: ' +
+              result.violations.map(function(violation) {
+                return violation.message;
+              }).join(' ')));
           }
           callback();
         });
+      }],
+      sign: ['checkRestrictions', function(callback, results) {
+        api.sign(results.listing, {
+          publicKeyId: options.publicKeyId,
+          privateKeyPem: options.privateKeyPem
+        }, callback);
+      }]
+    }, function(err, results) {
+      if(err) {
+        return callback(err);
       }
-      callback();
-    }],
-    checkDate: ['frame', function(callback, results) {
-      if(!options.checkTimestamp) {
-        return callback();
-      }
-      // ensure signature timestamp within a valid range
-      var now = +new Date();
-      var delta = options.maxTimestampDelta * 1000;
-      try {
-        var signature = results.frame.signature;
-        var created = +Date.parse(signature.created);
-        if(created < (now - delta) || created > (now + delta)) {
-          throw new Error('[payswarm.verify] ' +
-            'The message digital signature timestamp is out of range.');
-        }
-      }
-      catch(ex) {
-        callback(ex);
-      }
-      callback();
-    }],
-    getPublicKey: ['frame', function(callback, results) {
-      var signature = results.frame.signature;
-      api.getPublicKey(signature.creator, options, callback);
-    }],
-    verifyPublicKeyOwner: ['getPublicKey', function(callback, results) {
-      if(!('isTrustedAuthority' in hooks)) {
-        return callback();
-      }
-      var key = results.getPublicKey;
-      hooks.isTrustedAuthority(key.owner, function(err, trusted) {
-        if(err) {
-          return callback(err);
+      callback(null, results.sign);
+    });
+  };
+
+  /**
+   * Publishes a signed Asset and Listing to a listing service by HTTP POSTing
+   * them as a JSON-LD graph. Once published, the Listing is retrieved again
+   * and the hashes of the published Listing and Asset are compared to those
+   * of the Listing that was published and its assetHash, to ensure buyers
+   * will get the same Listing.
+   *
+   * A Listing that is already published is only replaced if the update option
+   * is given, and a Listing is only updated if it is already published.
+   *
+   * @param asset the signed Asset.
+   * @param listing the signed Listing for the Asset.
+   * @param options the options to use: (optional)
+   *          [url] the URL to publish to (default: the Listing's ID without
+   *            its fragment).
+   *          [update] true to replace the published Listing [false].
+   *          [request] options for network requests.
+   * @param callback(err, result) called once the operation completes, where
+   *          result is {url, listingHash, assetHash}.
+   */
+  api.publishListing = function(asset, listing, options, callback) {
+    if(typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+
+    async.auto({
+      listing: function(callback) {
+        _frameOne(listing, 'Listing', callback);
+      },
+      asset: function(callback) {
+        _frameOne(asset, 'Asset', callback);
+      },
+      validate: ['listing', 'asset', function(callback, results) {
+        var result = api.validate(results.listing, 'Listing');
+        if(!result.valid) {
+          return callback(
+            _validationError('publishListing', 'Listing', result));
         }
-        if(!trusted) {
-          return callback(new Error('[payswarm.verify] ' +
-          'The message is not signed by a trusted public key.'));
+        result = api.validate(results.asset, 'Asset');
+        if(!result.valid) {
+          return callback(_validationError('publishListing', 'Asset', result));
+        }
+        if(results.listing.asset !== results.asset.id) {
+          return callback(new Error('[payswarm.publishListing] ' +
+            'The Listing is not for the given Asset.'));
+        }
+        callback(null, options.url || results.listing.id.split('#')[0]);
+      }],
+      listingHash: ['validate', function(callback, results) {
+        api.hash(results.listing, callback);
+      }],
+      assetHash: ['validate', function(callback, results) {
+        api.hash(results.asset, function(err, hash) {
+          if(!err && hash !== results.listing.assetHash) {
+            err = new Error('[payswarm.publishListing] ' +
+              'The hash of the Asset does not match the Listing\'s assetHash.');
+          }
+          callback(err, hash);
+        });
+      }],
+      published: ['validate', function(callback, results) {
+        _getPublishedListing('publishListing',
+          results.validate, results.listing.id, options, callback);
+      }],
+      checkPublished: ['published', function(callback, results) {
+        if(results.published && !options.update) {
+          return callback(new Error('[payswarm.publishListing] ' +
+            'The Listing is already published at "' + results.validate +
+            '"; use the update option to replace it.'));
+        }
+        if(!results.published && options.update) {
+          return callback(new Error('[payswarm.publishListing] ' +
+            'The Listing is not published at "' + results.validate +
+            '", so it cannot be updated.'));
         }
         callback();
-      });
-    }],
-    normalize: ['checkNonce', 'checkDate', 'verifyPublicKeyOwner',
-      function(callback, results) {
-      // remove signature property from object
-      var result = results.frame;
-      var signature = result.signature;
-      delete result.signature;
-
-      jsonld.normalize(
-        result, {
-          format: 'application/nquads'
-        }, function(err, normalized) {
+      }],
+      post: ['listingHash', 'assetHash', 'checkPublished',
+        function(callback, results) {
+        var graph = {
+          '@context': api.CONTEXT_URL,
+          '@graph': [asset, listing]
+        };
+        // request options are copied as the hooks may modify them
+        api.postJsonLd(results.validate, graph, {
+          request: _extend({}, options.request)
+        }, function(err, result) {
+          if(err) {
+            return callback(_httpError(
+              'publishListing', 'publish the Listing to', results.validate,
+              err));
+          }
+          if(result && jsonld.hasValue(result, 'type', 'Error')) {
+            return callback(new Error('[payswarm.publishListing] ' +
+              result.errorMessage));
+          }
+          callback();
+        });
+      }],
+      roundTrip: ['post', function(callback, results) {
+        _getPublishedListing('publishListing',
+          results.validate, results.listing.id, options, callback);
+      }],
+      checkRoundTrip: ['roundTrip', function(callback, results) {
+        var published = results.roundTrip;
+        if(!published) {
+          return callback(new Error('[payswarm.publishListing] ' +
+            'The Listing was not found at "' + results.validate +
+            '" after it was published.'));
+        }
+        async.auto({
+          listingHash: function(callback) {
+            api.hash(published.listing, callback);
+          },
+          assetHash: function(callback) {
+            if(!published.asset) {
+              return callback();
+            }
+            api.hash(published.asset, callback);
+          }
+        }, function(err, hashes) {
           if(err) {
             return callback(err);
           }
-          callback(null, {data: normalized, signature: signature});
+          if(hashes.listingHash !== results.listingHash) {
+            return callback(new Error('[payswarm.publishListing] ' +
+              'The published Listing differs from the Listing that was ' +
+              'published.'));
+          }
+          if(hashes.assetHash !== results.listing.assetHash) {
+            return callback(new Error('[payswarm.publishListing] ' +
+              'The published Asset is missing or does not match the ' +
+              'Listing\'s assetHash.'));
+          }
+          callback();
         });
-    }],
-    verifySignature: ['normalize', function(callback, results) {
-      // ensure key has not been revoked
-      var key = results.getPublicKey;
-      var signature = results.normalize.signature;
-      if('revoked' in key) {
-        return callback(new Error('[payswarm.verify] ' +
-          'The public key has been revoked.'));
+      }]
+    }, function(err, results) {
+      if(err) {
+        return callback(err);
       }
+      callback(null, {
+        url: results.validate,
+        listingHash: results.listingHash,
+        assetHash: results.assetHash
+      });
+    });
+  };
+
+  /**
+   * Withdraws a published Listing from a listing service by HTTP DELETEing
+   * it. The Listing is then retrieved again to ensure it is no longer
+   * published.
+   *
+   * @param listing the Listing or its ID (IRI).
+   * @param options the options to use: (optional)
+   *          [url] the URL the Listing is published at (default: the
+   *            Listing's ID without its fragment).
+   *          [request] options for network requests.
+   * @param callback(err, result) called once the operation completes, where
+   *          result is {url}.
+   */
+  api.withdrawListing = function(listing, options, callback) {
+    if(typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+    var id = (typeof listing === 'object') ? listing.id : listing;
+    if(typeof id !== 'string') {
+      return callback(new Error('[payswarm.withdrawListing] ' +
+        'The Listing has no ID.'));
+    }
+    var url = options.url || id.split('#')[0];
 
-      var verifier = crypto.createVerify('RSA-SHA256');
-      if('nonce' in signature) {
-        verifier.update(signature.nonce);
+    async.auto({
+      withdraw: function(callback) {
+        api.deleteJsonLd(url, {
+          request: _extend({}, options.request)
+        }, function(err) {
+          if(err) {
+            return callback(_httpError(
+              'withdrawListing', 'withdraw the Listing from', url, err));
+          }
+          callback();
+        });
+      },
+      published: ['withdraw', function(callback) {
+        _getPublishedListing('withdrawListing', url, id, options, callback);
+      }],
+      check: ['published', function(callback, results) {
+        if(results.published) {
+          return callback(new Error('[payswarm.withdrawListing] ' +
+            'The Listing is still published at "' + url + '".'));
+        }
+        callback();
+      }]
+    }, function(err) {
+      if(err) {
+        return callback(err);
       }
-      verifier.update(signature.created);
-      verifier.update(results.normalize.data);
-      var verified = verifier.verify(
-        key.publicKeyPem, signature.signatureValue, 'base64');
-      if(!verified) {
-        return callback(new Error('[payswarm.verify] ' +
-          'The digital signature on the message is invalid.'));
+      callback(null, {url: url});
+    });
+  };
+
+  /**
+   * Retrieves a published Listing and its Asset from a listing service. The
+   * cache is not used.
+   *
+   * @param fn the name of the API function, eg: 'publishListing'.
+   * @param url the URL the Listing is published at.
+   * @param id the ID of the Listing.
+   * @param options the options to use:
+   *          [request] options for network requests.
+   * @param callback(err, published) called once the operation completes,
+   *          where published is {listing, asset}, with a framed Listing and
+   *          Asset (or null if it is not published there), or null if the
+   *          Listing is not published.
+   */
+  function _getPublishedListing(fn, url, id, options, callback) {
+    hooks.getJsonLd(url, _extend({}, options.request), function(err, doc) {
+      if(err && (err.statusCode === 404 || err.statusCode === 410)) {
+        return callback(null, null);
       }
-      callback();
-    }]
-  }, callback);
-};
-
-/**
- * Decrypts an encrypted JSON-LD object.
- *
- * @param encrypted the message to decrypt.
- * @param options the options to use.
- *          privateKey the private key to decrypt with, in PEM-encoded format.
- * @param callback(err, result) called once the operation completes.
- */
-api.decrypt = function(encrypted, options, callback) {
-  if(encrypted.cipherAlgorithm !== 'rsa-sha256-aes-128-cbc') {
-    var algorithm = encrypted.cipherAlgorithm;
-    return callback(new Error('[payswarm.decrypt] ' +
-      'Unknown encryption algorithm "' + algorithm + '"'));
+      if(err) {
+        return callback(_httpError(fn, 'retrieve', url, err));
+      }
+      if(!doc) {
+        return callback(null, null);
+      }
+      var find = function(type, id, callback) {
+        jsonld.frame(doc, api.FRAMES[type], function(err, framed) {
+          if(err) {
+            return callback(err);
+          }
+          var matches = framed['@graph'].filter(function(node) {
+            return node.id === id;
+          });
+          if(matches.length === 0) {
+            return callback(null, null);
+          }
+          matches[0]['@context'] = framed['@context'];
+          callback(null, matches[0]);
+        });
+      };
+      find('Listing', id, function(err, listing) {
+        if(err || !listing) {
+          return callback(err, null);
+        }
+        find('Asset', listing.asset, function(err, asset) {
+          callback(err, {listing: listing, asset: asset});
+        });
+      });
+    });
   }
 
-  try {
-    // private key decrypt key and IV
-    var pk = ursa.createPrivateKey(options.privateKey, 'utf8');
-    var key = pk.decrypt(
-      encrypted.cipherKey, 'base64', 'binary',
-      ursa.RSA_PKCS1_OAEP_PADDING);
-    var iv = pk.decrypt(
-      encrypted.initializationVector, 'base64', 'binary',
-      ursa.RSA_PKCS1_OAEP_PADDING);
-
-    // symmetric decrypt data
-    var decipher = crypto.createDecipheriv('aes-128-cbc', key, iv);
-    var decrypted = decipher.update(encrypted.cipherData, 'base64', 'utf8');
-    decrypted += decipher.final('utf8');
-
-    // return parsed result
-    var result = JSON.parse(decrypted);
-    callback(null, result);
+  /**
+   * Creates an error for a failed HTTP request, which may have been reported
+   * with a status code rather than an Error.
+   *
+   * @param fn the name of the API function, eg: 'publishListing'.
+   * @param action what the request was to do, eg: 'publish the Listing to'.
+   * @param url the URL of the request.
+   * @param err the error reported for the request.
+   *
+   * @return the error.
+   */
+  function _httpError(fn, action, url, err) {
+    var msg = '[payswarm.' + fn + '] Could not ' + action + ' "' + url + '"';
+    if(err.statusCode) {
+      msg += '; HTTP status ' + err.statusCode;
+    }
+    if(err.body && err.body.errorMessage) {
+      msg += ': ' + err.body.errorMessage;
+    }
+    else if(err.message) {
+      msg += ': ' + err.message;
+    }
+    var rval = new Error(msg);
+    rval.cause = err;
+    return rval;
   }
-  catch(ex) {
-    callback(new Error('[payswarm.decrypt] ' +
-      'Failed to decrypt the encrypted message: ' + ex.toString()));
+
+  /**
+   * Creates Payees with IDs from the given payee properties.
+   *
+   * @param fn the name of the calling function.
+   * @param prefix the prefix for the Payee IDs, eg: url + '#listing-payee-'.
+   * @param payees the properties of each Payee.
+   *
+   * @return the Payees.
+   */
+  function _createPayees(fn, prefix, payees) {
+    return payees.map(function(payee, i) {
+      return _compact(
+        fn, _extend({id: prefix + (i + 1), type: 'Payee'}, payee));
+    });
   }
-};
 
-/**
- * Decodes a JSON-encoded, encrypted, digitally-signed message from a
- * PaySwarm Authority.
- *
- * @param msg the json-encoded message to verify.
- * @param options the options to use.
- *          privateKey the private key to decrypt with, in PEM-encoded format.
- * @param callback(err, result) called once the operation completes.
- */
-api.decodeAuthorityMessage = function(msg, options, callback) {
-  try {
-    // convert message from json
-    msg = JSON.parse(msg);
+  /**
+   * Creates PayeeRules from the given payee rule properties.
+   *
+   * @param fn the name of the calling function.
+   * @param rules the properties of each PayeeRule.
+   *
+   * @return the PayeeRules.
+   */
+  function _createPayeeRules(fn, rules) {
+    return rules.map(function(rule) {
+      return _compact(fn, _extend({type: 'PayeeRule'}, rule));
+    });
   }
-  catch(ex) {
-    return callback(new Error('[payswarm.decodeAuthorityMessage] ' +
-      'The message contains malformed JSON.'));
+
+  /**
+   * Removes the properties of an object that are undefined. Amounts and rates
+   * must be decimal strings, so an error is thrown for any number; converting
+   * a number would give values such as '1e-7' or '0.30000000000000004'.
+   *
+   * @param fn the name of the calling function.
+   * @param obj the object.
+   *
+   * @return the object.
+   */
+  function _compact(fn, obj) {
+    Object.keys(obj).forEach(function(key) {
+      if(obj[key] === undefined) {
+        delete obj[key];
+      }
+      else if(typeof obj[key] === 'number') {
+        throw new Error('[payswarm.' + fn + '] ' +
+          'The "' + key + '" value ' + obj[key] + ' must be given as a ' +
+          'decimal string, eg: "0.05", not as a number.');
+      }
+    });
+    return obj;
   }
 
-  // decrypt and verify message
-  async.waterfall([
-    function(callback) {
-      api.decrypt(msg, options, callback);
-    },
-    function(result, callback) {
-      api.verify(result, function(err) {
-        if(err) {
-          return callback(err);
-        }
-        callback(null, result);
-      });
+  /**
+   * Converts a Date to a W3C date; other values are returned as is.
+   *
+   * @param date the date.
+   *
+   * @return the W3C date.
+   */
+  function _toW3cDate(date) {
+    if(date instanceof Date) {
+      return api.w3cDate(date);
     }
-  ], callback);
-};
-
-/**
- * Gets a service config for a PaySwarm Authority.
- *
- * @param host the PaySwarm Authority host and port.
- * @param path path to the config.
- * @param options: (optional)
- *          cache: true to cache the response. [true] (optional)
- *          request: options for the request. (optional)
- * @param callback(err, config) called once the operation completes.
- */
-var _getServiceConfig = function(host, path, options, callback) {
-  if(typeof options === 'function') {
-    callback = options;
-    options = {};
+    return date;
   }
-  if(!('cache' in options)) {
-    options.cache = true;
-  }
-
-  // get config
-  var url = 'https://' + host + path;
-  api.getJsonLd(url, options, callback);
-};
-
-/**
- * Gets the service config for a PaySwarm Authority.
- *
- * @param host the PaySwarm Authority host and port.
- * @param options: (optional)
- *          cache: true to cache the response. [true] (optional)
- *          request: options for the request. (optional)
- * @param callback(err, config) called once the operation completes.
- */
-api.getAuthorityConfig = function(host, options, callback) {
-  return _getServiceConfig(host, '/.well-known/payswarm', options, callback);
-  // TODO: validate result
-};
-
-/**
- * Gets the service config for a Web Keys endpoint.
- *
- * @param host the Web Keys host and port.
- * @param options: (optional)
- *          cache: true to cache the response. [true] (optional)
- *          request: options for the request. (optional)
- * @param callback(err, config) called once the operation completes.
- */
-api.getWebKeysConfig = function(host, options, callback) {
-  return _getServiceConfig(host, '/.well-known/web-keys', options, callback);
-  // TODO: validate result
-};
-
-/**
- * Caches a license at the PaySwarm Authority and returns the result.
- *
- * @param host the PaySwarm Authority host and port.
- * @param id the ID of the license to cache.
- * @param callback(err, result) called once the operation completes.
- */
-api.cacheLicenseAtAuthority = function(host, id, callback) {
-  async.auto({
-    getConfig: function(callback) {
-      api.getAuthorityConfig(host, callback);
-    },
-    sign: function(callback) {
-      var msg = {
-        '@context': api.CONTEXT_URL,
-        license: id
-      };
-      api.sign(msg, callback);
-    },
-    post: ['getConfig', 'sign', function(callback, results) {
-      var url = results.getConfig.licensesService;
-      var msg = results.sign;
-      api.postJsonLd(url, msg, callback);
-    }],
-    checkLicense: ['post', function(callback, results) {
-      var license = results.post;
-      if(license === null || typeof license !== 'object') {
-        return callback(new Error('[payswarm.cacheLicenseAtAuthority] ' +
-          'Invalid response when caching license.'));
-      }
-      // FIXME: use JSON-LD exceptions
-      if('message' in license) {
-        return callback(new Error('[payswarm.cacheLicenseAtAuthority] ' +
-          'Error while caching license: ' + license.message));
-      }
-      callback(null, license);
-    }]
-  }, function(err, results) {
-    callback(err, results.checkLicense);
-  });
-};
 
-/**
- * Generates a PEM-encoded key pair and stores it by calling the
- * 'storeKeyPair' hook.
- *
- * @param options the options to use. (optional)
- *          [keySize] the size of the key in bits (default: 2048).
- * @param callback(err, pair) called once the operation completes.
- */
-api.createKeyPair = function(options, callback) {
-  if(typeof options === 'function') {
-    callback = options;
-    options = {};
+  /**
+   * Schemas for the PaySwarm documents that validate() checks, keyed by type:
+   * Asset, License, Listing, Contract, Receipt, Quote, IdentityPreferences,
+   * CryptographicKey, TrustList, AuthorityConfig, and WebKeysConfig.
+   */
+  api.SCHEMAS = validate.SCHEMAS;
+
+  /**
+   * Validates a PaySwarm document against the schema for its type. The
+   * document must be compacted using the PaySwarm context, as it is once
+   * framed using FRAMES.
+   *
+   * @param obj the document.
+   * @param type the type of document, eg: 'Listing'.
+   *
+   * @return {valid, errors} where errors has a {path, message} for each
+   *           problem found, eg: {path: 'payee[0].payeeRate', message:
+   *           'must be a non-negative decimal string, eg: "0.05".'}.
+   */
+  api.validate = validate.validate;
+
+  /**
+   * Creates an error for a document that is not valid. The error's message
+   * lists each problem and its errors property has the problems themselves.
+   *
+   * @param fn the name of the API function, eg: 'purchase'.
+   * @param type the type of document.
+   * @param result the result of validate().
+   * @param url the URL the document was retrieved from. (optional)
+   *
+   * @return the error.
+   */
+  function _validationError(fn, type, result, url) {
+    var err = new Error('[payswarm.' + fn + '] Invalid ' + type +
+      (url ? ' from "' + url + '"' : '') + ': ' +
+      result.errors.map(function(error) {
+        return (error.path ? error.path + ' ' : '') + error.message;
+      }).join(' '));
+    err.errors = result.errors;
+    return err;
   }
-  var keySize = options.keySize || 2048;
-  var keypair = ursa.generatePrivateKey(keySize, 65537);
 
-  // get keys in PEM-format
-  var privateKey = keypair.toPrivatePem('utf8');
-  var publicKey = keypair.toPublicPem('utf8');
-
-  if(!('storeKeyPair' in hooks)) {
-    return callback(null, {privateKey: privateKey, publicKey: publicKey});
+  /**
+   * Frames a JSON-LD object of the given type; there must be exactly one.
+   *
+   * @param input the JSON-LD input.
+   * @param type the type of object, eg: 'Listing'; there must be a frame for
+   *          it in FRAMES.
+   * @param callback(err, framed) called once the operation completes.
+   */
+  function _frameOne(input, type, callback) {
+    jsonld.frame(input, api.FRAMES[type], function(err, framed) {
+      if(err) {
+        return callback(err);
+      }
+      if(framed['@graph'].length === 0) {
+        return callback(new Error('[payswarm.frame] ' +
+          'No ' + type + ' found.'));
+      }
+      if(framed['@graph'].length > 1) {
+        return callback(new Error('[payswarm.frame] ' +
+          'More than one ' + type + ' found.'));
+      }
+      var rval = framed['@graph'][0];
+      rval['@context'] = framed['@context'];
+      callback(null, rval);
+    });
   }
 
-  // store key pair
-  return hooks.storeKeyPair(publicKey, privateKey, function(err) {
-    if(err) {
-      return callback(err);
-    }
-    callback(null, {privateKey: privateKey, publicKey: publicKey});
-  });
-};
-
-/**
- * Adds a trusted PaySwarm Authority. Only trusted PaySwarm Authorities can
- * be used in financial transactions.
- *
- * @param host the PaySwarm Authority host and port.
- * @param callback(err) called once the operation completes.
- */
-api.addTrustedAuthority = function(host, callback) {
-  // get authority config
-  api.getAuthorityConfig(host, function(err, config) {
-    if(err) {
-      return callback(err);
+  /**
+   * Determines whether or not the given Listing's validity period has passed.
+   *
+   * @param listing the Listing to check.
+   *
+   * @return true if the validity period still applies, false if not.
+   */
+  api.isListingValid = function(listing) {
+    try {
+      var now = new Date();
+      var validFrom = Date.parse(listing.validFrom);
+      var validUntil = Date.parse(listing.validUntil);
+      return (now >= validFrom && now <= validUntil);
     }
-
-    // store authority identity
-    var id = config.authorityIdentity;
-    hooks.storeTrustedAuthority(id, callback);
-  });
-};
-
-/**
- * Get the PaySwarm Authority's vendor registration URL, including the
- * parameters required to register the vendor. If a key pair does not exist
- * it will be generated, otherwise the existing key pair will be used unless
- * overwriteKeyPair is set to true.
- *
- * @param host the PaySwarm Authority host and port.
- * @param registrationCallback the registrationCallback to use.
- * @param options the options to use:
- *          overwriteKeyPair true to generate a new key-pair even if
- *            there is an existing one.
- * @param callback(err, url) called once the operation completes.
- */
-api.getRegisterVendorUrl = function(
-  host, registrationCallback, options, callback) {
-  async.auto({
-    trustedAuthority: function(callback) {
-      // automatically trust given payswarm authority
-      api.addTrustedAuthority(host, callback);
-    },
-    getRegisterUrl: function(callback) {
-      // get register URL from authority config
-      api.getAuthorityConfig(host, function(err, config) {
-        if(err) {
-          return callback(err);
-        }
-        callback(null, config.vendorRegistrationService);
-      });
-    },
-    getPublicKey: function(callback) {
-      // use existing public key if overwrite is not specified
-      if(!options.overwriteKeyPair) {
-        return hooks.getPublicKey(callback);
-      }
-      // no public key available (or overwriting), generate new key pair
-      api.createKeyPair(function(err, pair) {
-        if(err) {
-          return callback(err);
-        }
-        callback(null, pair.publicKey);
-      });
-    },
-    createNonce: function(callback) {
-      api.createNonce(callback);
+    catch(ex) {
+      return false;
     }
-  }, function(err, results) {
-    if(err) {
-      return callback(err);
+  };
+
+  /**
+   * Default GET JSON-LD hook.
+   *
+   * @param url The URL of the document to retrieve.
+   * @param options options for request (optional).
+   * @param callback(err, result, res) called once the operation completes.
+   */
+  api.defaultGetJsonLd = function(url, options, callback) {
+    if(typeof options === 'function') {
+      callback = options;
+      options = {};
     }
 
-    // add query parameters to the register URL
-    var url = api.addQueryVars(results.getRegisterUrl, {
-      'public-key': results.getPublicKey,
-      'registration-callback': registrationCallback,
-      'response-nonce': results.createNonce
+    jsonld.request(url, options, function(err, res, data) {
+      if(err && err.statusCode === 304) {
+        // not modified, jsonld.request does not expose the response headers
+        return callback(null, null, {statusCode: 304, headers: {}});
+      }
+      callback(err, data, res);
     });
-    callback(null, url);
-  });
-};
-
-/**
- * Completes the vendor registration process by verifying the response
- * from the PaySwarm Authority.
- *
- * @param msg the JSON-encoded encrypted registration response message.
- * @param options the options to use.
- *          privateKey the private key to decrypt with, in PEM-encoded format.
- * @param callback(err, prefs) called once the operation completes.
- */
-api.registerVendor = function(msg, options, callback) {
-  async.auto({
-    decode: function(callback) {
-      api.decodeAuthorityMessage(msg, options, callback);
-    },
-    checkMessage: ['decode', function(callback, results) {
-      var prefs = results.decode;
-      if(jsonld.hasValue(prefs, 'type', 'Error')) {
-        return callback(new Error('[payswarm.registerVendor] ' +
-          prefs.errorMessage));
-      }
-      if(!jsonld.hasValue(prefs, 'type', 'IdentityPreferences')) {
-        return callback(new Error('[payswarm.registerVendor] ' +
-          'Invalid registration response from PaySwarm Authority.'));
-      }
-      callback();
-    }],
-    storePublicKeyId: ['checkMessage', function(callback, results) {
-      var prefs = results.decode;
-      hooks.storePublicKeyId(prefs.publicKey, callback);
-    }]
-  }, function(err, results) {
-    if(err) {
-      return callback(err);
-    }
-    callback(null, results.decode);
-  });
-};
-
-/**
- * Get the PaySwarm Authority's purchase URL, including the parameters
- * identifying the Listing with the Asset to be purchased.
- *
- * @param host the PaySwarm Authority host and port.
- * @param listingId the ID (IRI) for the Listing.
- * @param listingHash the hash for the Listing.
- * @param purchaseCallback the callback URL for the purchase result.
- * @param callback(err, url) called once the operation completes.
- */
-api.getPurchaseUrl = function(
-  host, listingId, listingHash, purchaseCallback, callback) {
-  async.auto({
-    getPurchaseUrl: function(callback) {
-      // get purchase URL from authority config
-      api.getAuthorityConfig(host, function(err, config) {
-        if(err) {
-          return callback(err);
-        }
-        callback(null, config.paymentService);
-      });
-    },
-    createNonce: function(callback) {
-      api.createNonce(callback);
+  };
+
+  /**
+   * Default POST JSON-LD hook.
+   *
+   * @param url the URL.
+   * @param obj the JSON-LD object.
+   * @param options options for request (mutable, optional).
+   * @param callback(err, result) called once the operation completes.
+   */
+  api.defaultPostJsonLd = function(url, obj, options, callback) {
+    if(typeof options === 'function') {
+      callback = options;
+      options = {};
     }
-  }, function(err, results) {
-    if(err) {
-      return callback(err);
-    }
-
-    // add query parameters to the register URL
-    var url = api.addQueryVars(results.getPurchaseUrl, {
-      listing: listingId,
-      'listing-hash': listingHash,
-      callback: purchaseCallback,
-      'response-nonce': results.createNonce
+    // setup options
+    options = options || {};
+    options.method = 'POST';
+    options.headers = options.headers || {};
+    options.headers['Content-Type'] = 'application/ld+json';
+    options.body = JSON.stringify(obj);
+
+    jsonld.request(url, options, function(err, res, data) {
+      callback(err, data);
     });
-    callback(null, url);
-  });
-};
-
-/**
- * Performs an automated purchase on behalf of a customer who has previously
- * authorized it.
- *
- * @param listing the listing object containing the asset to purchase.
- * @param options the options to use.
- *          customer the URL for the identity that is purchasing the asset.
- *          publicKey the URL for the public key associated with the private
- *            key to use to sign the purchase request.
- *          privateKeyPem the private key, in PEM-format, to use to sign
- *            the purchase request.
- *          FIXME: transactionService undocumented -- should this be passed
- *            as an option or retrieved via the customer's PA config?
- *          [source] the URL for the customer's financial account to use to
- *            pay for the asset (this may be omitted if a customer has
- *            previously associated a budget with the vendor that signed
- *            the listing).
- *          [verbose] true if debugging information should be printed to the
- *            console.
- *          [request] options for network requests.
- * @param callback(err, receipt) called once the operation completes.
- */
-api.purchase = function(listing, options, callback) {
-  // decrypt and verify message
-  async.waterfall([
-    function(callback) {
-      // frame the listing
-      jsonld.frame(listing, api.FRAMES.Listing, callback);
-    },
-    function(framedListing, callback) {
-      if(framedListing['@graph'].length === 0) {
-        return callback(new Error('[payswarm.purchase] ' +
-          'No Listings found.'));
-      }
-      if(framedListing['@graph'].length > 1) {
-        return callback(new Error('[payswarm.purchase] ' +
-          'More than one Listing found.'));
-      }
-      // extract listing from JSON-LD graph and set @context
-      listing = framedListing['@graph'][0];
-      // FIXME: validate listing
-      listing['@context'] = api.CONTEXT_URL;
-      callback();
-    },
-    function(callback) {
-      api.hash(listing, function(err, hash) {
-        callback(err, hash);
-      });
-    },
-    function(hash, callback) {
-      // generate the purchase request
-      var purchaseRequest = {
-        '@context': api.CONTEXT_URL,
-        type: 'PurchaseRequest',
-        identity: options.identity,
-        listing: listing.id,
-        listingHash: hash
-      };
-      if(options.source) {
-        purchaseRequest.source = options.source;
-      }
-
-      // sign the purchase request
-      api.sign(purchaseRequest, {
-        publicKeyId: options.publicKey,
-        privateKeyPem: options.privateKeyPem
-      }, callback);
-    },
-    function(signedPurchaseRequest, callback) {
-      if(options.verbose) {
-        console.log('payswarm.purchase - POSTing purchase request to:',
-          JSON.stringify(options.transactionService, null, 2));
-        console.log('payswarm.purchase - Purchase Request:',
-          JSON.stringify(signedPurchaseRequest, null, 2));
-      }
-      // post the purchase request to the transaction service
-      api.postJsonLd(
-        options.transactionService, signedPurchaseRequest,
-        {request: options.request}, callback);
+  };
+
+  /**
+   * Default DELETE JSON-LD hook.
+   *
+   * @param url the URL.
+   * @param options options for request (mutable, optional).
+   * @param callback(err, result) called once the operation completes.
+   */
+  api.defaultDeleteJsonLd = function(url, options, callback) {
+    if(typeof options === 'function') {
+      callback = options;
+      options = {};
     }
-  ], callback);
-};
+    options = options || {};
+    options.method = 'DELETE';
 
-/**
- * Completes the purchase process by verifying the response from the PaySwarm
- * Authority and returning the receipt.
- *
- * @param msg the JSON-encoded encrypted purchase response message.
- * @param options the options to use.
- *          privateKey the private key to decrypt with, in PEM-encoded format.
- * @param callback(err, receipt) called once the operation completes.
- */
-api.getReceipt = function(msg, options, callback) {
-  async.auto({
-    decode: function(callback) {
-      api.decodeAuthorityMessage(msg, options, callback);
-    },
-    checkMessage: ['decode', function(callback, results) {
-      var receipt = results.decode;
-      if(jsonld.hasValue(receipt, 'type', 'Error')) {
-        return callback(new Error('[payswarm.getReceipt] ' +
-          receipt.errorMessage));
-      }
-      if(!jsonld.hasValue(receipt, 'type', 'Receipt')) {
-        return callback(new Error('[payswarm.getReceipt] ' +
-          'Invalid purchase response from PaySwarm Authority.'));
-      }
-      callback();
-    }],
-    validate: ['checkMessage', function(callback, results) {
-      var receipt = results.decode;
-      if(!('contract' in receipt || (typeof receipt.contract !== 'object'))) {
-        return callback(new Error('[payswarm.getReceipt] ' +
-          'Unknown Receipt format.'));
-      }
-      var contract = receipt.contract;
-      if(!('assetAcquirer' in contract) ||
-        !('asset' in contract) ||
-        !('license' in contract)) {
-        return callback(new Error('[payswarm.getReceipt] ' +
-          'Unknown Contract format.'));
-      }
-      callback();
-    }]
-  }, function(err, results) {
-    if(err) {
-      return callback(err);
+    jsonld.request(url, options, function(err, res, data) {
+      callback(err, data);
+    });
+  };
+
+  /**
+   * Gets the passed date in W3C format (eg: 2011-03-09T21:55:41Z).
+   *
+   * @param date the date.
+   *
+   * @return the date in W3C format.
+   */
+  api.w3cDate = function(date) {
+    if(date === undefined || date === null) {
+      date = new Date();
     }
-    callback(null, results.decode);
-  });
-};
-
-/**
- * Add query variables to an existing url.
- *
- * @param url the url to add the query vars to.
- * @param qvars the query variables to add, eg: {foo: 'bar'}.
- *
- * @return string the updated url.
- */
-api.addQueryVars = function(url, qvars) {
-  var parsed = URL.parse(url, true);
-  for(var key in qvars) {
-    parsed.query[key] = qvars[key];
+    return util.format('%d-%s-%sT%s:%s:%sZ',
+      date.getUTCFullYear(),
+      _zeroFill2(date.getUTCMonth() + 1),
+      _zeroFill2(date.getUTCDate()),
+      _zeroFill2(date.getUTCHours()),
+      _zeroFill2(date.getUTCMinutes()),
+      _zeroFill2(date.getUTCSeconds()));
+  };
+
+  function _zeroFill2(num) {
+    return (num < 10) ? '0' + num : '' + num;
   }
-  return URL.format(parsed);
-};
 
-/**
- * Determines whether or not the given Listing's validity period has passed.
- *
- * @param listing the Listing to check.
- *
- * @return true if the validity period still applies, false if not.
- */
-api.isListingValid = function(listing) {
-  try {
-    var now = new Date();
-    var validFrom = Date.parse(listing.validFrom);
-    var validUntil = Date.parse(listing.validUntil);
-    return (now >= validFrom && now <= validUntil);
-  }
-  catch(ex) {
-    return false;
+  /**
+   * Copies the properties of a source object to a target object.
+   *
+   * @param target the target object.
+   * @param source the source object. (optional)
+   *
+   * @return the target object.
+   */
+  function _extend(target, source) {
+    if(source) {
+      Object.keys(source).forEach(function(key) {
+        target[key] = source[key];
+      });
+    }
+    return target;
   }
-};
 
-/**
- * Default GET JSON-LD hook.
- *
- * @param url The URL of the document to retrieve.
- * @param options options for request (optional).
- * @param callback(err, result) called once the operation completes.
- */
-api.defaultGetJsonLd = function(url, options, callback) {
-  if(typeof options === 'function') {
-    callback = options;
-    options = {};
+  /**
+   * Wraps an asynchronous API call so that it returns a Promise if it is
+   * called without a callback. If a callback is given, the API call is
+   * invoked as is.
+   *
+   * @param fn the API call to wrap, its last parameter must be the callback.
+   *
+   * @return the wrapped API call.
+   */
+  function _promisify(fn) {
+    return function() {
+      var args = Array.prototype.slice.call(arguments);
+      if(typeof args[args.length - 1] === 'function') {
+        return fn.apply(this, args);
+      }
+      var self = this;
+      return new Promise(function(resolve, reject) {
+        fn.apply(self, args.concat(function(err, result) {
+          if(err) {
+            return reject(err);
+          }
+          resolve(result);
+        }));
+      });
+    };
   }
 
-  jsonld.request(url, options, function(err, res, data) {
-    callback(err, data);
+  // return Promises from asynchronous API calls when no callback is given
+  [
+    'getConfigFilename',
+    'readConfig',
+    'writeConfig',
+    'getJsonLd',
+    'postJsonLd',
+    'cacheJsonLd',
+    'getCachedJsonLd',
+    'getPublicKey',
+    'loadKeyBundle',
+    'createNonce',
+    'checkNonce',
+    'hash',
+    'sign',
+    'verify',
+    'encrypt',
+    'decrypt',
+    'encodeAuthorityMessage',
+    'decodeAuthorityMessage',
+    'getAuthorityConfig',
+    'getWebKeysConfig',
+    'cacheLicenseAtAuthority',
+    'createKeyPair',
+    'discoverAuthority',
+    'addTrustedAuthority',
+    'loadTrustList',
+    'getRegisterVendorUrl',
+    'registerVendor',
+    'getPurchaseUrl',
+    'getQuote',
+    'purchase',
+    'createReferenceId',
+    'resumePurchase',
+    'getPurchaseByReference',
+    'getReceipt',
+    'verifyReceipt',
+    'applyPayees',
+    'checkListingRestrictions',
+    'createAsset',
+    'createListing',
+    'publishListing',
+    'withdrawListing',
+    'deleteJsonLd'
+  ].forEach(function(name) {
+    api[name] = _promisify(api[name]);
   });
-};
 
-/**
- * Default POST JSON-LD hook.
- *
- * @param url the URL.
- * @param obj the JSON-LD object.
- * @param options options for request (mutable, optional).
- * @param callback(err, result) called once the operation completes.
- */
-api.defaultPostJsonLd = function(url, obj, options, callback) {
-  if(typeof options === 'function') {
-    callback = options;
-    options = {};
-  }
-  // setup options
-  options = options || {};
-  options.method = 'POST';
-  options.headers = options.headers || {};
-  options.headers['Content-Type'] = 'application/ld+json';
-  options.body = JSON.stringify(obj);
-
-  jsonld.request(url, options, function(err, res, data) {
-    callback(err, data);
-  });
-};
+  /** Default GET/POST/DELETE JSON-LD hooks. */
+  api.addHook('getJsonLd', api.defaultGetJsonLd);
+  api.addHook('postJsonLd', api.defaultPostJsonLd);
+  api.addHook('deleteJsonLd', api.defaultDeleteJsonLd);
+
+  /** Default purchase hooks. */
+  var defaultPurchaseStore = purchases.createMemoryPurchaseStore();
+  api.addHook('storePurchase', defaultPurchaseStore.save);
+  api.addHook('getStoredPurchase', defaultPurchaseStore.get);
+  api.addHook('getStoredPurchases', defaultPurchaseStore.list);
+
+  // JSON-LD document loader
+  var nodeDocumentLoader = jsonld.documentLoaders.node({secure: true});
+  api.jsonLdDocumentLoader = function(url, callback) {
+    var context = api.CONTEXTS[url];
+    if(context) {
+      return callback(null, {
+        contextUrl: null,
+        document: {'@context': context},
+        documentUrl: url
+      });
+    }
+    nodeDocumentLoader(url, callback);
+  };
+  jsonld.documentLoader = api.jsonLdDocumentLoader;
 
-/**
- * Gets the passed date in W3C format (eg: 2011-03-09T21:55:41Z).
- *
- * @param date the date.
- *
- * @return the date in W3C format.
- */
-api.w3cDate = function(date) {
-  if(date === undefined || date === null) {
-    date = new Date();
-  }
-  return util.format('%d-%s-%sT%s:%s:%sZ',
-    date.getUTCFullYear(),
-    _zeroFill2(date.getUTCMonth() + 1),
-    _zeroFill2(date.getUTCDate()),
-    _zeroFill2(date.getUTCHours()),
-    _zeroFill2(date.getUTCMinutes()),
-    _zeroFill2(date.getUTCSeconds()));
+  // end of PaySwarm client API factory
+  return api;
 };
 
-function _zeroFill2(num) {
-  return (num < 10) ? '0' + num : '' + num;
-}
-
-/** Default GET/POST JSON-LD hooks. */
-api.addHook('getJsonLd', api.defaultGetJsonLd);
-api.addHook('postJsonLd', api.defaultPostJsonLd);
-
-// JSON-LD document loader
-var nodeDocumentLoader = jsonld.documentLoaders.node({secure: true});
-api.jsonLdDocumentLoader = function(url, callback) {
-  var context = api.CONTEXTS[url];
-  if(context) {
-    return callback(null, {
-      contextUrl: null,
-      document: {'@context': context},
-      documentUrl: url
-    });
-  }
-  nodeDocumentLoader(url, callback);
-};
-jsonld.documentLoader = api.jsonLdDocumentLoader;
+// the default PaySwarm client API instance
+module.exports = wrapper({});
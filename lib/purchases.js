@@ -0,0 +1,194 @@
+/**
+ * PaySwarm purchase stores.
+ *
+ * Copyright (c) 2011-2013, Digital Bazaar, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * * Redistributions of source code must retain the above copyright notice,
+ *   this list of conditions and the following disclaimer.
+ *
+ * * Redistributions in binary form must reproduce the above copyright notice,
+ *   this list of conditions and the following disclaimer in the documentation
+ *   and/or other materials provided with the distribution.
+ *
+ * * Neither the name of Digital Bazaar, Inc. nor the names of its contributors
+ *   may be used to endorse or promote products derived from this software
+ *   without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+'use strict';
+
+var jsonfile = require('./jsonfile');
+
+var api = {};
+module.exports = api;
+
+/*
+
+A purchase store records automated purchases, by their referenceId, before
+their purchase requests are sent to a PaySwarm Authority, and records the
+outcome once it is known. If a purchase is interrupted, eg: the request
+times out, the record is used to find out whether the purchase was made
+and to retry it safely with the same referenceId.
+
+A purchase record has the following properties:
+
+referenceId: the client-generated reference ID of the purchase.
+
+listing, listingHash: the ID and hash of the Listing purchased.
+
+identity: the ID of the identity making the purchase.
+
+authority: the customer's PaySwarm Authority, if it was given as an option
+  rather than discovered from the identity.
+
+transactionService: the URL the purchase request is sent to.
+
+purchaseRequest: the unsigned PurchaseRequest.
+
+status: 'pending' until the outcome is known, then 'completed' or 'failed'.
+
+receipt: the response to the purchase request, once completed.
+
+error: the reason the purchase failed, if it failed.
+
+created, updated: the dates the record was created and last updated.
+
+A purchase store is given as the 'purchases' option to
+payswarm.createClient, which uses it for the 'storePurchase',
+'getStoredPurchase', and 'getStoredPurchases' hooks; a client keeps a
+limited number of purchase records in memory by default, which are lost when
+the process exits. Every purchase store has the following methods:
+
+save(record, callback(err)): stores a record, replacing any record with the
+  same referenceId.
+
+get(referenceId, callback(err, record)): passes the record with the given
+  referenceId, or null if there is none, to the callback.
+
+list(callback(err, records)): passes all of the records to the callback.
+
+*/
+
+/**
+ * Creates a purchase store that keeps purchase records in memory. The
+ * records are lost when the process exits; use a file purchase store to
+ * resume purchases after a restart.
+ *
+ * @param options the options to use: (optional)
+ *          maxEntries: the maximum number of records to keep; the records
+ *            whose outcome is known are removed before pending ones, the
+ *            oldest first. [1000]
+ *
+ * @return the purchase store.
+ */
+api.createMemoryPurchaseStore = function(options) {
+  options = options || {};
+  var maxEntries = options.maxEntries || 1000;
+
+  // referenceId => {added: counter, record: record}
+  var entries = {};
+  var added = 0;
+
+  return {
+    save: function(record, callback) {
+      var entry = entries.hasOwnProperty(record.referenceId) ?
+        entries[record.referenceId] : {added: added++};
+      entry.record = _copy(record);
+      entries[record.referenceId] = entry;
+      var ids = Object.keys(entries);
+      if(ids.length > maxEntries) {
+        ids.sort(function(a, b) {
+          var pendingA = (entries[a].record.status === 'pending');
+          var pendingB = (entries[b].record.status === 'pending');
+          if(pendingA !== pendingB) {
+            return pendingA ? 1 : -1;
+          }
+          return entries[a].added - entries[b].added;
+        });
+        ids.slice(0, ids.length - maxEntries).forEach(function(id) {
+          delete entries[id];
+        });
+      }
+      callback();
+    },
+    get: function(referenceId, callback) {
+      callback(null, entries.hasOwnProperty(referenceId) ?
+        _copy(entries[referenceId].record) : null);
+    },
+    list: function(callback) {
+      callback(null, Object.keys(entries).map(function(referenceId) {
+        return _copy(entries[referenceId].record);
+      }));
+    }
+  };
+};
+
+/**
+ * Creates a purchase store that keeps purchase records in a JSON file so
+ * that interrupted purchases can be resumed after a restart (eg: by a later
+ * run of a command line tool). Operations on the same store are serialized;
+ * the file should not be shared by concurrently running processes.
+ *
+ * @param options the options to use:
+ *          filename: the name of the file to store purchase records in.
+ *
+ * @return the purchase store.
+ */
+api.createFilePurchaseStore = function(options) {
+  var file = jsonfile.createJsonFile({
+    filename: options.filename,
+    name: 'purchase'
+  });
+  var update = file.update;
+
+  return {
+    save: function(record, callback) {
+      update(function(records, callback) {
+        records[record.referenceId] = record;
+        callback(null, undefined, true);
+      }, function(err) {
+        callback(err);
+      });
+    },
+    get: function(referenceId, callback) {
+      update(function(records, callback) {
+        callback(null, records.hasOwnProperty(referenceId) ?
+          records[referenceId] : null, false);
+      }, callback);
+    },
+    list: function(callback) {
+      update(function(records, callback) {
+        callback(null, Object.keys(records).map(function(referenceId) {
+          return records[referenceId];
+        }), false);
+      }, callback);
+    }
+  };
+};
+
+/**
+ * Copies a purchase record so that it cannot be changed once stored.
+ *
+ * @param record the purchase record.
+ *
+ * @return the copy.
+ */
+function _copy(record) {
+  return JSON.parse(JSON.stringify(record));
+}
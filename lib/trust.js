@@ -0,0 +1,251 @@
+/**
+ * PaySwarm trust policies.
+ *
+ * Copyright (c) 2011-2013, Digital Bazaar, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * * Redistributions of source code must retain the above copyright notice,
+ *   this list of conditions and the following disclaimer.
+ *
+ * * Redistributions in binary form must reproduce the above copyright notice,
+ *   this list of conditions and the following disclaimer in the documentation
+ *   and/or other materials provided with the distribution.
+ *
+ * * Neither the name of Digital Bazaar, Inc. nor the names of its contributors
+ *   may be used to endorse or promote products derived from this software
+ *   without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+'use strict';
+
+var api = {};
+module.exports = api;
+
+/*
+
+A trust policy decides which PaySwarm Authorities, and which of their
+public keys, are trusted to sign which kinds of documents. It is made up of
+entries with the following properties:
+
+authority: the ID (IRI) of the trusted PaySwarm Authority identity.
+
+publicKeys: the IDs (IRIs) of the only public keys of the authority that
+  are trusted (optional, defaults to any of its public keys).
+
+documentTypes: the only types of document, such as 'Receipt' or
+  'IdentityPreferences', that the authority is trusted to sign (optional,
+  defaults to any type).
+
+expires: the date after which the entry is no longer trusted (optional).
+
+source: the ID (IRI) of the trust list that the entry was loaded from
+  (optional).
+
+A trust policy is given as the 'trust' option to payswarm.createClient,
+which uses it for the hooks below. A trust policy has the following methods:
+
+isTrusted(query, callback(err, trusted)): the 'isTrusted' hook; checks a
+  query of the form {owner, publicKey, documentTypes, date} against the
+  policy.
+
+isTrustedAuthority(id, callback(err, trusted)): the 'isTrustedAuthority'
+  hook; checks whether an authority has an unexpired entry, without regard
+  to the public keys or the documents that the entry restricts it to.
+
+storeTrustedAuthority(id, callback(err)): the 'storeTrustedAuthority' hook;
+  adds an entry that trusts an authority without restrictions, unless the
+  policy already has entries for the authority, which are kept as they are.
+
+*/
+
+/**
+ * Creates a trust policy.
+ *
+ * @param entries the initial trust policy entries. (optional)
+ *
+ * @return the trust policy.
+ */
+api.createTrustPolicy = function(entries) {
+  var policy = {};
+  var trusted = [];
+
+  /**
+   * Adds an entry to the policy.
+   *
+   * @param entry the entry to add.
+   */
+  policy.add = function(entry) {
+    trusted.push(_parseEntry(entry));
+  };
+
+  /**
+   * Replaces the entries that were loaded from a source, such as a trust
+   * list, with new entries. No entry is replaced unless all of the new
+   * entries are valid.
+   *
+   * @param source the ID (IRI) of the source.
+   * @param entries the new entries from the source.
+   */
+  policy.replace = function(source, entries) {
+    var parsed = entries.map(function(entry) {
+      var rval = _parseEntry(entry);
+      rval.source = source;
+      return rval;
+    });
+    trusted = trusted.filter(function(entry) {
+      return entry.source !== source;
+    }).concat(parsed);
+  };
+
+  /**
+   * Removes every entry for an authority from the policy.
+   *
+   * @param id the ID (IRI) of the PaySwarm Authority.
+   */
+  policy.remove = function(id) {
+    trusted = trusted.filter(function(entry) {
+      return entry.authority !== id;
+    });
+  };
+
+  /**
+   * Gets the entries in the policy.
+   *
+   * @return the entries.
+   */
+  policy.entries = function() {
+    return trusted.map(function(entry) {
+      var rval = {authority: entry.authority};
+      if(entry.publicKeys) {
+        rval.publicKeys = entry.publicKeys.slice();
+      }
+      if(entry.documentTypes) {
+        rval.documentTypes = entry.documentTypes.slice();
+      }
+      if(entry.expires !== null) {
+        rval.expires = new Date(entry.expires);
+      }
+      if(entry.source !== null) {
+        rval.source = entry.source;
+      }
+      return rval;
+    });
+  };
+
+  policy.isTrusted = function(query, callback) {
+    var date = query.date ? +new Date(query.date) : Date.now();
+    var documentTypes = [].concat(query.documentTypes || []);
+    var rval = trusted.some(function(entry) {
+      if(!_isCurrentEntry(entry, query.owner, date)) {
+        return false;
+      }
+      if(entry.publicKeys &&
+        entry.publicKeys.indexOf(query.publicKey) === -1) {
+        return false;
+      }
+      if(entry.documentTypes && !documentTypes.some(function(type) {
+        return entry.documentTypes.indexOf(type) !== -1;
+      })) {
+        return false;
+      }
+      return true;
+    });
+    callback(null, rval);
+  };
+
+  policy.isTrustedAuthority = function(id, callback) {
+    var date = Date.now();
+    callback(null, trusted.some(function(entry) {
+      return _isCurrentEntry(entry, id, date);
+    }));
+  };
+
+  policy.storeTrustedAuthority = function(id, callback) {
+    // do not override the restrictions of existing entries
+    var exists = trusted.some(function(entry) {
+      return entry.authority === id;
+    });
+    if(exists) {
+      return callback();
+    }
+    try {
+      policy.add({authority: id});
+    }
+    catch(ex) {
+      return callback(ex);
+    }
+    callback();
+  };
+
+  (entries || []).forEach(policy.add);
+  return policy;
+};
+
+/**
+ * Checks if a trust policy entry is for an authority and has not expired.
+ *
+ * @param entry the parsed entry.
+ * @param id the ID (IRI) of the PaySwarm Authority.
+ * @param date the date to check the expiration against, in milliseconds.
+ *
+ * @return true if the entry is for the authority and current, false if not.
+ */
+function _isCurrentEntry(entry, id, date) {
+  if(entry.authority !== id) {
+    return false;
+  }
+  return (entry.expires === null || entry.expires > date);
+}
+
+/**
+ * Parses a trust policy entry.
+ *
+ * @param entry the entry to parse.
+ *
+ * @return the parsed entry.
+ */
+function _parseEntry(entry) {
+  if(!entry || typeof entry.authority !== 'string') {
+    throw new Error('[payswarm.trust] ' +
+      'A trust policy entry must have an authority.');
+  }
+  var rval = {
+    authority: entry.authority,
+    publicKeys: null,
+    documentTypes: null,
+    expires: null,
+    source: null
+  };
+  if(entry.publicKeys) {
+    rval.publicKeys = [].concat(entry.publicKeys);
+  }
+  if(entry.documentTypes) {
+    rval.documentTypes = [].concat(entry.documentTypes);
+  }
+  if(entry.source) {
+    rval.source = entry.source;
+  }
+  if(entry.expires) {
+    rval.expires = +new Date(entry.expires);
+    if(isNaN(rval.expires)) {
+      throw new Error('[payswarm.trust] ' +
+        'A trust policy entry has an invalid expiration date.');
+    }
+  }
+  return rval;
+}
@@ -0,0 +1,508 @@
+/**
+ * PaySwarm document validation.
+ *
+ * Copyright (c) 2011-2013, Digital Bazaar, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * * Redistributions of source code must retain the above copyright notice,
+ *   this list of conditions and the following disclaimer.
+ *
+ * * Redistributions in binary form must reproduce the above copyright notice,
+ *   this list of conditions and the following disclaimer in the documentation
+ *   and/or other materials provided with the distribution.
+ *
+ * * Neither the name of Digital Bazaar, Inc. nor the names of its contributors
+ *   may be used to endorse or promote products derived from this software
+ *   without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+'use strict';
+
+var api = {};
+module.exports = api;
+
+/*
+
+Schemas describe the PaySwarm documents that are exchanged with PaySwarm
+Authorities, as compacted using the PaySwarm context. A schema has a 'type'
+of 'string', 'object', or 'any' and may have the following properties:
+
+format: for strings, one of 'iri', 'dateTime', 'decimal', or 'hash'.
+
+enum: for strings, the permitted values.
+
+properties: for objects, a schema for each property that is checked if the
+  property is present; other properties are permitted.
+
+required: for objects, the names of the properties that must be present.
+
+set: true if the value may be a single value or an array of values, as for
+  a JSON-LD set; each value must match the schema.
+
+minItems: for sets, the minimum number of values.
+
+contains: for sets, a value the set must contain.
+
+anyOf: a list of schemas, one of which the value must match.
+
+*/
+
+var IRI = /^[a-zA-Z][a-zA-Z0-9+.\-]*:\S*$/;
+var DATE_TIME =
+  /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+\-]\d{2}:\d{2})$/;
+var DECIMAL = /^\d+(\.\d+)?$/;
+var HASH = /^urn:sha256:[0-9a-f]{64}$/;
+
+var iri = {type: 'string', format: 'iri'};
+var iris = {type: 'string', format: 'iri', set: true};
+var string = {type: 'string'};
+var strings = {type: 'string', set: true};
+var dateTime = {type: 'string', format: 'dateTime'};
+var decimal = {type: 'string', format: 'decimal'};
+var hash = {type: 'string', format: 'hash'};
+var typeOf = function(type) {
+  return {type: 'string', set: true, contains: type};
+};
+var reference = function(schema) {
+  return {anyOf: [iri, schema]};
+};
+
+var signature = {
+  type: 'object',
+  set: true,
+  required: ['type', 'creator', 'created', 'signatureValue'],
+  properties: {
+    type: string,
+    creator: iri,
+    created: dateTime,
+    signatureValue: string,
+    nonce: string
+  }
+};
+
+var payee = {
+  type: 'object',
+  set: true,
+  required: [
+    'destination', 'currency', 'payeeRate', 'payeeRateType',
+    'payeeApplyType'],
+  properties: {
+    id: iri,
+    type: typeOf('Payee'),
+    destination: iri,
+    currency: string,
+    payeeGroup: strings,
+    payeeRate: decimal,
+    payeeRateType: {type: 'string', enum: ['FlatAmount', 'Percentage']},
+    payeeApplyType: {
+      type: 'string', enum: ['ApplyExclusively', 'ApplyInclusively']
+    },
+    payeeApplyGroup: strings,
+    payeeApplyAfter: strings,
+    payeeExemptGroup: strings,
+    minimumAmount: decimal,
+    maximumAmount: decimal,
+    comment: string
+  }
+};
+
+var payeeRule = {
+  type: 'object',
+  set: true,
+  required: ['type'],
+  properties: {
+    type: typeOf('PayeeRule'),
+    payeeGroup: strings,
+    payeeGroupPrefix: strings,
+    payeeRateType: {type: 'string', enum: ['FlatAmount', 'Percentage']},
+    payeeApplyType: {
+      type: 'string', enum: ['ApplyExclusively', 'ApplyInclusively']
+    },
+    maximumPayeeRate: decimal,
+    minimumPayeeRate: decimal
+  }
+};
+
+/** Schemas for PaySwarm documents, keyed by type. */
+api.SCHEMAS = {};
+
+api.SCHEMAS.Asset = {
+  type: 'object',
+  required: ['id', 'type', 'assetProvider'],
+  properties: {
+    id: iri,
+    type: typeOf('Asset'),
+    title: string,
+    assetContent: iri,
+    assetProvider: iri,
+    listingRestrictions: {
+      type: 'object',
+      properties: {
+        validFrom: dateTime,
+        validUntil: dateTime,
+        payee: payee,
+        payeeRule: payeeRule,
+        payeeLimitation: strings,
+        vendor: iri
+      }
+    },
+    signature: signature
+  }
+};
+
+api.SCHEMAS.License = {
+  type: 'object',
+  required: ['id', 'type'],
+  properties: {
+    id: iri,
+    type: typeOf('License'),
+    licenseTemplate: string
+  }
+};
+
+api.SCHEMAS.Listing = {
+  type: 'object',
+  required: [
+    'id', 'type', 'vendor', 'payee', 'asset', 'assetHash', 'license',
+    'licenseHash', 'validFrom', 'validUntil'],
+  properties: {
+    id: iri,
+    type: typeOf('Listing'),
+    vendor: iri,
+    payee: {
+      type: 'object',
+      set: true,
+      minItems: 1,
+      required: payee.required,
+      properties: payee.properties
+    },
+    payeeRule: payeeRule,
+    asset: iri,
+    assetHash: hash,
+    license: iri,
+    licenseHash: hash,
+    validFrom: dateTime,
+    validUntil: dateTime,
+    signature: signature
+  }
+};
+
+api.SCHEMAS.Contract = {
+  type: 'object',
+  required: ['assetAcquirer', 'asset', 'license'],
+  properties: {
+    id: iri,
+    type: typeOf('Contract'),
+    assetAcquirer: iri,
+    assetProvider: iri,
+    vendor: iri,
+    asset: reference({type: 'object', required: ['id']}),
+    license: reference({type: 'object', required: ['id']}),
+    listing: reference({type: 'object', required: ['id']}),
+    listingHash: hash
+  }
+};
+
+api.SCHEMAS.Receipt = {
+  type: 'object',
+  required: ['type', 'contract'],
+  properties: {
+    type: typeOf('Receipt'),
+    contract: api.SCHEMAS.Contract,
+    signature: signature
+  }
+};
+
+api.SCHEMAS.Quote = {
+  type: 'object',
+  required: [
+    'type', 'listing', 'listingHash', 'amount', 'currency', 'transfer',
+    'expiration', 'signature'],
+  properties: {
+    id: iri,
+    type: typeOf('Contract'),
+    assetAcquirer: iri,
+    asset: reference({type: 'object', required: ['id']}),
+    license: reference({type: 'object', required: ['id']}),
+    listing: reference({type: 'object', required: ['id']}),
+    listingHash: hash,
+    amount: decimal,
+    currency: string,
+    transfer: {
+      type: 'object',
+      set: true,
+      minItems: 1,
+      required: ['destination', 'amount'],
+      properties: {
+        type: typeOf('Transfer'),
+        source: iri,
+        destination: iri,
+        amount: decimal,
+        currency: string,
+        comment: string
+      }
+    },
+    expiration: dateTime,
+    signature: signature
+  }
+};
+
+api.SCHEMAS.IdentityPreferences = {
+  type: 'object',
+  required: ['type', 'publicKey'],
+  properties: {
+    type: typeOf('IdentityPreferences'),
+    owner: iri,
+    publicKey: iri,
+    destination: iri,
+    source: iri
+  }
+};
+
+api.SCHEMAS.CryptographicKey = {
+  type: 'object',
+  required: ['id', 'owner', 'publicKeyPem'],
+  properties: {
+    id: iri,
+    type: typeOf('CryptographicKey'),
+    owner: iri,
+    publicKeyPem: string,
+    expiration: dateTime,
+    revoked: dateTime
+  }
+};
+
+api.SCHEMAS.TrustList = {
+  type: 'object',
+  required: ['type', 'trustedAuthority'],
+  properties: {
+    type: typeOf('TrustList'),
+    trustedAuthority: {
+      type: 'object',
+      set: true,
+      required: ['authority'],
+      properties: {
+        authority: iri,
+        publicKey: iris,
+        documentType: strings,
+        expiration: dateTime
+      }
+    },
+    signature: signature
+  }
+};
+
+api.SCHEMAS.AuthorityConfig = {
+  type: 'object',
+  required: ['authorityIdentity'],
+  properties: {
+    authorityIdentity: iri,
+    licensesService: iri,
+    paymentService: iri,
+    publicKeyService: iri,
+    purchaseLookupService: iri,
+    quoteService: iri,
+    transactionService: iri,
+    vendorRegistrationService: iri,
+    signature: signature
+  }
+};
+
+api.SCHEMAS.WebKeysConfig = {
+  type: 'object',
+  required: ['publicKeyService'],
+  properties: {
+    publicKeyService: iri
+  }
+};
+
+/**
+ * Validates a PaySwarm document against the schema for its type.
+ *
+ * @param obj the document, compacted using the PaySwarm context.
+ * @param type the type of document, eg: 'Listing'.
+ *
+ * @return {valid, errors} where errors has a {path, message} for each
+ *           problem found; path is the location of the problem, eg:
+ *           'payee[0].payeeRate', or '' for the document itself.
+ */
+api.validate = function(obj, type) {
+  if(!(type in api.SCHEMAS)) {
+    throw new Error('[payswarm.validate] ' +
+      'No schema for type "' + type + '".');
+  }
+  var errors = [];
+  _check(api.SCHEMAS[type], obj, '', errors);
+  return {valid: errors.length === 0, errors: errors};
+};
+
+/**
+ * Checks a value against a schema.
+ *
+ * @param schema the schema.
+ * @param value the value.
+ * @param path the path to the value.
+ * @param errors the list to add errors to.
+ */
+function _check(schema, value, path, errors) {
+  if(schema.set) {
+    var values = [].concat(value);
+    if(values.length < (schema.minItems || 0)) {
+      return errors.push({
+        path: path,
+        message: 'must have at least ' + schema.minItems + ' value(s).'
+      });
+    }
+    if('contains' in schema && values.indexOf(schema.contains) === -1) {
+      errors.push({
+        path: path,
+        message: 'must include "' + schema.contains + '".'
+      });
+    }
+    var item = _extend({}, schema);
+    delete item.set;
+    values.forEach(function(v, i) {
+      _check(item, v, Array.isArray(value) ? path + '[' + i + ']' : path,
+        errors);
+    });
+    return;
+  }
+
+  if(schema.anyOf) {
+    var matched = schema.anyOf.some(function(option) {
+      var optionErrors = [];
+      _check(option, value, path, optionErrors);
+      return optionErrors.length === 0;
+    });
+    if(!matched) {
+      errors.push({
+        path: path,
+        message: 'must be ' + schema.anyOf.map(_describe).join(' or ') + '.'
+      });
+    }
+    return;
+  }
+
+  if(schema.type === 'string') {
+    if(typeof value !== 'string') {
+      return errors.push({path: path, message: 'must be a string.'});
+    }
+    if(schema.format && !_checkFormat(schema.format, value)) {
+      return errors.push({path: path, message: 'must be ' +
+        _describe(schema) + '.'});
+    }
+    if(schema.enum && schema.enum.indexOf(value) === -1) {
+      return errors.push({
+        path: path,
+        message: 'must be one of "' + schema.enum.join('", "') + '".'
+      });
+    }
+    return;
+  }
+
+  if(schema.type === 'object') {
+    if(!value || typeof value !== 'object' || Array.isArray(value)) {
+      return errors.push({path: path, message: 'must be an object.'});
+    }
+    // framing gives absent properties a null value
+    (schema.required || []).forEach(function(name) {
+      if(value[name] === undefined || value[name] === null) {
+        errors.push({path: _join(path, name), message: 'is required.'});
+      }
+    });
+    var properties = schema.properties || {};
+    Object.keys(properties).forEach(function(name) {
+      if(value[name] !== undefined && value[name] !== null) {
+        _check(properties[name], value[name], _join(path, name), errors);
+      }
+    });
+  }
+}
+
+/**
+ * Checks the format of a string.
+ *
+ * @param format the format.
+ * @param value the string.
+ *
+ * @return true if the string has the format, false if not.
+ */
+function _checkFormat(format, value) {
+  switch(format) {
+    case 'iri':
+      return IRI.test(value);
+    case 'dateTime':
+      return DATE_TIME.test(value) && !isNaN(Date.parse(value));
+    case 'decimal':
+      return DECIMAL.test(value);
+    case 'hash':
+      return HASH.test(value);
+  }
+  return true;
+}
+
+/**
+ * Describes what a schema matches.
+ *
+ * @param schema the schema.
+ *
+ * @return the description.
+ */
+function _describe(schema) {
+  if(schema.type === 'object') {
+    return 'an object';
+  }
+  switch(schema.format) {
+    case 'iri':
+      return 'an absolute IRI';
+    case 'dateTime':
+      return 'a W3C date, eg: "2013-01-01T00:00:00Z"';
+    case 'decimal':
+      return 'a non-negative decimal string, eg: "0.05"';
+    case 'hash':
+      return 'a hash, eg: "urn:sha256:..."';
+  }
+  return 'a string';
+}
+
+/**
+ * Joins a path and a property name.
+ *
+ * @param path the path.
+ * @param name the property name.
+ *
+ * @return the joined path.
+ */
+function _join(path, name) {
+  return path ? path + '.' + name : name;
+}
+
+/**
+ * Copies the properties of a source object to a target object.
+ *
+ * @param target the target object.
+ * @param source the source object.
+ *
+ * @return the target object.
+ */
+function _extend(target, source) {
+  Object.keys(source).forEach(function(key) {
+    target[key] = source[key];
+  });
+  return target;
+}
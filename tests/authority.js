@@ -0,0 +1,446 @@
+/**
+ * PaySwarm Authority discovery tests.
+ *
+ * Copyright (c) 2011-2013, Digital Bazaar, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * * Redistributions of source code must retain the above copyright notice,
+ *   this list of conditions and the following disclaimer.
+ *
+ * * Redistributions in binary form must reproduce the above copyright notice,
+ *   this list of conditions and the following disclaimer in the documentation
+ *   and/or other materials provided with the distribution.
+ *
+ * * Neither the name of Digital Bazaar, Inc. nor the names of its contributors
+ *   may be used to endorse or promote products derived from this software
+ *   without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+'use strict';
+
+var assert = require('assert');
+var payswarm = require('..');
+var support = require('./support');
+
+var HOST = 'authority.example';
+var AUTHORITY = 'https://authority.example/i/authority';
+var KEY_1 = AUTHORITY + '/keys/1';
+var KEY_2 = AUTHORITY + '/keys/2';
+var CONFIG_URL = 'https://authority.example/.well-known/payswarm';
+
+describe('discoverAuthority', function() {
+  var pair;
+  var config;
+  before(function(done) {
+    payswarm.createKeyPair({keySize: 1024}, function(err, result) {
+      if(err) {
+        return done(err);
+      }
+      pair = result;
+      payswarm.sign({
+        '@context': [payswarm.CONTEXT_URL, payswarm.AUTHORITY_CONFIG_CONTEXT],
+        authorityIdentity: AUTHORITY,
+        transactionService: 'https://authority.example/transactions'
+      }, {
+        publicKeyId: KEY_1,
+        privateKeyPem: pair.privateKey
+      }, function(err, signed) {
+        config = signed;
+        done(err);
+      });
+    });
+  });
+
+  /**
+   * Creates a client that can fetch the authority's signed configuration.
+   *
+   * @param options the client options. (optional)
+   *
+   * @return the client.
+   */
+  function createClient(options) {
+    var docs = {};
+    support.addKey(docs, AUTHORITY, KEY_1, pair.publicKey);
+    docs[CONFIG_URL] = config;
+    options = options || {};
+    options.http = support.createHttp(docs);
+    return payswarm.createClient(options);
+  }
+
+  /**
+   * Creates a client that trusts the authority with a trust policy entry.
+   *
+   * @param entry the trust policy entry without its authority.
+   *
+   * @return the client.
+   */
+  function createTrustingClient(entry) {
+    entry.authority = AUTHORITY;
+    return createClient({trust: payswarm.createTrustPolicy([entry])});
+  }
+
+  it('discovers the authority of an identity', function(done) {
+    createTrustingClient({}).discoverAuthority(
+      'https://authority.example/i/jane', function(err, result) {
+      assert.ifError(err);
+      assert.equal(result.host, HOST);
+      assert.equal(result.authority, AUTHORITY);
+      assert.equal(result.identity, 'https://authority.example/i/jane');
+      assert.equal(
+        result.config.transactionService,
+        'https://authority.example/transactions');
+      done();
+    });
+  });
+
+  it('discovers the authority of a handle', function(done) {
+    createTrustingClient({}).discoverAuthority(
+      'jane@authority.example', function(err, result) {
+      assert.ifError(err);
+      assert.equal(result.authority, AUTHORITY);
+      assert.strictEqual(result.identity, null);
+      done();
+    });
+  });
+
+  it('trusts a pinned key that signed the configuration', function(done) {
+    createTrustingClient({
+      publicKeys: [KEY_1], documentTypes: ['Receipt']
+    }).discoverAuthority(HOST, {documentTypes: ['Receipt']},
+      function(err, result) {
+      assert.ifError(err);
+      assert.equal(result.authority, AUTHORITY);
+      done();
+    });
+  });
+
+  it('rejects a configuration signed by a key that is not pinned',
+    function(done) {
+    createTrustingClient({publicKeys: [KEY_2]}).discoverAuthority(
+      HOST, function(err) {
+      assert.ok(err);
+      assert.ok(/is not trusted/.test(err.message));
+      done();
+    });
+  });
+
+  it('rejects an authority that is not trusted for the document types',
+    function(done) {
+    createTrustingClient({
+      documentTypes: ['IdentityPreferences']
+    }).discoverAuthority(HOST, {documentTypes: ['Receipt']}, function(err) {
+      assert.ok(err);
+      assert.ok(/is not trusted/.test(err.message));
+      done();
+    });
+  });
+
+  it('uses isTrusted instead of isTrustedAuthority', function(done) {
+    var queries = [];
+    createClient({
+      store: {
+        isTrustedAuthority: function(id, callback) {
+          callback(null, true);
+        }
+      },
+      trust: {
+        isTrusted: function(query, callback) {
+          queries.push(query);
+          callback(null, false);
+        }
+      }
+    }).discoverAuthority(HOST, {documentTypes: 'Receipt'}, function(err) {
+      assert.ok(err);
+      assert.deepEqual(queries, [{
+        owner: AUTHORITY, publicKey: KEY_1, documentTypes: ['Receipt']
+      }]);
+      done();
+    });
+  });
+
+  it('falls back to isTrustedAuthority', function(done) {
+    createClient({
+      store: {
+        isTrustedAuthority: function(id, callback) {
+          callback(null, id === AUTHORITY);
+        }
+      }
+    }).discoverAuthority(HOST, function(err, result) {
+      assert.ifError(err);
+      assert.equal(result.authority, AUTHORITY);
+      done();
+    });
+  });
+
+  it('requires a trust hook unless trust is not checked', function(done) {
+    var client = createClient();
+    client.discoverAuthority(HOST, function(err) {
+      assert.ok(/No isTrusted or isTrustedAuthority hook/.test(err.message));
+      client.discoverAuthority(HOST, {checkTrust: false},
+        function(err, result) {
+        assert.ifError(err);
+        assert.equal(result.authority, AUTHORITY);
+        done();
+      });
+    });
+  });
+});
+
+describe('getAuthorityConfig', function() {
+  var pair;
+  before(function(done) {
+    payswarm.createKeyPair({keySize: 1024}, function(err, result) {
+      pair = result;
+      done(err);
+    });
+  });
+
+  /**
+   * Creates a client that serves the given authority configuration.
+   *
+   * @param config the configuration.
+   *
+   * @return the client.
+   */
+  function createClient(config) {
+    var docs = {};
+    support.addKey(docs, AUTHORITY, KEY_1, pair.publicKey);
+    support.addKey(
+      docs, 'https://other.example/i/other', 'https://other.example/keys/1',
+      pair.publicKey);
+    docs[CONFIG_URL] = config;
+    return payswarm.createClient({http: support.createHttp(docs)});
+  }
+
+  /**
+   * Signs an authority configuration.
+   *
+   * @param config the configuration to sign.
+   * @param keyId the ID of the key to sign with.
+   * @param callback(err, signed) called once the operation completes.
+   */
+  function signConfig(config, keyId, callback) {
+    config['@context'] = [
+      payswarm.CONTEXT_URL, payswarm.AUTHORITY_CONFIG_CONTEXT];
+    payswarm.sign(config, {
+      publicKeyId: keyId,
+      privateKeyPem: pair.privateKey
+    }, callback);
+  }
+
+  it('accepts a configuration signed by its identity', function(done) {
+    signConfig({authorityIdentity: AUTHORITY}, KEY_1, function(err, signed) {
+      assert.ifError(err);
+      createClient(signed).getAuthorityConfig(HOST, function(err, config) {
+        assert.ifError(err);
+        assert.equal(config.authorityIdentity, AUTHORITY);
+        done();
+      });
+    });
+  });
+
+  it('accepts an unsigned configuration by default', function(done) {
+    var client = createClient({authorityIdentity: AUTHORITY});
+    client.getAuthorityConfig(HOST, function(err, config) {
+      assert.ifError(err);
+      assert.equal(config.authorityIdentity, AUTHORITY);
+      client.discoverAuthority(HOST, {checkTrust: false},
+        function(err, result) {
+        assert.ifError(err);
+        assert.equal(result.authority, AUTHORITY);
+        done();
+      });
+    });
+  });
+
+  it('rejects an unsigned configuration if signatures are required',
+    function(done) {
+    var client = createClient({authorityIdentity: AUTHORITY});
+    client.getAuthorityConfig(HOST, {requireSignature: true}, function(err) {
+      assert.ok(/is not signed/.test(err.message));
+      client.discoverAuthority(HOST, {
+        checkTrust: false,
+        requireSignature: true
+      }, function(err) {
+        assert.ok(/is not signed/.test(err.message));
+        done();
+      });
+    });
+  });
+
+  it('rejects a configuration signed by another identity', function(done) {
+    signConfig({authorityIdentity: AUTHORITY}, 'https://other.example/keys/1',
+      function(err, signed) {
+      assert.ifError(err);
+      createClient(signed).getAuthorityConfig(HOST, function(err) {
+        assert.ok(err);
+        assert.ok(/is not signed by its authorityIdentity/.test(err.message));
+        done();
+      });
+    });
+  });
+
+  it('rejects an identity on another host', function(done) {
+    createClient({
+      authorityIdentity: 'https://other.example/i/other'
+    }).getAuthorityConfig(HOST, function(err) {
+      assert.ok(err);
+      assert.ok(/from another host/.test(err.message));
+      done();
+    });
+  });
+
+  it('rejects an invalid configuration', function(done) {
+    createClient({
+      authorityIdentity: AUTHORITY,
+      transactionService: '/transactions'
+    }).getAuthorityConfig(HOST, function(err) {
+      assert.equal(err.message, '[payswarm.getAuthorityConfig] Invalid ' +
+        'AuthorityConfig from "' + CONFIG_URL + '": transactionService must ' +
+        'be an absolute IRI.');
+      assert.deepEqual(err.errors, [{
+        path: 'transactionService',
+        message: 'must be an absolute IRI.'
+      }]);
+      done();
+    });
+  });
+
+  it('requires the services that are asked for', function(done) {
+    createClient({authorityIdentity: AUTHORITY}).getAuthorityConfig(HOST, {
+      services: ['paymentService']
+    }, function(err) {
+      assert.ok(/has no "paymentService"/.test(err.message));
+      done();
+    });
+  });
+});
+
+describe('authority services with an unsigned configuration', function() {
+  var LICENSE = 'https://w3id.org/payswarm/licenses/blogging';
+  var LICENSES_SERVICE = 'https://authority.example/licenses';
+  var REGISTRATION_SERVICE = 'https://authority.example/i/register';
+  var VENDOR = 'https://authority.example/i/vendor';
+  var VENDOR_KEY = VENDOR + '/keys/1';
+  var pair;
+  before(function(done) {
+    payswarm.createKeyPair({keySize: 1024}, function(err, result) {
+      pair = result;
+      done(err);
+    });
+  });
+
+  /**
+   * Creates a vendor's client for an authority with an unsigned
+   * configuration.
+   *
+   * @param trust the trust policy to use.
+   *
+   * @return the client.
+   */
+  function createClient(trust) {
+    var docs = {};
+    support.addKey(docs, VENDOR, VENDOR_KEY, pair.publicKey);
+    docs[CONFIG_URL] = {
+      authorityIdentity: AUTHORITY,
+      licensesService: LICENSES_SERVICE,
+      vendorRegistrationService: REGISTRATION_SERVICE
+    };
+    docs['POST ' + LICENSES_SERVICE] = function(url, msg) {
+      return {id: msg.license, type: 'License'};
+    };
+    return payswarm.createClient({
+      store: {
+        getPublicKey: function(callback) {
+          callback(null, pair.publicKey);
+        }
+      },
+      trust: trust,
+      nonces: payswarm.createMemoryNonceStore(),
+      http: support.createHttp(docs)
+    });
+  }
+
+  it('adds the authority as trusted', function(done) {
+    var trust = payswarm.createTrustPolicy();
+    createClient(trust).addTrustedAuthority(HOST, function(err) {
+      assert.ifError(err);
+      assert.deepEqual(trust.entries(), [{authority: AUTHORITY}]);
+      done();
+    });
+  });
+
+  it('gets the vendor registration URL', function(done) {
+    var trust = payswarm.createTrustPolicy();
+    createClient(trust).getRegisterVendorUrl(
+      HOST, 'https://vendor.example/registered', function(err, url) {
+      assert.ifError(err);
+      assert.equal(url.indexOf(REGISTRATION_SERVICE + '?'), 0);
+      assert.deepEqual(trust.entries(), [{authority: AUTHORITY}]);
+      done();
+    });
+  });
+
+  it('caches a license at the authority', function(done) {
+    createClient(payswarm.createTrustPolicy()).cacheLicenseAtAuthority(
+      HOST, LICENSE, {
+      publicKeyId: VENDOR_KEY,
+      privateKeyPem: pair.privateKey
+    }, function(err, license) {
+      assert.ifError(err);
+      assert.equal(license.id, LICENSE);
+      done();
+    });
+  });
+});
+
+describe('getWebKeysConfig', function() {
+  var WEB_KEYS_URL = 'https://authority.example/.well-known/web-keys';
+
+  /**
+   * Creates a client that serves the given Web Keys configuration.
+   *
+   * @param config the configuration.
+   *
+   * @return the client.
+   */
+  function createClient(config) {
+    var docs = {};
+    docs[WEB_KEYS_URL] = config;
+    return payswarm.createClient({http: support.createHttp(docs)});
+  }
+
+  it('gets a valid configuration', function(done) {
+    var service = 'https://authority.example/i/keys';
+    createClient({publicKeyService: service}).getWebKeysConfig(HOST,
+      function(err, config) {
+      assert.ifError(err);
+      assert.equal(config.publicKeyService, service);
+      done();
+    });
+  });
+
+  it('rejects an invalid configuration', function(done) {
+    createClient({}).getWebKeysConfig(HOST, function(err) {
+      assert.equal(err.message, '[payswarm.getWebKeysConfig] Invalid ' +
+        'WebKeysConfig from "' + WEB_KEYS_URL + '": publicKeyService is ' +
+        'required.');
+      done();
+    });
+  });
+});
@@ -0,0 +1,330 @@
+/**
+ * Signing and verification tests.
+ *
+ * Copyright (c) 2011-2013, Digital Bazaar, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * * Redistributions of source code must retain the above copyright notice,
+ *   this list of conditions and the following disclaimer.
+ *
+ * * Redistributions in binary form must reproduce the above copyright notice,
+ *   this list of conditions and the following disclaimer in the documentation
+ *   and/or other materials provided with the distribution.
+ *
+ * * Neither the name of Digital Bazaar, Inc. nor the names of its contributors
+ *   may be used to endorse or promote products derived from this software
+ *   without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+'use strict';
+
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var payswarm = require('..');
+
+var URL = 'https://authority.example/i/vendor/keys/1';
+
+/**
+ * Creates a fake HTTP interface that serves one document with the given
+ * response headers and records the headers of each request. A response
+ * with a status code of 304 is sent if the request's If-None-Match header
+ * matches the document's ETag.
+ *
+ * @param headers the response headers.
+ *
+ * @return the HTTP interface, with a 'requests' array of request headers
+ *           and a 'document' that may be changed.
+ */
+function createHttp(headers) {
+  var http = {
+    requests: [],
+    document: {id: URL, type: 'CryptographicKey', version: 1},
+    get: function(url, options, callback) {
+      var requestHeaders = options.headers || {};
+      http.requests.push(requestHeaders);
+      if(headers.etag && requestHeaders['If-None-Match'] === headers.etag) {
+        return callback(null, null, {statusCode: 304, headers: {}});
+      }
+      callback(null, JSON.parse(JSON.stringify(http.document)),
+        {statusCode: 200, headers: headers});
+    }
+  };
+  return http;
+}
+
+/**
+ * Gets the test document twice with a client.
+ *
+ * @param client the client to use.
+ * @param callback(err, results) called with both documents.
+ */
+function getTwice(client, callback) {
+  client.getJsonLd(URL, {cache: true}, function(err, first) {
+    if(err) {
+      return callback(err);
+    }
+    client.getJsonLd(URL, {cache: true}, function(err, second) {
+      callback(err, [first, second]);
+    });
+  });
+}
+
+describe('getJsonLd caching', function() {
+  it('uses a cached copy while it is fresh', function(done) {
+    var http = createHttp({'cache-control': 'max-age=60'});
+    var client = payswarm.createClient({
+      cache: payswarm.createMemoryCache(),
+      http: http
+    });
+    getTwice(client, function(err, results) {
+      assert.ifError(err);
+      assert.deepEqual(results[0], results[1]);
+      assert.equal(http.requests.length, 1);
+      done();
+    });
+  });
+
+  it('does not store responses marked no-store', function(done) {
+    var http = createHttp({'cache-control': 'no-store'});
+    var client = payswarm.createClient({
+      cache: payswarm.createMemoryCache(),
+      http: http
+    });
+    getTwice(client, function(err) {
+      assert.ifError(err);
+      assert.equal(http.requests.length, 2);
+      done();
+    });
+  });
+
+  it('treats a past Expires date as stale', function(done) {
+    var http = createHttp({
+      date: 'Mon, 19 Oct 2026 12:00:00 GMT',
+      expires: 'Mon, 19 Oct 2026 11:00:00 GMT'
+    });
+    var client = payswarm.createClient({
+      cache: payswarm.createMemoryCache(),
+      http: http
+    });
+    getTwice(client, function(err) {
+      assert.ifError(err);
+      assert.equal(http.requests.length, 2);
+      done();
+    });
+  });
+
+  it('revalidates a stale copy with its ETag', function(done) {
+    var http = createHttp({'cache-control': 'no-cache', etag: '"v1"'});
+    var client = payswarm.createClient({
+      cache: payswarm.createMemoryCache(),
+      http: http
+    });
+    getTwice(client, function(err, results) {
+      assert.ifError(err);
+      assert.equal(http.requests.length, 2);
+      assert.equal(http.requests[0]['If-None-Match'], undefined);
+      assert.equal(http.requests[1]['If-None-Match'], '"v1"');
+      assert.deepEqual(results[1], results[0]);
+      done();
+    });
+  });
+
+  it('uses a changed document when the ETag changes', function(done) {
+    var headers = {'cache-control': 'no-cache', etag: '"v1"'};
+    var http = createHttp(headers);
+    var client = payswarm.createClient({
+      cache: payswarm.createMemoryCache(),
+      http: http
+    });
+    client.getJsonLd(URL, {cache: true}, function(err) {
+      assert.ifError(err);
+      headers.etag = '"v2"';
+      http.document.version = 2;
+      client.getJsonLd(URL, function(err, result) {
+        assert.ifError(err);
+        assert.equal(result.version, 2);
+        assert.equal(http.requests[1]['If-None-Match'], '"v1"');
+        done();
+      });
+    });
+  });
+
+  it('revalidates with the Last-Modified date', function(done) {
+    var date = 'Mon, 19 Oct 2026 12:00:00 GMT';
+    var http = createHttp({'cache-control': 'max-age=0', 'last-modified': date});
+    var client = payswarm.createClient({
+      cache: payswarm.createMemoryCache(),
+      http: http
+    });
+    getTwice(client, function(err) {
+      assert.ifError(err);
+      assert.equal(http.requests[1]['If-Modified-Since'], date);
+      done();
+    });
+  });
+
+  it('only caches when asked to', function(done) {
+    var http = createHttp({'cache-control': 'max-age=60'});
+    var client = payswarm.createClient({
+      cache: payswarm.createMemoryCache(),
+      http: http
+    });
+    client.getJsonLd(URL, function(err) {
+      assert.ifError(err);
+      client.getJsonLd(URL, function(err) {
+        assert.ifError(err);
+        assert.equal(http.requests.length, 2);
+        done();
+      });
+    });
+  });
+
+  it('uses entries cached without HTTP cache information', function(done) {
+    var http = createHttp({});
+    var cache = payswarm.createMemoryCache();
+    var client = payswarm.createClient({cache: cache, http: http});
+    cache.set(URL, {id: URL, version: 0}, 60, function(err) {
+      assert.ifError(err);
+      client.getJsonLd(URL, function(err, result) {
+        assert.ifError(err);
+        assert.equal(result.version, 0);
+        assert.equal(http.requests.length, 0);
+        done();
+      });
+    });
+  });
+});
+
+describe('caches', function() {
+  var directory = path.join(
+    os.tmpdir(), 'payswarm-cache-' + process.pid);
+  afterEach(function() {
+    if(fs.existsSync(directory)) {
+      fs.readdirSync(directory).forEach(function(file) {
+        fs.unlinkSync(path.join(directory, file));
+      });
+      fs.rmdirSync(directory);
+    }
+  });
+
+  var caches = {
+    memory: function() {
+      return payswarm.createMemoryCache();
+    },
+    file: function() {
+      return payswarm.createFileCache({directory: directory});
+    }
+  };
+
+  Object.keys(caches).forEach(function(type) {
+    describe('in ' + type, function() {
+      it('gets what was set', function(done) {
+        var cache = caches[type]();
+        cache.set(URL, {id: URL}, 60, function(err) {
+          assert.ifError(err);
+          cache.get(URL, function(err, result) {
+            assert.ifError(err);
+            assert.deepEqual(result, {id: URL});
+            cache.get(URL + '#other', function(err, result) {
+              assert.ifError(err);
+              assert.equal(result, null);
+              done();
+            });
+          });
+        });
+      });
+
+      it('forgets expired values', function(done) {
+        var cache = caches[type]();
+        cache.set(URL, {id: URL}, 0, function(err) {
+          assert.ifError(err);
+          cache.get(URL, function(err, result) {
+            assert.ifError(err);
+            assert.equal(result, null);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('keep values in memory from being changed', function(done) {
+    var cache = payswarm.createMemoryCache();
+    var value = {id: URL};
+    cache.set(URL, value, 60, function(err) {
+      assert.ifError(err);
+      value.id = 'changed';
+      cache.get(URL, function(err, result) {
+        assert.ifError(err);
+        result.type = 'changed';
+        cache.get(URL, function(err, result) {
+          assert.ifError(err);
+          assert.deepEqual(result, {id: URL});
+          done();
+        });
+      });
+    });
+  });
+
+  it('remove the values that expire soonest from memory', function(done) {
+    var cache = payswarm.createMemoryCache({maxEntries: 2});
+    cache.set('urn:a', 'a', 30, function() {
+      cache.set('urn:b', 'b', 10, function() {
+        cache.set('urn:c', 'c', 20, function() {
+          cache.get('urn:b', function(err, result) {
+            assert.ifError(err);
+            assert.equal(result, null);
+            cache.get('urn:a', function(err, result) {
+              assert.ifError(err);
+              assert.equal(result, 'a');
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it('keep values on disk for a new cache', function(done) {
+    caches.file().set(URL, {id: URL}, 60, function(err) {
+      assert.ifError(err);
+      caches.file().get(URL, function(err, result) {
+        assert.ifError(err);
+        assert.deepEqual(result, {id: URL});
+        done();
+      });
+    });
+  });
+
+  it('treat a corrupt file as a miss', function(done) {
+    var cache = caches.file();
+    cache.set(URL, {id: URL}, 60, function(err) {
+      assert.ifError(err);
+      fs.readdirSync(directory).forEach(function(file) {
+        fs.writeFileSync(path.join(directory, file), '{');
+      });
+      cache.get(URL, function(err, result) {
+        assert.ifError(err);
+        assert.equal(result, null);
+        done();
+      });
+    });
+  });
+});
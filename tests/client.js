@@ -0,0 +1,185 @@
+/**
+ * PaySwarm client tests.
+ *
+ * Copyright (c) 2011-2013, Digital Bazaar, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * * Redistributions of source code must retain the above copyright notice,
+ *   this list of conditions and the following disclaimer.
+ *
+ * * Redistributions in binary form must reproduce the above copyright notice,
+ *   this list of conditions and the following disclaimer in the documentation
+ *   and/or other materials provided with the distribution.
+ *
+ * * Neither the name of Digital Bazaar, Inc. nor the names of its contributors
+ *   may be used to endorse or promote products derived from this software
+ *   without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+'use strict';
+
+var assert = require('assert');
+var payswarm = require('..');
+
+describe('createClient', function() {
+  it('creates clients that do not share hooks', function(done) {
+    var createNonces = function(nonce) {
+      return {
+        create: function(callback) {
+          callback(null, nonce);
+        }
+      };
+    };
+    var a = payswarm.createClient({nonces: createNonces('nonce-a')});
+    var b = payswarm.createClient({nonces: createNonces('nonce-b')});
+    a.createNonce(function(err, nonce) {
+      assert.ifError(err);
+      assert.equal(nonce, 'nonce-a');
+      b.createNonce(function(err, nonce) {
+        assert.ifError(err);
+        assert.equal(nonce, 'nonce-b');
+        done();
+      });
+    });
+  });
+
+  it('keeps hooks added to a client to that client', function(done) {
+    var a = payswarm.createClient();
+    var b = payswarm.createClient();
+    a.addHook('checkNonce', function(nonce, callback) {
+      callback(null, nonce === 'a');
+    });
+    b.addHook('checkNonce', function(nonce, callback) {
+      callback(null, nonce === 'b');
+    });
+    a.checkNonce('a', function(err, valid) {
+      assert.ifError(err);
+      assert.strictEqual(valid, true);
+      b.checkNonce('a', function(err, valid) {
+        assert.ifError(err);
+        assert.strictEqual(valid, false);
+        done();
+      });
+    });
+  });
+
+  it('binds interface methods to their objects', function(done) {
+    var nonces = {
+      next: 'nonce-1',
+      create: function(callback) {
+        callback(null, this.next);
+      }
+    };
+    payswarm.createClient({nonces: nonces}).createNonce(function(err, nonce) {
+      assert.ifError(err);
+      assert.equal(nonce, 'nonce-1');
+      done();
+    });
+  });
+
+  it('uses the given HTTP methods for retrieval', function(done) {
+    var urls = [];
+    var client = payswarm.createClient({
+      http: {
+        get: function(url, options, callback) {
+          urls.push(url);
+          callback(null, {'@context': payswarm.CONTEXT_URL, id: url});
+        }
+      }
+    });
+    client.getJsonLd('https://vendor.example/doc', function(err, doc) {
+      assert.ifError(err);
+      assert.equal(doc.id, 'https://vendor.example/doc');
+      assert.deepEqual(urls, ['https://vendor.example/doc']);
+      assert.equal(typeof client.postJsonLd, 'function');
+      done();
+    });
+  });
+});
+
+describe('promises', function() {
+  var doc = {
+    '@context': payswarm.CONTEXT_URL,
+    id: 'https://vendor.example/articles/1#asset',
+    type: 'Asset',
+    title: 'Article'
+  };
+
+  it('are returned when no callback is given', function(done) {
+    var promise = payswarm.hash(doc);
+    assert.equal(typeof promise.then, 'function');
+    promise.then(function(hash) {
+      payswarm.hash(doc, function(err, expected) {
+        assert.ifError(err);
+        assert.equal(hash, expected);
+        done();
+      });
+    }).catch(done);
+  });
+
+  it('are not returned when a callback is given', function(done) {
+    var rval = payswarm.hash(doc, function(err) {
+      assert.ifError(err);
+      assert.strictEqual(rval, undefined);
+      done();
+    });
+  });
+
+  it('are rejected with the error', function(done) {
+    var client = payswarm.createClient({
+      nonces: {
+        create: function(callback) {
+          callback(new Error('No nonces left.'));
+        }
+      }
+    });
+    client.createNonce().then(function() {
+      done(new Error('The promise was not rejected.'));
+    }, function(err) {
+      assert.equal(err.message, 'No nonces left.');
+      done();
+    }).catch(done);
+  });
+
+  it('are returned when optional options are omitted', function(done) {
+    var client = payswarm.createClient({
+      nonces: {
+        create: function(callback) {
+          callback(null, 'nonce-1');
+        },
+        check: function(nonce, callback) {
+          callback(null, nonce === 'nonce-1');
+        }
+      },
+      http: {
+        get: function(url, options, callback) {
+          callback(null, {'@context': payswarm.CONTEXT_URL, id: url});
+        }
+      }
+    });
+    client.createNonce().then(function(nonce) {
+      return client.checkNonce(nonce);
+    }).then(function(valid) {
+      assert.strictEqual(valid, true);
+      return client.getJsonLd('https://vendor.example/doc');
+    }).then(function(result) {
+      assert.equal(result.id, 'https://vendor.example/doc');
+      done();
+    }).catch(done);
+  });
+});
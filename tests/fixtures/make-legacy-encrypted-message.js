@@ -0,0 +1,130 @@
+/**
+ * Test support for the PaySwarm client tests.
+ *
+ * Copyright (c) 2011-2013, Digital Bazaar, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * * Redistributions of source code must retain the above copyright notice,
+ *   this list of conditions and the following disclaimer.
+ *
+ * * Redistributions in binary form must reproduce the above copyright notice,
+ *   this list of conditions and the following disclaimer in the documentation
+ *   and/or other materials provided with the distribution.
+ *
+ * * Neither the name of Digital Bazaar, Inc. nor the names of its contributors
+ *   may be used to endorse or promote products derived from this software
+ *   without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+'use strict';
+
+
+/*
+
+Regenerates legacy-encrypted-message.json with the OpenSSL command line
+tools, following the EncryptedMessage format that the baseline commit
+(9350b27) decrypted with ursa: an AES-128-CBC key and IV, each encrypted
+with RSA-OAEP (SHA-1), and the JSON message encrypted with them.
+
+  node tests/fixtures/make-legacy-encrypted-message.js \
+    > legacy-encrypted-message.json
+
+The key pair is kept from the current fixture and the message is a Receipt
+for the Listing in legacy-signed-listing.json. The fixture was not captured
+from a PaySwarm Authority or produced by ursa; see tests/keys.js.
+
+*/
+
+var childProcess = require('child_process');
+var crypto = require('crypto');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var readFixture = function(name) {
+  return JSON.parse(fs.readFileSync(path.join(__dirname, name), 'utf8'));
+};
+var fixture = readFixture('legacy-encrypted-message.json');
+var listing = readFixture('legacy-signed-listing.json');
+
+var message = {
+  '@context': 'https://w3id.org/payswarm/v1',
+  type: 'Receipt',
+  contract: {
+    type: 'Contract',
+    listing: listing.listing.id,
+    listingHash: listing.listingHash
+  },
+  nonce: crypto.randomBytes(8).toString('hex')
+};
+
+var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'payswarm-fixture-'));
+var publicKeyFile = path.join(dir, 'public.pem');
+fs.writeFileSync(publicKeyFile, fixture.publicKeyPem);
+
+/**
+ * Runs openssl.
+ *
+ * @param args the arguments to openssl.
+ * @param input the data to pass on stdin.
+ *
+ * @return the output of openssl.
+ */
+function openssl(args, input) {
+  return childProcess.execFileSync('openssl', args, {input: input});
+}
+
+/**
+ * Encrypts data with the public key using RSA-OAEP (SHA-1).
+ *
+ * @param data the data to encrypt.
+ *
+ * @return the encrypted data, base64-encoded.
+ */
+function rsaEncrypt(data) {
+  return openssl([
+    'pkeyutl', '-encrypt', '-pubin', '-inkey', publicKeyFile,
+    '-pkeyopt', 'rsa_padding_mode:oaep', '-pkeyopt', 'rsa_oaep_md:sha1'
+  ], data).toString('base64');
+}
+
+try {
+  var key = openssl(['rand', '16']);
+  var iv = openssl(['rand', '16']);
+  var cipherData = openssl([
+    'enc', '-aes-128-cbc', '-K', key.toString('hex'),
+    '-iv', iv.toString('hex')
+  ], JSON.stringify(message));
+  process.stdout.write(JSON.stringify({
+    privateKeyPem: fixture.privateKeyPem,
+    publicKeyPem: fixture.publicKeyPem,
+    encrypted: {
+      '@context': 'https://w3id.org/payswarm/v1',
+      type: 'EncryptedMessage',
+      cipherAlgorithm: 'rsa-sha256-aes-128-cbc',
+      cipherKey: rsaEncrypt(key),
+      initializationVector: rsaEncrypt(iv),
+      cipherData: cipherData.toString('base64')
+    },
+    decrypted: message
+  }, null, 2) + '\n');
+}
+finally {
+  fs.unlinkSync(publicKeyFile);
+  fs.rmdirSync(dir);
+}
@@ -0,0 +1,188 @@
+/**
+ * Test support for the PaySwarm client tests.
+ *
+ * Copyright (c) 2011-2013, Digital Bazaar, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * * Redistributions of source code must retain the above copyright notice,
+ *   this list of conditions and the following disclaimer.
+ *
+ * * Redistributions in binary form must reproduce the above copyright notice,
+ *   this list of conditions and the following disclaimer in the documentation
+ *   and/or other materials provided with the distribution.
+ *
+ * * Neither the name of Digital Bazaar, Inc. nor the names of its contributors
+ *   may be used to endorse or promote products derived from this software
+ *   without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+'use strict';
+
+
+/*
+
+Regenerates legacy-signed-listing.json with the library as it was before
+jsonld was upgraded.
+
+Run it from a checkout of the baseline commit (9350b27) with its
+dependencies installed; "jsonld": "~0.1.17" installs jsonld 0.1.28:
+
+  node /path/to/make-legacy-signed-listing.js > legacy-signed-listing.json
+
+The documents are signed with the key pair in legacy-encrypted-message.json.
+ursa does not build on current versions of Node, so it is stubbed out; the
+baseline only uses it to create keys and to decrypt, and signs with Node's
+crypto module.
+
+*/
+
+var Module = require('module');
+var load = Module._load;
+Module._load = function(request) {
+  if(request === 'ursa') {
+    return {};
+  }
+  return load.apply(this, arguments);
+};
+
+var fs = require('fs');
+var path = require('path');
+var async = require(path.resolve('node_modules/async'));
+var jsonld = require(path.resolve('node_modules/jsonld'));
+var payswarm = require(path.resolve('lib/payswarm-client'));
+
+var VENDOR = 'https://vendor.example/i/vendor';
+var KEY = VENDOR + '/keys/1';
+var DATE = '2013-03-01T12:00:00Z';
+
+var keys = JSON.parse(fs.readFileSync(
+  path.join(__dirname, 'legacy-encrypted-message.json'), 'utf8'));
+
+var asset = {
+  '@context': payswarm.CONTEXT_URL,
+  id: 'https://vendor.example/articles/1#asset',
+  type: ['Asset', 'pto:WebPage'],
+  title: 'Legacy Article',
+  assetContent: 'https://vendor.example/articles/1',
+  assetProvider: VENDOR,
+  creator: {fullName: 'Jane Author'},
+  listingRestrictions: {
+    payee: {
+      id: 'https://vendor.example/articles/1#asset-payee-1',
+      type: 'Payee',
+      destination: VENDOR + '/accounts/primary',
+      currency: 'USD',
+      payeeGroup: 'assetProvider',
+      payeeRate: '0.0100000',
+      payeeRateType: 'FlatAmount',
+      payeeApplyType: 'ApplyExclusively',
+      comment: 'Author royalty'
+    },
+    validFrom: '2013-01-01T00:00:00Z',
+    validUntil: '2014-01-01T00:00:00Z'
+  }
+};
+
+/**
+ * Creates the listing for the asset.
+ *
+ * @param assetHash the hash of the signed asset.
+ *
+ * @return the listing.
+ */
+function createListing(assetHash) {
+  return {
+    '@context': payswarm.CONTEXT_URL,
+    id: 'https://vendor.example/articles/1#listing',
+    type: ['Listing', 'gr:Offering'],
+    payee: {
+      id: 'https://vendor.example/articles/1#listing-payee-1',
+      type: 'Payee',
+      destination: VENDOR + '/accounts/primary',
+      currency: 'USD',
+      payeeGroup: 'vendor',
+      payeeRate: '0.0500000',
+      payeeRateType: 'FlatAmount',
+      payeeApplyType: 'ApplyExclusively',
+      comment: 'Payment for Legacy Article'
+    },
+    payeeRule: {
+      type: 'PayeeRule',
+      payeeGroupPrefix: 'authority',
+      maximumPayeeRate: '10',
+      payeeRateType: 'Percentage',
+      payeeApplyType: 'ApplyInclusively'
+    },
+    asset: asset.id,
+    assetHash: assetHash,
+    license: 'https://w3id.org/payswarm/licenses/blogging',
+    licenseHash: 'urn:sha256:' +
+      'd9dcfb7b3ba057df52b99f777747e8fe0fc598a3bb364e3d3eb529f90d58e1b9',
+    validFrom: '2013-03-01T00:00:00Z',
+    validUntil: '2013-03-02T00:00:00Z'
+  };
+}
+
+var options = {
+  publicKeyId: KEY,
+  privateKeyPem: keys.privateKeyPem,
+  dateTime: DATE
+};
+
+async.auto({
+  asset: function(callback) {
+    payswarm.sign(asset, options, callback);
+  },
+  assetHash: ['asset', function(callback, results) {
+    payswarm.hash(results.asset, callback);
+  }],
+  listing: ['assetHash', function(callback, results) {
+    payswarm.sign(createListing(results.assetHash), options, callback);
+  }],
+  listingHash: ['listing', function(callback, results) {
+    payswarm.hash(results.listing, callback);
+  }],
+  listingNormalized: ['listing', function(callback, results) {
+    var unsigned = {};
+    Object.keys(results.listing).forEach(function(key) {
+      if(key !== 'signature') {
+        unsigned[key] = results.listing[key];
+      }
+    });
+    jsonld.normalize(unsigned, {
+      format: 'application/nquads',
+      documentLoader: payswarm.jsonLdDocumentLoader
+    }, callback);
+  }]
+}, function(err, results) {
+  if(err) {
+    console.error(err);
+    process.exit(1);
+  }
+  process.stdout.write(JSON.stringify({
+    jsonldVersion: require(
+      path.resolve('node_modules/jsonld/package.json')).version,
+    publicKeyId: KEY,
+    publicKeyPem: keys.publicKeyPem,
+    asset: results.asset,
+    assetHash: results.assetHash,
+    listing: results.listing,
+    listingHash: results.listingHash,
+    listingNormalized: results.listingNormalized
+  }, null, 2) + '\n');
+});
@@ -0,0 +1,115 @@
+/**
+ * JSON-LD compatibility tests.
+ *
+ * Copyright (c) 2011-2013, Digital Bazaar, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * * Redistributions of source code must retain the above copyright notice,
+ *   this list of conditions and the following disclaimer.
+ *
+ * * Redistributions in binary form must reproduce the above copyright notice,
+ *   this list of conditions and the following disclaimer in the documentation
+ *   and/or other materials provided with the distribution.
+ *
+ * * Neither the name of Digital Bazaar, Inc. nor the names of its contributors
+ *   may be used to endorse or promote products derived from this software
+ *   without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+'use strict';
+
+var assert = require('assert');
+var jsonld = require('jsonld');
+var payswarm = require('..');
+var support = require('./support');
+
+// The fixture was signed and hashed by this library before jsonld was
+// upgraded, using jsonld 0.1.28. The listing's normalized N-Quads were
+// produced by that version as well. See fixtures/make-legacy-signed-listing.js
+// to regenerate it.
+var legacy = support.readFixture('legacy-signed-listing.json');
+
+/**
+ * Creates a client that can fetch the legacy public key.
+ *
+ * @return the client.
+ */
+function createClient() {
+  var docs = {};
+  support.addKey(
+    docs, 'https://vendor.example/i/vendor',
+    legacy.publicKeyId, legacy.publicKeyPem);
+  return payswarm.createClient({http: support.createHttp(docs)});
+}
+
+/**
+ * Removes the signature from a signed object.
+ *
+ * @param obj the signed object.
+ *
+ * @return a shallow copy of the object without its signature.
+ */
+function unsigned(obj) {
+  var rval = {};
+  Object.keys(obj).forEach(function(key) {
+    if(key !== 'signature') {
+      rval[key] = obj[key];
+    }
+  });
+  return rval;
+}
+
+describe('legacy signed documents', function() {
+  it('normalize to the same N-Quads', function(done) {
+    jsonld.normalize(unsigned(legacy.listing), {
+      algorithm: 'URGNA2012',
+      format: 'application/nquads',
+      documentLoader: payswarm.jsonLdDocumentLoader
+    }, function(err, normalized) {
+      assert.ifError(err);
+      assert.equal(normalized, legacy.listingNormalized);
+      done();
+    });
+  });
+
+  it('hash to the same values', function(done) {
+    var client = createClient();
+    client.hash(legacy.asset, function(err, assetHash) {
+      assert.ifError(err);
+      assert.equal(assetHash, legacy.assetHash);
+      assert.equal(legacy.listing.assetHash, assetHash);
+      client.hash(legacy.listing, function(err, listingHash) {
+        assert.ifError(err);
+        assert.equal(listingHash, legacy.listingHash);
+        done();
+      });
+    });
+  });
+
+  ['asset', 'listing'].forEach(function(name) {
+    it('verify the signed ' + name, function(done) {
+      createClient().verify(legacy[name], {checkTimestamp: false},
+        function(err, result) {
+        assert.ifError(err);
+        assert.ok(result.verified);
+        assert.equal(result.signatures[0].type, 'GraphSignature2012');
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,480 @@
+/**
+ * Signing and verification tests.
+ *
+ * Copyright (c) 2011-2013, Digital Bazaar, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * * Redistributions of source code must retain the above copyright notice,
+ *   this list of conditions and the following disclaimer.
+ *
+ * * Redistributions in binary form must reproduce the above copyright notice,
+ *   this list of conditions and the following disclaimer in the documentation
+ *   and/or other materials provided with the distribution.
+ *
+ * * Neither the name of Digital Bazaar, Inc. nor the names of its contributors
+ *   may be used to endorse or promote products derived from this software
+ *   without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+'use strict';
+
+var assert = require('assert');
+var payswarm = require('..');
+var support = require('./support');
+
+var VENDOR = 'https://vendor.example/i/vendor';
+var VENDOR_KEY = VENDOR + '/keys/1';
+var ARTICLE = 'https://vendor.example/articles/1';
+var LICENSE = {
+  '@context': payswarm.CONTEXT_URL,
+  id: 'https://w3id.org/payswarm/licenses/blogging',
+  type: 'License',
+  licenseTemplate: 'Personal use only.'
+};
+
+describe('listing builders', function() {
+  var pair;
+  var client;
+  var docs;
+  before(function(done) {
+    payswarm.createKeyPair({keySize: 1024}, function(err, result) {
+      pair = result;
+      done(err);
+    });
+  });
+  beforeEach(function() {
+    docs = {};
+    support.addKey(docs, VENDOR, VENDOR_KEY, pair.publicKey);
+    client = payswarm.createClient({http: support.createHttp(docs)});
+  });
+
+  /**
+   * Gets the options to create the test Asset with.
+   *
+   * @param [extra] extra options.
+   *
+   * @return the options.
+   */
+  function assetOptions(extra) {
+    var options = {
+      url: ARTICLE,
+      assetProvider: VENDOR,
+      title: 'An Article',
+      validUntil: new Date('2027-01-01T00:00:00Z'),
+      payees: [{
+        destination: 'https://authority.example/i/author/accounts/1',
+        currency: 'USD',
+        payeeGroup: ['author'],
+        payeeRate: '0.02',
+        payeeRateType: 'FlatAmount',
+        payeeApplyType: 'ApplyExclusively'
+      }],
+      payeeRules: [
+        {payeeGroup: ['vendor'], payeeRateType: 'FlatAmount'},
+        {payeeGroupPrefix: ['authority'], maximumPayeeRate: '10'}
+      ],
+      publicKeyId: VENDOR_KEY,
+      privateKeyPem: pair.privateKey
+    };
+    Object.keys(extra || {}).forEach(function(option) {
+      options[option] = extra[option];
+    });
+    return options;
+  }
+
+  /**
+   * Gets the options to create the test Listing with.
+   *
+   * @param asset the Asset.
+   * @param [extra] extra options.
+   *
+   * @return the options.
+   */
+  function listingOptions(asset, extra) {
+    var options = {
+      url: ARTICLE,
+      vendor: VENDOR,
+      asset: asset,
+      license: LICENSE,
+      price: '0.05',
+      destination: VENDOR + '/accounts/primary',
+      types: 'gr:Offering',
+      validFrom: new Date('2026-10-01T00:00:00Z'),
+      publicKeyId: VENDOR_KEY,
+      privateKeyPem: pair.privateKey
+    };
+    Object.keys(extra || {}).forEach(function(option) {
+      options[option] = extra[option];
+    });
+    return options;
+  }
+
+  it('create a signed Asset', function(done) {
+    client.createAsset(assetOptions(), function(err, asset) {
+      assert.ifError(err);
+      assert.equal(asset.id, ARTICLE + '#asset');
+      assert.deepEqual(asset.type, ['Asset']);
+      assert.equal(asset.assetContent, ARTICLE);
+      assert.equal(asset.title, 'An Article');
+      var restrictions = asset.listingRestrictions;
+      assert.equal(restrictions.validUntil, '2027-01-01T00:00:00Z');
+      assert.equal(restrictions.payee[0].id, ARTICLE + '#asset-payee-1');
+      assert.equal(restrictions.payee[0].type, 'Payee');
+      assert.equal(restrictions.payee[0].payeeRate, '0.02');
+      assert.deepEqual(restrictions.payeeRule[1], {
+        type: 'PayeeRule',
+        payeeGroupPrefix: ['authority'],
+        maximumPayeeRate: '10'
+      });
+      assert.equal(asset.signature.creator, VENDOR_KEY);
+      client.verify(asset, function(err, result) {
+        assert.ifError(err);
+        assert.ok(result.verified);
+        done();
+      });
+    });
+  });
+
+  it('leave out listing restrictions that are not given', function(done) {
+    client.createAsset({
+      url: ARTICLE,
+      assetProvider: VENDOR,
+      publicKeyId: VENDOR_KEY,
+      privateKeyPem: pair.privateKey
+    }, function(err, asset) {
+      assert.ifError(err);
+      assert.ok(!('listingRestrictions' in asset));
+      assert.ok(!('title' in asset));
+      done();
+    });
+  });
+
+  it('validate the Asset before signing it', function(done) {
+    client.createAsset(assetOptions({assetProvider: 'vendor'}),
+      function(err) {
+      assert.equal(err.message, '[payswarm.createAsset] Invalid Asset: ' +
+        'assetProvider must be an absolute IRI.');
+      assert.deepEqual(err.errors, [{
+        path: 'assetProvider',
+        message: 'must be an absolute IRI.'
+      }]);
+      client.createAsset(assetOptions({url: null}), function(err) {
+        assert.ok(/The url option must be/.test(err.message));
+        done();
+      });
+    });
+  });
+
+  it('create a signed Listing for the Asset', function(done) {
+    client.createAsset(assetOptions(), function(err, asset) {
+      assert.ifError(err);
+      client.createListing(listingOptions(asset), function(err, listing) {
+        assert.ifError(err);
+        assert.equal(listing.id, ARTICLE + '#listing');
+        assert.deepEqual(listing.type, ['Listing', 'gr:Offering']);
+        assert.equal(listing.asset, asset.id);
+        assert.equal(listing.license, LICENSE.id);
+        assert.equal(listing.validFrom, '2026-10-01T00:00:00Z');
+        assert.equal(listing.validUntil, '2027-01-01T00:00:00Z');
+        assert.deepEqual(listing.payee, [{
+          id: ARTICLE + '#listing-payee-1',
+          type: 'Payee',
+          destination: VENDOR + '/accounts/primary',
+          currency: 'USD',
+          payeeGroup: ['vendor'],
+          payeeRate: '0.05',
+          payeeRateType: 'FlatAmount',
+          payeeApplyType: 'ApplyExclusively'
+        }]);
+        client.hash(asset, function(err, assetHash) {
+          assert.ifError(err);
+          assert.equal(listing.assetHash, assetHash);
+          client.hash(LICENSE, function(err, licenseHash) {
+            assert.ifError(err);
+            assert.equal(listing.licenseHash, licenseHash);
+            client.verify(listing, function(err, result) {
+              assert.ifError(err);
+              assert.ok(result.verified);
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it('retrieve a License given by ID to hash it', function(done) {
+    docs[LICENSE.id] = LICENSE;
+    client.createAsset(assetOptions(), function(err, asset) {
+      assert.ifError(err);
+      client.createListing(listingOptions(asset, {license: LICENSE.id}),
+        function(err, listing) {
+        assert.ifError(err);
+        client.hash(LICENSE, function(err, licenseHash) {
+          assert.ifError(err);
+          assert.equal(listing.license, LICENSE.id);
+          assert.equal(listing.licenseHash, licenseHash);
+          done();
+        });
+      });
+    });
+  });
+
+  it('check the Listing against the listing restrictions', function(done) {
+    client.createAsset(assetOptions({
+      vendor: 'https://vendor.example/i/other'
+    }), function(err, asset) {
+      assert.ifError(err);
+      client.createListing(listingOptions(asset), function(err) {
+        assert.equal(err.message, '[payswarm.createListing] The Listing ' +
+          'violates the Asset\'s listing restrictions: The Asset may not be ' +
+          'listed by the vendor.');
+        done();
+      });
+    });
+  });
+
+  it('reject amounts and rates given as numbers', function(done) {
+    var payees = assetOptions().payees;
+    payees[0].payeeRate = 0.0000001;
+    client.createAsset(assetOptions({payees: payees}), function(err) {
+      assert.equal(err.message, '[payswarm.createAsset] The "payeeRate" ' +
+        'value 1e-7 must be given as a decimal string, eg: "0.05", not as ' +
+        'a number.');
+      client.createAsset(assetOptions(), function(err, asset) {
+        assert.ifError(err);
+        client.createListing(listingOptions(asset, {price: 0.1 + 0.2}),
+          function(err) {
+          assert.equal(err.message, '[payswarm.createListing] The ' +
+            '"payeeRate" value 0.30000000000000004 must be given as a ' +
+            'decimal string, eg: "0.05", not as a number.');
+          done();
+        });
+      });
+    });
+  });
+
+  it('validate the Listing before signing it', function(done) {
+    client.createAsset(assetOptions(), function(err, asset) {
+      assert.ifError(err);
+      client.createListing(listingOptions(asset, {price: '-1'}),
+        function(err) {
+        assert.ok(/Invalid Listing: payee\[0\]\.payeeRate must be/.test(
+          err.message));
+        client.createListing(listingOptions(null), function(err) {
+          assert.ok(/The asset option must be the Asset/.test(err.message));
+          done();
+        });
+      });
+    });
+  });
+});
+
+describe('publishing listings', function() {
+  var pair;
+  var asset;
+  var listing;
+  before(function(done) {
+    payswarm.createKeyPair({keySize: 1024}, function(err, result) {
+      if(err) {
+        return done(err);
+      }
+      pair = result;
+      payswarm.createAsset({
+        url: ARTICLE,
+        assetProvider: VENDOR,
+        title: 'An Article',
+        publicKeyId: VENDOR_KEY,
+        privateKeyPem: pair.privateKey
+      }, function(err, result) {
+        if(err) {
+          return done(err);
+        }
+        asset = result;
+        payswarm.createListing({
+          url: ARTICLE,
+          vendor: VENDOR,
+          asset: asset,
+          license: LICENSE,
+          price: '0.05',
+          destination: VENDOR + '/accounts/primary',
+          validUntil: new Date(Date.now() + 24 * 60 * 60 * 1000),
+          publicKeyId: VENDOR_KEY,
+          privateKeyPem: pair.privateKey
+        }, function(err, result) {
+          listing = result;
+          done(err);
+        });
+      });
+    });
+  });
+
+  /**
+   * Creates a client for a fake listing service that keeps what is POSTed
+   * to the article URL until it is DELETEd.
+   *
+   * @param [published] the graph that is already published.
+   * @param [handlers] handlers to use instead of the service's, keyed by
+   *          'METHOD url' as for support.createHttp.
+   *
+   * @return the client, with the HTTP interface as 'http' and a 'service'
+   *           with the 'published' graph.
+   */
+  function createClient(published, handlers) {
+    var service = {published: published || null};
+    var docs = {};
+    docs['GET ' + ARTICLE] = function() {
+      if(!service.published) {
+        throw {message: 'Not Found', statusCode: 404};
+      }
+      return service.published;
+    };
+    docs['POST ' + ARTICLE] = function(url, data) {
+      service.published = data;
+      return null;
+    };
+    docs['DELETE ' + ARTICLE] = function() {
+      service.published = null;
+      return null;
+    };
+    Object.keys(handlers || {}).forEach(function(key) {
+      docs[key] = handlers[key];
+    });
+    var http = support.createHttp(docs);
+    var client = payswarm.createClient({http: http});
+    client.http = http;
+    client.service = service;
+    return client;
+  }
+
+  /**
+   * Gets the requests made to a fake listing service.
+   *
+   * @param client the client for the service.
+   *
+   * @return the requests as 'METHOD url' strings.
+   */
+  function getRequests(client) {
+    return client.http.requests.map(function(request) {
+      return request.method + ' ' + request.url;
+    });
+  }
+
+  it('publish an Asset and Listing', function(done) {
+    var client = createClient();
+    client.publishListing(asset, listing, function(err, result) {
+      assert.ifError(err);
+      assert.equal(result.url, ARTICLE);
+      assert.equal(result.assetHash, listing.assetHash);
+      assert.ok(/^urn:sha256:/.test(result.listingHash));
+      assert.deepEqual(getRequests(client), [
+        'GET ' + ARTICLE, 'POST ' + ARTICLE, 'GET ' + ARTICLE]);
+      assert.deepEqual(client.service.published['@graph'], [asset, listing]);
+      done();
+    });
+  });
+
+  it('only replace a published Listing when updating', function(done) {
+    var client = createClient({
+      '@context': payswarm.CONTEXT_URL,
+      '@graph': [asset, listing]
+    });
+    client.publishListing(asset, listing, function(err) {
+      assert.ok(/is already published at/.test(err.message));
+      client.publishListing(asset, listing, {update: true}, function(err) {
+        assert.ifError(err);
+        createClient().publishListing(asset, listing, {update: true},
+          function(err) {
+          assert.ok(/so it cannot be updated/.test(err.message));
+          done();
+        });
+      });
+    });
+  });
+
+  it('detect a Listing the service changed', function(done) {
+    var client = createClient(null, {
+      'POST https://vendor.example/articles/1': function(url, data) {
+        data['@graph'][1].validUntil = '2030-01-01T00:00:00Z';
+        client.service.published = data;
+        return null;
+      }
+    });
+    client.publishListing(asset, listing, function(err) {
+      assert.ok(/published Listing differs/.test(err.message));
+      done();
+    });
+  });
+
+  it('reject a Listing for another Asset', function(done) {
+    var other = JSON.parse(JSON.stringify(asset));
+    other.id = 'https://vendor.example/articles/2#asset';
+    createClient().publishListing(other, listing, function(err) {
+      assert.ok(/not for the given Asset/.test(err.message));
+      done();
+    });
+  });
+
+  it('report errors from the listing service', function(done) {
+    var client = createClient(null, {
+      'POST https://vendor.example/articles/1': function() {
+        throw {
+          statusCode: 403,
+          body: {type: 'Error', errorMessage: 'Forbidden vendor.'}
+        };
+      }
+    });
+    client.publishListing(asset, listing, function(err) {
+      assert.equal(err.message, '[payswarm.publishListing] Could not ' +
+        'publish the Listing to "' + ARTICLE + '"; HTTP status 403: ' +
+        'Forbidden vendor.');
+      done();
+    });
+  });
+
+  it('withdraw a published Listing', function(done) {
+    var client = createClient({
+      '@context': payswarm.CONTEXT_URL,
+      '@graph': [asset, listing]
+    });
+    client.withdrawListing(listing.id, function(err, result) {
+      assert.ifError(err);
+      assert.deepEqual(result, {url: ARTICLE});
+      assert.deepEqual(getRequests(client), [
+        'DELETE ' + ARTICLE, 'GET ' + ARTICLE]);
+      assert.equal(client.service.published, null);
+      done();
+    });
+  });
+
+  it('report a Listing that is still published', function(done) {
+    var client = createClient({
+      '@context': payswarm.CONTEXT_URL,
+      '@graph': [asset, listing]
+    }, {
+      // the service ignores the request
+      'DELETE https://vendor.example/articles/1': function() {
+        return null;
+      }
+    });
+    client.withdrawListing(listing, function(err) {
+      assert.ok(/is still published at/.test(err.message));
+      done();
+    });
+  });
+});
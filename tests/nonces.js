@@ -0,0 +1,195 @@
+/**
+ * Signing and verification tests.
+ *
+ * Copyright (c) 2011-2013, Digital Bazaar, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * * Redistributions of source code must retain the above copyright notice,
+ *   this list of conditions and the following disclaimer.
+ *
+ * * Redistributions in binary form must reproduce the above copyright notice,
+ *   this list of conditions and the following disclaimer in the documentation
+ *   and/or other materials provided with the distribution.
+ *
+ * * Neither the name of Digital Bazaar, Inc. nor the names of its contributors
+ *   may be used to endorse or promote products derived from this software
+ *   without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+'use strict';
+
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var payswarm = require('..');
+
+/**
+ * Creates, checks and re-checks a nonce.
+ *
+ * @param store the nonce store to use.
+ * @param callback(err, results) called with the results of the two checks.
+ */
+function checkTwice(store, callback) {
+  store.create(function(err, nonce) {
+    if(err) {
+      return callback(err);
+    }
+    store.check(nonce, function(err, first) {
+      if(err) {
+        return callback(err);
+      }
+      store.check(nonce, function(err, second) {
+        callback(err, [first, second]);
+      });
+    });
+  });
+}
+
+describe('nonce stores', function() {
+  var filename = path.join(
+    os.tmpdir(), 'payswarm-nonces-' + process.pid + '.json');
+  afterEach(function() {
+    if(fs.existsSync(filename)) {
+      fs.unlinkSync(filename);
+    }
+  });
+
+  var stores = {
+    memory: function(options) {
+      return payswarm.createMemoryNonceStore(options);
+    },
+    file: function(options) {
+      options = options || {};
+      options.filename = filename;
+      return payswarm.createFileNonceStore(options);
+    }
+  };
+
+  Object.keys(stores).forEach(function(type) {
+    describe('in ' + type, function() {
+      it('creates random nonces', function(done) {
+        var store = stores[type]();
+        store.create(function(err, first) {
+          assert.ifError(err);
+          assert.ok(/^[0-9a-f]{32}$/.test(first));
+          store.create(function(err, second) {
+            assert.ifError(err);
+            assert.notEqual(first, second);
+            done();
+          });
+        });
+      });
+
+      it('accepts a nonce only once', function(done) {
+        checkTwice(stores[type](), function(err, results) {
+          assert.ifError(err);
+          assert.deepEqual(results, [true, false]);
+          done();
+        });
+      });
+
+      it('rejects nonces it did not create', function(done) {
+        var store = stores[type]();
+        store.check('0123456789abcdef0123456789abcdef', function(err, valid) {
+          assert.ifError(err);
+          assert.equal(valid, false);
+          store.check({}, function(err, valid) {
+            assert.ifError(err);
+            assert.equal(valid, false);
+            done();
+          });
+        });
+      });
+
+      it('rejects expired nonces', function(done) {
+        checkTwice(stores[type]({ttl: 0}), function(err, results) {
+          assert.ifError(err);
+          assert.deepEqual(results, [false, false]);
+          done();
+        });
+      });
+    });
+  });
+
+  describe('in a file', function() {
+    it('keeps nonces for a new store', function(done) {
+      stores.file().create(function(err, nonce) {
+        assert.ifError(err);
+        assert.equal(fs.statSync(filename).mode & parseInt('777', 8),
+          parseInt('600', 8));
+        stores.file().check(nonce, function(err, valid) {
+          assert.ifError(err);
+          assert.ok(valid);
+          stores.file().check(nonce, function(err, valid) {
+            assert.ifError(err);
+            assert.equal(valid, false);
+            done();
+          });
+        });
+      });
+    });
+
+    it('serializes concurrent checks', function(done) {
+      var store = stores.file();
+      store.create(function(err, nonce) {
+        assert.ifError(err);
+        var results = [];
+        var check = function(err, valid) {
+          assert.ifError(err);
+          results.push(valid);
+          if(results.length === 2) {
+            assert.deepEqual(results.sort(), [false, true]);
+            done();
+          }
+        };
+        store.check(nonce, check);
+        store.check(nonce, check);
+      });
+    });
+
+    it('reports a malformed file', function(done) {
+      fs.writeFileSync(filename, '{');
+      stores.file().create(function(err) {
+        assert.ok(/nonce file contains malformed JSON/.test(err.message));
+        done();
+      });
+    });
+  });
+
+  it('are used by a client for its nonce hooks', function(done) {
+    var client = payswarm.createClient({
+      nonces: payswarm.createMemoryNonceStore()
+    });
+    client.createNonce(function(err, nonce) {
+      assert.ifError(err);
+      client.checkNonce(nonce, function(err, valid) {
+        assert.ifError(err);
+        assert.ok(valid);
+        var other = payswarm.createClient({
+          nonces: payswarm.createMemoryNonceStore()
+        });
+        other.checkNonce(nonce, function(err, valid) {
+          assert.ifError(err);
+          assert.equal(valid, false);
+          done();
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,360 @@
+/**
+ * Payee tests.
+ *
+ * Copyright (c) 2011-2013, Digital Bazaar, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * * Redistributions of source code must retain the above copyright notice,
+ *   this list of conditions and the following disclaimer.
+ *
+ * * Redistributions in binary form must reproduce the above copyright notice,
+ *   this list of conditions and the following disclaimer in the documentation
+ *   and/or other materials provided with the distribution.
+ *
+ * * Neither the name of Digital Bazaar, Inc. nor the names of its contributors
+ *   may be used to endorse or promote products derived from this software
+ *   without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+'use strict';
+
+var assert = require('assert');
+var payswarm = require('..');
+var payees = require('../lib/payees');
+
+/**
+ * Creates a payee.
+ *
+ * @param group the payee group.
+ * @param rate the payee rate.
+ * @param rateType the payee rate type.
+ * @param applyType the payee apply type.
+ * @param [extra] extra properties for the payee.
+ *
+ * @return the payee.
+ */
+function createPayee(group, rate, rateType, applyType, extra) {
+  var payee = {
+    id: 'https://vendor.example/listing#payee-' + group,
+    type: 'Payee',
+    destination: 'https://authority.example/i/' + group + '/accounts/1',
+    currency: 'USD',
+    payeeGroup: group,
+    payeeRate: rate,
+    payeeRateType: rateType,
+    payeeApplyType: applyType
+  };
+  Object.keys(extra || {}).forEach(function(property) {
+    payee[property] = extra[property];
+  });
+  return payee;
+}
+
+/**
+ * Gets the amounts of the transfers computed for a set of payees.
+ *
+ * @param result the result of applyPayees.
+ *
+ * @return the amounts by payee group.
+ */
+function getAmounts(result) {
+  var amounts = {};
+  result.transfer.forEach(function(transfer) {
+    amounts[transfer.payeeGroup[0]] = transfer.amount;
+  });
+  return amounts;
+}
+
+describe('applyPayees', function() {
+  it('adds flat amounts exactly', function() {
+    var result = payees.applyPayees([
+      createPayee('vendor', '0.1', 'FlatAmount', 'ApplyExclusively'),
+      createPayee('author', '0.2', 'FlatAmount', 'ApplyExclusively')
+    ]);
+    assert.equal(result.currency, 'USD');
+    assert.equal(result.amount, '0.3000000');
+    assert.deepEqual(getAmounts(result), {
+      vendor: '0.1000000',
+      author: '0.2000000'
+    });
+  });
+
+  it('applies exclusive percentages after flat amounts', function() {
+    var result = payees.applyPayees([
+      createPayee('authority', '2.5', 'Percentage', 'ApplyExclusively'),
+      createPayee('vendor', '10.00', 'FlatAmount', 'ApplyExclusively')
+    ]);
+    assert.equal(result.amount, '10.2500000');
+    assert.deepEqual(getAmounts(result), {
+      vendor: '10.0000000',
+      authority: '0.2500000'
+    });
+  });
+
+  it('deducts inclusive amounts from the payees they apply to', function() {
+    var result = payees.applyPayees([
+      createPayee('vendor', '10', 'FlatAmount', 'ApplyExclusively'),
+      createPayee('authority', '5', 'Percentage', 'ApplyInclusively')
+    ]);
+    assert.equal(result.amount, '10.0000000');
+    assert.deepEqual(getAmounts(result), {
+      vendor: '9.5000000',
+      authority: '0.5000000'
+    });
+  });
+
+  it('rounds half up at the precision', function() {
+    var result = payees.applyPayees([
+      createPayee('vendor', '0.05', 'FlatAmount', 'ApplyExclusively'),
+      createPayee('authority', '5', 'Percentage', 'ApplyExclusively')
+    ], {precision: 2});
+    assert.deepEqual(getAmounts(result), {
+      vendor: '0.05',
+      authority: '0.00'
+    });
+    result = payees.applyPayees([
+      createPayee('vendor', '0.10', 'FlatAmount', 'ApplyExclusively'),
+      createPayee('authority', '5', 'Percentage', 'ApplyExclusively')
+    ], {precision: 2});
+    assert.deepEqual(getAmounts(result), {
+      vendor: '0.10',
+      authority: '0.01'
+    });
+  });
+
+  it('keeps amounts beyond the precision of numbers', function() {
+    var result = payees.applyPayees([
+      createPayee('vendor', '90071992547409.93', 'FlatAmount',
+        'ApplyExclusively'),
+      createPayee('authority', '1', 'Percentage', 'ApplyExclusively')
+    ], {precision: 2});
+    assert.deepEqual(getAmounts(result), {
+      vendor: '90071992547409.93',
+      authority: '900719925474.10'
+    });
+    assert.equal(result.amount, '90972712472884.03');
+  });
+
+  it('limits computed amounts to their bounds', function() {
+    var result = payees.applyPayees([
+      createPayee('vendor', '1', 'FlatAmount', 'ApplyExclusively'),
+      createPayee('authority', '1', 'Percentage', 'ApplyExclusively', {
+        minimumAmount: '0.05'
+      })
+    ]);
+    assert.equal(getAmounts(result).authority, '0.0500000');
+  });
+
+  it('rejects invalid payees', function() {
+    assert.throws(function() {
+      payees.applyPayees([]);
+    }, /No payees given/);
+    assert.throws(function() {
+      payees.applyPayees([
+        createPayee('vendor', '1e2', 'FlatAmount', 'ApplyExclusively')
+      ]);
+    }, /payee-vendor" must have a non-negative decimal string payeeRate/);
+    assert.throws(function() {
+      payees.applyPayees([
+        createPayee('vendor', '1', 'FlatAmount', 'ApplyExclusively'),
+        createPayee('author', '1', 'FlatAmount', 'ApplyExclusively', {
+          currency: 'EUR'
+        })
+      ]);
+    }, /must use the same currency/);
+  });
+});
+
+describe('compareDecimals', function() {
+  it('compares decimals of different scales', function() {
+    assert.equal(payees.compareDecimals('1.50', '1.5'), 0);
+    assert.equal(payees.compareDecimals('1.49', '1.5'), -1);
+    assert.equal(payees.compareDecimals('10', '9.9999999'), 1);
+  });
+
+  it('names an invalid decimal in its error', function() {
+    assert.throws(function() {
+      payees.compareDecimals('1e2', '1');
+    }, function(err) {
+      return err.message.indexOf('Invalid decimal "1e2"') !== -1 &&
+        err.message.indexOf('The payee') === -1;
+    });
+    assert.throws(function() {
+      payees.compareDecimals('1', -1);
+    }, /Invalid decimal -1/);
+  });
+});
+
+describe('checkListingRestrictions', function() {
+  var ASSET = 'https://vendor.example/articles/1#asset';
+  var VENDOR = 'https://vendor.example/i/vendor';
+  var authority = createPayee(
+    'authority', '2.5', 'Percentage', 'ApplyExclusively');
+
+  /**
+   * Creates an Asset with listing restrictions.
+   *
+   * @param restrictions the listing restrictions.
+   *
+   * @return the Asset.
+   */
+  function createAsset(restrictions) {
+    return {
+      id: ASSET,
+      type: 'Asset',
+      listingRestrictions: restrictions
+    };
+  }
+
+  /**
+   * Creates a Listing for the Asset.
+   *
+   * @param payees the payees in the Listing.
+   *
+   * @return the Listing.
+   */
+  function createListing(payees) {
+    return {
+      id: 'https://vendor.example/articles/1#listing',
+      type: 'Listing',
+      asset: ASSET,
+      vendor: VENDOR,
+      payee: payees,
+      validFrom: '2026-10-01T00:00:00Z',
+      validUntil: '2026-11-01T00:00:00Z'
+    };
+  }
+
+  /**
+   * Gets the restrictions violated by a Listing.
+   *
+   * @param listing the Listing.
+   * @param asset the Asset.
+   *
+   * @return the names of the violated restrictions.
+   */
+  function getViolations(listing, asset) {
+    var result = payees.checkListingRestrictions(listing, asset);
+    assert.equal(result.valid, result.violations.length === 0);
+    return result.violations.map(function(violation) {
+      return violation.restriction;
+    });
+  }
+
+  it('accepts a Listing that follows the restrictions', function() {
+    var asset = createAsset({
+      payee: authority,
+      payeeRule: {payeeGroupPrefix: 'vendor', maximumPayeeRate: '10'},
+      vendor: VENDOR,
+      validFrom: '2026-01-01T00:00:00Z',
+      validUntil: '2027-01-01T00:00:00Z'
+    });
+    var listing = createListing([
+      authority,
+      createPayee('vendor-sales', '1.00', 'FlatAmount', 'ApplyExclusively')
+    ]);
+    assert.deepEqual(getViolations(listing, asset), []);
+  });
+
+  it('rejects a Listing for another Asset', function() {
+    var listing = createListing([]);
+    listing.asset = 'https://vendor.example/articles/2#asset';
+    assert.deepEqual(getViolations(listing, createAsset({})), ['asset']);
+  });
+
+  it('rejects changes to required payees', function() {
+    var changed = createPayee(
+      'authority', '1.5', 'Percentage', 'ApplyExclusively');
+    var result = payees.checkListingRestrictions(
+      createListing([changed]), createAsset({payee: authority}));
+    assert.equal(result.valid, false);
+    assert.deepEqual(result.violations, [{
+      restriction: 'payee',
+      message: 'The Listing changes a payee required by the Asset.',
+      payee: authority.id
+    }]);
+  });
+
+  it('rejects payees that follow no payee rule', function() {
+    var asset = createAsset({payeeRule: [
+      {payeeGroup: 'vendor', payeeRateType: 'FlatAmount'},
+      {payeeGroupPrefix: 'author', minimumPayeeRate: '1'}
+    ]});
+    var flat = createPayee('vendor', '5', 'FlatAmount', 'ApplyExclusively');
+    var percentage = createPayee(
+      'vendor', '5', 'Percentage', 'ApplyExclusively');
+    var author = createPayee(
+      'author-1', '1.0', 'FlatAmount', 'ApplyExclusively');
+    var cheap = createPayee(
+      'author-2', '0.5', 'FlatAmount', 'ApplyExclusively');
+    var result = payees.checkListingRestrictions(
+      createListing([flat, percentage, author, cheap]), asset);
+    assert.deepEqual(result.violations.map(function(violation) {
+      return violation.restriction + ' ' + violation.payee;
+    }), ['payeeRule ' + percentage.id, 'payeeRule ' + cheap.id]);
+  });
+
+  it('rejects additional payees when they are not permitted', function() {
+    var asset = createAsset({
+      payee: authority,
+      payeeLimitation: 'NoAdditionalPayeesLimitation'
+    });
+    assert.deepEqual(getViolations(createListing([authority]), asset), []);
+    assert.deepEqual(getViolations(createListing([
+      authority,
+      createPayee('vendor', '1', 'FlatAmount', 'ApplyExclusively')
+    ]), asset), ['payeeLimitation']);
+  });
+
+  it('rejects other vendors', function() {
+    var asset = createAsset({vendor: 'https://vendor.example/i/other'});
+    assert.deepEqual(getViolations(createListing([]), asset), ['vendor']);
+  });
+
+  it('rejects a Listing valid outside the permitted period', function() {
+    var asset = createAsset({
+      validFrom: '2026-10-15T00:00:00Z',
+      validUntil: '2026-10-20T00:00:00Z'
+    });
+    assert.deepEqual(
+      getViolations(createListing([]), asset), ['validFrom', 'validUntil']);
+  });
+
+  it('uses the Asset\'s validity period without restrictions', function() {
+    var asset = createAsset({});
+    asset.validUntil = '2026-10-20T00:00:00Z';
+    assert.deepEqual(getViolations(createListing([]), asset), ['validUntil']);
+  });
+
+  it('frames JSON-LD documents in the client API', function(done) {
+    var asset = createAsset({
+      vendor: 'https://vendor.example/i/other'
+    });
+    asset['@context'] = payswarm.CONTEXT_URL;
+    var listing = createListing([]);
+    listing['@context'] = payswarm.CONTEXT_URL;
+    payswarm.checkListingRestrictions(listing, asset, function(err, result) {
+      assert.ifError(err);
+      assert.equal(result.valid, false);
+      assert.deepEqual(result.violations.map(function(violation) {
+        return violation.restriction;
+      }), ['vendor']);
+      done();
+    });
+  });
+});
@@ -0,0 +1,733 @@
+/**
+ * Purchase and quote tests.
+ *
+ * Copyright (c) 2011-2013, Digital Bazaar, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * * Redistributions of source code must retain the above copyright notice,
+ *   this list of conditions and the following disclaimer.
+ *
+ * * Redistributions in binary form must reproduce the above copyright notice,
+ *   this list of conditions and the following disclaimer in the documentation
+ *   and/or other materials provided with the distribution.
+ *
+ * * Neither the name of Digital Bazaar, Inc. nor the names of its contributors
+ *   may be used to endorse or promote products derived from this software
+ *   without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+'use strict';
+
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var payswarm = require('..');
+var support = require('./support');
+
+var AUTHORITY = 'https://authority.example/i/authority';
+var AUTHORITY_KEY = AUTHORITY + '/keys/1';
+var CUSTOMER = 'https://authority.example/i/jane';
+var CUSTOMER_KEY = CUSTOMER + '/keys/1';
+var CONFIG_URL = 'https://authority.example/.well-known/payswarm';
+var LOOKUP_SERVICE = 'https://authority.example/transactions/lookup';
+var QUOTE_SERVICE = 'https://authority.example/quotes';
+var TRANSACTION_SERVICE = 'https://authority.example/transactions';
+
+var LISTING = {
+  '@context': payswarm.CONTEXT_URL,
+  id: 'https://vendor.example/articles/1#listing',
+  type: ['Listing', 'gr:Offering'],
+  vendor: 'https://vendor.example/i/vendor',
+  payee: {
+    id: 'https://vendor.example/articles/1#listing-payee-1',
+    type: 'Payee',
+    destination: 'https://authority.example/i/vendor/accounts/primary',
+    currency: 'USD',
+    payeeGroup: 'vendor',
+    payeeRate: '1.0000000',
+    payeeRateType: 'FlatAmount',
+    payeeApplyType: 'ApplyExclusively'
+  },
+  asset: 'https://vendor.example/articles/1#asset',
+  assetHash: 'urn:sha256:' + new Array(65).join('a'),
+  license: 'https://w3id.org/payswarm/licenses/blogging',
+  licenseHash: 'urn:sha256:' + new Array(65).join('b'),
+  validFrom: '2013-03-01T00:00:00Z',
+  validUntil: '2030-03-02T00:00:00Z'
+};
+
+describe('purchases', function() {
+  var pair;
+  var listingHash;
+  var config;
+  before(function(done) {
+    payswarm.createKeyPair({keySize: 1024}, function(err, result) {
+      if(err) {
+        return done(err);
+      }
+      pair = result;
+      payswarm.hash(LISTING, function(err, hash) {
+        if(err) {
+          return done(err);
+        }
+        listingHash = hash;
+        payswarm.sign({
+          '@context': [
+            payswarm.CONTEXT_URL, payswarm.AUTHORITY_CONFIG_CONTEXT],
+          authorityIdentity: AUTHORITY,
+          purchaseLookupService: LOOKUP_SERVICE,
+          quoteService: QUOTE_SERVICE,
+          transactionService: TRANSACTION_SERVICE
+        }, {
+          publicKeyId: AUTHORITY_KEY,
+          privateKeyPem: pair.privateKey
+        }, function(err, signed) {
+          config = signed;
+          done(err);
+        });
+      });
+    });
+  });
+
+  /**
+   * Creates a quote for the listing signed by the authority.
+   *
+   * @param changes the properties to change in the quote. (optional)
+   * @param callback(err, quote) called once the operation completes.
+   */
+  function createQuote(changes, callback) {
+    var quote = {
+      '@context': payswarm.CONTEXT_URL,
+      type: 'Contract',
+      assetAcquirer: CUSTOMER,
+      listing: LISTING.id,
+      listingHash: listingHash,
+      amount: '1.0500000',
+      currency: 'USD',
+      transfer: [{
+        type: 'Transfer',
+        destination: LISTING.payee.destination,
+        amount: '1.0000000'
+      }, {
+        type: 'Transfer',
+        destination: 'https://authority.example/i/authority/accounts/fees',
+        amount: '0.0500000'
+      }],
+      expiration: payswarm.w3cDate(new Date(Date.now() + 60000))
+    };
+    Object.keys(changes || {}).forEach(function(property) {
+      quote[property] = changes[property];
+    });
+    payswarm.sign(quote, {
+      publicKeyId: AUTHORITY_KEY,
+      privateKeyPem: pair.privateKey
+    }, callback);
+  }
+
+  /**
+   * Creates a receipt for the listing.
+   *
+   * @param amount the amount paid.
+   *
+   * @return the receipt.
+   */
+  function createReceipt(amount) {
+    return {
+      '@context': payswarm.CONTEXT_URL,
+      type: 'Receipt',
+      contract: {
+        type: 'Contract',
+        assetAcquirer: CUSTOMER,
+        asset: LISTING.asset,
+        license: LISTING.license,
+        listing: LISTING.id,
+        listingHash: listingHash,
+        amount: amount
+      }
+    };
+  }
+
+  /**
+   * Creates a client for the customer's authority.
+   *
+   * @param docs the documents to serve in addition to the authority's
+   *          configuration and public key.
+   * @param options the client options. (optional)
+   *
+   * @return the client, with the fake HTTP interface as 'http'.
+   */
+  function createClient(docs, options) {
+    support.addKey(docs, AUTHORITY, AUTHORITY_KEY, pair.publicKey);
+    support.addKey(docs, CUSTOMER, CUSTOMER_KEY, pair.publicKey);
+    if(!(CONFIG_URL in docs)) {
+      docs[CONFIG_URL] = config;
+    }
+    options = options || {};
+    options.http = support.createHttp(docs);
+    var client = payswarm.createClient(options);
+    client.http = options.http;
+    return client;
+  }
+
+  /**
+   * Gets the options for a purchase by the customer.
+   *
+   * @param [extra] extra options.
+   *
+   * @return the options.
+   */
+  function purchaseOptions(extra) {
+    var options = {
+      identity: CUSTOMER,
+      publicKey: CUSTOMER_KEY,
+      privateKeyPem: pair.privateKey
+    };
+    Object.keys(extra || {}).forEach(function(option) {
+      options[option] = extra[option];
+    });
+    return options;
+  }
+
+  describe('getQuote', function() {
+    it('requests a quote from the quote service', function(done) {
+      createQuote(null, function(err, quote) {
+        assert.ifError(err);
+        var docs = {};
+        docs['POST ' + QUOTE_SERVICE] = quote;
+        var client = createClient(docs);
+        client.getQuote(LISTING, purchaseOptions(), function(err, result) {
+          assert.ifError(err);
+          assert.equal(result.amount, '1.0500000');
+          var requests = client.http.requests.filter(function(request) {
+            return request.method === 'POST';
+          });
+          assert.equal(requests.length, 1);
+          assert.equal(requests[0].url, QUOTE_SERVICE);
+          assert.equal(requests[0].data.type, 'PurchaseRequest');
+          assert.equal(requests[0].data.listingHash, listingHash);
+          assert.equal(requests[0].data.signature.creator, CUSTOMER_KEY);
+          done();
+        });
+      });
+    });
+
+    it('fails if the authority does not offer quotes', function(done) {
+      payswarm.sign({
+        '@context': [payswarm.CONTEXT_URL, payswarm.AUTHORITY_CONFIG_CONTEXT],
+        authorityIdentity: AUTHORITY,
+        transactionService: TRANSACTION_SERVICE
+      }, {
+        publicKeyId: AUTHORITY_KEY,
+        privateKeyPem: pair.privateKey
+      }, function(err, signed) {
+        assert.ifError(err);
+        var docs = {};
+        docs[CONFIG_URL] = signed;
+        createClient(docs).getQuote(LISTING, purchaseOptions(),
+          function(err) {
+          assert.ok(err);
+          assert.ok(/has no "quoteService"/.test(err.message));
+          done();
+        });
+      });
+    });
+
+    it('rejects a quote for a different listing', function(done) {
+      createQuote({
+        listingHash: 'urn:sha256:' + new Array(65).join('c')
+      }, function(err, quote) {
+        assert.ifError(err);
+        var docs = {};
+        docs['POST ' + QUOTE_SERVICE] = quote;
+        createClient(docs).getQuote(LISTING, purchaseOptions(),
+          function(err) {
+          assert.ok(err);
+          assert.ok(/quote is for a different Listing/.test(err.message));
+          done();
+        });
+      });
+    });
+
+    it('rejects a quote that is not signed by the authority', function(done) {
+      createQuote(null, function(err, quote) {
+        assert.ifError(err);
+        quote.amount = '0.0100000';
+        var docs = {};
+        docs['POST ' + QUOTE_SERVICE] = quote;
+        createClient(docs).getQuote(LISTING, purchaseOptions(),
+          function(err) {
+          assert.ok(err);
+          assert.ok(/signature on the message is invalid/.test(err.message));
+          done();
+        });
+      });
+    });
+  });
+
+  describe('purchase with a quote', function() {
+    /**
+     * Purchases the listing with a quote.
+     *
+     * @param quoteChanges the properties to change in the quote.
+     * @param amount the amount paid in the receipt.
+     * @param callback(err, receipt, client) called once the purchase
+     *          completes.
+     */
+    function purchase(quoteChanges, amount, callback) {
+      createQuote(quoteChanges, function(err, quote) {
+        assert.ifError(err);
+        var docs = {};
+        docs['POST ' + TRANSACTION_SERVICE] = createReceipt(amount);
+        var client = createClient(docs);
+        client.purchase(LISTING, purchaseOptions({quote: quote}),
+          function(err, receipt) {
+          callback(err, receipt, client);
+        });
+      });
+    }
+
+    it('pays no more than the quoted amount', function(done) {
+      purchase(null, '1.05', function(err, receipt, client) {
+        assert.ifError(err);
+        assert.equal(receipt.type, 'Receipt');
+        var request = client.http.requests.filter(function(request) {
+          return request.method === 'POST';
+        })[0];
+        assert.equal(request.url, TRANSACTION_SERVICE);
+        assert.equal(request.data.maximumAmount, '1.0500000');
+        done();
+      });
+    });
+
+    it('fails if the amount paid is not the quoted amount', function(done) {
+      purchase(null, '1.10', function(err) {
+        assert.ok(err);
+        assert.ok(/amount paid, 1.10, is not the quoted amount/.test(
+          err.message));
+        done();
+      });
+    });
+
+    it('reports an invalid amount paid as an error', function(done) {
+      purchase(null, '1e2', function(err) {
+        assert.ok(err);
+        assert.ok(/cannot be checked against the quoted amount/.test(
+          err.message));
+        assert.ok(/Invalid decimal "1e2"/.test(err.message));
+        done();
+      });
+    });
+
+    it('fails if the receipt does not give the amount paid', function(done) {
+      purchase(null, undefined, function(err) {
+        assert.ok(err);
+        assert.ok(/receipt does not give the amount paid/.test(err.message));
+        done();
+      });
+    });
+
+    it('fails if the quote has expired', function(done) {
+      purchase({expiration: '2013-03-01T00:00:00Z'}, '1.05',
+        function(err, receipt, client) {
+        assert.ok(err);
+        assert.ok(/quote expired at 2013-03-01T00:00:00Z/.test(err.message));
+        assert.equal(client.http.requests.filter(function(request) {
+          return request.method === 'POST';
+        }).length, 0);
+        done();
+      });
+    });
+  });
+
+  describe('idempotent purchases', function() {
+    var REFERENCE_ID = 'urn:uuid:8a0e2d1c-4b4f-4c1b-9d3e-0f6a7c9b2e51';
+    var LOOKUP_URL;
+    before(function() {
+      LOOKUP_URL = payswarm.addQueryVars(
+        LOOKUP_SERVICE, {referenceId: REFERENCE_ID});
+    });
+
+    /**
+     * Gets the purchase requests a client has sent.
+     *
+     * @param client the client.
+     *
+     * @return the purchase requests sent.
+     */
+    function getPurchaseRequests(client) {
+      return client.http.requests.filter(function(request) {
+        return request.method === 'POST' && request.url === TRANSACTION_SERVICE;
+      }).map(function(request) {
+        return request.data;
+      });
+    }
+
+    /**
+     * Creates a transaction service that times out on its first request and
+     * returns a receipt afterwards.
+     *
+     * @return the transaction service handler.
+     */
+    function timesOutOnce() {
+      var requests = 0;
+      return function() {
+        if(++requests === 1) {
+          throw {message: 'Bad status code.', statusCode: 504};
+        }
+        return createReceipt('1.0000000');
+      };
+    }
+
+    it('sends a new reference ID with each purchase', function(done) {
+      var docs = {};
+      docs['POST ' + TRANSACTION_SERVICE] = createReceipt('1.0000000');
+      var client = createClient(docs);
+      client.purchase(LISTING, purchaseOptions(), function(err) {
+        assert.ifError(err);
+        client.purchase(LISTING, purchaseOptions(), function(err) {
+          assert.ifError(err);
+          var sent = getPurchaseRequests(client);
+          assert.equal(sent.length, 2);
+          assert.ok(/^urn:uuid:/.test(sent[0].referenceId));
+          assert.notEqual(sent[0].referenceId, sent[1].referenceId);
+          done();
+        });
+      });
+    });
+
+    it('does not repeat a completed purchase', function(done) {
+      var docs = {};
+      docs['POST ' + TRANSACTION_SERVICE] = createReceipt('1.0000000');
+      var client = createClient(docs);
+      var options = purchaseOptions({referenceId: REFERENCE_ID});
+      client.purchase(LISTING, options, function(err, first) {
+        assert.ifError(err);
+        client.purchase(LISTING, options, function(err, second) {
+          assert.ifError(err);
+          assert.deepEqual(second, first);
+          assert.equal(getPurchaseRequests(client).length, 1);
+          done();
+        });
+      });
+    });
+
+    it('does not resend a purchase the authority made', function(done) {
+      var docs = {};
+      docs['POST ' + TRANSACTION_SERVICE] = timesOutOnce();
+      // the authority makes the purchase even though the request times out
+      docs[LOOKUP_URL] = function() {
+        if(getPurchaseRequests(client).length === 0) {
+          throw {message: 'Bad status code.', statusCode: 404};
+        }
+        return createReceipt('1.0000000');
+      };
+      var client = createClient(docs);
+      var options = purchaseOptions({referenceId: REFERENCE_ID});
+      client.purchase(LISTING, options, function(err) {
+        assert.ok(err);
+        assert.equal(err.referenceId, REFERENCE_ID);
+        assert.ok(/outcome of the purchase is not known/.test(err.message));
+        client.purchase(LISTING, options, function(err, receipt) {
+          assert.ifError(err);
+          assert.equal(receipt.type, 'Receipt');
+          assert.equal(getPurchaseRequests(client).length, 1);
+          done();
+        });
+      });
+    });
+
+    it('resends a purchase the authority did not make', function(done) {
+      var docs = {};
+      docs['POST ' + TRANSACTION_SERVICE] = timesOutOnce();
+      var client = createClient(docs);
+      var options = purchaseOptions({referenceId: REFERENCE_ID});
+      client.purchase(LISTING, options, function(err) {
+        assert.ok(err);
+        client.purchase(LISTING, options, function(err, receipt) {
+          assert.ifError(err);
+          assert.equal(receipt.type, 'Receipt');
+          var sent = getPurchaseRequests(client);
+          assert.equal(sent.length, 2);
+          assert.equal(sent[1].referenceId, REFERENCE_ID);
+          assert.ok(client.http.requests.some(function(request) {
+            return request.method === 'GET' && request.url === LOOKUP_URL;
+          }));
+          done();
+        });
+      });
+    });
+
+    it('looks up a reference ID that has no record before sending it',
+      function(done) {
+      var docs = {};
+      docs['POST ' + TRANSACTION_SERVICE] = createReceipt('1.0000000');
+      docs[LOOKUP_URL] = createReceipt('1.0000000');
+      var store = payswarm.createMemoryPurchaseStore();
+      var client = createClient(docs, {purchases: store});
+      client.purchase(LISTING, purchaseOptions({referenceId: REFERENCE_ID}),
+        function(err, receipt) {
+        assert.ifError(err);
+        assert.equal(receipt.type, 'Receipt');
+        assert.equal(getPurchaseRequests(client).length, 0);
+        store.get(REFERENCE_ID, function(err, record) {
+          assert.ifError(err);
+          assert.equal(record.status, 'completed');
+          done();
+        });
+      });
+    });
+
+    it('keeps a limited number of purchases in memory', function(done) {
+      var docs = {};
+      docs['POST ' + TRANSACTION_SERVICE] = timesOutOnce();
+      var store = payswarm.createMemoryPurchaseStore({maxEntries: 2});
+      var client = createClient(docs, {purchases: store});
+      // the pending purchase is kept over the older completed one
+      client.purchase(LISTING, purchaseOptions(), function(err) {
+        assert.ok(err);
+        client.purchase(LISTING, purchaseOptions(), function(err) {
+          assert.ifError(err);
+          client.purchase(LISTING, purchaseOptions(), function(err) {
+            assert.ifError(err);
+            store.list(function(err, records) {
+              assert.ifError(err);
+              assert.deepEqual(records.map(function(record) {
+                return record.status;
+              }).sort(), ['completed', 'pending']);
+              done();
+            });
+          });
+        });
+      });
+    });
+
+    it('rejects a reference ID used for another listing', function(done) {
+      var docs = {};
+      docs['POST ' + TRANSACTION_SERVICE] = createReceipt('1.0000000');
+      var client = createClient(docs);
+      var options = purchaseOptions({referenceId: REFERENCE_ID});
+      client.purchase(LISTING, options, function(err) {
+        assert.ifError(err);
+        var other = JSON.parse(JSON.stringify(LISTING));
+        other.id = 'https://vendor.example/articles/2#listing';
+        client.purchase(other, options, function(err) {
+          assert.ok(err);
+          assert.ok(/already been used to purchase a different Listing/.test(
+            err.message));
+          done();
+        });
+      });
+    });
+
+    it('records a refused purchase as failed', function(done) {
+      var docs = {};
+      docs['POST ' + TRANSACTION_SERVICE] = function() {
+        throw {message: 'Bad status code.', statusCode: 400};
+      };
+      var store = payswarm.createMemoryPurchaseStore();
+      var client = createClient(docs, {purchases: store});
+      client.purchase(LISTING, purchaseOptions({referenceId: REFERENCE_ID}),
+        function(err) {
+        assert.ok(err);
+        store.get(REFERENCE_ID, function(err, record) {
+          assert.ifError(err);
+          assert.equal(record.status, 'failed');
+          assert.equal(record.listingHash, listingHash);
+          done();
+        });
+      });
+    });
+
+    it('resumes a purchase from a file store after a restart',
+      function(done) {
+      var filename = path.join(
+        os.tmpdir(), 'payswarm-purchases-' + process.pid + '.json');
+      var docs = {};
+      docs['POST ' + TRANSACTION_SERVICE] = timesOutOnce();
+      var client = createClient(docs, {
+        purchases: payswarm.createFilePurchaseStore({filename: filename})
+      });
+      client.purchase(LISTING, purchaseOptions({referenceId: REFERENCE_ID}),
+        function(err) {
+        assert.ok(err);
+        // a new client and store stand in for a restarted process
+        docs = {};
+        docs[LOOKUP_URL] = createReceipt('1.0000000');
+        var restarted = createClient(docs, {
+          purchases: payswarm.createFilePurchaseStore({filename: filename})
+        });
+        restarted.resumePurchase(REFERENCE_ID, {
+          publicKey: CUSTOMER_KEY,
+          privateKeyPem: pair.privateKey
+        }, function(err, receipt) {
+          fs.unlinkSync(filename);
+          assert.ifError(err);
+          assert.equal(receipt.type, 'Receipt');
+          assert.equal(getPurchaseRequests(restarted).length, 0);
+          done();
+        });
+      });
+    });
+
+    it('requires a purchase lookup service to look up a purchase',
+      function(done) {
+      payswarm.sign({
+        '@context': [payswarm.CONTEXT_URL, payswarm.AUTHORITY_CONFIG_CONTEXT],
+        authorityIdentity: AUTHORITY,
+        transactionService: TRANSACTION_SERVICE
+      }, {
+        publicKeyId: AUTHORITY_KEY,
+        privateKeyPem: pair.privateKey
+      }, function(err, signed) {
+        assert.ifError(err);
+        var docs = {};
+        docs[CONFIG_URL] = signed;
+        createClient(docs).getPurchaseByReference(REFERENCE_ID, {
+          identity: CUSTOMER
+        }, function(err) {
+          assert.ok(err);
+          assert.ok(/has no "purchaseLookupService"/.test(err.message));
+          done();
+        });
+      });
+    });
+  });
+
+  describe('transaction service discovery', function() {
+    /**
+     * Gets the requests made by a client.
+     *
+     * @param client the client.
+     *
+     * @return the requests as 'METHOD url' strings.
+     */
+    function getRequests(client) {
+      return client.http.requests.map(function(request) {
+        return request.method + ' ' + request.url;
+      });
+    }
+
+    it('uses the service in the authority config', function(done) {
+      var docs = {};
+      docs['POST ' + TRANSACTION_SERVICE] = createReceipt('1.0000000');
+      var client = createClient(docs);
+      client.purchase(LISTING, purchaseOptions(), function(err, receipt) {
+        assert.ifError(err);
+        assert.equal(receipt.type, 'Receipt');
+        var requests = getRequests(client);
+        assert.ok(requests.indexOf('GET ' + CONFIG_URL) !== -1);
+        assert.equal(requests[requests.length - 1],
+          'POST ' + TRANSACTION_SERVICE);
+        done();
+      });
+    });
+
+    it('uses the service in an unsigned authority config', function(done) {
+      var docs = {};
+      docs[CONFIG_URL] = {
+        authorityIdentity: AUTHORITY,
+        transactionService: TRANSACTION_SERVICE
+      };
+      docs['POST ' + TRANSACTION_SERVICE] = createReceipt('1.0000000');
+      var client = createClient(docs);
+      client.purchase(LISTING, purchaseOptions(), function(err, receipt) {
+        assert.ifError(err);
+        assert.equal(receipt.type, 'Receipt');
+        assert.equal(getRequests(client).pop(), 'POST ' + TRANSACTION_SERVICE);
+        done();
+      });
+    });
+
+    it('uses the authority option over the identity', function(done) {
+      var docs = {};
+      docs['POST ' + TRANSACTION_SERVICE] = createReceipt('1.0000000');
+      var client = createClient(docs);
+      client.purchase(LISTING, purchaseOptions({
+        identity: 'https://identity.example/i/jane',
+        authority: 'authority.example'
+      }), function(err) {
+        assert.ifError(err);
+        assert.ok(getRequests(client).indexOf('GET ' + CONFIG_URL) !== -1);
+        done();
+      });
+    });
+
+    it('uses the transactionService option without discovery',
+      function(done) {
+      var service = 'https://payments.example/transactions';
+      var docs = {};
+      docs['POST ' + service] = createReceipt('1.0000000');
+      var client = createClient(docs);
+      client.purchase(LISTING, purchaseOptions({
+        transactionService: service
+      }), function(err) {
+        assert.ifError(err);
+        assert.deepEqual(getRequests(client), ['POST ' + service]);
+        done();
+      });
+    });
+
+    it('fails if the authority has no transaction service', function(done) {
+      payswarm.sign({
+        '@context': [payswarm.CONTEXT_URL, payswarm.AUTHORITY_CONFIG_CONTEXT],
+        authorityIdentity: AUTHORITY
+      }, {
+        publicKeyId: AUTHORITY_KEY,
+        privateKeyPem: pair.privateKey
+      }, function(err, signed) {
+        assert.ifError(err);
+        var docs = {};
+        docs[CONFIG_URL] = signed;
+        var client = createClient(docs);
+        client.purchase(LISTING, purchaseOptions(), function(err) {
+          assert.ok(/has no "transactionService"/.test(err.message));
+          assert.equal(
+            getRequests(client).indexOf('POST ' + TRANSACTION_SERVICE), -1);
+          done();
+        });
+      });
+    });
+
+    it('checks that the authority is trusted if asked', function(done) {
+      var docs = {};
+      docs['POST ' + TRANSACTION_SERVICE] = createReceipt('1.0000000');
+      var client = createClient(docs, {
+        trust: payswarm.createTrustPolicy([
+          {authority: 'https://other.example/i/authority'}
+        ])
+      });
+      client.purchase(LISTING, purchaseOptions({checkTrust: true}),
+        function(err) {
+        assert.ok(/is not trusted/.test(err.message));
+        assert.equal(
+          getRequests(client).indexOf('POST ' + TRANSACTION_SERVICE), -1);
+        done();
+      });
+    });
+
+    it('requires the identity or authority', function(done) {
+      var client = createClient({});
+      client.purchase(LISTING, purchaseOptions({identity: null}),
+        function(err) {
+        assert.ok(/PaySwarm Authority is not known/.test(err.message));
+        done();
+      });
+    });
+  });
+});
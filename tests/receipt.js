@@ -0,0 +1,221 @@
+/**
+ * Signing and verification tests.
+ *
+ * Copyright (c) 2011-2013, Digital Bazaar, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * * Redistributions of source code must retain the above copyright notice,
+ *   this list of conditions and the following disclaimer.
+ *
+ * * Redistributions in binary form must reproduce the above copyright notice,
+ *   this list of conditions and the following disclaimer in the documentation
+ *   and/or other materials provided with the distribution.
+ *
+ * * Neither the name of Digital Bazaar, Inc. nor the names of its contributors
+ *   may be used to endorse or promote products derived from this software
+ *   without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+'use strict';
+
+var assert = require('assert');
+var payswarm = require('..');
+
+var ASSET = {
+  '@context': payswarm.CONTEXT_URL,
+  id: 'https://vendor.example/articles/1#asset',
+  type: 'Asset',
+  title: 'An Article',
+  assetProvider: 'https://vendor.example/i/vendor'
+};
+
+var LICENSE = {
+  '@context': payswarm.CONTEXT_URL,
+  id: 'https://w3id.org/payswarm/licenses/blogging',
+  type: 'License',
+  licenseTemplate: 'Personal use only.'
+};
+
+/**
+ * Removes the @context from a document so that it can be embedded.
+ *
+ * @param doc the document.
+ *
+ * @return a copy of the document without its @context.
+ */
+function embed(doc) {
+  var rval = JSON.parse(JSON.stringify(doc));
+  delete rval['@context'];
+  return rval;
+}
+
+describe('verifyReceipt', function() {
+  var listing;
+  var listingHash;
+  before(function(done) {
+    payswarm.hash(ASSET, function(err, assetHash) {
+      if(err) {
+        return done(err);
+      }
+      payswarm.hash(LICENSE, function(err, licenseHash) {
+        if(err) {
+          return done(err);
+        }
+        listing = {
+          '@context': payswarm.CONTEXT_URL,
+          id: 'https://vendor.example/articles/1#listing',
+          type: ['Listing', 'gr:Offering'],
+          vendor: 'https://vendor.example/i/vendor',
+          asset: ASSET.id,
+          assetHash: assetHash,
+          license: LICENSE.id,
+          licenseHash: licenseHash
+        };
+        payswarm.hash(listing, function(err, result) {
+          listingHash = result;
+          done(err);
+        });
+      });
+    });
+  });
+
+  /**
+   * Creates a Receipt for the Listing with the Asset and License embedded.
+   *
+   * @return the Receipt.
+   */
+  function createReceipt() {
+    return {
+      '@context': payswarm.CONTEXT_URL,
+      type: 'Receipt',
+      contract: {
+        type: 'Contract',
+        assetAcquirer: 'https://authority.example/i/jane',
+        asset: embed(ASSET),
+        license: embed(LICENSE),
+        listing: listing.id,
+        listingHash: listingHash
+      }
+    };
+  }
+
+  /**
+   * Verifies a Receipt against the Listing.
+   *
+   * @param receipt the Receipt.
+   * @param options the verifyReceipt options.
+   * @param callback(err, mismatches) called with the mismatched properties.
+   */
+  function verify(receipt, options, callback) {
+    payswarm.verifyReceipt(receipt, listing, options, function(err, result) {
+      if(err) {
+        return callback(err);
+      }
+      assert.equal(result.valid, result.mismatches.length === 0);
+      callback(null, result.mismatches.map(function(mismatch) {
+        return mismatch.property;
+      }));
+    });
+  }
+
+  it('accepts a Receipt for the Listing', function(done) {
+    verify(createReceipt(), {}, function(err, mismatches) {
+      assert.ifError(err);
+      assert.deepEqual(mismatches, []);
+      done();
+    });
+  });
+
+  it('rejects a Receipt for another Listing', function(done) {
+    var receipt = createReceipt();
+    receipt.contract.listing = 'https://vendor.example/articles/2#listing';
+    receipt.contract.listingHash = 'urn:sha256:' + new Array(65).join('0');
+    verify(receipt, {}, function(err, mismatches) {
+      assert.ifError(err);
+      assert.deepEqual(
+        mismatches, ['contract.listing', 'contract.listingHash']);
+      done();
+    });
+  });
+
+  it('rejects an altered Asset', function(done) {
+    var receipt = createReceipt();
+    receipt.contract.asset.title = 'Another Article';
+    payswarm.verifyReceipt(receipt, listing, function(err, result) {
+      assert.ifError(err);
+      assert.equal(result.valid, false);
+      assert.equal(result.mismatches.length, 1);
+      var mismatch = result.mismatches[0];
+      assert.equal(mismatch.property, 'contract.asset');
+      assert.equal(mismatch.expected, listing.assetHash);
+      assert.notEqual(mismatch.actual, listing.assetHash);
+      assert.equal(mismatch.message, 'The hash of the Asset does not match ' +
+        'the Listing\'s assetHash.');
+      done();
+    });
+  });
+
+  it('rejects an embedded Listing with other hashes', function(done) {
+    var receipt = createReceipt();
+    receipt.contract.listing = {
+      id: listing.id,
+      assetHash: listing.assetHash,
+      licenseHash: 'urn:sha256:' + new Array(65).join('0')
+    };
+    verify(receipt, {}, function(err, mismatches) {
+      assert.ifError(err);
+      assert.deepEqual(mismatches, ['contract.listing.licenseHash']);
+      done();
+    });
+  });
+
+  it('requires the documents that are not embedded', function(done) {
+    var receipt = createReceipt();
+    receipt.contract.asset = ASSET.id;
+    receipt.contract.license = LICENSE.id;
+    verify(receipt, {}, function(err, mismatches) {
+      assert.ifError(err);
+      assert.deepEqual(mismatches, ['contract.asset', 'contract.license']);
+      verify(receipt, {asset: ASSET, license: LICENSE},
+        function(err, mismatches) {
+        assert.ifError(err);
+        assert.deepEqual(mismatches, []);
+        done();
+      });
+    });
+  });
+
+  it('checks the given documents as well as embedded ones', function(done) {
+    var license = JSON.parse(JSON.stringify(LICENSE));
+    license.licenseTemplate = 'Any use.';
+    verify(createReceipt(), {license: license}, function(err, mismatches) {
+      assert.ifError(err);
+      assert.deepEqual(mismatches, ['contract.license']);
+      done();
+    });
+  });
+
+  it('rejects an invalid Receipt', function(done) {
+    var receipt = createReceipt();
+    delete receipt.contract;
+    payswarm.verifyReceipt(receipt, listing, function(err) {
+      assert.ok(/contract/.test(err.message));
+      done();
+    });
+  });
+});
@@ -0,0 +1,352 @@
+/**
+ * Signing and verification tests.
+ *
+ * Copyright (c) 2011-2013, Digital Bazaar, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * * Redistributions of source code must retain the above copyright notice,
+ *   this list of conditions and the following disclaimer.
+ *
+ * * Redistributions in binary form must reproduce the above copyright notice,
+ *   this list of conditions and the following disclaimer in the documentation
+ *   and/or other materials provided with the distribution.
+ *
+ * * Neither the name of Digital Bazaar, Inc. nor the names of its contributors
+ *   may be used to endorse or promote products derived from this software
+ *   without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+'use strict';
+
+var assert = require('assert');
+var crypto = require('crypto');
+var payswarm = require('..');
+var support = require('./support');
+
+var OWNER = 'https://authority.example/i/vendor';
+
+/**
+ * Creates a client that can fetch the given public keys.
+ *
+ * @param keys a map of key IDs to public keys in PEM format.
+ *
+ * @return the client.
+ */
+function createClient(keys) {
+  var docs = {};
+  Object.keys(keys).forEach(function(id) {
+    support.addKey(docs, OWNER, id, keys[id]);
+  });
+  return payswarm.createClient({http: support.createHttp(docs)});
+}
+
+/**
+ * Creates a document to sign.
+ *
+ * @return the document.
+ */
+function createDocument() {
+  return {
+    '@context': payswarm.CONTEXT_URL,
+    id: 'https://vendor.example/articles/1#listing',
+    type: 'Listing',
+    listingHash: 'urn:sha256:' + new Array(65).join('a')
+  };
+}
+
+describe('sign and verify', function() {
+  ['rsa', 'ecdsa-p256', 'ed25519'].forEach(function(type) {
+    describe('with ' + type + ' keys', function() {
+      var pair;
+      var keyId = OWNER + '/keys/' + type;
+      before(function(done) {
+        payswarm.createKeyPair({type: type, keySize: 1024},
+          function(err, result) {
+          pair = result;
+          done(err);
+        });
+      });
+
+      it('creates keys of the type', function() {
+        assert.equal(payswarm.getKeyType(pair.privateKey), type);
+        assert.equal(payswarm.getKeyType(pair.publicKey), type);
+      });
+
+      ['GraphSignature2012', 'sec:LinkedDataSignature2015'].forEach(
+        function(suite) {
+        it('signs and verifies with ' + suite, function(done) {
+          var keys = {};
+          keys[keyId] = pair.publicKey;
+          var client = createClient(keys);
+          client.sign(createDocument(), {
+            type: suite,
+            publicKeyId: keyId,
+            privateKeyPem: pair.privateKey
+          }, function(err, signed) {
+            assert.ifError(err);
+            assert.equal(signed.signature.type, suite);
+            client.verify(signed, function(err, result) {
+              assert.ifError(err);
+              assert.ok(result.verified);
+              done();
+            });
+          });
+        });
+      });
+
+      it('rejects a changed document', function(done) {
+        var keys = {};
+        keys[keyId] = pair.publicKey;
+        var client = createClient(keys);
+        client.sign(createDocument(), {
+          publicKeyId: keyId,
+          privateKeyPem: pair.privateKey
+        }, function(err, signed) {
+          assert.ifError(err);
+          signed.id = 'https://vendor.example/articles/2#listing';
+          client.verify(signed, function(err, result) {
+            assert.ok(/signature on the message is invalid/.test(err.message));
+            assert.equal(result.verified, false);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it('reports an error for an unsupported key type', function(done) {
+    var pair = crypto.generateKeyPairSync('ec', {
+      namedCurve: 'secp384r1',
+      publicKeyEncoding: {type: 'spki', format: 'pem'},
+      privateKeyEncoding: {type: 'sec1', format: 'pem'}
+    });
+    assert.equal(payswarm.getKeyType(pair.privateKey), null);
+    payswarm.sign(createDocument(), {
+      publicKeyId: OWNER + '/keys/p384',
+      privateKeyPem: pair.privateKey
+    }, function(err) {
+      assert.ok(/Unsupported key type/.test(err.message));
+      done();
+    });
+  });
+});
+
+describe('signature sets', function() {
+  var VENDOR_KEY = OWNER + '/keys/1';
+  var OTHER = 'https://authority.example/i/other';
+  var OTHER_KEY = OTHER + '/keys/1';
+  var pair;
+  var client;
+  var signed;
+  before(function(done) {
+    payswarm.createKeyPair({keySize: 1024}, function(err, result) {
+      if(err) {
+        return done(err);
+      }
+      pair = result;
+      var docs = {};
+      support.addKey(docs, OWNER, VENDOR_KEY, pair.publicKey);
+      support.addKey(docs, OTHER, OTHER_KEY, pair.publicKey);
+      client = payswarm.createClient({http: support.createHttp(docs)});
+      client.sign(createDocument(), {
+        publicKeyId: VENDOR_KEY,
+        privateKeyPem: pair.privateKey
+      }, function(err, result) {
+        if(err) {
+          return done(err);
+        }
+        client.sign(result, {
+          type: 'sec:LinkedDataSignature2015',
+          publicKeyId: OTHER_KEY,
+          privateKeyPem: pair.privateKey
+        }, function(err, result) {
+          signed = result;
+          done(err);
+        });
+      });
+    });
+  });
+
+  /**
+   * Copies the signed document and breaks the signature by the other key.
+   *
+   * @return the copy.
+   */
+  function breakOtherSignature() {
+    var copy = JSON.parse(JSON.stringify(signed));
+    var value = copy.signature[1].signatureValue;
+    copy.signature[1].signatureValue =
+      (value.charAt(0) === 'A' ? 'B' : 'A') + value.substr(1);
+    return copy;
+  }
+
+  it('adds a signature to the set for each signer', function(done) {
+    assert.equal(signed.signature.length, 2);
+    assert.equal(signed.signature[0].creator, VENDOR_KEY);
+    assert.equal(signed.signature[1].creator, OTHER_KEY);
+    client.verify(signed, function(err, result) {
+      assert.ifError(err);
+      assert.ok(result.verified);
+      assert.equal(result.signatures.length, 2);
+      done();
+    });
+  });
+
+  it('replaces the signature by the same key', function(done) {
+    client.sign(JSON.parse(JSON.stringify(signed)), {
+      publicKeyId: OTHER_KEY,
+      privateKeyPem: pair.privateKey
+    }, function(err, resigned) {
+      assert.ifError(err);
+      assert.equal(resigned.signature.length, 2);
+      assert.equal(resigned.signature[1].type, 'GraphSignature2012');
+      client.verify(resigned, function(err, result) {
+        assert.ifError(err);
+        assert.ok(result.verified);
+        done();
+      });
+    });
+  });
+
+  it('requires every signature by default', function(done) {
+    client.verify(breakOtherSignature(), function(err, result) {
+      assert.ok(err);
+      assert.equal(result.verified, false);
+      assert.equal(result.signatures[0].verified, true);
+      assert.equal(result.signatures[1].verified, false);
+      done();
+    });
+  });
+
+  it('accepts any valid signature with the "any" policy', function(done) {
+    client.verify(breakOtherSignature(), {policy: 'any'},
+      function(err, result) {
+      assert.ifError(err);
+      assert.ok(result.verified);
+      done();
+    });
+  });
+
+  it('requires the signers given in the policy', function(done) {
+    var broken = breakOtherSignature();
+    client.verify(broken, {policy: [VENDOR_KEY]}, function(err, result) {
+      assert.ifError(err);
+      assert.ok(result.verified);
+      client.verify(broken, {policy: [OWNER, OTHER]}, function(err, result) {
+        assert.ok(err);
+        assert.equal(result.verified, false);
+        done();
+      });
+    });
+  });
+});
+
+describe('signature suites', function() {
+  var KEY = OWNER + '/keys/1';
+  var pair;
+  before(function(done) {
+    payswarm.createKeyPair({keySize: 1024}, function(err, result) {
+      pair = result;
+      done(err);
+    });
+  });
+
+  /**
+   * Creates a suite that signs the normalized data with an HMAC keyed by the
+   * public key, for testing.
+   *
+   * @return the suite.
+   */
+  function createSuite() {
+    var hmac = function(data, key) {
+      return crypto.createHmac('sha256', key).update(data).digest('base64');
+    };
+    return {
+      normalizationAlgorithm: 'URDNA2015',
+      createVerifyData: function(normalized, signature) {
+        return signature.created + normalized;
+      },
+      sign: function(data, privateKeyPem, callback) {
+        var publicKeyPem = crypto.createPublicKey(privateKeyPem)
+          .export({type: 'spki', format: 'pem'});
+        callback(null, hmac(data, publicKeyPem));
+      },
+      verify: function(data, publicKeyPem, signatureValue, callback) {
+        callback(null, hmac(data, publicKeyPem) === signatureValue);
+      }
+    };
+  }
+
+  it('signs and verifies with a registered suite', function(done) {
+    var keys = {};
+    keys[KEY] = pair.publicKey;
+    var client = createClient(keys);
+    client.addSignatureSuite('sec:TestSignature', createSuite());
+    client.sign(createDocument(), {
+      type: 'sec:TestSignature',
+      publicKeyId: KEY,
+      privateKeyPem: pair.privateKey
+    }, function(err, signed) {
+      assert.ifError(err);
+      assert.equal(signed.signature.type, 'sec:TestSignature');
+      client.verify(signed, function(err, result) {
+        assert.ifError(err);
+        assert.ok(result.verified);
+        signed.listingHash = 'urn:sha256:' + new Array(65).join('b');
+        client.verify(signed, function(err, result) {
+          assert.ok(err);
+          assert.equal(result.verified, false);
+          done();
+        });
+      });
+    });
+  });
+
+  it('registers suites on one client only', function(done) {
+    var client = createClient({});
+    client.addSignatureSuite('sec:TestSignature', createSuite());
+    assert.ok('sec:TestSignature' in client.SIGNATURE_SUITES);
+    assert.ok(!('sec:TestSignature' in payswarm.SIGNATURE_SUITES));
+    payswarm.sign(createDocument(), {
+      type: 'sec:TestSignature',
+      publicKeyId: KEY,
+      privateKeyPem: pair.privateKey
+    }, function(err) {
+      assert.ok(/Unknown signature type "sec:TestSignature"/.test(
+        err.message));
+      done();
+    });
+  });
+
+  it('rejects signatures of an unknown type', function(done) {
+    var keys = {};
+    keys[KEY] = pair.publicKey;
+    var client = createClient(keys);
+    client.sign(createDocument(), {
+      publicKeyId: KEY,
+      privateKeyPem: pair.privateKey
+    }, function(err, signed) {
+      assert.ifError(err);
+      signed.signature.type = 'sec:UnknownSignature';
+      client.verify(signed, function(err) {
+        assert.ok(/Unknown signature type found/.test(err.message));
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Test support for the PaySwarm client tests.
+ *
+ * Copyright (c) 2011-2013, Digital Bazaar, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * * Redistributions of source code must retain the above copyright notice,
+ *   this list of conditions and the following disclaimer.
+ *
+ * * Redistributions in binary form must reproduce the above copyright notice,
+ *   this list of conditions and the following disclaimer in the documentation
+ *   and/or other materials provided with the distribution.
+ *
+ * * Neither the name of Digital Bazaar, Inc. nor the names of its contributors
+ *   may be used to endorse or promote products derived from this software
+ *   without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var payswarm = require('../..');
+
+var api = {};
+module.exports = api;
+
+/**
+ * Reads a JSON fixture from the tests/fixtures directory.
+ *
+ * @param name the name of the fixture file.
+ *
+ * @return the parsed fixture.
+ */
+api.readFixture = function(name) {
+  return JSON.parse(fs.readFileSync(
+    path.join(__dirname, '..', 'fixtures', name), 'utf8'));
+};
+
+/**
+ * Creates a fake HTTP interface for createClient that serves documents from
+ * a map of URLs to documents and records what is sent to it.
+ *
+ * @param docs the map of URLs to documents; a document may also be a
+ *          function(url, data) that returns the document or throws an
+ *          error object, eg: {statusCode: 500}.
+ *
+ * @return the HTTP interface, with a 'requests' array of {method, url, data}.
+ */
+api.createHttp = function(docs) {
+  var requests = [];
+  var respond = function(method, url, data, callback) {
+    requests.push({method: method, url: url, data: data});
+    var doc = docs[method + ' ' + url] || docs[url];
+    if(typeof doc === 'function') {
+      try {
+        doc = doc(url, data);
+      }
+      catch(ex) {
+        return callback(ex);
+      }
+    }
+    if(doc === undefined) {
+      return callback(
+        {message: 'Bad status code.', statusCode: 404, url: url});
+    }
+    callback(null, doc === null ? null : JSON.parse(JSON.stringify(doc)));
+  };
+  return {
+    requests: requests,
+    get: function(url, options, callback) {
+      respond('GET', url, null, callback);
+    },
+    post: function(url, data, options, callback) {
+      respond('POST', url, JSON.parse(JSON.stringify(data)), callback);
+    },
+    delete: function(url, options, callback) {
+      respond('DELETE', url, null, callback);
+    }
+  };
+};
+
+/**
+ * Adds a public key to a map of documents so that signatures made with the
+ * key can be verified.
+ *
+ * @param docs the map of URLs to documents.
+ * @param owner the ID of the key owner.
+ * @param id the ID of the public key.
+ * @param publicKeyPem the public key in PEM format.
+ * @param [extra] extra properties for the key, eg: revoked.
+ *
+ * @return the key document.
+ */
+api.addKey = function(docs, owner, id, publicKeyPem, extra) {
+  var key = {
+    '@context': payswarm.CONTEXT_URL,
+    id: id,
+    type: 'CryptographicKey',
+    owner: owner,
+    publicKeyPem: publicKeyPem
+  };
+  Object.keys(extra || {}).forEach(function(property) {
+    key[property] = extra[property];
+  });
+  docs[id] = key;
+  return key;
+};
@@ -0,0 +1,388 @@
+/**
+ * Trust policy tests.
+ *
+ * Copyright (c) 2011-2013, Digital Bazaar, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * * Redistributions of source code must retain the above copyright notice,
+ *   this list of conditions and the following disclaimer.
+ *
+ * * Redistributions in binary form must reproduce the above copyright notice,
+ *   this list of conditions and the following disclaimer in the documentation
+ *   and/or other materials provided with the distribution.
+ *
+ * * Neither the name of Digital Bazaar, Inc. nor the names of its contributors
+ *   may be used to endorse or promote products derived from this software
+ *   without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+'use strict';
+
+var assert = require('assert');
+var payswarm = require('..');
+var support = require('./support');
+
+var AUTHORITY = 'https://authority.example/i/authority';
+var KEY_1 = AUTHORITY + '/keys/1';
+var KEY_2 = AUTHORITY + '/keys/2';
+var OPERATOR = 'https://operator.example/i/operator';
+var OPERATOR_KEY = OPERATOR + '/keys/1';
+
+/**
+ * Checks a query against a trust policy.
+ *
+ * @param policy the trust policy.
+ * @param query the query to check.
+ * @param expected the expected result.
+ * @param done called once the check completes.
+ */
+function checkTrusted(policy, query, expected, done) {
+  policy.isTrusted(query, function(err, trusted) {
+    assert.ifError(err);
+    assert.strictEqual(trusted, expected);
+    done();
+  });
+}
+
+describe('trust policy', function() {
+  var restricted = {
+    authority: AUTHORITY,
+    publicKeys: [KEY_1],
+    documentTypes: ['Receipt']
+  };
+
+  it('trusts a pinned key for a scoped document type', function(done) {
+    var policy = payswarm.createTrustPolicy([restricted]);
+    checkTrusted(policy, {
+      owner: AUTHORITY, publicKey: KEY_1, documentTypes: ['Receipt']
+    }, true, done);
+  });
+
+  it('does not trust a key that is not pinned', function(done) {
+    var policy = payswarm.createTrustPolicy([restricted]);
+    checkTrusted(policy, {
+      owner: AUTHORITY, publicKey: KEY_2, documentTypes: ['Receipt']
+    }, false, done);
+  });
+
+  it('does not trust a document type out of scope', function(done) {
+    var policy = payswarm.createTrustPolicy([restricted]);
+    checkTrusted(policy, {
+      owner: AUTHORITY, publicKey: KEY_1, documentTypes: ['Listing']
+    }, false, done);
+  });
+
+  it('does not trust an expired entry', function(done) {
+    var policy = payswarm.createTrustPolicy([{
+      authority: AUTHORITY, expires: '2013-01-01T00:00:00Z'
+    }]);
+    checkTrusted(policy, {owner: AUTHORITY, publicKey: KEY_1}, false,
+      function() {
+      checkTrusted(policy, {
+        owner: AUTHORITY, publicKey: KEY_1, date: '2012-01-01T00:00:00Z'
+      }, true, done);
+    });
+  });
+
+  it('does not trust an unknown authority', function(done) {
+    var policy = payswarm.createTrustPolicy([{authority: AUTHORITY}]);
+    checkTrusted(policy, {owner: OPERATOR, publicKey: OPERATOR_KEY}, false,
+      done);
+  });
+
+  it('stops trusting a removed authority', function(done) {
+    var policy = payswarm.createTrustPolicy([{authority: AUTHORITY}]);
+    policy.remove(AUTHORITY);
+    assert.deepEqual(policy.entries(), []);
+    checkTrusted(policy, {owner: AUTHORITY, publicKey: KEY_1}, false, done);
+  });
+
+  it('rejects invalid entries', function() {
+    assert.throws(function() {
+      payswarm.createTrustPolicy([{publicKeys: [KEY_1]}]);
+    }, /must have an authority/);
+    assert.throws(function() {
+      payswarm.createTrustPolicy([{authority: AUTHORITY, expires: 'never'}]);
+    }, /invalid expiration date/);
+  });
+
+  describe('isTrustedAuthority', function() {
+    it('trusts an authority with restricted entries', function(done) {
+      var policy = payswarm.createTrustPolicy([restricted]);
+      policy.isTrustedAuthority(AUTHORITY, function(err, trusted) {
+        assert.ifError(err);
+        assert.strictEqual(trusted, true);
+        done();
+      });
+    });
+
+    it('does not trust an authority with expired entries', function(done) {
+      var policy = payswarm.createTrustPolicy([{
+        authority: AUTHORITY,
+        publicKeys: [KEY_1],
+        expires: '2013-01-01T00:00:00Z'
+      }]);
+      policy.isTrustedAuthority(AUTHORITY, function(err, trusted) {
+        assert.ifError(err);
+        assert.strictEqual(trusted, false);
+        done();
+      });
+    });
+  });
+
+  describe('storeTrustedAuthority', function() {
+    it('adds an unrestricted entry for a new authority', function(done) {
+      var policy = payswarm.createTrustPolicy();
+      policy.storeTrustedAuthority(AUTHORITY, function(err) {
+        assert.ifError(err);
+        assert.deepEqual(policy.entries(), [{authority: AUTHORITY}]);
+        done();
+      });
+    });
+
+    it('keeps the restrictions of existing entries', function(done) {
+      var policy = payswarm.createTrustPolicy([restricted]);
+      policy.storeTrustedAuthority(AUTHORITY, function(err) {
+        assert.ifError(err);
+        assert.deepEqual(policy.entries(), [restricted]);
+        checkTrusted(policy, {
+          owner: AUTHORITY, publicKey: KEY_2, documentTypes: ['Listing']
+        }, false, done);
+      });
+    });
+  });
+});
+
+describe('verify with a trust policy', function() {
+  var pair;
+  before(function(done) {
+    payswarm.createKeyPair({keySize: 1024}, function(err, result) {
+      pair = result;
+      done(err);
+    });
+  });
+
+  /**
+   * Signs a receipt with the authority's first key and verifies it with a
+   * client that uses the given trust policy entries.
+   *
+   * @param entries the trust policy entries.
+   * @param callback(err, result) called once the receipt is verified.
+   */
+  function verifyReceipt(entries, callback) {
+    var docs = {};
+    support.addKey(docs, AUTHORITY, KEY_1, pair.publicKey);
+    var client = payswarm.createClient({
+      trust: payswarm.createTrustPolicy(entries),
+      http: support.createHttp(docs)
+    });
+    client.sign({
+      '@context': payswarm.CONTEXT_URL,
+      id: 'https://authority.example/transactions/1',
+      type: 'Receipt'
+    }, {
+      publicKeyId: KEY_1,
+      privateKeyPem: pair.privateKey
+    }, function(err, signed) {
+      assert.ifError(err);
+      client.verify(signed, callback);
+    });
+  }
+
+  it('accepts a receipt signed by a trusted key', function(done) {
+    verifyReceipt([{
+      authority: AUTHORITY, publicKeys: [KEY_1], documentTypes: ['Receipt']
+    }], function(err, result) {
+      assert.ifError(err);
+      assert.ok(result.verified);
+      done();
+    });
+  });
+
+  it('rejects a receipt signed by a key that is not pinned', function(done) {
+    verifyReceipt([{
+      authority: AUTHORITY, publicKeys: [KEY_2]
+    }], function(err) {
+      assert.ok(err);
+      assert.ok(/not signed by a trusted public key/.test(err.message));
+      done();
+    });
+  });
+
+  it('rejects a receipt out of the scope of the trust', function(done) {
+    verifyReceipt([{
+      authority: AUTHORITY, documentTypes: ['IdentityPreferences']
+    }], function(err) {
+      assert.ok(err);
+      assert.ok(/not signed by a trusted public key/.test(err.message));
+      done();
+    });
+  });
+});
+
+describe('loadTrustList', function() {
+  var LIST_URL = 'https://operator.example/trust-list';
+  var pair;
+  var list;
+  before(function(done) {
+    payswarm.createKeyPair({keySize: 1024}, function(err, result) {
+      if(err) {
+        return done(err);
+      }
+      pair = result;
+      signList({
+        id: LIST_URL,
+        expiration: '2031-01-01T00:00:00Z',
+        trustedAuthority: [{
+          authority: AUTHORITY,
+          publicKey: KEY_1,
+          documentType: ['Receipt'],
+          expiration: '2030-01-01T00:00:00Z'
+        }]
+      }, function(err, signed) {
+        list = signed;
+        done(err);
+      });
+    });
+  });
+
+  /**
+   * Signs a trust list with the operator's key.
+   *
+   * @param list the trust list without its context and type.
+   * @param callback(err, signed) called once the operation completes.
+   */
+  function signList(list, callback) {
+    list['@context'] = [payswarm.CONTEXT_URL, payswarm.TRUST_LIST_CONTEXT];
+    list.type = 'TrustList';
+    payswarm.sign(list, {
+      publicKeyId: OPERATOR_KEY,
+      privateKeyPem: pair.privateKey
+    }, callback);
+  }
+
+  /**
+   * Creates a client that can fetch the operator's key and the trust list.
+   *
+   * @return the client.
+   */
+  function createClient() {
+    var docs = {};
+    support.addKey(docs, OPERATOR, OPERATOR_KEY, pair.publicKey);
+    docs[LIST_URL] = list;
+    return payswarm.createClient({http: support.createHttp(docs)});
+  }
+
+  it('loads the entries of a list signed by a signer', function(done) {
+    var policy = payswarm.createTrustPolicy();
+    createClient().loadTrustList(LIST_URL, policy,
+      {signers: [OPERATOR_KEY]}, function(err, entries) {
+      assert.ifError(err);
+      assert.equal(entries.length, 1);
+      assert.deepEqual(policy.entries(), [{
+        authority: AUTHORITY,
+        publicKeys: [KEY_1],
+        documentTypes: ['Receipt'],
+        expires: new Date('2030-01-01T00:00:00Z'),
+        source: LIST_URL
+      }]);
+      done();
+    });
+  });
+
+  it('replaces the entries of a list that is loaded again', function(done) {
+    var policy = payswarm.createTrustPolicy([{authority: OPERATOR}]);
+    var client = createClient();
+    client.loadTrustList(list, policy, {signers: [OPERATOR_KEY]},
+      function(err) {
+      assert.ifError(err);
+      signList({
+        id: LIST_URL,
+        expiration: '2031-01-01T00:00:00Z',
+        trustedAuthority: [{authority: AUTHORITY, publicKey: KEY_2}]
+      }, function(err, signed) {
+        assert.ifError(err);
+        client.loadTrustList(signed, policy, {signers: [OPERATOR_KEY]},
+          function(err) {
+          assert.ifError(err);
+          assert.deepEqual(policy.entries(), [{
+            authority: OPERATOR
+          }, {
+            authority: AUTHORITY,
+            publicKeys: [KEY_2],
+            expires: new Date('2031-01-01T00:00:00Z'),
+            source: LIST_URL
+          }]);
+          done();
+        });
+      });
+    });
+  });
+
+  it('does not load an expired list', function(done) {
+    var policy = payswarm.createTrustPolicy();
+    signList({
+      id: LIST_URL,
+      expiration: '2020-01-01T00:00:00Z',
+      trustedAuthority: [{authority: AUTHORITY}]
+    }, function(err, signed) {
+      assert.ifError(err);
+      createClient().loadTrustList(signed, policy, {signers: [OPERATOR_KEY]},
+        function(err) {
+        assert.ok(/trust list expired on 2020-01-01/.test(err.message));
+        assert.deepEqual(policy.entries(), []);
+        done();
+      });
+    });
+  });
+
+  it('requires an expiration date on the list', function(done) {
+    var policy = payswarm.createTrustPolicy();
+    signList({
+      id: LIST_URL,
+      trustedAuthority: [{authority: AUTHORITY}]
+    }, function(err, signed) {
+      assert.ifError(err);
+      createClient().loadTrustList(signed, policy, {signers: [OPERATOR_KEY]},
+        function(err) {
+        assert.ok(/must have an expiration date/.test(err.message));
+        assert.deepEqual(policy.entries(), []);
+        done();
+      });
+    });
+  });
+
+  it('does not load a list signed by someone else', function(done) {
+    var policy = payswarm.createTrustPolicy();
+    createClient().loadTrustList(list, policy, {
+      signers: ['https://other.example/i/other/keys/1']
+    }, function(err) {
+      assert.ok(err);
+      assert.deepEqual(policy.entries(), []);
+      done();
+    });
+  });
+
+  it('requires signers', function(done) {
+    createClient().loadTrustList(list, payswarm.createTrustPolicy(), {},
+      function(err) {
+      assert.ok(/signers of the trust list must be given/.test(err.message));
+      done();
+    });
+  });
+});
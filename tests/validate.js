@@ -0,0 +1,204 @@
+/**
+ * Signing and verification tests.
+ *
+ * Copyright (c) 2011-2013, Digital Bazaar, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * * Redistributions of source code must retain the above copyright notice,
+ *   this list of conditions and the following disclaimer.
+ *
+ * * Redistributions in binary form must reproduce the above copyright notice,
+ *   this list of conditions and the following disclaimer in the documentation
+ *   and/or other materials provided with the distribution.
+ *
+ * * Neither the name of Digital Bazaar, Inc. nor the names of its contributors
+ *   may be used to endorse or promote products derived from this software
+ *   without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+'use strict';
+
+var assert = require('assert');
+var payswarm = require('..');
+
+var HASH = 'urn:sha256:' + new Array(65).join('a');
+
+/**
+ * Creates a valid Listing.
+ *
+ * @return the Listing.
+ */
+function createListing() {
+  return {
+    id: 'https://vendor.example/articles/1#listing',
+    type: ['Listing', 'gr:Offering'],
+    vendor: 'https://vendor.example/i/vendor',
+    payee: [{
+      id: 'https://vendor.example/articles/1#listing-payee-1',
+      type: 'Payee',
+      destination: 'https://authority.example/i/vendor/accounts/primary',
+      currency: 'USD',
+      payeeGroup: ['vendor'],
+      payeeRate: '0.05',
+      payeeRateType: 'FlatAmount',
+      payeeApplyType: 'ApplyExclusively'
+    }],
+    asset: 'https://vendor.example/articles/1#asset',
+    assetHash: HASH,
+    license: 'https://w3id.org/payswarm/licenses/blogging',
+    licenseHash: HASH,
+    validFrom: '2026-10-01T00:00:00Z',
+    validUntil: '2026-11-01T00:00:00+01:00'
+  };
+}
+
+/**
+ * Gets the errors found when validating a document.
+ *
+ * @param obj the document.
+ * @param type the type of document.
+ *
+ * @return the errors as 'path: message' strings.
+ */
+function getErrors(obj, type) {
+  var result = payswarm.validate(obj, type);
+  assert.equal(result.valid, result.errors.length === 0);
+  return result.errors.map(function(error) {
+    return error.path + ': ' + error.message;
+  });
+}
+
+describe('validate', function() {
+  it('accepts a valid Listing', function() {
+    assert.deepEqual(getErrors(createListing(), 'Listing'), []);
+  });
+
+  it('reports missing properties', function() {
+    var listing = createListing();
+    delete listing.vendor;
+    listing.assetHash = null;
+    assert.deepEqual(getErrors(listing, 'Listing'), [
+      'vendor: is required.',
+      'assetHash: is required.'
+    ]);
+  });
+
+  it('reports invalid values by path', function() {
+    var listing = createListing();
+    listing.payee[0].payeeRate = 0.05;
+    listing.payee[0].payeeRateType = 'Fraction';
+    listing.payee.push({});
+    listing.validFrom = '2026-10-01';
+    listing.licenseHash = 'urn:md5:abc';
+    assert.deepEqual(getErrors(listing, 'Listing'), [
+      'payee[0].payeeRate: must be a string.',
+      'payee[0].payeeRateType: must be one of "FlatAmount", "Percentage".',
+      'payee[1].destination: is required.',
+      'payee[1].currency: is required.',
+      'payee[1].payeeRate: is required.',
+      'payee[1].payeeRateType: is required.',
+      'payee[1].payeeApplyType: is required.',
+      'licenseHash: must be a hash, eg: "urn:sha256:...".',
+      'validFrom: must be a W3C date, eg: "2013-01-01T00:00:00Z".'
+    ]);
+  });
+
+  it('checks decimals, IRIs and dates', function() {
+    var listing = createListing();
+    listing.payee[0].payeeRate = '-1';
+    listing.vendor = 'vendor';
+    listing.validUntil = '2026-13-01T00:00:00Z';
+    assert.deepEqual(getErrors(listing, 'Listing'), [
+      'vendor: must be an absolute IRI.',
+      'payee[0].payeeRate: must be a non-negative decimal string, eg: ' +
+        '"0.05".',
+      'validUntil: must be a W3C date, eg: "2013-01-01T00:00:00Z".'
+    ]);
+  });
+
+  it('checks sets', function() {
+    var listing = createListing();
+    listing.type = 'gr:Offering';
+    listing.payee = [];
+    assert.deepEqual(getErrors(listing, 'Listing'), [
+      'type: must include "Listing".',
+      'payee: must have at least 1 value(s).'
+    ]);
+  });
+
+  it('accepts single values for sets', function() {
+    var listing = createListing();
+    listing.type = 'Listing';
+    listing.payee = listing.payee[0];
+    assert.deepEqual(getErrors(listing, 'Listing'), []);
+  });
+
+  it('accepts references or embedded objects', function() {
+    var receipt = {
+      type: 'Receipt',
+      contract: {
+        assetAcquirer: 'https://authority.example/i/jane',
+        asset: 'https://vendor.example/articles/1#asset',
+        license: {id: 'https://w3id.org/payswarm/licenses/blogging'}
+      }
+    };
+    assert.deepEqual(getErrors(receipt, 'Receipt'), []);
+    receipt.contract.asset = {type: 'Asset'};
+    receipt.contract.license = 'blogging';
+    assert.deepEqual(getErrors(receipt, 'Receipt'), [
+      'contract.asset: must be an absolute IRI or an object.',
+      'contract.license: must be an absolute IRI or an object.'
+    ]);
+  });
+
+  it('checks Assets and their listing restrictions', function() {
+    var asset = {
+      id: 'https://vendor.example/articles/1#asset',
+      type: 'Asset',
+      assetProvider: 'https://vendor.example/i/vendor',
+      listingRestrictions: {
+        payeeRule: {type: 'PayeeRule', maximumPayeeRate: '10'},
+        validUntil: '2027-01-01T00:00:00Z'
+      }
+    };
+    assert.deepEqual(getErrors(asset, 'Asset'), []);
+    asset.listingRestrictions.payeeRule = {maximumPayeeRate: 10};
+    assert.deepEqual(getErrors(asset, 'Asset'), [
+      'listingRestrictions.payeeRule.type: is required.',
+      'listingRestrictions.payeeRule.maximumPayeeRate: must be a string.'
+    ]);
+  });
+
+  it('checks Licenses', function() {
+    assert.deepEqual(getErrors({type: 'License'}, 'License'), [
+      'id: is required.'
+    ]);
+  });
+
+  it('reports a document that is not an object', function() {
+    assert.deepEqual(getErrors('listing', 'Listing'), [
+      ': must be an object.'
+    ]);
+  });
+
+  it('rejects unknown types', function() {
+    assert.throws(function() {
+      payswarm.validate({}, 'Invoice');
+    }, /No schema for type "Invoice"/);
+  });
+});
@@ -0,0 +1,407 @@
+/**
+ * Signing and verification tests.
+ *
+ * Copyright (c) 2011-2013, Digital Bazaar, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * * Redistributions of source code must retain the above copyright notice,
+ *   this list of conditions and the following disclaimer.
+ *
+ * * Redistributions in binary form must reproduce the above copyright notice,
+ *   this list of conditions and the following disclaimer in the documentation
+ *   and/or other materials provided with the distribution.
+ *
+ * * Neither the name of Digital Bazaar, Inc. nor the names of its contributors
+ *   may be used to endorse or promote products derived from this software
+ *   without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+'use strict';
+
+var assert = require('assert');
+var payswarm = require('..');
+var support = require('./support');
+
+var OWNER = 'https://authority.example/i/vendor';
+var KEY = OWNER + '/keys/1';
+
+/**
+ * Creates a document to sign.
+ *
+ * @return the document.
+ */
+function createDocument() {
+  return {
+    '@context': payswarm.CONTEXT_URL,
+    id: 'https://vendor.example/articles/1#listing',
+    type: 'Listing',
+    listingHash: 'urn:sha256:' + new Array(65).join('a')
+  };
+}
+
+/**
+ * Creates a key bundle.
+ *
+ * @param keys the keys in the bundle.
+ *
+ * @return the key bundle.
+ */
+function createBundle(keys) {
+  return {
+    '@context': payswarm.CONTEXT_URL,
+    '@graph': keys.map(function(key) {
+      var rval = {type: 'CryptographicKey'};
+      Object.keys(key).forEach(function(property) {
+        rval[property] = key[property];
+      });
+      return rval;
+    })
+  };
+}
+
+describe('key bundles', function() {
+  var pair;
+  var signed;
+  before(function(done) {
+    payswarm.createKeyPair({keySize: 1024}, function(err, result) {
+      if(err) {
+        return done(err);
+      }
+      pair = result;
+      payswarm.sign(createDocument(), {
+        publicKeyId: KEY,
+        privateKeyPem: pair.privateKey
+      }, function(err, result) {
+        signed = result;
+        done(err);
+      });
+    });
+  });
+
+  it('verify signatures without retrieving keys', function(done) {
+    var http = support.createHttp({});
+    var client = payswarm.createClient({http: http});
+    client.loadKeyBundle(createBundle([
+      {id: KEY, owner: OWNER, publicKeyPem: pair.publicKey}
+    ]), function(err, keys) {
+      assert.ifError(err);
+      assert.deepEqual(Object.keys(keys), [KEY]);
+      assert.equal(keys[KEY].owner, OWNER);
+      client.verify(signed, {keys: keys}, function(err, result) {
+        assert.ifError(err);
+        assert.ok(result.verified);
+        assert.equal(result.signatures[0].owner, OWNER);
+        assert.equal(http.requests.length, 0);
+        done();
+      });
+    });
+  });
+
+  it('reject signatures by keys that are not in the bundle', function(done) {
+    var http = support.createHttp({});
+    var client = payswarm.createClient({http: http});
+    client.loadKeyBundle(createBundle([{
+      id: OWNER + '/keys/2', owner: OWNER, publicKeyPem: pair.publicKey
+    }]), function(err, keys) {
+      assert.ifError(err);
+      client.verify(signed, {keys: keys}, function(err, result) {
+        assert.ok(/is not in the key bundle/.test(err.message));
+        assert.equal(result.verified, false);
+        assert.equal(http.requests.length, 0);
+        done();
+      });
+    });
+  });
+
+  var invalid = {
+    'a key without an ID': [
+      [{owner: OWNER, publicKeyPem: 'pem'}], /must have an ID/],
+    'a key without an owner': [
+      [{id: KEY, publicKeyPem: 'pem'}], /must have an owner/],
+    'a key of an unsupported type': [
+      [{id: KEY, owner: OWNER, publicKeyPem: 'pem'}], /unsupported key type/],
+    'no keys': [[], /No public keys found/]
+  };
+  Object.keys(invalid).forEach(function(name) {
+    it('are rejected with ' + name, function(done) {
+      payswarm.loadKeyBundle(createBundle(invalid[name][0]), function(err) {
+        assert.ok(invalid[name][1].test(err.message), err.message);
+        done();
+      });
+    });
+  });
+});
+
+describe('verification reports', function() {
+  var pair;
+  var client;
+  before(function(done) {
+    payswarm.createKeyPair({keySize: 1024}, function(err, result) {
+      pair = result;
+      var docs = {};
+      support.addKey(docs, OWNER, KEY, pair.publicKey);
+      client = payswarm.createClient({http: support.createHttp(docs)});
+      done(err);
+    });
+  });
+
+  /**
+   * Signs the test document an hour ago, so that its timestamp is out of
+   * range.
+   *
+   * @param callback(err, signed) called once the operation completes.
+   */
+  function signLate(callback) {
+    client.sign(createDocument(), {
+      publicKeyId: KEY,
+      privateKeyPem: pair.privateKey,
+      dateTime: new Date(Date.now() - 60 * 60 * 1000)
+    }, callback);
+  }
+
+  /**
+   * Gets the checks in a signature report by name.
+   *
+   * @param report the signature report.
+   *
+   * @return the map of check names to checks.
+   */
+  function getChecks(report) {
+    var checks = {};
+    report.checks.forEach(function(check) {
+      checks[check.check] = check;
+    });
+    return checks;
+  }
+
+  it('report every check of a valid signature', function(done) {
+    client.sign(createDocument(), {
+      publicKeyId: KEY,
+      privateKeyPem: pair.privateKey
+    }, function(err, signed) {
+      assert.ifError(err);
+      client.verify(signed, function(err, result) {
+        assert.ifError(err);
+        var report = result.signatures[0];
+        assert.equal(report.creator, KEY);
+        assert.equal(report.owner, OWNER);
+        assert.equal(report.type, 'GraphSignature2012');
+        assert.equal(report.created, signed.signature.created);
+        assert.equal(report.verified, true);
+        assert.equal(report.error, null);
+        assert.deepEqual(report.checks.map(function(check) {
+          return check.check;
+        }), payswarm.SIGNATURE_CHECKS);
+        var checks = getChecks(report);
+        assert.equal(checks.nonce.performed, false);
+        assert.equal(checks.nonce.verified, null);
+        ['timestamp', 'publicKey', 'signature'].forEach(function(name) {
+          assert.equal(checks[name].performed, true, name);
+          assert.equal(checks[name].verified, true, name);
+        });
+        done();
+      });
+    });
+  });
+
+  it('stop at the first failed check', function(done) {
+    signLate(function(err, signed) {
+      assert.ifError(err);
+      client.verify(signed, function(err, result) {
+        assert.ok(/timestamp is out of range/.test(err.message));
+        var report = result.signatures[0];
+        assert.equal(report.verified, false);
+        assert.equal(report.error, err);
+        var checks = getChecks(report);
+        assert.equal(checks.timestamp.verified, false);
+        assert.equal(checks.timestamp.error, err);
+        ['publicKey', 'trust', 'signature'].forEach(function(name) {
+          assert.equal(checks[name].performed, false, name);
+        });
+        done();
+      });
+    });
+  });
+
+  it('report every failure with collectAll', function(done) {
+    signLate(function(err, signed) {
+      assert.ifError(err);
+      signed.listingHash = 'urn:sha256:' + new Array(65).join('b');
+      client.verify(signed, {collectAll: true}, function(err, result) {
+        assert.ok(/timestamp is out of range/.test(err.message));
+        var checks = getChecks(result.signatures[0]);
+        assert.equal(checks.timestamp.verified, false);
+        assert.equal(checks.publicKey.verified, true);
+        assert.equal(checks.signature.performed, true);
+        assert.equal(checks.signature.verified, false);
+        assert.ok(/signature on the message is invalid/.test(
+          checks.signature.error.message));
+        done();
+      });
+    });
+  });
+
+  it('record checks that could not be performed', function(done) {
+    signLate(function(err, signed) {
+      assert.ifError(err);
+      signed.signature.creator = OWNER + '/keys/missing';
+      client.verify(signed, {collectAll: true}, function(err, result) {
+        assert.ok(err);
+        var checks = getChecks(result.signatures[0]);
+        assert.equal(checks.publicKey.performed, true);
+        assert.equal(checks.publicKey.verified, false);
+        ['trust', 'revocation', 'expiration', 'signature'].forEach(
+          function(name) {
+          assert.equal(checks[name].performed, false, name);
+        });
+        done();
+      });
+    });
+  });
+});
+
+describe('revoked and expired keys', function() {
+  var HOUR = 60 * 60 * 1000;
+  var pair;
+  var signed;
+  before(function(done) {
+    payswarm.createKeyPair({keySize: 1024}, function(err, result) {
+      if(err) {
+        return done(err);
+      }
+      pair = result;
+      // signed two hours ago, as when auditing an archived receipt
+      payswarm.sign(createDocument(), {
+        publicKeyId: KEY,
+        privateKeyPem: pair.privateKey,
+        dateTime: new Date(Date.now() - 2 * HOUR)
+      }, function(err, result) {
+        signed = result;
+        done(err);
+      });
+    });
+  });
+
+  /**
+   * Verifies the signed document with a key that has the given properties.
+   *
+   * @param extra the extra key properties, eg: revoked.
+   * @param options the verify options.
+   * @param callback(err, result) called once the operation completes.
+   */
+  function verify(extra, options, callback) {
+    var docs = {};
+    support.addKey(docs, OWNER, KEY, pair.publicKey, extra);
+    var client = payswarm.createClient({http: support.createHttp(docs)});
+    options.checkTimestamp = false;
+    client.verify(signed, options, callback);
+  }
+
+  /**
+   * Gets a date relative to now as a W3C date.
+   *
+   * @param offset the offset from now in milliseconds.
+   *
+   * @return the date.
+   */
+  function date(offset) {
+    return payswarm.w3cDate(new Date(Date.now() + offset));
+  }
+
+  it('accept a signature made before the key was revoked', function(done) {
+    verify({revoked: date(-HOUR)}, {}, function(err, result) {
+      assert.ifError(err);
+      assert.ok(result.verified);
+      done();
+    });
+  });
+
+  it('reject a signature made after the key was revoked', function(done) {
+    verify({revoked: date(-3 * HOUR)}, {}, function(err, result) {
+      assert.ok(/revoked before the signature was created/.test(err.message));
+      assert.equal(result.verified, false);
+      done();
+    });
+  });
+
+  it('reject any revoked key with strictRevocation', function(done) {
+    verify({revoked: date(-HOUR)}, {strictRevocation: true},
+      function(err, result) {
+      assert.ok(/public key has been revoked/.test(err.message));
+      assert.equal(result.verified, false);
+      done();
+    });
+  });
+
+  it('accept a signature made before the key expired', function(done) {
+    verify({expiration: date(-HOUR)}, {}, function(err, result) {
+      assert.ifError(err);
+      assert.ok(result.verified);
+      done();
+    });
+  });
+
+  it('reject a signature made after the key expired', function(done) {
+    verify({expiration: date(-3 * HOUR)}, {}, function(err, result) {
+      assert.ok(/expired before the signature was created/.test(err.message));
+      assert.equal(result.verified, false);
+      done();
+    });
+  });
+
+  it('reject an expired key with strictRevocation', function(done) {
+    verify({expiration: date(-HOUR)}, {strictRevocation: true},
+      function(err) {
+      assert.ok(/public key has expired/.test(err.message));
+      verify({expiration: date(HOUR)}, {strictRevocation: true},
+        function(err, result) {
+        assert.ifError(err);
+        assert.ok(result.verified);
+        done();
+      });
+    });
+  });
+
+  it('reject keys with invalid dates', function(done) {
+    verify({revoked: 'yesterday'}, {}, function(err) {
+      assert.ok(/revoked before/.test(err.message));
+      verify({expiration: 'tomorrow'}, {}, function(err) {
+        assert.ok(/expired before/.test(err.message));
+        done();
+      });
+    });
+  });
+
+  it('use revocation dates from a key bundle', function(done) {
+    var client = payswarm.createClient({http: support.createHttp({})});
+    client.loadKeyBundle(createBundle([{
+      id: KEY,
+      owner: OWNER,
+      publicKeyPem: pair.publicKey,
+      revoked: date(-3 * HOUR)
+    }]), function(err, keys) {
+      assert.ifError(err);
+      client.verify(signed, {keys: keys, checkTimestamp: false},
+        function(err) {
+        assert.ok(/revoked before the signature was created/.test(
+          err.message));
+        done();
+      });
+    });
+  });
+});
@@ -388,6 +388,33 @@ function output(cmd, data, callback) {
   callback(null);
 }
 
+/**
+ * Print a signature verification report.
+ *
+ * @param result the result of payswarm.verify
+ * @param prefix the heading prefix to use (optional)
+ */
+function verificationReport(result, prefix) {
+  prefix = prefix || '=';
+  console.log('%s verified: %s', prefix, result.verified ? 'YES' : 'NO');
+  result.signatures.forEach(function(signature) {
+    console.log('%s= Signature', prefix);
+    console.log('%s== creator: %s', prefix, signature.creator);
+    console.log('%s== owner: %s', prefix, signature.owner || '[unknown]');
+    console.log('%s== type: %s', prefix, signature.type);
+    console.log('%s== created: %s', prefix, signature.created);
+    console.log('%s== verified: %s', prefix,
+      signature.verified ? 'YES' : 'NO');
+    signature.checks.forEach(function(check) {
+      var outcome = 'SKIPPED';
+      if(check.performed) {
+        outcome = check.verified ? 'OK' : 'FAILED - ' + check.error.message;
+      }
+      console.log('%s== check %s: %s', prefix, check.check, outcome);
+    });
+  });
+}
+
 /**
  * If an error given, print it and exit, else no action.
  *
@@ -427,6 +454,7 @@ module.exports = {
   makeId: makeId,
   boolify: boolify,
   output: output,
+  verificationReport: verificationReport,
   error: error
 };
 
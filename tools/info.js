@@ -56,7 +56,8 @@ function init(options) {
     .option('    --framed', 'show framed JSON-LD [true]')
     .option('    --hash', 'show JSON-LD hahes [true]')
     .option('    --normalized', 'show normalized N-Quads [false]')
-    .option('    --validate', 'show simple hash validation [false]')
+    .option('    --validate',
+      'show simple hash and signature validation [false]')
     .action(info)
     .on('--help', function() {
       console.log();
@@ -70,7 +71,8 @@ function init(options) {
       console.log('  unless --framed, --hash, or --normalized are specified.');
       console.log();
       console.log('  The --validate option will show results of a simple');
-      console.log('  check of hashes found at this resouce.');
+      console.log('  check of hashes found at this resouce and a report of');
+      console.log('  the signature checks on its Assets and Listings.');
       console.log();
       console.log('  Also see the jsonld tool from the jsonld.js project.');
       console.log();
@@ -218,6 +220,36 @@ function info(loc, cmd) {
       console.log('== valid: %s', msg);
 
       callback(null);
+    }],
+    validateSignatures: ['validate', function(callback, results) {
+      if(!cmd.validate) {
+        return callback(null);
+      }
+      var resources = [].concat(
+        cache.resources.Asset || [], cache.resources.Listing || []);
+      async.eachSeries(resources, function(resource, callback) {
+        console.log('\n= Signatures');
+        console.log('== type: %s', resource.type);
+        console.log('== id: %s', resource.id || '[none]');
+        if(!resource.signature) {
+          console.log('== verified: NO - not signed');
+          return callback(null);
+        }
+        var options = {
+          checkTimestamp: false,
+          collectAll: true,
+          request: common.requestOptions(cmd)
+        };
+        payswarm.verify(resource, options, function(err, result) {
+          if(result) {
+            common.verificationReport(result, '==');
+          }
+          else if(err) {
+            console.log('== verified: NO - %s', err.message || err);
+          }
+          callback(null);
+        });
+      }, callback);
     }]
   }, function(err) {
     common.error(err);
@@ -52,6 +52,8 @@ function init(options) {
     .option('    --identity <identity>', 'identity to use [access key owner]')
     .option('-l, --list', 'list keys [default]')
     .option('-r, --register', 'register new key')
+    .option('    --key-type <type>',
+      'type of key to generate: rsa, ecdsa-p256, or ed25519 [rsa]')
     .option('    --overwrite', 'overwrite config file with new key [false]')
     .action(keys);
 }
@@ -156,7 +158,11 @@ function register(cmd, callback) {
       // Step #1: Generate a public/private keypair (or use an existing one).
       if(!('publicKey' in results.config)) {
         console.log('Generating new public/private keypair...');
-        payswarm.createKeyPair(function(err, pair) {
+        var options = {type: cmd.keyType || 'rsa'};
+        payswarm.createKeyPair(options, function(err, pair) {
+          if(err) {
+            return callback(err);
+          }
           // update the configuration object with the new key info
           results.config.publicKey = {};
           results.config.publicKey.publicKeyPem = pair.publicKey;
@@ -176,14 +182,20 @@ function register(cmd, callback) {
       };
       payswarm.getWebKeysConfig(webKeysUrl.host, options, callback);
     }],
-    encryptedMessagePrompt: ['keys', 'endpoints', function(callback, results) {
+    nonce: ['endpoints', function(callback) {
+      // the nonce is only checked during this run of the tool
+      cmd.nonces = payswarm.createMemoryNonceStore({ttl: 60 * 60});
+      cmd.nonces.create(callback);
+    }],
+    encryptedMessagePrompt: ['keys', 'nonce', function(callback, results) {
       // Step #3: Generate the key registration URL
       var registrationUrl =
         URL.parse(results.endpoints.publicKeyService, true, true);
       registrationUrl.query['public-key'] =
         results.config.publicKey.publicKeyPem;
-      registrationUrl.query['response-nonce'] =
-        new Date().getTime().toString(16);
+      registrationUrl.query['response-nonce'] = results.nonce;
+      registrationUrl.query['response-cipher-algorithms'] =
+        payswarm.CIPHER_ALGORITHM_PREFERENCES.join(',');
       delete registrationUrl.search;
       registrationUrl = URL.format(registrationUrl);
       console.log(
@@ -212,7 +224,21 @@ function register(cmd, callback) {
         privateKey: results.config.publicKey.privateKeyPem
       }, callback);
     }],
-    updateConfig: ['message', function(callback, results) {
+    checkNonce: ['message', function(callback, results) {
+      // ensure the message is a response to this registration request
+      var signature = results.message.signature || {};
+      cmd.nonces.check(signature.nonce, function(err, valid) {
+        if(err) {
+          return callback(err);
+        }
+        if(!valid) {
+          return callback(new Error(
+            'The registration message nonce is invalid.'));
+        }
+        callback();
+      });
+    }],
+    updateConfig: ['checkNonce', function(callback, results) {
       // Step #4: Get the new key information
       results.config.publicKey.id = results.message.publicKey;
       results.config.owner = results.message.owner;
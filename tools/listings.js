@@ -0,0 +1,211 @@
+/**
+ * PaySwarm listings tool.
+ *
+ * Copyright (c) 2011-2013, Digital Bazaar, Inc.
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * * Redistributions of source code must retain the above copyright notice,
+ *   this list of conditions and the following disclaimer.
+ *
+ * * Redistributions in binary form must reproduce the above copyright notice,
+ *   this list of conditions and the following disclaimer in the documentation
+ *   and/or other materials provided with the distribution.
+ *
+ * * Neither the name of Digital Bazaar, Inc. nor the names of its contributors
+ *   may be used to endorse or promote products derived from this software
+ *   without specific prior written permission.
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS"
+ * AND ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE
+ * IMPLIED WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE
+ * ARE DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT HOLDER OR CONTRIBUTORS BE
+ * LIABLE FOR ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR
+ * CONSEQUENTIAL DAMAGES (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF
+ * SUBSTITUTE GOODS OR SERVICES; LOSS OF USE, DATA, OR PROFITS; OR BUSINESS
+ * INTERRUPTION) HOWEVER CAUSED AND ON ANY THEORY OF LIABILITY, WHETHER IN
+ * CONTRACT, STRICT LIABILITY, OR TORT (INCLUDING NEGLIGENCE OR OTHERWISE)
+ * ARISING IN ANY WAY OUT OF THE USE OF THIS SOFTWARE, EVEN IF ADVISED OF THE
+ * POSSIBILITY OF SUCH DAMAGE.
+ */
+
+'use strict';
+
+var async = require('async');
+var common = require('./common');
+var jsonld = require('./jsonld');
+var payswarm = require('..');
+var URL = require('url');
+
+function init(options) {
+  var cmd = options.program
+    .command('listings')
+    .description('publish and withdraw listings');
+  common
+    .command
+    .init(cmd)
+    .option('    --identity <identity>',
+      'vendor identity, a URL or a name at the authority [access key owner]')
+    .option('    --publish <data>',
+      'publish an asset and listing; JSON-LD string, @file for file, ' +
+      '@- for stdin')
+    .option('    --update', 'replace the published listing [false]')
+    .option('    --withdraw <listing>', 'withdraw the listing with this ID')
+    .option('    --url <url>',
+      'listing service URL [the listing ID without its fragment]')
+    .action(listings)
+    .on('--help', function() {
+      console.log();
+      console.log('  The data to publish must be a JSON-LD @graph with a');
+      console.log('  signed asset and a signed listing for it, such as one');
+      console.log('  created with payswarm.createAsset and createListing.');
+      console.log('  Once published, the listing is retrieved again to');
+      console.log('  ensure the published copy has the same hashes.');
+      console.log();
+      console.log('  The listing\'s vendor must be the vendor identity.');
+      console.log('  Requests to the listing service are signed with the');
+      console.log('  access key from the config, if it has one.');
+      console.log();
+    });
+}
+
+function listings(cmd) {
+  async.auto({
+    config: function(callback) {
+      common.config.read(cmd, callback);
+    },
+    identity: ['config', function(callback, results) {
+      // default id to key owner from config
+      if(!cmd.identity) {
+        return callback(null, results.config.owner || null);
+      }
+      // resolve a short id against the authority
+      callback(null, common.makeId(
+        URL.resolve(results.config.authority, '/i'), cmd.identity));
+    }],
+    request: ['config', function(callback, results) {
+      // authenticate as the vendor using the access key from the config
+      var options = {};
+      if(results.config.publicKey) {
+        options._httpSignatureFromConfig = results.config;
+      }
+      callback(null, common.requestOptions(cmd, options));
+    }],
+    publishData: function(callback) {
+      if(!cmd.publish) {
+        return callback();
+      }
+      if(cmd.publish.indexOf('@') === 0) {
+        // get data from a file
+        return payswarm.getJsonLd(cmd.publish.slice(1), callback);
+      }
+      // parse raw data
+      try {
+        callback(null, JSON.parse(cmd.publish));
+      }
+      catch(ex) {
+        callback(ex);
+      }
+    },
+    publish: ['publishData', 'identity', 'request',
+      function(callback, results) {
+      var data = results.publishData;
+      if(!data) {
+        return callback();
+      }
+      var asset = _findNode(data, 'Asset');
+      var listing = _findNode(data, 'Listing');
+      if(!asset || !listing) {
+        return callback(new Error(
+          'The data to publish must have an Asset and a Listing.'));
+      }
+      if(!results.identity) {
+        return callback(new Error('No id or key owner found.'));
+      }
+      var vendor = listing.vendor;
+      if(vendor && typeof vendor === 'object') {
+        vendor = vendor.id;
+      }
+      if(vendor !== results.identity) {
+        return callback(new Error(
+          'The listing\'s vendor "' + vendor + '" is not the vendor ' +
+          'identity "' + results.identity + '".'));
+      }
+      var options = {
+        update: !!cmd.update,
+        request: results.request
+      };
+      if(cmd.url) {
+        options.url = cmd.url;
+      }
+      payswarm.publishListing(asset, listing, options,
+        function(err, result) {
+        if(err) {
+          return callback(err);
+        }
+        if(!cmd.quiet) {
+          console.log('%s listing:', cmd.update ? 'Updated' : 'Published',
+            listing.id);
+          console.log('Listing service:', result.url);
+          console.log('Listing hash:', result.listingHash);
+          console.log('Asset hash:', result.assetHash);
+        }
+        callback();
+      });
+    }],
+    withdraw: ['publish', function(callback, results) {
+      if(!cmd.withdraw) {
+        return callback();
+      }
+      var options = {request: results.request};
+      if(cmd.url) {
+        options.url = cmd.url;
+      }
+      payswarm.withdrawListing(cmd.withdraw, options, function(err, result) {
+        if(err) {
+          return callback(err);
+        }
+        if(!cmd.quiet) {
+          console.log('Withdrew listing:', cmd.withdraw);
+          console.log('Listing service:', result.url);
+        }
+        callback();
+      });
+    }]
+  }, function(err) {
+    common.error(err);
+  });
+}
+
+/**
+ * Finds the node of the given type in JSON-LD data that is either a single
+ * node or a @graph of nodes.
+ *
+ * @param data the JSON-LD data.
+ * @param type the type of node, eg: 'Listing'.
+ *
+ * @return the node, with the data's @context, or null if none was found.
+ */
+function _findNode(data, type) {
+  var nodes = ('@graph' in data) ? data['@graph'] : [data];
+  for(var i = 0; i < nodes.length; ++i) {
+    if(jsonld.hasValue(nodes[i], 'type', type)) {
+      var node = JSON.parse(JSON.stringify(nodes[i]));
+      if(!('@context' in node)) {
+        node['@context'] = data['@context'];
+      }
+      return node;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  init: init
+};
+
+if(require.main === module) {
+  common.error('Run this tool with the payswarm application.');
+}
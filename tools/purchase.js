@@ -49,6 +49,11 @@ function init(options) {
     .option('    --identity <identity>', 'buyer identity [access key owner]')
     .option('    --source <account_url>',
       'URL for the financial account to use when purchasing.')
+    .option('    --resume <reference_id>',
+      'resume an interrupted purchase.')
+    .option('    --purchases <file>',
+      'file to record purchases in so they can be resumed ' +
+      '[<config>.purchases]')
     .action(purchase)
     .on('--help', function() {
       console.log();
@@ -59,20 +64,33 @@ function init(options) {
       console.log('  circumstances these purchases are made with legally');
       console.log('  binding contracts.');
       console.log();
+      console.log('  Every purchase has a reference ID and is recorded before');
+      console.log('  it is sent. If a purchase is interrupted, resume it with');
+      console.log('  --resume <reference_id> to find out whether it was made');
+      console.log('  and to retry it if it was not.');
+      console.log();
     });
 }
 
 function purchase(listing, cmd) {
+  if(cmd.resume) {
+    return resume(cmd);
+  }
+
   /*
    * To purchase an asset, the following steps must be performed.
    *
    * 1. Retrieve the listing and generate a hash for the listing.
-   * 2. Send a purchase request for the listing and retrieve the receipt.
+   * 2. Get a quote for the listing and confirm the amount to be paid.
+   * 3. Send a purchase request for the listing and retrieve the receipt.
    */
   async.auto({
     config: function(callback) {
       common.config.read(cmd, callback);
     },
+    purchases: ['config', function(callback) {
+      callback(null, _usePurchaseStore(cmd));
+    }],
     identity: ['config', function(callback, results) {
       // default id to key owner from config
       var identity = cmd.identity || results.config.owner;
@@ -114,6 +132,36 @@ function purchase(listing, cmd) {
       };
       payswarm.getJsonLd(results.listingUrl, options, callback);
     }],
+    asset: ['listing', function(callback, results) {
+      // use the asset published with the listing if possible
+      jsonld.frame(results.listing, payswarm.FRAMES.Asset,
+        function(err, framed) {
+        if(err) {
+          return callback(err);
+        }
+        if(framed['@graph'].length === 1) {
+          return callback(null, results.listing);
+        }
+        jsonld.frame(results.listing, payswarm.FRAMES.Listing,
+          function(err, framed) {
+          if(err) {
+            return callback(err);
+          }
+          if(framed['@graph'].length !== 1) {
+            return callback(new Error('No single listing found.'));
+          }
+          var options = {
+            cache: true,
+            request: common.requestOptions(cmd)
+          };
+          payswarm.getJsonLd(framed['@graph'][0].asset, options, callback);
+        });
+      });
+    }],
+    amount: ['asset', function(callback, results) {
+      // compute the amount to be paid to the listing and asset payees
+      payswarm.applyPayees(results.listing, results.asset, callback);
+    }],
     _source: ['listing', function(callback, results) {
       var vendorInitiated = (results.identity !== results.config.owner);
 
@@ -158,55 +206,16 @@ function purchase(listing, cmd) {
       }
       callback(null, null);
     }],
-    confirm: ['config', 'source', 'listing', function(callback, results) {
-      // quick details
-      console.log('Listing ID:', results.listingUrl);
-      console.log('Source Account ID:', results.source || '[none]');
-      // FIXME: Get quote and output amount and/or other details
-      //console.log('Amount: %s %s',
-      //  results.quote.currency, results.quote.amount);
-      if(cmd.yes) {
-        return callback(null, true);
-      }
-      prompt.start();
-      prompt.get({
-        properties: {
-          confirm: {
-            description: 'Perform purchase?',
-            pattern: '^(yes|y|true|t|1|no|n|false|f|0)$',
-            default: 'no',
-            required: true
-          }
-        }
-      }, function(err, results) {
-        if(err) {
-          return callback(err);
-        }
-        try {
-          callback(null, common.boolify(results.confirm));
-        }
-        catch(ex) {
-          callback(ex);
-        }
-      });
-    }],
-    purchase: ['confirm', function(callback, results) {
-      if(!results.confirm) {
-        // skip purchase
-        return callback();
-      }
-
+    request: ['config', 'identity', 'source', function(callback, results) {
       // authenticate so we get a full receipt
       // FIXME: add option to not authenticate
       // FIXME: move this into purchase call?
       var requestOptions = common.requestOptions(cmd, {
         _httpSignatureFromConfig: results.config
       });
-      // Step #2: Send a purchase request for the listing
       var request = {
-        // FIXME: URL should be retrieved via a .well-known/payswarm method
-        transactionService: results.config.authority + 'transactions',
-        identity: cmd.identity ? cmd.identity : results.config.owner,
+        authority: results.config.authority,
+        identity: results.identity,
         publicKey: results.config.publicKey.id,
         privateKeyPem: results.config.publicKey.privateKeyPem,
         verbose: cmd.verbose,
@@ -216,39 +225,227 @@ function purchase(listing, cmd) {
       if(results.source) {
         request.source = results.source;
       }
+      callback(null, request);
+    }],
+    referenceId: function(callback) {
+      payswarm.createReferenceId(callback);
+    },
+    quote: ['listing', 'request', function(callback, results) {
+      // Step #2: Get the amount to be paid from the PaySwarm Authority
+      payswarm.getQuote(results.listing, results.request,
+        function(err, quote) {
+        if(err) {
+          // fall back to the amount computed from the payees
+          console.log('Quote unavailable:', err.message);
+          return callback(null, null);
+        }
+        callback(null, quote);
+      });
+    }],
+    confirm: ['config', 'source', 'listing', 'amount', 'quote', 'referenceId',
+      function(callback, results) {
+      // quick details
+      var quote = results.quote;
+      var amount = quote || results.amount;
+      console.log('Listing ID:', results.listingUrl);
+      console.log('Reference ID:', results.referenceId);
+      console.log('Source Account ID:', results.source || '[none]');
+      if(quote) {
+        console.log('Amount: %s %s (quoted by the PaySwarm Authority)',
+          quote.currency, quote.amount);
+        console.log('Quote expires:', quote.expiration);
+      }
+      else {
+        console.log('Amount: %s %s (estimated, excluding any PaySwarm ' +
+          'Authority fees)', amount.currency, amount.amount);
+      }
+      if(cmd.verbose) {
+        [].concat(amount.transfer).forEach(function(transfer) {
+          console.log('  %s %s to %s%s',
+            transfer.currency || amount.currency, transfer.amount,
+            transfer.destination,
+            transfer.comment ? ' (' + transfer.comment + ')' : '');
+        });
+      }
+      _confirm(cmd, 'Perform purchase?', callback);
+    }],
+    purchase: ['confirm', 'request', 'purchases',
+      function(callback, results) {
+      if(!results.confirm) {
+        // skip purchase
+        return callback();
+      }
+
+      // Step #3: Send a purchase request for the listing
+      var request = results.request;
+      request.referenceId = results.referenceId;
+      if(results.quote) {
+        request.quote = results.quote;
+      }
       payswarm.purchase(results.listing, request, callback);
     }],
     receipt: ['purchase', function(callback, results) {
-      var receipt = results.purchase;
-      var err = null;
       if(!results.confirm) {
         // skip output
+        return callback();
       }
-      else if(!receipt) {
-        err = new Error('No receipt.');
-      }
-      else if(jsonld.hasValue(receipt, 'type', 'Receipt')) {
-        // print the receipt of sale to the console
-        var contract = receipt.contract;
-        console.log('Successfully purchased:', contract.listing);
-        console.log('Transaction ID:', contract.id);
-        if(cmd.verbose) {
-          console.log('Receipt:');
-          common.output(receipt);
+      _outputReceipt(cmd, results.purchase, callback);
+    }]
+  }, function(err) {
+    _error(err);
+  });
+}
+
+function resume(cmd) {
+  async.auto({
+    config: function(callback) {
+      common.config.read(cmd, callback);
+    },
+    purchases: ['config', function(callback) {
+      callback(null, _usePurchaseStore(cmd));
+    }],
+    record: ['purchases', function(callback, results) {
+      results.purchases.get(cmd.resume, function(err, record) {
+        if(!err && !record) {
+          err = new Error('No purchase found with reference ID: ' +
+            cmd.resume);
         }
+        callback(err, record);
+      });
+    }],
+    confirm: ['record', function(callback, results) {
+      var record = results.record;
+      console.log('Listing ID:', record.listing);
+      console.log('Reference ID:', record.referenceId);
+      console.log('Started:', record.created);
+      console.log('Status:', record.status);
+      if(record.error) {
+        console.log('Error:', record.error);
       }
-      else {
-        // bad receipt
-        err = callback(new Error('Receipt:' +
-          JSON.stringify(receipt, null, 2)));
+      if(record.status === 'completed') {
+        return callback(null, true);
+      }
+      _confirm(cmd, 'Resume purchase?', callback);
+    }],
+    purchase: ['confirm', function(callback, results) {
+      if(!results.confirm) {
+        // skip purchase
+        return callback();
+      }
+      var requestOptions = common.requestOptions(cmd, {
+        _httpSignatureFromConfig: results.config
+      });
+      payswarm.resumePurchase(cmd.resume, {
+        publicKey: results.config.publicKey.id,
+        privateKeyPem: results.config.publicKey.privateKeyPem,
+        verbose: cmd.verbose,
+        request: requestOptions
+      }, callback);
+    }],
+    receipt: ['purchase', function(callback, results) {
+      if(!results.confirm) {
+        // skip output
+        return callback();
       }
-      callback(err);
+      _outputReceipt(cmd, results.purchase, callback);
     }]
   }, function(err) {
-    common.error(err);
+    _error(err);
   });
 }
 
+/**
+ * Records purchases in the purchase file so they can be resumed.
+ *
+ * @param cmd a commander.js command
+ *
+ * @return the purchase store
+ */
+function _usePurchaseStore(cmd) {
+  var store = payswarm.createFilePurchaseStore({
+    filename: cmd.purchases || cmd.config + '.purchases'
+  });
+  payswarm.addHook('storePurchase', store.save);
+  payswarm.addHook('getStoredPurchase', store.get);
+  payswarm.addHook('getStoredPurchases', store.list);
+  return store;
+}
+
+/**
+ * Asks for confirmation unless --yes was given.
+ *
+ * @param cmd a commander.js command
+ * @param description the question to ask
+ * @param callback function(err, confirmed) called when done
+ */
+function _confirm(cmd, description, callback) {
+  if(cmd.yes) {
+    return callback(null, true);
+  }
+  prompt.start();
+  prompt.get({
+    properties: {
+      confirm: {
+        description: description,
+        pattern: '^(yes|y|true|t|1|no|n|false|f|0)$',
+        default: 'no',
+        required: true
+      }
+    }
+  }, function(err, results) {
+    if(err) {
+      return callback(err);
+    }
+    try {
+      callback(null, common.boolify(results.confirm));
+    }
+    catch(ex) {
+      callback(ex);
+    }
+  });
+}
+
+/**
+ * Prints the receipt of a purchase.
+ *
+ * @param cmd a commander.js command
+ * @param receipt the receipt
+ * @param callback function(err) called when done, with an error if the
+ *          receipt is missing or invalid
+ */
+function _outputReceipt(cmd, receipt, callback) {
+  if(!receipt) {
+    return callback(new Error('No receipt.'));
+  }
+  if(!jsonld.hasValue(receipt, 'type', 'Receipt')) {
+    // bad receipt
+    return callback(new Error('Receipt:' + JSON.stringify(receipt, null, 2)));
+  }
+  // print the receipt of sale to the console
+  var contract = receipt.contract;
+  console.log('Successfully purchased:', contract.listing);
+  console.log('Transaction ID:', contract.id);
+  if(!cmd.verbose) {
+    return callback();
+  }
+  console.log('Receipt:');
+  common.output(cmd, receipt, callback);
+}
+
+/**
+ * Reports an error, explaining how to resume the purchase if its outcome is
+ * not known.
+ *
+ * @param err the error
+ */
+function _error(err) {
+  if(err && err.referenceId) {
+    console.error('To resume the purchase, run: payswarm purchase --resume ' +
+      err.referenceId);
+  }
+  common.error(err);
+}
+
 module.exports = {
   init: init
 };
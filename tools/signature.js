@@ -44,17 +44,26 @@ function init(options) {
   common
     .command
     .init(cmd)
+    .option('    --type <type>',
+      'signature type to use when signing [GraphSignature2012]')
     .option('    --nonce <nonce>', 'nonce to use when signing')
     .option('    --created <created>', 'W3C date to use when signing')
     .option('    --sign <data>',
       'Sign URL, JSON-LD string, @file for file, @- for stdin')
     .option('    --verify <data>',
       'Verify URL, JSON-LD string, @file for file, @- for stdin')
+    .option('    --keys <file>',
+      'verify with the public keys in a key bundle file')
+    .option('    --strict-revocation',
+      'reject signatures made with any revoked or expired key [false]')
+    .option('    --report',
+      'print a report of every verification check [false]')
     .action(signature)
     .on('--help', function() {
       console.log();
       console.log('  Signatures are performed using the current config.');
-      console.log('  Verification will fetch the public key.');
+      console.log('  Verification will fetch the public key unless a key');
+      console.log('  bundle is given.');
       console.log();
     });
 }
@@ -111,6 +120,9 @@ function signature(cmd) {
           publicKeyId: results.cfg.publicKey.id,
           privateKeyPem: results.cfg.publicKey.privateKeyPem
         };
+        if(cmd.type) {
+          opts.type = cmd.type;
+        }
         if(cmd.nonce) {
           opts.nonce = cmd.nonce;
         }
@@ -168,13 +180,39 @@ function signature(cmd) {
       }
       callback();
     }],
-    verify: ['verifyData', function(callback, results) {
+    keys: function(callback) {
+      if(!cmd.keys) {
+        return callback();
+      }
+      // load key bundle for offline verification
+      payswarm.getJsonLd(cmd.keys, function(err, bundle) {
+        if(err) {
+          return callback(err);
+        }
+        payswarm.loadKeyBundle(bundle, callback);
+      });
+    },
+    verify: ['verifyData', 'keys', function(callback, results) {
       if(results.verifyData) {
         var options = {
           checkTimestamp: false,
           request: common.requestOptions(cmd)
         };
-        return payswarm.verify(results.verifyData, options, function(err) {
+        if(results.keys) {
+          options.keys = results.keys;
+        }
+        if(cmd.strictRevocation) {
+          options.strictRevocation = true;
+        }
+        if(cmd.report) {
+          options.collectAll = true;
+        }
+        return payswarm.verify(results.verifyData, options,
+          function(err, result) {
+          if(cmd.report && result) {
+            console.log('= Verification');
+            common.verificationReport(result, '==');
+          }
           if(err) {
             return callback(err);
           }